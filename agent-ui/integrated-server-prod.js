@@ -108,60 +108,9 @@ app.get('/api/ssh/status', async (req, res) => {
     }
 });
 
-// Execute SSH command on kloudykare.com
-app.post('/api/ssh/execute', async (req, res) => {
-    try {
-        const { command } = req.body;
-        
-        if (!command) {
-            return res.status(400).json({ error: 'Command is required' });
-        }
-
-        // Security: Sanitize command input
-        const sanitizedCommand = command.replace(/[;&|`$(){}[\]\\]/g, '');
-        
-        if (sanitizedCommand !== command) {
-            return res.status(400).json({ 
-                error: 'Command contains invalid characters',
-                sanitized: sanitizedCommand
-            });
-        }
-
-        // Security: Block dangerous commands
-        const dangerousCommands = ['rm -rf', 'mkfs', 'dd if=', 'shutdown', 'reboot', 'halt', 'init 0', 'init 6'];
-        const isDangerous = dangerousCommands.some(dangerous => 
-            command.toLowerCase().includes(dangerous.toLowerCase())
-        );
-        
-        if (isDangerous) {
-            return res.status(403).json({ 
-                error: 'Command blocked for security reasons',
-                command: command
-            });
-        }
-
-        exec(`ssh -o ConnectTimeout=10 -o BatchMode=yes -i /home/kloudykare/.ssh/KloudyKare kloudykare@kloudykare.com "${sanitizedCommand.replace(/"/g, '\\"')}"`, 
-            { timeout: 30000 }, 
-            (error, stdout, stderr) => {
-                res.json({
-                    success: !error,
-                    command: sanitizedCommand,
-                    exitCode: error ? error.code : 0,
-                    stdout: stdout || '',
-                    stderr: stderr || '',
-                    error: error ? error.message : null,
-                    host: 'kloudykare.com',
-                    timestamp: new Date().toISOString()
-                });
-            }
-        );
-    } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+// There is no endpoint for free-form commands or paths: anything beyond the
+// fixed checks below goes through the runbook on the rep dashboard
+// (/api/runbook), which only runs allowlisted operations for granted users.
 
 // Get kloudykare.com server status
 app.get('/api/ssh/kloudy/status', async (req, res) => {
@@ -186,35 +135,6 @@ app.get('/api/ssh/kloudy/status', async (req, res) => {
     }
 });
 
-// List files on kloudykare.com server
-app.get('/api/ssh/kloudy/files', async (req, res) => {
-    try {
-        const { path = '.' } = req.query;
-        
-        // Security: Sanitize path input
-        const sanitizedPath = path.replace(/[;&|`$(){}[\]\\]/g, '');
-        
-        exec(`ssh -o ConnectTimeout=10 -o BatchMode=yes -i /home/kloudykare/.ssh/KloudyKare kloudykare@kloudykare.com "ls -la ${sanitizedPath}"`, 
-            { timeout: 15000 }, 
-            (error, stdout, stderr) => {
-                res.json({
-                    success: !error,
-                    path: sanitizedPath,
-                    files: stdout || '',
-                    error: error ? error.message : null,
-                    host: 'kloudykare.com',
-                    timestamp: new Date().toISOString()
-                });
-            }
-        );
-    } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
-
 // Serve main pages
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'ssh-terminal.html'));
@@ -233,9 +153,7 @@ app.use('*', (req, res) => {
         availableEndpoints: [
             'GET /health',
             'GET /api/ssh/status',
-            'POST /api/ssh/execute',
             'GET /api/ssh/kloudy/status',
-            'GET /api/ssh/kloudy/files',
             'GET /ssh-terminal.html'
         ]
     });
@@ -1,53 +1,57 @@
 const express = require('express');
 const path = require('path');
-const axios = require('axios');
-const { exec } = require('child_process');
+const auth = require('../shared/auth');
+const authRoutes = require('../shared/routes/auth');
+const agentRoutes = require('../shared/routes/agent');
+const notesRoutes = require('../shared/routes/notes');
+const sandataRoutes = require('../shared/routes/sandata');
+const chatRoutes = require('../shared/routes/chat');
+const promptsRoutes = require('../shared/routes/prompts');
+const llmRoutes = require('../shared/routes/llm');
+const featuresRoutes = require('../shared/routes/features');
+const auditRoutes = require('../shared/routes/audit');
+const runbookRoutes = require('../shared/routes/runbook');
+const inboxRoutes = require('../shared/routes/inbox');
+const autoreplyRoutes = require('../shared/routes/autoreply');
+const autoreply = require('../shared/services/autoreply');
+const smsRoutes = require('../shared/routes/sms');
+const eligibilityRoutes = require('../shared/routes/eligibility');
+const profilesRoutes = require('../shared/routes/profiles');
+const eligibility = require('../shared/eligibility/queue');
+const tasksRoutes = require('../shared/routes/tasks');
+const tasks = require('../shared/services/tasks');
+const visitsRoutes = require('../shared/routes/visits');
+const visits = require('../shared/services/visits');
+const authorizationsRoutes = require('../shared/routes/authorizations');
+const authorizations = require('../shared/services/authorizations');
+const billingRoutes = require('../shared/routes/billing');
+const employeesRoutes = require('../shared/routes/employees');
+const intakeRoutes = require('../shared/routes/intake');
+const employees = require('../shared/services/employees');
+const trainingRoutes = require('../shared/routes/training');
+const knowledgeRoutes = require('../shared/routes/knowledge');
+const knowledge = require('../shared/services/knowledge');
+const smsWebhookRoutes = require('../shared/routes/sms-webhooks');
+const cors = require('../shared/cors');
 
 const app = express();
 const PORT = process.env.PORT || 8717;
-
-// In-memory notes store keyed by profileId (placeholder until API)
-const profileNotes = new Map();
+const LOGIN_URL = process.env.LOGIN_URL || '../user-ui/login.html';
 
 // Middleware
 app.use(express.json());
-app.use(express.static(__dirname));
+app.use(cors());
+app.use(auth.authenticate);
 
-// CORS headers
-app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
-    }
-    next();
-});
+// Every dashboard page is for admin agents; gate before static serving
+app.use(auth.requirePageRole([auth.ROLES.ADMIN], { loginUrl: LOGIN_URL }));
+app.use(express.static(__dirname));
 
-// Simple authentication endpoint
-app.post('/api/auth/login', (req, res) => {
-    const { identifier, password, captcha } = req.body;
-    
-    // Simple captcha check
-    if (captcha.a + captcha.b !== captcha.answer) {
-        return res.status(400).json({ error: 'Invalid captcha' });
-    }
-    
-    // Simple hardcoded credentials for testing
-    if ((identifier === 'johnny' || identifier === 'johnny@alorosai.com') && password === '@Waken19142025') {
-        res.json({
-            success: true,
-            role: 'admin',
-            user: {
-                id: 'johnny',
-                name: 'Johnny Alorosai',
-                email: 'johnny@alorosai.com'
-            }
-        });
-    } else {
-        res.status(401).json({ error: 'Invalid credentials' });
-    }
-});
+// Session auth: login/logout are public, every other API route needs an admin session
+app.use('/api/auth', authRoutes());
+// Twilio posts here without a session; requests are checked against the Twilio signature instead
+app.use('/api/sms/twilio', smsWebhookRoutes());
+app.use('/api', auth.requireRole(auth.ROLES.ADMIN));
 
 // No-cache for HTML
 app.use((req, res, next) => {
@@ -70,208 +74,79 @@ app.get('/health', (req, res) => {
     });
 });
 
-// Notes endpoints (placeholder)
-app.post('/api/notes/save', (req, res) => {
-    const { profileId = 'demo-profile', text, by = 'Agent' } = req.body || {};
-    if (!text) return res.status(400).json({ error: 'Missing text' });
-    const list = profileNotes.get(profileId) || [];
-    const note = { id: 'n'+Date.now(), text, by, at: new Date().toISOString() };
-    list.push(note);
-    profileNotes.set(profileId, list);
-    res.json({ success: true, note });
-});
+// Feature flags by environment, role and user; reps manage them, changes are audited
+app.use('/api/features', featuresRoutes());
 
-app.get('/api/notes/list', (req, res) => {
-    const profileId = req.query.profileId || 'demo-profile';
-    res.json({ success: true, notes: profileNotes.get(profileId) || [] });
-});
+// Case notes on profiles: full-text search, categories, pinning, revision history
+app.use('/api/notes', notesRoutes());
 
-// Chat proxy through MCP Hub
-app.post('/api/chat', async (req, res) => {
-    try {
-        console.log('🤖 Chat request received:', req.body);
-        
-        // Try MCP Hub first (containerized)
-        const mcpUrl = process.env.MCP_URL || 'http://localhost:7012';
-        
-        try {
-            const response = await axios.post(`${mcpUrl}/api/chat/message`, {
-                message: req.body.message,
-                sessionId: req.body.sessionId || 'agent-session',
-                context: req.body.context || {}
-            }, {
-                timeout: 60000
-            });
-
-            console.log('✅ MCP response received');
-            res.json({ 
-                response: response.data.content || response.data.response,
-                model: 'llama3.3:latest (via MCP)'
-            });
-        } catch (mcpError) {
-            console.warn('⚠️ MCP unavailable, falling back to direct Ollama');
-            
-            // Fallback to direct Ollama (local development)
-            const ollamaUrl = process.env.OLLAMA_URL || 'http://127.0.0.1:11434';
-            const response = await axios.post(`${ollamaUrl}/api/generate`, {
-                model: 'llama3.3:latest',
-                prompt: req.body.message,
-                stream: false,
-                options: {
-                    num_predict: 150,
-                    temperature: 0.7,
-                    top_p: 0.9,
-                    top_k: 40,
-                    num_thread: 8
-                }
-            }, {
-                timeout: 60000
-            });
-
-            console.log('✅ Ollama response received (direct)');
-            res.json({ 
-                response: response.data.response,
-                model: 'llama3.3:latest (direct)'
-            });
-        }
-    } catch (error) {
-        console.error('❌ Chat error:', error.message);
-        res.status(500).json({ 
-            error: 'AI service unavailable',
-            details: error.message
-        });
-    }
-});
+// Client, caregiver and guardian profiles: search, links between people, completeness
+app.use('/api/profiles', profilesRoutes());
 
-// Check Ollama status
-app.get('/api/ollama/status', async (req, res) => {
-    try {
-        const response = await axios.get('http://127.0.0.1:11434/api/tags', {
-            timeout: 5000,
-            family: 4
-        });
-        
-        const models = response.data.models || [];
-        const llama33 = models.find(m => m.name.includes('llama3.3'));
-        
-        res.json({
-            connected: true,
-            model: llama33 ? llama33.name : 'llama3.3:latest',
-            size: llama33 ? llama33.size : 'Unknown'
-        });
-    } catch (error) {
-        res.status(503).json({
-            connected: false,
-            error: error.message
-        });
-    }
-});
+// Agent dashboard actions: AI-organized notes, profiles, tasks and summaries per chat session
+app.use('/api/agent', agentRoutes());
 
-// SSH Terminal Management for kloudykare.com
-app.get('/api/ssh/status', async (req, res) => {
-    try {
-        // Test SSH connection to kloudykare.com
-        exec('ssh -o ConnectTimeout=10 -o BatchMode=yes -i /home/kloudykare/.ssh/KloudyKare kloudykare@kloudykare.com "echo SSH_TEST_SUCCESS"', 
-            (sshError, sshStdout, sshStderr) => {
-                res.json({
-                    sshAvailable: !sshError,
-                    sshTest: sshError ? sshError.message : 'SSH connection to kloudykare.com successful',
-                    sshOutput: sshStdout ? sshStdout.trim() : '',
-                    sshError: sshStderr ? sshStderr.trim() : '',
-                    host: 'kloudykare.com',
-                    username: 'kloudykare',
-                    keyPath: '/home/kloudykare/.ssh/KloudyKare',
-                    timestamp: new Date().toISOString()
-                });
-            });
-    } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+// Shared inbox with the user app: live client threads, assignment, escalation to supervisors
+app.use('/api/inbox', inboxRoutes());
 
-// Execute SSH command on kloudykare.com
-app.post('/api/ssh/execute', async (req, res) => {
-    try {
-        const { command } = req.body;
-        
-        if (!command) {
-            return res.status(400).json({ error: 'Command is required' });
-        }
-
-        exec(`ssh -o ConnectTimeout=10 -o BatchMode=yes -i /home/kloudykare/.ssh/KloudyKare kloudykare@kloudykare.com "${command.replace(/"/g, '\\"')}"`, 
-            { timeout: 30000 }, 
-            (error, stdout, stderr) => {
-                res.json({
-                    success: !error,
-                    command,
-                    exitCode: error ? error.code : 0,
-                    stdout: stdout || '',
-                    stderr: stderr || '',
-                    error: error ? error.message : null,
-                    host: 'kloudykare.com',
-                    timestamp: new Date().toISOString()
-                });
-            }
-        );
-    } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+// AI replies on live threads: drafts with a confidence score, auto-sent or queued for approval per channel policy, and handoff rules
+app.use('/api/autoreply', autoreplyRoutes());
+autoreply.start();
 
-// Get kloudykare.com server status
-app.get('/api/ssh/kloudy/status', async (req, res) => {
-    try {
-        exec('ssh -o ConnectTimeout=10 -o BatchMode=yes -i /home/kloudykare/.ssh/KloudyKare kloudykare@kloudykare.com "uptime && df -h && free -m"', 
-            { timeout: 15000 }, 
-            (error, stdout, stderr) => {
-                res.json({
-                    success: !error,
-                    status: stdout || '',
-                    error: error ? error.message : null,
-                    host: 'kloudykare.com',
-                    timestamp: new Date().toISOString()
-                });
-            }
-        );
-    } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+// SMS intake: texts become inbox threads, intake records and draft profiles; reps reply by text
+app.use('/api/sms', smsRoutes());
 
-// List files on kloudykare.com server
-app.get('/api/ssh/kloudy/files', async (req, res) => {
-    try {
-        const { path = '.' } = req.query;
-        
-        exec(`ssh -o ConnectTimeout=10 -o BatchMode=yes -i /home/kloudykare/.ssh/KloudyKare kloudykare@kloudykare.com "ls -la ${path}"`, 
-            { timeout: 15000 }, 
-            (error, stdout, stderr) => {
-                res.json({
-                    success: !error,
-                    path,
-                    files: stdout || '',
-                    error: error ? error.message : null,
-                    host: 'kloudykare.com',
-                    timestamp: new Date().toISOString()
-                });
-            }
-        );
-    } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+// Eligibility verification queue: rep-started checks, the review queue, retries
+app.use('/api/eligibility', eligibilityRoutes());
+eligibility.start();
+
+// Tasks: the rep queue, assignment to reps and portal users, SLAs, reminders and the bell feed
+app.use('/api/tasks', tasksRoutes());
+tasks.start();
+
+// Caregiver visits: scheduling, GPS clock-in/out checks, exception review and verified EVV records
+app.use('/api/visits', visitsRoutes());
+visits.start();
+
+// Service authorizations: approved hours, utilization from visits, and alerts to the rep queue
+app.use('/api/authorizations', authorizationsRoutes());
+authorizations.start();
+
+// Billing: claims from verified visits, 837P batches, claim status and 835 remittances
+app.use('/api/billing', billingRoutes());
+
+// Employees: hire status, onboarding checklist, credentials and lapse alerts to the rep queue
+app.use('/api/employees', employeesRoutes());
+employees.start();
+
+// Registration drafts from the user app, so reps can open a minor's guardianship and hardship documents
+app.use('/api/intake', intakeRoutes());
+
+// Training: scripted scenarios with a role-played client and saved scorecards
+app.use('/api/training', trainingRoutes());
+
+// Sandata EVV certification: validated uploads, transaction tracking, local mock by default
+app.use('/api/sandata', sandataRoutes());
+
+// Knowledge base: policy, scripts and FAQs indexed for the rep chat; library files sync at startup
+app.use('/api/knowledge', knowledgeRoutes());
+knowledge.syncLibrary();
+
+// Rep chat (buffered and SSE streaming) with the server-side "rep" prompt,
+// per-session memory, cited knowledge base passages and tool calls, over the "rep" model route
+app.use('/api/chat', chatRoutes({ template: 'rep', knowledge: true, tools: true }));
+
+// Model providers: circuit state, error rates and latency, with an optional live probe
+app.use('/api/llm', llmRoutes());
+
+// Admin-editable, versioned role prompts
+app.use('/api/prompts', promptsRoutes());
+
+// Tamper-evident audit trail (LLM requests and other PHI-sensitive actions)
+app.use('/api/audit', auditRoutes());
+
+// Allowlisted server operations (status, logs, restarts) in place of raw remote commands
+app.use('/api/runbook', runbookRoutes());
 
 // Serve main pages
 app.get('/', (req, res) => {
@@ -286,10 +161,6 @@ app.get('/kloudy-simple.html', (req, res) => {
     res.sendFile(path.join(__dirname, 'kloudy-simple.html'));
 });
 
-app.get('/ssh-terminal.html', (req, res) => {
-    res.sendFile(path.join(__dirname, 'ssh-terminal.html'));
-});
-
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
     console.log('🎧 United Family Caregivers Rep Dashboard');
@@ -298,8 +169,6 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log(`📁 Serving from: ${__dirname}`);
     console.log(`🎯 Rep Dashboard: http://localhost:${PORT}/rep-assistant.html`);
     console.log(`💬 Simple Chat: http://localhost:${PORT}/kloudy-simple.html`);
-    console.log(`🔧 SSH Terminal: http://localhost:${PORT}/ssh-terminal.html`);
-    console.log(`🌍 Online Access: http://kloudykare.com/ssh-terminal.html`);
     console.log('==========================================');
 });
 
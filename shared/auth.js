@@ -0,0 +1,152 @@
+/**
+ * Session authentication shared by agent-ui and user-ui.
+ * Passwords are scrypt-hashed; sessions are HMAC-signed tokens carried in an
+ * HttpOnly cookie (pages) or an Authorization: Bearer header (API clients).
+ * Each session is also recorded in the database so logout revokes it everywhere.
+ */
+
+const crypto = require('crypto');
+const sessions = require('./repositories/sessions');
+const { secret } = require('./env');
+
+const ROLES = { ADMIN: 'admin', CLIENT: 'client', CAREGIVER: 'caregiver', GUARDIAN: 'guardian' };
+const USER_ROLES = [ROLES.CLIENT, ROLES.CAREGIVER, ROLES.GUARDIAN];
+
+const COOKIE_NAME = 'kk_session';
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 8 * 60 * 60 * 1000;
+
+// Both servers must share the secret so a login on one is honoured by the other
+const SESSION_SECRET = secret('SESSION_SECRET', 'kloudy-dev-secret-change-me');
+
+// -------- Passwords --------
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password || ''), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// -------- Tokens --------
+function sign(data) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+function issueSession(user) {
+  const now = Date.now();
+  const payload = { sid: crypto.randomUUID(), sub: user.id, role: user.role, iat: now, exp: now + SESSION_TTL_MS };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  sessions.create(payload);
+  return { token: `${body}.${sign(body)}`, expiresAt: payload.exp, payload };
+}
+
+function verifyToken(token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) return null;
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!payload.exp || payload.exp <= Date.now()) return null;
+  // Who the session belongs to comes from its row, not from the token
+  const session = sessions.findActive(payload.sid);
+  if (!session || session.sub !== payload.sub || session.role !== payload.role) return null;
+  return session;
+}
+
+function revokeSession(payload) {
+  if (!payload) return;
+  sessions.revoke(payload.sid);
+  sessions.purgeExpired();
+}
+
+// -------- Cookies --------
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key !== name) continue;
+    try {
+      return decodeURIComponent(rest.join('='));
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+function readToken(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return readCookie(req, COOKIE_NAME);
+}
+
+function cookieAttributes() {
+  // Production pages are served cross-site (GitHub Pages -> kloudykare.com)
+  return process.env.NODE_ENV === 'production' ? 'SameSite=None; Secure' : 'SameSite=Lax';
+}
+
+function setSessionCookie(res, session) {
+  const maxAge = Math.floor((session.expiresAt - Date.now()) / 1000);
+  res.append('Set-Cookie', `${COOKIE_NAME}=${encodeURIComponent(session.token)}; Path=/; HttpOnly; Max-Age=${maxAge}; ${cookieAttributes()}`);
+}
+
+function clearSessionCookie(res) {
+  res.append('Set-Cookie', `${COOKIE_NAME}=; Path=/; HttpOnly; Max-Age=0; ${cookieAttributes()}`);
+}
+
+// -------- Middleware --------
+// Attaches req.session ({ sid, sub, role, exp }) when a valid token is present
+function authenticate(req, res, next) {
+  req.session = verifyToken(readToken(req));
+  next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.session) return res.status(401).json({ success: false, error: 'Authentication required' });
+    if (roles.length && !roles.includes(req.session.role)) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    next();
+  };
+}
+
+// Gates HTML page requests; unauthenticated browsers are sent to the login page
+function requirePageRole(roles, { loginUrl, isPublic = () => false }) {
+  return (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    if (!(req.path.endsWith('.html') || req.path === '/')) return next();
+    if (isPublic(req)) return next();
+    if (!req.session) return res.redirect(loginUrl);
+    if (!roles.includes(req.session.role)) return res.status(403).send('Forbidden');
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  USER_ROLES,
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  issueSession,
+  verifyToken,
+  revokeSession,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticate,
+  requireRole,
+  requirePageRole
+};
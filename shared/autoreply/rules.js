@@ -0,0 +1,70 @@
+/**
+ * Handoff rules: client messages the AI must not answer itself. Each rule in
+ * handoff-rules.json matches with case-insensitive patterns (skipped when an
+ * `unless` pattern also matches) or with a sentiment score below
+ * `sentimentBelow`. Rules are listed by priority; the first match decides
+ * the queue and the reply, and every match adds its tags.
+ *
+ * The file is read and checked when this module is loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sentiment } = require('./sentiment');
+
+const RULES_FILE = process.env.HANDOFF_RULES_FILE || path.join(__dirname, 'handoff-rules.json');
+const QUEUES = ['general', 'supervisor'];
+
+function compile(patterns, where) {
+  return (patterns || []).map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  });
+}
+
+function load() {
+  const { rules } = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+  if (!Array.isArray(rules)) throw new Error(`${RULES_FILE} needs a "rules" list`);
+  return rules.map(rule => {
+    const where = `Handoff rule ${rule.id}`;
+    if (!rule.id || !rule.label || !rule.reply) throw new Error(`${where} needs an id, label and reply`);
+    if (!QUEUES.includes(rule.queue)) throw new Error(`${where}: queue must be one of ${QUEUES.join(', ')}`);
+    if (!rule.match && typeof rule.sentimentBelow !== 'number') throw new Error(`${where} needs match or sentimentBelow`);
+    return { ...rule, tags: rule.tags || [], patterns: compile(rule.match, where), exceptions: compile(rule.unless, where) };
+  });
+}
+
+const rules = load();
+
+/**
+ * @returns {{ handoff: null|{ rule: string, label: string, queue: string, reply: string, tags: string[] },
+ *   matched: string[], sentiment: number }}
+ */
+function evaluate(text) {
+  const mood = sentiment(text);
+  const hits = rules.filter(rule => {
+    if (rule.patterns.length) {
+      return rule.patterns.some(p => p.test(text)) && !rule.exceptions.some(p => p.test(text));
+    }
+    return mood.score < rule.sentimentBelow;
+  });
+  if (!hits.length) return { handoff: null, matched: [], sentiment: mood.score };
+  const [first] = hits;
+  return {
+    handoff: {
+      rule: first.id, label: first.label, queue: first.queue, reply: first.reply,
+      tags: [...new Set(['handoff', ...hits.flatMap(rule => rule.tags)])]
+    },
+    matched: hits.map(rule => rule.id),
+    sentiment: mood.score
+  };
+}
+
+function list() {
+  return rules.map(({ id, label, queue, tags, match, unless, sentimentBelow }) => ({ id, label, queue, tags, match, unless, sentimentBelow }));
+}
+
+module.exports = { evaluate, list };
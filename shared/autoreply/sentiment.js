@@ -0,0 +1,43 @@
+/**
+ * A small word-list sentiment score for client messages. Negative words
+ * count against, positive words for; a negation just before a word flips
+ * it ("not happy") and a message ending in several exclamation marks
+ * counts its negative words twice. Good enough to spot an upset client,
+ * which is all the handoff rules need.
+ */
+
+const NEGATIVE = {
+  angry: 2, furious: 3, upset: 2, frustrated: 2, frustrating: 2, annoyed: 1, mad: 2, disappointed: 2, unacceptable: 3,
+  ridiculous: 2, terrible: 2, horrible: 2, awful: 2, worst: 3, useless: 2, incompetent: 3, rude: 2, hate: 2, sick: 1,
+  tired: 1, ignored: 2, ignoring: 2, waiting: 1, still: 1, again: 1, never: 1, nobody: 1, wrong: 1, bad: 1, scam: 3,
+  lied: 3, lying: 3, joke: 1, pathetic: 3, fed: 1, cancel: 1, done: 1, complain: 2, complaint: 2
+};
+const POSITIVE = {
+  thanks: 1, thank: 1, great: 2, good: 1, helpful: 2, appreciate: 2, happy: 2, perfect: 2, awesome: 2, wonderful: 2,
+  kind: 1, love: 2, excellent: 2, glad: 1, nice: 1
+};
+const NEGATIONS = new Set(['not', "don't", 'dont', "isn't", 'isnt', "wasn't", 'no', 'never', "didn't", 'didnt']);
+
+/**
+ * @returns {{ score: number, words: string[] }} `words` are the negative words found
+ */
+function sentiment(text) {
+  const tokens = String(text || '').toLowerCase().match(/[a-z']+/g) || [];
+  const shouting = /!{2,}\s*$/.test(String(text || ''));
+  let score = 0;
+  const words = [];
+  tokens.forEach((token, i) => {
+    const negated = i > 0 && NEGATIONS.has(tokens[i - 1]);
+    if (NEGATIVE[token]) {
+      if (negated) return;
+      score -= NEGATIVE[token] * (shouting ? 2 : 1);
+      words.push(token);
+    } else if (POSITIVE[token]) {
+      score += negated ? -POSITIVE[token] : POSITIVE[token];
+      if (negated) words.push(`${tokens[i - 1]} ${token}`);
+    }
+  });
+  return { score, words };
+}
+
+module.exports = { sentiment };
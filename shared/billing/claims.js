@@ -0,0 +1,126 @@
+/**
+ * Claim building and reconciliation, without storage. Verified visits are
+ * grouped into one claim per client authorization and month of service and
+ * priced from the rate table; an 835 claim payment is turned into the claim's
+ * new status. The billing service and the sample run both use these.
+ */
+
+const config = require('./config');
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// The rate on the date of service: the payer's own table when it has one, else the default
+function rateFor(serviceCode, payer, date) {
+  const table = config.RATES[serviceCode];
+  if (!table) return null;
+  const schedule = (table.payers && table.payers[payer]) || table.default;
+  const current = schedule.filter(r => r.effective <= date).sort((a, b) => b.effective.localeCompare(a.effective))[0];
+  return current ? { rate: current.rate, unitMinutes: table.unitMinutes } : null;
+}
+
+// "123 Main St, Las Vegas, NV 89101" as X12 address parts; null when it is not in that shape
+function parseAddress(address) {
+  const match = String(address || '').match(/^\s*(.+?),\s*([^,]+?),\s*([A-Za-z]{2})\s+(\d{5})(?:-?(\d{4}))?\s*$/);
+  if (!match) return null;
+  return { line1: match[1], city: match[2], state: match[3].toUpperCase(), zip: match[4] + (match[5] || '') };
+}
+
+/**
+ * Turns verified visits into claims. Each visit needs the authorization that
+ * covers it (`visit.authorization`), a rate and a billable client; visits
+ * without them are returned in `held` with the reason.
+ * @param {object[]} visits `{ id, profileId, serviceCode, date, hours, client: { name, medicaidId, dob, address }, authorization }`
+ * @returns {{ claims: object[], held: { visitId: string, reason: string }[] }}
+ */
+function buildClaims(visits) {
+  const claims = new Map();
+  const held = [];
+  for (const visit of visits) {
+    const auth = visit.authorization;
+    const hold = reason => held.push({ visitId: visit.id, clientName: visit.client.name, date: visit.date, reason });
+    if (!auth) { hold(`No ${visit.serviceCode} authorization covers ${visit.date}`); continue; }
+    const payerId = config.PAYER_IDS[auth.payer];
+    if (!payerId) { hold(`No clearinghouse payer ID for ${auth.payer}`); continue; }
+    const price = rateFor(visit.serviceCode, auth.payer, visit.date);
+    if (!price) { hold(`No ${visit.serviceCode} rate for ${visit.date}`); continue; }
+    const address = parseAddress(visit.client.address);
+    if (!address) { hold('Client address must read "street, city, ST zip"'); continue; }
+    if (!visit.client.medicaidId || !visit.client.dob) { hold('Client Medicaid ID and date of birth are required'); continue; }
+    const units = Math.round(visit.hours * 60 / price.unitMinutes);
+    if (units <= 0) { hold('No billable time on the visit'); continue; }
+
+    const key = `${auth.id}:${visit.date.slice(0, 7)}`;
+    if (!claims.has(key)) {
+      claims.set(key, {
+        key, profileId: visit.profileId, authorizationId: auth.id, authorizationNumber: auth.number,
+        payer: auth.payer, payerId, serviceCode: visit.serviceCode, diagnosis: config.DEFAULT_DIAGNOSIS,
+        client: { ...visit.client, address }, lines: [], total: 0
+      });
+    }
+    const claim = claims.get(key);
+    const amount = round(units * price.rate);
+    claim.lines.push({ lineId: visit.id, visitId: visit.id, serviceCode: visit.serviceCode, date: visit.date, units, rate: price.rate, amount });
+    claim.total = round(claim.total + amount);
+  }
+  const built = [...claims.values()].map(claim => {
+    const lines = claim.lines.sort((a, b) => a.date.localeCompare(b.date));
+    return { ...claim, lines, fromDate: lines[0].date, toDate: lines[lines.length - 1].date };
+  });
+  return { claims: built, held };
+}
+
+// A readable version of what the 837P says, for checking a claim before it goes out
+function preview(claim) {
+  const dollars = amount => `$${amount.toFixed(2)}`;
+  return [
+    `Claim ${claim.claimNumber || '(not numbered yet)'}    ${claim.payer}`,
+    `Patient: ${claim.client.name}    Medicaid ID ${claim.client.medicaidId}    DOB ${claim.client.dob}`,
+    `Address: ${[claim.client.address.line1, claim.client.address.city, claim.client.address.state, claim.client.address.zip].join(', ')}`,
+    `Billing provider: ${config.PROVIDER.name}    NPI ${config.PROVIDER.npi}    Medicaid ${config.PROVIDER.medicaidId}`,
+    `Prior authorization: ${claim.authorizationNumber}    Diagnosis: ${claim.diagnosis}    Place of service: ${config.PLACE_OF_SERVICE} (home)`,
+    '',
+    'Line  Date        Service  Units  Rate     Charge',
+    ...claim.lines.map((line, n) => [
+      String(n + 1).padEnd(6), line.date.padEnd(12), line.serviceCode.padEnd(9), String(line.units).padEnd(7),
+      dollars(line.rate).padEnd(9), dollars(line.amount)
+    ].join('')),
+    '',
+    `Total charge: ${dollars(claim.total)}`
+  ].join('\n');
+}
+
+// Contractual write-offs are not owed by anyone; everything else unpaid is outstanding
+const WRITE_OFFS = [['CO', '45'], ['CO', '253']];
+
+function writeOff(adjustments) {
+  return adjustments.filter(a => WRITE_OFFS.some(([group, reason]) => a.group === group && a.reason === reason)).reduce((sum, a) => sum + a.amount, 0);
+}
+
+/**
+ * The claim's status after one 835 claim payment: `paid` when the payment
+ * and contractual write-offs cover the charge, `partial` when something is
+ * still outstanding, `denied` when nothing was paid, and back to
+ * `submitted` when the payer reverses an earlier payment.
+ * @param {{ total: number, lines: { lineId: string, date: string }[] }} claim
+ * @param {object} payment one claim from parse835
+ */
+function reconcile(claim, payment) {
+  const adjustmentsAll = [...payment.adjustments, ...payment.lines.flatMap(l => l.adjustments)];
+  if (payment.statusCode === '22') {
+    return { status: 'submitted', paid: 0, adjusted: 0, outstanding: claim.total, reason: 'Payer reversed the earlier payment', lines: [] };
+  }
+  const adjusted = round(writeOff(adjustmentsAll));
+  const paid = round(payment.paid);
+  const outstanding = round(Math.max(claim.total - paid - adjusted, 0));
+  const denials = adjustmentsAll.filter(a => !WRITE_OFFS.some(([group, reason]) => a.group === group && a.reason === reason));
+  const reason = denials.length ? [...new Set(denials.map(a => `${a.group}-${a.reason} ${a.label.split(': ')[1]}`))].join('; ') : null;
+  const status = paid <= 0 || payment.statusCode === '4' ? 'denied' : outstanding > 0 ? 'partial' : 'paid';
+  const lines = payment.lines.map(remitLine => {
+    const line = claim.lines.find(l => l.lineId && l.lineId === remitLine.lineId)
+      || claim.lines.find(l => l.date === remitLine.date && l.serviceCode === remitLine.serviceCode);
+    return { lineId: line ? line.lineId : null, paid: remitLine.paid, adjustments: remitLine.adjustments };
+  });
+  return { status, paid, adjusted, outstanding, reason, lines };
+}
+
+module.exports = { rateFor, parseAddress, buildClaims, preview, reconcile };
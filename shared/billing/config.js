@@ -0,0 +1,47 @@
+// Billing settings for UNITED FAMILY CAREGIVERS. Claim files are written to
+// BILLING_X12_DIR/outbox for the clearinghouse; 835 remittances are uploaded
+// from the dashboard.
+
+const path = require('path');
+const sandata = require('../sandata/config');
+const eligibility = require('../eligibility/config');
+const rates = require('./rates.json');
+
+const X12_DIR = process.env.BILLING_X12_DIR || path.join(__dirname, '..', '..', 'data', 'billing');
+const SUBMITTER_ID = process.env.BILLING_SUBMITTER_ID || eligibility.X12_SUBMITTER_ID;
+const RECEIVER = { name: process.env.BILLING_RECEIVER_NAME || 'NEVADA MEDICAID', id: process.env.BILLING_RECEIVER_ID || 'NVMCD' };
+// P for production files, T while testing with the clearinghouse
+const USAGE = process.env.BILLING_USAGE === 'P' ? 'P' : 'T';
+
+// The defaults are test identifiers; set the real ones before sending production files
+const PROVIDER = {
+  name: 'UNITED FAMILY CAREGIVERS',
+  npi: process.env.BILLING_NPI || '1234567893',
+  taxId: process.env.BILLING_TAX_ID || '000000000',
+  taxonomy: process.env.BILLING_TAXONOMY || '3747P1801X',
+  medicaidId: sandata.PROVIDER.ProviderID,
+  address: {
+    line1: process.env.BILLING_ADDRESS_LINE1 || '100 TEST ST',
+    city: process.env.BILLING_ADDRESS_CITY || 'LAS VEGAS',
+    state: 'NV',
+    zip: process.env.BILLING_ADDRESS_ZIP || '891010000'
+  },
+  phone: '8334326488'
+};
+
+// Clearinghouse payer IDs. Check new payers against the clearinghouse's payer list.
+const PAYER_IDS = {
+  'Nevada Medicaid': 'NVMCD',
+  'Anthem Blue Cross Blue Shield': 'NVBCBS',
+  CareSource: 'NVCSRC',
+  'Molina Healthcare': 'NVMOLI',
+  'SilverSummit Healthplan': 'NVSSHP',
+  UnitedHealthcare: 'NVUHC'
+};
+
+// Personal care needs a diagnosis on the claim; Z74.1 is "need for assistance with personal care"
+const DEFAULT_DIAGNOSIS = process.env.BILLING_DIAGNOSIS || 'Z741';
+// Home
+const PLACE_OF_SERVICE = '12';
+
+module.exports = { X12_DIR, SUBMITTER_ID, RECEIVER, USAGE, PROVIDER, PAYER_IDS, DEFAULT_DIAGNOSIS, PLACE_OF_SERVICE, RATES: rates };
@@ -0,0 +1,193 @@
+/**
+ * X12 for billing: builds 005010X222A1 837P professional claim files and
+ * reads 005010X221A1 835 remittances. The patient is always the subscriber
+ * (Medicaid members), so each claim sits under its own subscriber HL.
+ */
+
+const config = require('./config');
+
+// Claim adjustment reason codes we see on personal care remittances
+const ADJUSTMENT_REASONS = {
+  1: 'Deductible',
+  2: 'Coinsurance',
+  3: 'Co-payment',
+  16: 'Claim lacks information needed for adjudication',
+  18: 'Duplicate claim or service',
+  27: 'Expenses incurred after coverage terminated',
+  29: 'Time limit for filing has expired',
+  45: 'Charge exceeds fee schedule',
+  96: 'Non-covered charge',
+  109: 'Not covered by this payer',
+  119: 'Benefit maximum for this period reached',
+  197: 'Precertification or authorization absent',
+  198: 'Precertification or authorization exceeded',
+  204: 'Service not covered under the benefit plan',
+  253: 'Sequestration reduction'
+};
+
+const CLAIM_STATUS_CODES = {
+  1: 'Processed as primary',
+  2: 'Processed as secondary',
+  3: 'Processed as tertiary',
+  4: 'Denied',
+  19: 'Processed as primary, forwarded',
+  22: 'Reversal of previous payment',
+  23: 'Not our claim, forwarded'
+};
+
+const ADJUSTMENT_GROUPS = { CO: 'Contractual', PR: 'Patient responsibility', OA: 'Other', PI: 'Payer initiated', CR: 'Correction' };
+
+function pad(value, length) {
+  return String(value).padEnd(length).slice(0, length);
+}
+
+function clean(value) {
+  return String(value || '').toUpperCase().replace(/[*~:^]/g, '').trim();
+}
+
+function stamp(date) {
+  const iso = date.toISOString();
+  return { ccyymmdd: iso.slice(0, 10).replace(/-/g, ''), yymmdd: iso.slice(2, 10).replace(/-/g, ''), hhmm: iso.slice(11, 16).replace(':', '') };
+}
+
+function money(amount) {
+  return String(Math.round(amount * 100) / 100);
+}
+
+function d8(date) {
+  return String(date).slice(0, 10).replace(/-/g, '');
+}
+
+function splitName(name) {
+  const parts = clean(name).split(/\s+/);
+  const last = parts.length > 1 ? parts.pop() : parts[0];
+  return { last, first: parts.join(' ') };
+}
+
+/**
+ * @param {{ control: number, date?: Date, claims: object[] }} batch
+ *   Each claim: `{ claimNumber, total, payer, payerId, authorizationNumber, diagnosis,
+ *   client: { name, medicaidId, dob, address: { line1, city, state, zip } },
+ *   lines: [{ lineId, serviceCode, date, units, amount }] }`
+ * @returns {string}
+ */
+function build837P({ control, date = new Date(), claims }) {
+  const t = stamp(date);
+  const icn = String(control).padStart(9, '0');
+  const p = config.PROVIDER;
+  const body = [
+    `ST*837*0001*005010X222A1`,
+    `BHT*0019*00*${icn}*${t.ccyymmdd}*${t.hhmm}*CH`,
+    `NM1*41*2*${clean(p.name)}*****46*${config.SUBMITTER_ID}`,
+    `PER*IC*BILLING*TE*${p.phone}`,
+    `NM1*40*2*${clean(config.RECEIVER.name)}*****46*${config.RECEIVER.id}`,
+    `HL*1**20*1`,
+    `PRV*BI*PXC*${p.taxonomy}`,
+    `NM1*85*2*${clean(p.name)}*****XX*${p.npi}`,
+    `N3*${clean(p.address.line1)}`,
+    `N4*${clean(p.address.city)}*${p.address.state}*${p.address.zip}`,
+    `REF*EI*${p.taxId}`
+  ];
+  claims.forEach((claim, index) => {
+    const { last, first } = splitName(claim.client.name);
+    const address = claim.client.address;
+    body.push(
+      `HL*${index + 2}*1*22*0`,
+      `SBR*P*18*******MC`,
+      `NM1*IL*1*${last}*${first}****MI*${claim.client.medicaidId}`,
+      `N3*${clean(address.line1)}`,
+      `N4*${clean(address.city)}*${address.state}*${address.zip}`,
+      `DMG*D8*${d8(claim.client.dob)}*U`,
+      `NM1*PR*2*${clean(claim.payer)}*****PI*${claim.payerId}`,
+      `CLM*${claim.claimNumber}*${money(claim.total)}***${config.PLACE_OF_SERVICE}:B:1*Y*A*Y*Y`,
+      `REF*G1*${clean(claim.authorizationNumber)}`,
+      `HI*ABK:${claim.diagnosis}`
+    );
+    claim.lines.forEach((line, n) => {
+      body.push(
+        `LX*${n + 1}`,
+        `SV1*HC:${line.serviceCode}*${money(line.amount)}*UN*${line.units}***1`,
+        `DTP*472*D8*${d8(line.date)}`,
+        `REF*6R*${line.lineId}`
+      );
+    });
+  });
+  body.push(`SE*${body.length + 1}*0001`);
+  return [
+    `ISA*00*${pad('', 10)}*00*${pad('', 10)}*ZZ*${pad(config.SUBMITTER_ID, 15)}*ZZ*${pad(config.RECEIVER.id, 15)}*${t.yymmdd}*${t.hhmm}*^*00501*${icn}*1*${config.USAGE}*:`,
+    `GS*HC*${config.SUBMITTER_ID}*${config.RECEIVER.id}*${t.ccyymmdd}*${t.hhmm}*${control}*X*005010X222A1`,
+    ...body,
+    `GE*1*${control}`,
+    `IEA*1*${icn}`
+  ].join('~\n') + '~\n';
+}
+
+function isoDate(value) {
+  return /^\d{8}$/.test(value || '') ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : null;
+}
+
+// CAS carries up to six reason/amount/quantity triples after the group code
+function adjustments(segment) {
+  const result = [];
+  for (let i = 2; i < segment.length; i += 3) {
+    if (!segment[i]) continue;
+    result.push({
+      group: segment[1], reason: segment[i], amount: Number(segment[i + 1]) || 0,
+      label: `${ADJUSTMENT_GROUPS[segment[1]] || segment[1]}: ${ADJUSTMENT_REASONS[segment[i]] || `reason ${segment[i]}`}`
+    });
+  }
+  return result;
+}
+
+/**
+ * @returns {{ checkNumber: string|null, payer: string|null, payerId: string|null, paidDate: string|null,
+ *   total: number, claims: object[] }}
+ *   Each claim: `{ claimNumber, statusCode, status, charge, paid, patientResponsibility,
+ *   payerClaimNumber, adjustments[], lines: [{ serviceCode, charge, paid, units, date, lineId, adjustments[] }] }`
+ */
+function parse835(text) {
+  const segments = String(text).split('~').map(s => s.trim()).filter(Boolean).map(s => s.split('*'));
+  if (!segments.some(s => s[0] === 'ST' && s[1] === '835')) throw new Error('Not an 835 remittance file');
+  const bpr = segments.find(s => s[0] === 'BPR');
+  const trn = segments.find(s => s[0] === 'TRN');
+  const payer = segments.find(s => s[0] === 'N1' && s[1] === 'PR');
+  const remit = {
+    checkNumber: trn ? trn[2] : null,
+    payer: payer ? payer[2] : null,
+    payerId: trn && trn[3] ? trn[3].replace(/^1/, '') : null,
+    paidDate: bpr ? isoDate(bpr[16]) : null,
+    total: bpr ? Number(bpr[2]) || 0 : 0,
+    claims: []
+  };
+
+  let claim = null;
+  let line = null;
+  for (const s of segments) {
+    if (s[0] === 'CLP') {
+      claim = {
+        claimNumber: s[1], statusCode: s[2], status: CLAIM_STATUS_CODES[s[2]] || `Status ${s[2]}`,
+        charge: Number(s[3]) || 0, paid: Number(s[4]) || 0, patientResponsibility: Number(s[5]) || 0,
+        payerClaimNumber: s[7] || null, adjustments: [], lines: []
+      };
+      line = null;
+      remit.claims.push(claim);
+    } else if (!claim) {
+      continue;
+    } else if (s[0] === 'SVC') {
+      line = { serviceCode: (s[1] || '').split(':')[1] || null, charge: Number(s[2]) || 0, paid: Number(s[3]) || 0, units: Number(s[5]) || null, date: null, lineId: null, adjustments: [] };
+      claim.lines.push(line);
+    } else if (s[0] === 'CAS') {
+      (line || claim).adjustments.push(...adjustments(s));
+    } else if (s[0] === 'DTM' && s[1] === '472' && line) {
+      line.date = isoDate(s[2]);
+    } else if (s[0] === 'REF' && s[1] === '6R' && line) {
+      line.lineId = s[2];
+    } else if (['SE', 'PLB'].includes(s[0])) {
+      claim = null;
+      line = null;
+    }
+  }
+  return remit;
+}
+
+module.exports = { build837P, parse835, ADJUSTMENT_REASONS, CLAIM_STATUS_CODES };
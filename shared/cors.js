@@ -0,0 +1,25 @@
+// Session cookies need credentialed CORS, which rules out a wildcard origin
+const DEFAULT_ORIGINS = [
+  'https://kloudykare.com',
+  'https://gio300.github.io',
+  'http://localhost:8717',
+  'http://localhost:8913'
+];
+
+function cors(origins = (process.env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean)) {
+  const allowed = new Set(origins.length ? origins : DEFAULT_ORIGINS);
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    if (origin && allowed.has(origin)) {
+      res.header('Access-Control-Allow-Origin', origin);
+      res.header('Access-Control-Allow-Credentials', 'true');
+      res.header('Vary', 'Origin');
+    }
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    if (req.method === 'OPTIONS') return res.sendStatus(200);
+    next();
+  };
+}
+
+module.exports = cors;
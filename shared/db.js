@@ -0,0 +1,43 @@
+/**
+ * Embedded SQLite database shared by both servers.
+ * Point KLOUDY_DB_PATH at the same file (or volume) for every process so
+ * users, sessions, notes and profiles are visible everywhere.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const seed = require('./seeds');
+
+const DB_PATH = process.env.KLOUDY_DB_PATH || path.join(__dirname, '..', 'data', 'kloudy.db');
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Applies every migrations/NNN_name.sql not yet recorded. IMMEDIATE locks out
+// the other server while it runs, so concurrent startups apply each file once.
+function migrate(db) {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql')).sort();
+  db.transaction(() => {
+    const applied = new Set(db.prepare('SELECT name FROM schema_migrations').all().map(r => r.name));
+    for (const file of files) {
+      if (applied.has(file)) continue;
+      db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+      db.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)').run(file, new Date().toISOString());
+      console.log(`🗄️ Applied migration ${file}`);
+    }
+  }).immediate();
+}
+
+function open(file = DB_PATH) {
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  // WAL lets both servers read while one writes
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  if (process.env.KLOUDY_SEED !== 'false') db.transaction(() => seed(db)).immediate();
+  return db;
+}
+
+module.exports = open();
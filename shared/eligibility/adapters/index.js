@@ -0,0 +1,35 @@
+/**
+ * Eligibility verifiers. Each adapter is `{ name, label, verify(job) }`, where
+ * `verify` resolves to one of:
+ *
+ *   { status: 'verified', result }                       the payer's answer
+ *   { status: 'needs-review', reason }                   a rep has to look
+ *   { status: 'pending', reference, retryInMs, message? } still in flight; call again later
+ *
+ * and throws for failures worth retrying. `error.permanent` fails the job at
+ * once; `error.resetReference` starts over (e.g. redial) on the next attempt.
+ * `result` is `{ coverage, program, planType: 'mco'|'ffs', mcoName, startDate, endDate, monthlyHours }`.
+ */
+
+const config = require('../config');
+const { ENVIRONMENT } = require('../../env');
+
+const adapters = new Map();
+
+function register(adapter) {
+  adapters.set(adapter.name, adapter);
+}
+
+function get(name) {
+  return adapters.get(name) || null;
+}
+
+function list() {
+  return [...adapters.values()].map(({ name, label }) => ({ name, label }));
+}
+
+// Simulated answers must never reach real profiles, so reps cannot pick the simulator in production
+if (config.SIMULATOR_ENVIRONMENTS.includes(ENVIRONMENT)) register(require('./simulator'));
+[require('./voice'), require('./x12'), require('./manual')].forEach(register);
+
+module.exports = { register, get, list };
@@ -0,0 +1,13 @@
+/**
+ * Hands the check to a rep: the job waits in the review queue until someone
+ * verifies coverage by phone or the provider portal and records the result.
+ */
+
+async function verify() {
+  return {
+    status: 'needs-review',
+    reason: 'Manual check: call Nevada Medicaid at 800-525-2395 or use the provider portal, then record the result'
+  };
+}
+
+module.exports = { name: 'manual', label: 'Manual (rep verifies)', verify };
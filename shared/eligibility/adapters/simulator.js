@@ -0,0 +1,51 @@
+/**
+ * Local stand-in for a payer. Answers are derived from the Medicaid ID so
+ * every outcome can be reproduced on demand:
+ *
+ *   last digit 0  coverage inactive
+ *   last digit 8  member found but name/DOB do not match → needs review
+ *   last digit 9  line busy on the first attempt, verified on the retry
+ *   even          active, enrolled with an MCO (picked by the second-to-last digit)
+ *   odd           active, fee-for-service
+ */
+
+const config = require('../config');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function coveragePeriod() {
+  const now = new Date();
+  return {
+    startDate: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString().slice(0, 10),
+    endDate: `${now.getUTCFullYear()}-12-31`
+  };
+}
+
+async function verify(job) {
+  const { medicaidId } = job.request;
+  await sleep(config.SIMULATOR_DELAY_MS);
+  if (!/^\d{9,10}$/.test(medicaidId || '')) {
+    return { status: 'needs-review', reason: 'Medicaid ID was not recognized by the payer' };
+  }
+
+  const last = Number(medicaidId.slice(-1));
+  if (last === 9 && job.attempts === 0) throw new Error('Payer line busy');
+  if (last === 8) return { status: 'needs-review', reason: 'Member found, but the name or date of birth on file does not match' };
+
+  const digits = medicaidId.split('').map(Number);
+  const mco = last % 2 === 0 && last !== 0;
+  return {
+    status: 'verified',
+    reference: `SIM-${medicaidId.slice(-4)}-${Date.now()}`,
+    result: {
+      coverage: last === 0 ? 'inactive' : 'active',
+      program: 'PCS',
+      planType: mco ? 'mco' : 'ffs',
+      mcoName: mco ? config.MCOS[digits[digits.length - 2] % config.MCOS.length] : null,
+      ...coveragePeriod(),
+      monthlyHours: last === 0 ? null : 40 + (digits.reduce((a, b) => a + b, 0) % 5) * 20
+    }
+  };
+}
+
+module.exports = { name: 'simulator', label: 'Simulator (local)', verify };
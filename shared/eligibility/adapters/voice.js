@@ -0,0 +1,59 @@
+/**
+ * IVR verification through the voice service (VOICE_SERVICE_URL), which dials
+ * the payer's eligibility line and reads back the member's coverage.
+ *
+ *   POST /api/voice/eligibility        { jobId, clientName, dob, medicaidId } → { callId }
+ *   GET  /api/voice/eligibility/:callId → { status: queued|in-progress|completed|no-answer|busy|failed, result?, error? }
+ */
+
+const axios = require('axios');
+const config = require('../config');
+
+const http = axios.create({ baseURL: config.VOICE_SERVICE_URL, timeout: 15000 });
+
+// Call outcomes worth dialing again
+const RETRYABLE = ['no-answer', 'busy'];
+
+function permanent(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+async function verify(job) {
+  if (!job.reference) {
+    const { medicaidId, dob, clientName } = job.request;
+    const { data } = await http.post('/api/voice/eligibility', { jobId: job.id, clientName, dob, medicaidId });
+    if (!data.callId) throw new Error('Voice service did not return a call ID');
+    return { status: 'pending', reference: data.callId, retryInMs: config.VOICE_POLL_MS, message: 'Calling the payer eligibility line' };
+  }
+
+  const { data } = await http.get(`/api/voice/eligibility/${encodeURIComponent(job.reference)}`);
+  if (['queued', 'in-progress'].includes(data.status)) return { status: 'pending', reference: job.reference, retryInMs: config.VOICE_POLL_MS };
+  if (RETRYABLE.includes(data.status)) {
+    // Dial again on the next attempt
+    const error = new Error(`Call ended: ${data.status}`);
+    error.resetReference = true;
+    throw error;
+  }
+  if (data.status !== 'completed') throw permanent(data.error || `Call ${data.status}`);
+  if (!data.result || data.result.memberFound === false) {
+    return { status: 'needs-review', reason: 'The IVR could not find this member; check the Medicaid ID and date of birth' };
+  }
+
+  const r = data.result;
+  return {
+    status: 'verified',
+    result: {
+      coverage: r.active === false ? 'inactive' : 'active',
+      program: r.program || 'PCS',
+      planType: r.hasMCO ? 'mco' : 'ffs',
+      mcoName: r.hasMCO ? r.mcoProvider || null : null,
+      startDate: r.startDate || null,
+      endDate: r.endDate || null,
+      monthlyHours: r.monthlyHours ?? null
+    }
+  };
+}
+
+module.exports = { name: 'voice', label: 'Voice / IVR call', verify };
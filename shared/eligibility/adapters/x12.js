@@ -0,0 +1,58 @@
+/**
+ * 270/271 file exchange. The first attempt writes a 270 to X12_DIR/outbox for
+ * the clearinghouse to pick up; later attempts look in X12_DIR/inbox for the
+ * 271 whose TRN matches, and move it to inbox/processed once read.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { build270, parse271 } = require('../x12');
+
+const outbox = path.join(config.X12_DIR, 'outbox');
+const inbox = path.join(config.X12_DIR, 'inbox');
+const processed = path.join(inbox, 'processed');
+
+function findResponse(control) {
+  if (!fs.existsSync(inbox)) return null;
+  for (const file of fs.readdirSync(inbox).filter(f => /\.(x12|271|edi|txt)$/i.test(f))) {
+    const full = path.join(inbox, file);
+    const parsed = parse271(fs.readFileSync(full, 'utf8'));
+    if (parsed.control !== control) continue;
+    fs.mkdirSync(processed, { recursive: true });
+    fs.renameSync(full, path.join(processed, file));
+    return parsed;
+  }
+  return null;
+}
+
+async function verify(job) {
+  if (!job.reference) {
+    const control = String(crypto.randomInt(1, 1e9)).padStart(9, '0');
+    fs.mkdirSync(outbox, { recursive: true });
+    fs.writeFileSync(path.join(outbox, `270-${control}.x12`), build270({ control: Number(control), ...job.request }));
+    return { status: 'pending', reference: control, retryInMs: config.X12_POLL_MS, message: `270 inquiry ${control} written for the clearinghouse` };
+  }
+
+  const response = findResponse(job.reference);
+  if (!response) {
+    if (Date.now() - Date.parse(job.createdAt) > config.X12_TIMEOUT_MS) {
+      return { status: 'needs-review', reason: `No 271 response to inquiry ${job.reference} within a day` };
+    }
+    return { status: 'pending', reference: job.reference, retryInMs: config.X12_POLL_MS };
+  }
+  const rejection = response.rejections[0];
+  if (rejection) {
+    if (rejection.retryable) {
+      const error = new Error(`271 rejected: ${rejection.reason}`);
+      error.resetReference = true;
+      throw error;
+    }
+    return { status: 'needs-review', reason: `271 rejected: ${rejection.reason}` };
+  }
+  if (!response.result) return { status: 'needs-review', reason: '271 response had no coverage information' };
+  return { status: 'verified', result: response.result };
+}
+
+module.exports = { name: 'x12', label: '270/271 file exchange', verify };
@@ -0,0 +1,56 @@
+// Eligibility verification settings. ELIGIBILITY_ADAPTER defaults to the
+// simulator in development and testing so checks complete locally without a
+// payer connection; anywhere else it defaults to manual, since simulated
+// results would be written to real profiles.
+
+const path = require('path');
+const sandata = require('../sandata/config');
+const { ENVIRONMENT } = require('../env');
+
+const SIMULATOR_ENVIRONMENTS = ['development', 'testing'];
+const ADAPTER = process.env.ELIGIBILITY_ADAPTER || (SIMULATOR_ENVIRONMENTS.includes(ENVIRONMENT) ? 'simulator' : 'manual');
+const POLL_MS = Number(process.env.ELIGIBILITY_POLL_MS) || 2000;
+const MAX_ATTEMPTS = Number(process.env.ELIGIBILITY_MAX_ATTEMPTS) || 3;
+// First retry waits this long, doubling after each failed attempt
+const RETRY_BASE_MS = Number(process.env.ELIGIBILITY_RETRY_MS) || 30000;
+// How long a worker may hold a job before another worker takes it over
+const LEASE_MS = 10 * 60 * 1000;
+
+const SIMULATOR_DELAY_MS = Number(process.env.ELIGIBILITY_SIMULATOR_DELAY_MS ?? 2000);
+
+// Outbound IVR calls are placed by the voice service
+const VOICE_SERVICE_URL = process.env.VOICE_SERVICE_URL || 'http://127.0.0.1:7010';
+const VOICE_POLL_MS = 5000;
+
+// 270 requests are written to outbox/; the clearinghouse drops 271 responses in inbox/
+const X12_DIR = process.env.ELIGIBILITY_X12_DIR || path.join(__dirname, '..', '..', 'data', 'x12');
+const X12_POLL_MS = 60000;
+const X12_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+const X12_SUBMITTER_ID = process.env.ELIGIBILITY_SUBMITTER_ID || 'UFC250038194';
+const X12_RECEIVER_ID = process.env.ELIGIBILITY_RECEIVER_ID || 'NVMCD';
+
+const PAYER = { name: 'Nevada Medicaid', id: 'NVMCD' };
+const PROVIDER = { name: 'UNITED FAMILY CAREGIVERS', medicaidId: sandata.PROVIDER.ProviderID };
+
+// Managed care organizations contracted with Nevada Medicaid
+const MCOS = ['Anthem Blue Cross Blue Shield', 'CareSource', 'Molina Healthcare', 'SilverSummit Healthplan', 'UnitedHealthcare'];
+
+module.exports = {
+  ADAPTER,
+  SIMULATOR_ENVIRONMENTS,
+  POLL_MS,
+  MAX_ATTEMPTS,
+  RETRY_BASE_MS,
+  LEASE_MS,
+  SIMULATOR_DELAY_MS,
+  VOICE_SERVICE_URL,
+  VOICE_POLL_MS,
+  X12_DIR,
+  X12_POLL_MS,
+  X12_TIMEOUT_MS,
+  X12_SUBMITTER_ID,
+  X12_RECEIVER_ID,
+  PAYER,
+  PROVIDER,
+  MCOS
+};
@@ -0,0 +1,282 @@
+/**
+ * Eligibility check jobs: queued → calling → verified | failed | needs-review.
+ * Each server runs a worker that leases due jobs from the database and hands
+ * them to the job's adapter. Failed attempts are retried with backoff; a
+ * verified result is copied onto the client profile and noted there.
+ */
+
+const config = require('./config');
+const adapters = require('./adapters');
+const jobs = require('../repositories/eligibility');
+const profiles = require('../repositories/profiles');
+const notes = require('../repositories/notes');
+const profileService = require('../services/profiles');
+const taskService = require('../services/tasks');
+const users = require('../repositories/users');
+const auditLog = require('../repositories/audit-log');
+const { ROLES } = require('../auth');
+const { httpError, isRep, requireRep } = require('../http');
+
+const TERMINAL = ['verified', 'failed', 'needs-review'];
+const COVERAGE = ['active', 'inactive'];
+const PLAN_TYPES = ['mco', 'ffs'];
+
+function validDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+}
+
+function checkRequest({ clientName, dob, medicaidId }) {
+  const name = String(clientName || '').trim();
+  const id = String(medicaidId || '').replace(/[\s-]/g, '');
+  if (!name) throw httpError(400, 'Client name is required');
+  if (!/^\d{9,10}$/.test(id)) throw httpError(400, 'Nevada Medicaid ID must be 9 or 10 digits');
+  if (!validDate(dob) || Date.parse(dob) > Date.now()) throw httpError(400, 'Date of birth must be a past date (YYYY-MM-DD)');
+  return { clientName: name.slice(0, 120), dob, medicaidId: id };
+}
+
+// Adapters' results in one shape; anything unexpected goes to a person instead
+function normalizeResult(raw = {}) {
+  if (!COVERAGE.includes(raw.coverage) || !PLAN_TYPES.includes(raw.planType)) return null;
+  const hours = Number(raw.monthlyHours);
+  return {
+    coverage: raw.coverage,
+    payer: config.PAYER.name,
+    program: String(raw.program || 'PCS').slice(0, 60),
+    planType: raw.planType,
+    mcoName: raw.planType === 'mco' ? String(raw.mcoName || 'Unknown MCO').slice(0, 120) : null,
+    hasMCO: raw.planType === 'mco',
+    isFeeForService: raw.planType === 'ffs',
+    startDate: validDate(raw.startDate) ? raw.startDate : null,
+    endDate: validDate(raw.endDate) ? raw.endDate : null,
+    monthlyHours: Number.isFinite(hours) && hours > 0 ? hours : null
+  };
+}
+
+function describe(result) {
+  if (result.coverage !== 'active') return 'coverage inactive';
+  const plan = result.hasMCO ? `MCO ${result.mcoName}` : 'fee-for-service';
+  return `active, ${plan}${result.monthlyHours ? `, ${result.monthlyHours} hrs/month` : ''}`;
+}
+
+// What a caller sees; clients get their own jobs without the internal reference
+function view(job, session) {
+  const summary = {
+    id: job.id, profileId: job.profileId, profileName: job.profileName, adapter: job.adapter, status: job.status,
+    result: job.result, error: job.error, attempts: job.attempts, maxAttempts: job.maxAttempts,
+    createdAt: job.createdAt, updatedAt: job.updatedAt, finishedAt: job.finishedAt, events: jobs.events(job.id)
+  };
+  if (!isRep(session)) return summary;
+  return { ...summary, request: job.request, reference: job.reference, runAfter: job.runAfter };
+}
+
+function canView(job, session) {
+  return profileService.canView(job.profileId, session);
+}
+
+function load(jobId, session) {
+  const job = jobs.findJob(jobId);
+  if (!job || !canView(job, session)) throw httpError(404, 'Eligibility check not found');
+  return job;
+}
+
+function transition(job, status, changes = {}, message) {
+  const finished = TERMINAL.includes(status) ? new Date().toISOString() : null;
+  const updated = jobs.updateJob(job.id, { ...changes, status, finishedAt: finished });
+  if (status !== job.status || message) jobs.addEvent(job.id, status, message);
+  return updated;
+}
+
+function recordVerified(job, result, source) {
+  const verifiedAt = new Date().toISOString();
+  profiles.setEligibility(job.profileId, { ...result, jobId: job.id, source }, verifiedAt);
+  notes.create({ profileId: job.profileId, text: `Eligibility verified (${source}): ${describe(result)}.`, by: 'Eligibility check', category: 'eligibility' });
+  // Whoever asked from the app is asked to look over the result
+  const requester = job.createdBy && users.findById(job.createdBy);
+  if (requester && requester.role !== ROLES.ADMIN) {
+    taskService.createSystemTask({
+      dedupeKey: `eligibility-result:${job.id}`, title: 'Review your eligibility information', category: 'eligibility',
+      assigneeId: requester.id, profileId: job.profileId, description: `Eligibility verified: ${describe(result)}.`
+    });
+  }
+}
+
+// Checks that need a person go to the rep queue until a rep resolves them
+function raiseReview(job) {
+  taskService.createSystemTask({
+    dedupeKey: `eligibility-review:${job.id}`, title: `Review eligibility check for ${job.profileName || 'a client'}`,
+    category: 'eligibility', priority: 'high', profileId: job.profileId, description: job.error || 'The verifier needs a rep to confirm this result.'
+  });
+}
+
+// -------- Queueing --------
+function enqueue({ profileId, adapter = config.ADAPTER, request, createdBy, actorRole }) {
+  if (!adapters.get(adapter)) throw httpError(400, `Unknown verifier "${adapter}". Use one of: ${adapters.list().map(a => a.name).join(', ')}`);
+  // A check already under way answers this request too
+  const open = jobs.openJobFor(profileId);
+  if (open) return open;
+  const job = jobs.createJob({ profileId, adapter, request, maxAttempts: config.MAX_ATTEMPTS, createdBy });
+  auditLog.append({ actor: createdBy, actorRole, action: 'eligibility.enqueue', target: job.id, details: { profileId, adapter } });
+  setImmediate(tick);
+  return job;
+}
+
+/**
+ * A client (or their caregiver or guardian) asks for a check from the app. The
+ * check runs against the client the caller acts for, whose profile (and link
+ * to the caller) is created on first use.
+ */
+function requestForUser(session, body = {}) {
+  const request = checkRequest({ ...body, medicaidId: body.medicaidId || body.medicaid });
+  let profile = profileService.clientFor(session.sub);
+  if (!profile || profile.role !== 'Client') {
+    const { client } = profileService.register(session, {
+      fullName: session.role === ROLES.CLIENT ? request.clientName : undefined,
+      clientName: request.clientName, dob: request.dob, medicaid: request.medicaidId
+    });
+    profile = profiles.findById(client.id);
+  } else if (!profile.medicaidId) {
+    profile = profiles.update(profile.id, { medicaidId: request.medicaidId });
+  }
+  return view(enqueue({ profileId: profile.id, request, createdBy: session.sub, actorRole: session.role }), session);
+}
+
+// Reps check any profile, or a new person by name, DOB and Medicaid ID
+function requestForRep(session, { profileId, adapter, clientName, dob, medicaidId } = {}) {
+  requireRep(session);
+  let profile = profileId && profiles.findById(profileId);
+  if (profileId && !profile) throw httpError(404, 'Profile not found');
+  const request = checkRequest({
+    clientName: clientName || profile?.name, dob, medicaidId: medicaidId || profile?.medicaidId
+  });
+  if (!profile) profile = profiles.findByMedicaidId(request.medicaidId) || profiles.create({ name: request.clientName, role: 'Client', medicaidId: request.medicaidId });
+  return view(enqueue({ profileId: profile.id, adapter, request, createdBy: session.sub, actorRole: session.role }), session);
+}
+
+function list(session, { status, profileId, limit } = {}) {
+  if (isRep(session)) return jobs.listJobs({ status, profileId, limit }).map(job => view(job, session));
+  const profile = profileService.clientFor(session.sub);
+  return profile ? jobs.listJobs({ profileId: profile.id, limit }).map(job => view(job, session)) : [];
+}
+
+function get(session, jobId) {
+  return view(load(jobId, session), session);
+}
+
+// The caller's latest check and the eligibility on their profile
+function latest(session) {
+  const profile = profileService.clientFor(session.sub);
+  if (!profile) return { job: null, eligibility: null };
+  const [job] = jobs.listJobs({ profileId: profile.id, limit: 1 });
+  return { job: job ? view(job, session) : null, eligibility: profile.eligibility };
+}
+
+function retry(session, jobId) {
+  requireRep(session);
+  const job = load(jobId, session);
+  if (!['failed', 'needs-review'].includes(job.status)) throw httpError(409, `Only failed or needs-review checks can be retried (this one is ${job.status})`);
+  const updated = transition(job, 'queued', { attempts: 0, error: null, reference: null, runAfter: new Date().toISOString(), leaseUntil: null }, 'Retried by a rep');
+  taskService.completeSystemTask(`eligibility-review:${job.id}`, 'Check retried by a rep');
+  auditLog.append({ actor: session.sub, actorRole: session.role, action: 'eligibility.retry', target: job.id });
+  setImmediate(tick);
+  return view(updated, session);
+}
+
+/**
+ * A rep records the outcome of a check they made themselves (the manual
+ * adapter, or any check that needs review): `{ result }` verifies it,
+ * `{ reason }` without a result fails it.
+ */
+function review(session, jobId, { result, reason } = {}) {
+  requireRep(session);
+  const job = load(jobId, session);
+  if (!['needs-review', 'failed'].includes(job.status)) throw httpError(409, `Only checks that need review or failed can be resolved (this one is ${job.status})`);
+  let updated;
+  if (result) {
+    const normalized = normalizeResult(result);
+    if (!normalized) throw httpError(400, 'result needs coverage (active|inactive) and planType (mco|ffs)');
+    updated = transition(job, 'verified', { result: normalized, error: null, leaseUntil: null }, `Verified by a rep: ${describe(normalized)}`);
+    recordVerified(updated, normalized, 'manual review');
+  } else {
+    const text = String(reason || '').trim();
+    if (!text) throw httpError(400, 'Give a result, or a reason to close the check as failed');
+    updated = transition(job, 'failed', { error: text.slice(0, 500), leaseUntil: null }, 'Closed by a rep');
+  }
+  taskService.completeSystemTask(`eligibility-review:${job.id}`, `Check ${updated.status} by a rep`);
+  auditLog.append({ actor: session.sub, actorRole: session.role, action: 'eligibility.review', target: job.id, details: { status: updated.status } });
+  return view(updated, session);
+}
+
+// -------- Worker --------
+async function run(job) {
+  const adapter = adapters.get(job.adapter);
+  let outcome;
+  try {
+    if (!adapter) throw Object.assign(new Error(`Verifier "${job.adapter}" is not installed`), { permanent: true });
+    if (!job.reference) jobs.addEvent(job.id, 'calling', `Checking with ${adapter.label} (attempt ${job.attempts + 1} of ${job.maxAttempts})`);
+    outcome = await adapter.verify(job);
+  } catch (error) {
+    const attempts = job.attempts + 1;
+    const changes = { attempts, error: error.message, leaseUntil: null, reference: error.resetReference ? null : undefined };
+    if (error.permanent || attempts >= job.maxAttempts) {
+      console.warn(`⚠️ Eligibility check ${job.id} failed: ${error.message}`);
+      return transition(job, 'failed', changes, `Attempt ${attempts} failed: ${error.message}`);
+    }
+    const delay = config.RETRY_BASE_MS * 2 ** (attempts - 1);
+    return transition(job, 'queued', { ...changes, runAfter: new Date(Date.now() + delay).toISOString() },
+      `Attempt ${attempts} failed: ${error.message}. Retrying in ${Math.round(delay / 1000)}s`);
+  }
+
+  const reference = outcome.reference || job.reference || undefined;
+  if (outcome.status === 'pending') {
+    return transition(job, 'calling', {
+      reference, leaseUntil: null, runAfter: new Date(Date.now() + (outcome.retryInMs || config.POLL_MS)).toISOString()
+    }, outcome.message);
+  }
+  if (outcome.status === 'verified') {
+    const result = normalizeResult(outcome.result);
+    if (result) {
+      const verified = transition(job, 'verified', { result, reference, error: null, leaseUntil: null }, `Verified: ${describe(result)}`);
+      recordVerified(verified, result, adapter.label);
+      auditLog.append({ actor: 'eligibility-worker', action: 'eligibility.verified', target: job.id, details: { adapter: job.adapter, coverage: result.coverage } });
+      return verified;
+    }
+    outcome = { status: 'needs-review', reason: `${adapter.label} returned a result we could not read` };
+  }
+  const flagged = transition(job, 'needs-review', { reference, error: outcome.reason || null, leaseUntil: null }, outcome.reason);
+  raiseReview(flagged);
+  return flagged;
+}
+
+let timer = null;
+let busy = false;
+
+// Works through every due job, one at a time
+async function tick() {
+  if (busy) return;
+  busy = true;
+  try {
+    let job;
+    while ((job = jobs.claimDue(config.LEASE_MS))) await run(job);
+  } catch (error) {
+    console.error('❌ Eligibility worker error:', error.message);
+  } finally {
+    busy = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, config.POLL_MS);
+  timer.unref();
+  setImmediate(tick);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  requestForUser, requestForRep, list, get, latest, retry, review, start, stop,
+  adapters: adapters.list
+};
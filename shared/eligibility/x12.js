@@ -0,0 +1,120 @@
+/**
+ * Minimal X12 005010X279A1 support: builds a 270 eligibility inquiry for one
+ * member and reads the parts of a 271 response we act on (coverage, plan,
+ * managed care organization, coverage dates and AAA rejections).
+ */
+
+const config = require('./config');
+
+// AAA rejection reasons a payer returns for a member it cannot match
+const REJECTIONS = {
+  15: 'Required application data missing',
+  42: 'Payer system unavailable',
+  58: 'Invalid or missing date of birth',
+  71: 'Date of birth does not match',
+  72: 'Invalid or missing member ID',
+  73: 'Invalid or missing member name',
+  75: 'Member not found'
+};
+// Rejections that clear up on their own; everything else needs a person
+const RETRYABLE_REJECTIONS = ['42'];
+
+const MCO_INSURANCE_TYPES = ['HM', 'HN', 'HO', 'HS'];
+
+function pad(value, length) {
+  return String(value).padEnd(length).slice(0, length);
+}
+
+function clean(value) {
+  return String(value || '').toUpperCase().replace(/[*~:^]/g, '').trim();
+}
+
+function stamp(date) {
+  const iso = date.toISOString();
+  return { ccyymmdd: iso.slice(0, 10).replace(/-/g, ''), yymmdd: iso.slice(2, 10).replace(/-/g, ''), hhmm: iso.slice(11, 16).replace(':', '') };
+}
+
+/**
+ * @param {{ control: number, clientName: string, dob: string, medicaidId: string, date?: Date }} inquiry
+ *   `control` (1–999999999) ties the 271 back to this request
+ * @returns {string}
+ */
+function build270({ control, clientName, dob, medicaidId, date = new Date() }) {
+  const t = stamp(date);
+  const icn = String(control).padStart(9, '0');
+  const parts = clean(clientName).split(/\s+/);
+  const last = parts.length > 1 ? parts.pop() : parts[0];
+  const first = parts.length ? parts.join(' ') : '';
+  const body = [
+    `ST*270*0001*005010X279A1`,
+    `BHT*0022*13*${icn}*${t.ccyymmdd}*${t.hhmm}`,
+    `HL*1**20*1`,
+    `NM1*PR*2*${clean(config.PAYER.name)}*****PI*${config.PAYER.id}`,
+    `HL*2*1*21*1`,
+    `NM1*1P*2*${clean(config.PROVIDER.name)}*****SV*${config.PROVIDER.medicaidId}`,
+    `HL*3*2*22*0`,
+    `TRN*1*${icn}*9${config.PROVIDER.medicaidId}`,
+    `NM1*IL*1*${last}*${first}****MI*${medicaidId}`,
+    `DMG*D8*${String(dob).replace(/-/g, '')}`,
+    `DTP*291*D8*${t.ccyymmdd}`,
+    `EQ*30`
+  ];
+  body.push(`SE*${body.length + 1}*0001`);
+  return [
+    `ISA*00*${pad('', 10)}*00*${pad('', 10)}*ZZ*${pad(config.X12_SUBMITTER_ID, 15)}*ZZ*${pad(config.X12_RECEIVER_ID, 15)}*${t.yymmdd}*${t.hhmm}*^*00501*${icn}*0*P*:`,
+    `GS*HS*${config.X12_SUBMITTER_ID}*${config.X12_RECEIVER_ID}*${t.ccyymmdd}*${t.hhmm}*${control}*X*005010X279A1`,
+    ...body,
+    `GE*1*${control}`,
+    `IEA*1*${icn}`
+  ].join('~\n') + '~\n';
+}
+
+function isoDate(d8) {
+  return /^\d{8}$/.test(d8 || '') ? `${d8.slice(0, 4)}-${d8.slice(4, 6)}-${d8.slice(6, 8)}` : null;
+}
+
+/**
+ * @returns {{ control: string|null, rejections: { code: string, reason: string, retryable: boolean }[], result: object|null }}
+ *   `result` is null when the response carries no coverage (EB) segments
+ */
+function parse271(text) {
+  const segments = String(text).split('~').map(s => s.trim()).filter(Boolean).map(s => s.split('*'));
+  const trn = segments.find(s => s[0] === 'TRN');
+  const rejections = segments.filter(s => s[0] === 'AAA' && s[1] === 'N').map(s => ({
+    code: s[3], reason: REJECTIONS[s[3]] || `Payer rejection ${s[3]}`, retryable: RETRYABLE_REJECTIONS.includes(s[3])
+  }));
+
+  const benefits = segments.filter(s => s[0] === 'EB');
+  if (!benefits.length) return { control: trn ? trn[2] : null, rejections, result: null };
+
+  const active = benefits.some(s => s[1] === '1');
+  const managed = benefits.find(s => MCO_INSURANCE_TYPES.includes(s[4]) || s[1] === 'R');
+  // The MCO is named in the NM1*PRP (primary payer) that follows its EB
+  let mcoName = null;
+  if (managed) {
+    const after = segments.slice(segments.indexOf(managed));
+    const payer = after.find(s => s[0] === 'NM1' && ['PRP', 'P5', 'Y2'].includes(s[1]));
+    mcoName = payer ? payer[3] : managed[5] || null;
+  }
+  const period = segments.find(s => s[0] === 'DTP' && ['291', '307'].includes(s[1]) && s[2] === 'RD8');
+  const [start, end] = period ? period[3].split('-') : [];
+  const begin = segments.find(s => s[0] === 'DTP' && s[1] === '346');
+  const finish = segments.find(s => s[0] === 'DTP' && s[1] === '347');
+  const hours = benefits.find(s => s[1] === 'F' && s[10]);
+
+  return {
+    control: trn ? trn[2] : null,
+    rejections,
+    result: {
+      coverage: active ? 'active' : 'inactive',
+      program: 'PCS',
+      planType: managed ? 'mco' : 'ffs',
+      mcoName,
+      startDate: isoDate(start) || isoDate(begin && begin[3]),
+      endDate: isoDate(end) || isoDate(finish && finish[3]),
+      monthlyHours: hours ? Number(hours[10]) || null : null
+    }
+  };
+}
+
+module.exports = { build270, parse271 };
@@ -0,0 +1,18 @@
+/**
+ * The server's environment (KLOUDY_ENV): development, testing or production,
+ * the default. Secrets only fall back to their public development values in
+ * development; anywhere else a missing secret stops the server at startup.
+ */
+
+const ENVIRONMENTS = ['development', 'testing', 'production'];
+const ENVIRONMENT = process.env.KLOUDY_ENV || 'production';
+if (!ENVIRONMENTS.includes(ENVIRONMENT)) throw new Error(`KLOUDY_ENV must be one of ${ENVIRONMENTS.join(', ')}`);
+
+function secret(name, developmentValue) {
+  if (process.env[name]) return process.env[name];
+  if (ENVIRONMENT !== 'development') throw new Error(`${name} must be set (KLOUDY_ENV is ${ENVIRONMENT})`);
+  console.warn(`⚠️ ${name} not set, using the development value`);
+  return developmentValue;
+}
+
+module.exports = { ENVIRONMENT, ENVIRONMENTS, secret };
@@ -0,0 +1,46 @@
+/**
+ * Errors that carry an HTTP status, the rep check the services share, and
+ * the wrapper that turns a route's return value or error into the usual
+ * `{ success, ... }` JSON.
+ */
+
+const { ROLES } = require('./auth');
+
+// `fields` maps form fields to their messages for validation errors
+function httpError(status, message, fields) {
+  const error = new Error(message);
+  error.status = status;
+  if (fields) error.fields = fields;
+  return error;
+}
+
+function isRep(session) {
+  return session.role === ROLES.ADMIN;
+}
+
+function requireRep(session) {
+  if (!isRep(session)) throw httpError(403, 'Only reps can do that');
+}
+
+// Errors without a status were not meant for the caller, so they are logged under `label`
+function sendError(res, error, label) {
+  if (!error.status) console.error(`❌ ${label} error:`, error.message);
+  res.status(error.status || 500).json({ success: false, error: error.message, ...(error.fields && { fields: error.fields }) });
+}
+
+/**
+ * A route wrapper for handlers that return (or resolve to) the response body:
+ *   const handle = routeHandler('Billing');
+ *   router.get('/claims', handle(req => ({ claims: ... })));
+ */
+function routeHandler(label) {
+  return fn => async (req, res) => {
+    try {
+      res.json({ success: true, ...(await fn(req, res)) });
+    } catch (error) {
+      sendError(res, error, label);
+    }
+  };
+}
+
+module.exports = { httpError, isRep, requireRep, sendError, routeHandler };
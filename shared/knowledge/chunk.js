@@ -0,0 +1,67 @@
+/**
+ * Splits a markdown document into passages for the search index. Each `##`
+ * or `###` section is a passage under its heading path ("Caregiver" or
+ * "Caregiver › Minors"); sections longer than MAX_CHARS are split between
+ * paragraphs so one passage never crowds the others out of the prompt.
+ * Plain text without headings is split the same way.
+ */
+
+const MAX_CHARS = 1200;
+
+// The document's `# Title`, if it has one
+function title(markdown) {
+  const match = String(markdown || '').match(/^#\s+(.+)$/m);
+  return match ? match[1].trim() : null;
+}
+
+function sections(markdown) {
+  const found = [];
+  const path = [];
+  let current = { heading: null, lines: [] };
+  for (const line of String(markdown || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const heading = line.match(/^(#{1,3})\s+(.+)$/);
+    if (!heading) {
+      current.lines.push(line);
+      continue;
+    }
+    found.push(current);
+    path.length = heading[1].length - 1;
+    path[heading[1].length - 1] = heading[2].trim();
+    // The `# Title` is the document's own title, not part of the path
+    current = { heading: path.slice(1).filter(Boolean).join(' › ') || null, lines: [] };
+  }
+  found.push(current);
+  return found.map(s => ({ heading: s.heading, text: s.lines.join('\n').trim() })).filter(s => s.text);
+}
+
+// Greedy paragraph packing; a single paragraph over the limit is cut at it
+function split(text) {
+  const parts = [];
+  let buffer = '';
+  for (const paragraph of text.split(/\n{2,}/)) {
+    if (buffer && buffer.length + paragraph.length + 2 > MAX_CHARS) {
+      parts.push(buffer);
+      buffer = '';
+    }
+    buffer = buffer ? `${buffer}\n\n${paragraph}` : paragraph;
+    while (buffer.length > MAX_CHARS) {
+      parts.push(buffer.slice(0, MAX_CHARS));
+      buffer = buffer.slice(MAX_CHARS);
+    }
+  }
+  if (buffer.trim()) parts.push(buffer);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * @returns {{ ordinal: number, heading: string|null, text: string }[]}
+ */
+function chunk(markdown) {
+  const passages = [];
+  for (const section of sections(markdown)) {
+    for (const text of split(section.text)) passages.push({ ordinal: passages.length + 1, heading: section.heading, text });
+  }
+  return passages;
+}
+
+module.exports = { chunk, title, MAX_CHARS };
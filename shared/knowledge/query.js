@@ -0,0 +1,25 @@
+/**
+ * Turns a rep's question into an FTS5 match expression. Words are quoted so
+ * punctuation in the question can never be read as query syntax, common
+ * words are dropped, and the rest are OR-ed: BM25 ranks passages that
+ * share more (and rarer) words with the question higher.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have', 'how', 'i',
+  'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'he', 'so', 'that', 'the', 'their', 'them',
+  'they', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  'should', 'could', 'there', 'about', 'any', 'need', 'tell', 'please', 'client', 'clients'
+]);
+const MAX_TERMS = 24;
+
+/**
+ * @returns {string|null} null when nothing in the text is worth searching for
+ */
+function matchExpression(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const terms = [...new Set(words.filter(word => word.length > 1 && !STOPWORDS.has(word)))].slice(0, MAX_TERMS);
+  return terms.length ? terms.map(term => `"${term}"`).join(' OR ') : null;
+}
+
+module.exports = { matchExpression };
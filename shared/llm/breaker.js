@@ -0,0 +1,52 @@
+/**
+ * A circuit breaker per provider. After `failures` requests in a row fail,
+ * the circuit opens and the provider is skipped for `cooldownMs`; then one
+ * trial request is let through (half-open). Its success closes the circuit,
+ * its failure opens it for another cooldown.
+ */
+function createBreaker({ failures, cooldownMs }) {
+  let consecutive = 0;
+  let openedAt = null;
+  let trial = false;
+
+  function state() {
+    if (openedAt === null) return 'closed';
+    return Date.now() - openedAt < cooldownMs ? 'open' : 'half-open';
+  }
+
+  function allow() {
+    const current = state();
+    if (current === 'closed') return true;
+    if (current === 'open' || trial) return false;
+    trial = true;
+    return true;
+  }
+
+  function success() {
+    consecutive = 0;
+    openedAt = null;
+    trial = false;
+  }
+
+  function failure() {
+    consecutive++;
+    if (trial || consecutive >= failures) openedAt = Date.now();
+    trial = false;
+  }
+
+  // A request the caller gave up on says nothing about the provider
+  function release() {
+    trial = false;
+  }
+
+  function snapshot() {
+    return {
+      state: state(), consecutiveFailures: consecutive,
+      retryAt: openedAt === null ? null : new Date(openedAt + cooldownMs).toISOString()
+    };
+  }
+
+  return { allow, success, failure, release, snapshot };
+}
+
+module.exports = { createBreaker };
@@ -0,0 +1,73 @@
+// Model providers and which of them serve each role. A role's providers are
+// tried in order: one that fails before sending any text (after its retries,
+// or at once while its circuit is open) hands the request to the next.
+//
+// Roles: rep (dashboard chat), client (user app chat), json (structured
+// tasks: summaries, drafts, extraction, role-play). LLM_ROUTE_<ROLE> lists
+// provider names, e.g. LLM_ROUTE_REP=openai,ollama; LLM_MODEL_<ROLE>
+// overrides the provider's default model for that role.
+
+const OLLAMA_URL = process.env.OLLAMA_URL || 'http://127.0.0.1:11434';
+const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.3:latest';
+
+// The MCP Hub runs the model itself; `model` is only what it reports
+const MCP_URL = process.env.MCP_URL || 'http://localhost:7012';
+
+// Any OpenAI-compatible /chat/completions API; off unless a key or URL is set
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || (OPENAI_API_KEY ? 'https://api.openai.com/v1' : '');
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+const PROVIDERS = {
+  mcp: { type: 'mcp', url: MCP_URL, model: OLLAMA_MODEL },
+  ollama: { type: 'ollama', url: OLLAMA_URL, model: OLLAMA_MODEL },
+  openai: { type: 'openai', url: OPENAI_BASE_URL, model: OPENAI_MODEL, apiKey: OPENAI_API_KEY }
+};
+
+function providerList(name, fallback) {
+  const value = process.env[name];
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : fallback;
+}
+
+// `options` use Ollama's names; other providers map the ones they support
+const ROUTES = {
+  rep: {
+    providers: providerList('LLM_ROUTE_REP', ['mcp', 'ollama']),
+    model: process.env.LLM_MODEL_REP || null,
+    options: { num_predict: 150, temperature: 0.7, top_p: 0.9, top_k: 40, num_thread: 8 }
+  },
+  client: {
+    providers: providerList('LLM_ROUTE_CLIENT', ['ollama']),
+    model: process.env.LLM_MODEL_CLIENT || null,
+    options: {}
+  },
+  json: {
+    providers: providerList('LLM_ROUTE_JSON', ['ollama']),
+    model: process.env.LLM_MODEL_JSON || null,
+    options: { temperature: 0.2 }
+  }
+};
+
+// Until the response starts; a stream then runs as long as the model writes
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 60000;
+// Extra attempts per provider for network errors, timeouts, 429 and 5xx;
+// the first retry waits RETRY_BASE_MS, doubling after each
+const RETRIES = Number(process.env.LLM_RETRIES ?? 1);
+const RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS) || 500;
+// Consecutive failures that open a provider's circuit, and how long it stays
+// open before one trial request is let through
+const BREAKER_FAILURES = Number(process.env.LLM_BREAKER_FAILURES) || 3;
+const BREAKER_COOLDOWN_MS = Number(process.env.LLM_BREAKER_COOLDOWN_MS) || 30000;
+// Latency samples kept per provider for the status percentiles
+const METRIC_SAMPLES = 200;
+
+module.exports = {
+  PROVIDERS,
+  ROUTES,
+  TIMEOUT_MS,
+  RETRIES,
+  RETRY_BASE_MS,
+  BREAKER_FAILURES,
+  BREAKER_COOLDOWN_MS,
+  METRIC_SAMPLES
+};
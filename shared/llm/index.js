@@ -0,0 +1,203 @@
+/**
+ * The one path to a model for both servers. Requests name a role (see
+ * config.js); the role's providers are tried in order, each with retries
+ * and backoff for transient errors and its own circuit breaker, and a
+ * provider that fails before sending any text hands over to the next.
+ * Latency and error counts per provider are kept for the status endpoint.
+ */
+
+const { createVault } = require('../services/phi');
+const auditLog = require('../repositories/audit-log');
+const config = require('./config');
+const providerTypes = require('./providers');
+const { createBreaker } = require('./breaker');
+const { createMetrics } = require('./metrics');
+
+const providers = new Map(Object.entries(config.PROVIDERS).map(([name, settings]) => [name, {
+  ...providerTypes.create(name, settings),
+  breaker: createBreaker({ failures: config.BREAKER_FAILURES, cooldownMs: config.BREAKER_COOLDOWN_MS }),
+  metrics: createMetrics({ samples: config.METRIC_SAMPLES })
+}]));
+
+for (const [role, route] of Object.entries(config.ROUTES)) {
+  const unknown = route.providers.find(name => !providers.has(name));
+  if (unknown) throw new Error(`Model route "${role}" names unknown provider "${unknown}"`);
+}
+
+function route(role) {
+  const found = config.ROUTES[role];
+  if (!found) throw new Error(`No model route for role "${role}"`);
+  return found;
+}
+
+// Network errors, timeouts, rate limits and server errors
+function transient(error) {
+  if (!error.response) return true;
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// axios reports HTTP failures without the body; keep the status in the message
+function describe(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.message;
+}
+
+/**
+ * Runs `task(provider, model, timeout, firstToken)` against the role's
+ * providers in order; streams call `firstToken()` for the latency metrics. A provider is skipped while its circuit is open; an error after
+ * text was streamed (`error.streamed`) or an abort ends the request there.
+ * @returns {Promise<{ result: *, provider: object, model: string }>}
+ */
+async function run(role, task, { signal, deadline, timeout = config.TIMEOUT_MS } = {}) {
+  const { providers: names, model: roleModel } = route(role);
+  const errors = [];
+  for (const name of names) {
+    const provider = providers.get(name);
+    if (!provider.enabled) continue;
+    if (!provider.breaker.allow()) {
+      errors.push(`${name}: circuit open`);
+      continue;
+    }
+    const model = roleModel || provider.model;
+    for (let attempt = 0; ; attempt++) {
+      const left = deadline ? deadline - Date.now() : timeout;
+      const started = Date.now();
+      let firstTokenMs = null;
+      try {
+        const result = await task(provider, model, Math.min(timeout, left), () => {
+          if (firstTokenMs === null) firstTokenMs = Date.now() - started;
+        });
+        provider.metrics.success(Date.now() - started, firstTokenMs);
+        provider.breaker.success();
+        return { result, provider, model };
+      } catch (error) {
+        if (signal?.aborted) {
+          provider.metrics.stopped();
+          provider.breaker.release();
+          throw error;
+        }
+        provider.metrics.failure({ message: describe(error) });
+        const retryIn = config.RETRY_BASE_MS * 2 ** attempt;
+        const canRetry = attempt < config.RETRIES && transient(error) && !error.streamed && (!deadline || Date.now() + retryIn < deadline);
+        if (canRetry) {
+          provider.metrics.retry();
+          await sleep(retryIn, signal);
+          continue;
+        }
+        provider.breaker.failure();
+        if (error.streamed) throw error;
+        errors.push(`${name}: ${describe(error)}`);
+        console.warn(`⚠️ Model provider ${name} failed for ${role} (${describe(error)})`);
+        break;
+      }
+    }
+    if (deadline && Date.now() >= deadline) break;
+  }
+  throw new Error(errors.length ? `No model provider available: ${errors.join('; ')}` : `No model provider is enabled for ${role}`);
+}
+
+const label = (provider, model) => `${model} (${provider.name})`;
+
+/**
+ * Streams a reply for `role`, passing text to `onToken` as it arrives.
+ * Aborting `signal` stops generation upstream.
+ * @returns {Promise<{ model: string }>} the model and provider that answered, e.g. "llama3.3:latest (ollama)"
+ */
+async function stream({ role, prompt, sessionId, context, signal, onToken }) {
+  const { options } = route(role);
+  const { provider, model } = await run(role, async (provider, model, timeout, firstToken) => {
+    let streamed = false;
+    try {
+      await provider.stream({
+        prompt, model, options, sessionId, context, signal, timeout,
+        onToken: text => {
+          streamed = true;
+          firstToken();
+          onToken(text);
+        }
+      });
+    } catch (error) {
+      error.streamed = streamed;
+      throw error;
+    }
+  }, { signal });
+  return { model: label(provider, model) };
+}
+
+/**
+ * Asks the model for a JSON object; callers validate the shape they need.
+ * PHI in the prompt is tokenized before sending and restored in the result,
+ * and every call is audited. `timeout` bounds the whole call, retries and
+ * fallbacks included.
+ * @param {{ timeout?: number, purpose?: string, actor?: { id?: string, role?: string }, role?: string }} options
+ */
+async function generateJson(prompt, { timeout = 30000, purpose = 'generate', actor = {}, role = 'json' } = {}) {
+  const vault = createVault();
+  const { options } = route(role);
+  let outcome = 'failed';
+  let target = `route:${role}`;
+  try {
+    const redacted = vault.redact(prompt);
+    const { result, provider, model } = await run(role, (provider, model, callTimeout) =>
+      provider.generate({ prompt: redacted, model, options, json: true, timeout: callTimeout }),
+    { deadline: Date.now() + timeout, timeout });
+    target = label(provider, model);
+    const parsed = JSON.parse(result);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Model did not return a JSON object');
+    }
+    outcome = 'completed';
+    return vault.restoreDeep(parsed);
+  } finally {
+    auditLog.append({
+      actor: actor.id, actorRole: actor.role, action: 'llm.request', target,
+      categories: vault.categories, details: { purpose, outcome }
+    });
+  }
+}
+
+// Whether any provider on the role's route could take a request now
+function available(role) {
+  return route(role).providers.some(name => {
+    const provider = providers.get(name);
+    return provider.enabled && provider.breaker.snapshot().state !== 'open';
+  });
+}
+
+/**
+ * Providers with their circuit state and metrics, and each role's route.
+ * `probe` also asks every enabled provider for its models.
+ */
+async function status({ probe = false, timeout = 5000 } = {}) {
+  const list = await Promise.all([...providers.values()].map(async provider => {
+    const entry = {
+      name: provider.name, type: provider.type, url: provider.url || null, model: provider.model, enabled: provider.enabled,
+      breaker: provider.breaker.snapshot(), metrics: provider.metrics.snapshot()
+    };
+    if (probe && provider.enabled) {
+      const started = Date.now();
+      try {
+        const models = await provider.models({ timeout });
+        entry.health = { ok: true, latencyMs: Date.now() - started, models };
+      } catch (error) {
+        entry.health = { ok: false, latencyMs: Date.now() - started, error: describe(error) };
+      }
+    }
+    return entry;
+  }));
+  const routes = Object.fromEntries(Object.entries(config.ROUTES).map(([role, r]) => [role, {
+    providers: r.providers, model: r.model, available: available(role)
+  }]));
+  return { providers: list, routes };
+}
+
+module.exports = { generateJson, stream, status, available };
@@ -0,0 +1,68 @@
+/**
+ * Request counts and latency per provider, kept in memory since the server
+ * started. Latency percentiles cover the last `samples` completed requests;
+ * streams also track how long the first token took.
+ */
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    avg: sorted.length ? Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length) : null,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95)
+  };
+}
+
+function createMetrics({ samples }) {
+  const counts = { requests: 0, successes: 0, failures: 0, retries: 0, stopped: 0 };
+  const latency = [];
+  const firstToken = [];
+  let lastError = null;
+  let lastErrorAt = null;
+  let lastSuccessAt = null;
+
+  const keep = (list, value) => {
+    list.push(value);
+    if (list.length > samples) list.shift();
+  };
+
+  return {
+    success(latencyMs, firstTokenMs) {
+      counts.requests++;
+      counts.successes++;
+      keep(latency, latencyMs);
+      if (firstTokenMs !== null && firstTokenMs !== undefined) keep(firstToken, firstTokenMs);
+      lastSuccessAt = new Date().toISOString();
+    },
+    failure(error) {
+      counts.requests++;
+      counts.failures++;
+      lastError = error.message;
+      lastErrorAt = new Date().toISOString();
+    },
+    stopped() {
+      counts.requests++;
+      counts.stopped++;
+    },
+    retry() {
+      counts.retries++;
+    },
+    snapshot() {
+      const finished = counts.successes + counts.failures;
+      return {
+        ...counts,
+        errorRate: finished ? Math.round((counts.failures / finished) * 1000) / 1000 : 0,
+        latencyMs: summarize(latency),
+        firstTokenMs: summarize(firstToken),
+        lastError, lastErrorAt, lastSuccessAt
+      };
+    }
+  };
+}
+
+module.exports = { createMetrics };
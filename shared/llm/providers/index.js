@@ -0,0 +1,27 @@
+/**
+ * Model providers. Each type's `create(settings)` returns
+ * `{ name, type, url, model, enabled, generate, stream, models }`:
+ *
+ *   generate({ prompt, model?, options?, json?, signal, timeout }) → the reply text
+ *   stream({ prompt, model?, options?, sessionId?, context?, signal, timeout, onToken })
+ *   models({ timeout }) → names the provider can serve; throws when it is down
+ *
+ * Failures throw; axios errors keep their `response` so callers can tell a
+ * timeout or a 5xx (worth retrying) from a 4xx (not).
+ */
+
+const types = new Map();
+
+function register(type) {
+  types.set(type.type, type);
+}
+
+function create(name, settings) {
+  const type = types.get(settings.type);
+  if (!type) throw new Error(`Unknown model provider type "${settings.type}" for ${name}`);
+  return type.create({ name, ...settings });
+}
+
+[require('./ollama'), require('./mcp'), require('./openai')].forEach(register);
+
+module.exports = { register, create };
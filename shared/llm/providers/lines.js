@@ -0,0 +1,30 @@
+// Yields parsed JSON objects from a streamed body. Accepts NDJSON (Ollama)
+// as well as SSE `data:` lines (MCP Hub, OpenAI-compatible APIs).
+async function* jsonLines(stream) {
+  stream.setEncoding('utf8');
+  let buffer = '';
+  const parse = line => {
+    const json = line.startsWith('data:') ? line.slice(5).trim() : line;
+    return json && json !== '[DONE]' && !line.startsWith('event:') && !line.startsWith(':') ? JSON.parse(json) : null;
+  };
+  for await (const chunk of stream) {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const parsed = parse(buffer.slice(0, newline).trim());
+      buffer = buffer.slice(newline + 1);
+      if (parsed) yield parsed;
+    }
+  }
+  const parsed = parse(buffer.trim());
+  if (parsed) yield parsed;
+}
+
+async function readAll(stream) {
+  stream.setEncoding('utf8');
+  let body = '';
+  for await (const chunk of stream) body += chunk;
+  return body;
+}
+
+module.exports = { jsonLines, readAll };
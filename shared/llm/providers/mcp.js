@@ -0,0 +1,48 @@
+/**
+ * The MCP Hub's chat endpoint. The hub picks and runs the model itself, so
+ * `model` and `options` are not sent; it also gets the chat session and
+ * context. Hubs that do not stream answer with a plain JSON body, which is
+ * forwarded as a single chunk.
+ *
+ *   POST /api/chat/message  { message, sessionId, context, stream }
+ *   GET  /health
+ */
+
+const axios = require('axios');
+const { jsonLines, readAll } = require('./lines');
+
+function create({ name, url, model }) {
+  const http = axios.create({ baseURL: url });
+
+  async function generate({ prompt, signal, timeout }) {
+    const { data } = await http.post('/api/chat/message', { message: prompt, stream: false }, { signal, timeout });
+    return data.content ?? data.response;
+  }
+
+  async function stream({ prompt, sessionId, context, signal, timeout, onToken }) {
+    const response = await http.post('/api/chat/message', { message: prompt, sessionId, context, stream: true }, {
+      responseType: 'stream', signal, timeout, headers: { Accept: 'text/event-stream, application/json' }
+    });
+    if (String(response.headers['content-type']).startsWith('application/json')) {
+      const data = JSON.parse(await readAll(response.data));
+      if (data.content || data.response) onToken(data.content || data.response);
+      return;
+    }
+    for await (const chunk of jsonLines(response.data)) {
+      if (chunk.error) throw new Error(chunk.error);
+      const text = chunk.token ?? chunk.delta ?? chunk.content ?? chunk.response;
+      if (text) onToken(text);
+      if (chunk.done) break;
+    }
+  }
+
+  // The hub does not list models; a healthy hub reports the one it runs
+  async function models({ timeout }) {
+    await http.get('/health', { timeout });
+    return [model];
+  }
+
+  return { name, type: 'mcp', url, model, enabled: Boolean(url), generate, stream, models };
+}
+
+module.exports = { type: 'mcp', create };
@@ -0,0 +1,36 @@
+/**
+ * Ollama's /api/generate. Streams are NDJSON; aborting `signal` closes the
+ * connection, which stops generation on the Ollama side.
+ */
+
+const axios = require('axios');
+const { jsonLines } = require('./lines');
+
+function create({ name, url, model }) {
+  const http = axios.create({ baseURL: url });
+
+  async function generate({ prompt, model: use = model, options, json, signal, timeout }) {
+    const { data } = await http.post('/api/generate', {
+      model: use, prompt, stream: false, options, ...(json && { format: 'json' })
+    }, { signal, timeout });
+    return data.response;
+  }
+
+  async function stream({ prompt, model: use = model, options, signal, timeout, onToken }) {
+    const response = await http.post('/api/generate', { model: use, prompt, stream: true, options }, { responseType: 'stream', signal, timeout });
+    for await (const chunk of jsonLines(response.data)) {
+      if (chunk.error) throw new Error(chunk.error);
+      if (chunk.response) onToken(chunk.response);
+      if (chunk.done) break;
+    }
+  }
+
+  async function models({ timeout }) {
+    const { data } = await http.get('/api/tags', { timeout });
+    return (data.models || []).map(m => m.name);
+  }
+
+  return { name, type: 'ollama', url, model, enabled: Boolean(url), generate, stream, models };
+}
+
+module.exports = { type: 'ollama', create };
@@ -0,0 +1,47 @@
+/**
+ * Any OpenAI-compatible chat completions API (OpenAI, vLLM, LM Studio,
+ * llama.cpp server). The prompt goes as a single user message; Ollama-style
+ * options are mapped to the parameters these APIs share.
+ */
+
+const axios = require('axios');
+const { jsonLines } = require('./lines');
+
+function parameters(options = {}) {
+  const params = {};
+  if (options.temperature !== undefined) params.temperature = options.temperature;
+  if (options.top_p !== undefined) params.top_p = options.top_p;
+  if (options.num_predict !== undefined) params.max_tokens = options.num_predict;
+  return params;
+}
+
+function create({ name, url, model, apiKey }) {
+  const http = axios.create({ baseURL: url, headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {} });
+  const body = (use, prompt, options) => ({ model: use, messages: [{ role: 'user', content: prompt }], ...parameters(options) });
+
+  async function generate({ prompt, model: use = model, options, json, signal, timeout }) {
+    const { data } = await http.post('/chat/completions', {
+      ...body(use, prompt, options), ...(json && { response_format: { type: 'json_object' } })
+    }, { signal, timeout });
+    return data.choices?.[0]?.message?.content;
+  }
+
+  async function stream({ prompt, model: use = model, options, signal, timeout, onToken }) {
+    const response = await http.post('/chat/completions', { ...body(use, prompt, options), stream: true }, { responseType: 'stream', signal, timeout });
+    for await (const chunk of jsonLines(response.data)) {
+      if (chunk.error) throw new Error(chunk.error.message || chunk.error);
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) onToken(text);
+      if (chunk.choices?.[0]?.finish_reason) break;
+    }
+  }
+
+  async function models({ timeout }) {
+    const { data } = await http.get('/models', { timeout });
+    return (data.data || []).map(m => m.id);
+  }
+
+  return { name, type: 'openai', url, model, enabled: Boolean(url), generate, stream, models };
+}
+
+module.exports = { type: 'openai', create };
@@ -0,0 +1,54 @@
+-- Users, sessions, profiles and profile notes
+
+CREATE TABLE users (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  username TEXT COLLATE NOCASE,
+  phone TEXT,
+  name TEXT,
+  role TEXT NOT NULL,
+  password_hash TEXT NOT NULL,
+  security_question TEXT,
+  security_answer_hash TEXT,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_users_username ON users (username);
+CREATE INDEX idx_users_phone ON users (phone);
+
+CREATE TABLE sessions (
+  sid TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  role TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  expires_at INTEGER NOT NULL,
+  revoked_at TEXT
+);
+CREATE INDEX idx_sessions_user ON sessions (user_id);
+
+CREATE TABLE profiles (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL,
+  email TEXT,
+  phone TEXT,
+  medicaid_id TEXT,
+  status TEXT NOT NULL DEFAULT 'Pending',
+  address TEXT,
+  caregiver TEXT,
+  client TEXT,
+  last_contact TEXT,
+  user_id TEXT REFERENCES users (id) ON DELETE SET NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE notes (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL,
+  text TEXT NOT NULL,
+  author TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_notes_profile ON notes (profile_id, created_at);
@@ -0,0 +1,45 @@
+-- Notes, tasks and summaries produced by the agent dashboard actions, per chat session
+
+CREATE TABLE agent_notes (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  user_id TEXT,
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+  context TEXT,
+  category TEXT NOT NULL,
+  priority TEXT NOT NULL,
+  action_items TEXT NOT NULL DEFAULT '[]',
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_agent_notes_session ON agent_notes (session_id, created_at);
+
+CREATE TABLE agent_tasks (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  user_id TEXT,
+  title TEXT NOT NULL,
+  description TEXT,
+  category TEXT NOT NULL,
+  priority TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  due_date TEXT,
+  estimated_time INTEGER,
+  prerequisites TEXT NOT NULL DEFAULT '[]',
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_agent_tasks_session ON agent_tasks (session_id, created_at);
+
+CREATE TABLE agent_summaries (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  user_id TEXT,
+  type TEXT NOT NULL,
+  summary TEXT NOT NULL,
+  key_points TEXT NOT NULL DEFAULT '[]',
+  action_items TEXT NOT NULL DEFAULT '[]',
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_agent_summaries_session ON agent_summaries (session_id, created_at);
+
+ALTER TABLE profiles ADD COLUMN session_id TEXT;
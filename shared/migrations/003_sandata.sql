@@ -0,0 +1,28 @@
+-- Sandata EVV uploads and the last SequenceID accepted for each record
+
+CREATE TABLE sandata_uploads (
+  id TEXT PRIMARY KEY,
+  entity_type TEXT NOT NULL,
+  transaction_id TEXT,
+  status TEXT NOT NULL,
+  record_count INTEGER NOT NULL,
+  rejected_count INTEGER NOT NULL DEFAULT 0,
+  issues TEXT NOT NULL DEFAULT '[]',
+  errors TEXT NOT NULL DEFAULT '[]',
+  payload TEXT NOT NULL,
+  response TEXT,
+  run_id TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX idx_sandata_uploads_created ON sandata_uploads (created_at);
+CREATE INDEX idx_sandata_uploads_run ON sandata_uploads (run_id);
+
+CREATE TABLE sandata_sequences (
+  entity_type TEXT NOT NULL,
+  record_id TEXT NOT NULL,
+  sequence_id INTEGER NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (entity_type, record_id)
+);
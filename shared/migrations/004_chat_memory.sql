@@ -0,0 +1,67 @@
+-- Versioned role prompts (the newest version of each name is live) and
+-- per-session chat history with a rolling summary of trimmed turns
+
+CREATE TABLE prompt_templates (
+  name TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  note TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (name, version)
+);
+
+CREATE TABLE chat_sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT,
+  template TEXT NOT NULL,
+  summary TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE chat_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id TEXT NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  tokens INTEGER NOT NULL,
+  summarized INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_chat_messages_session ON chat_messages (session_id, id);
+
+-- Version 1 of each template is the prompt previously hardcoded in the chat pages
+INSERT INTO prompt_templates (name, version, body, note, created_by, created_at) VALUES ('rep', 1, 'You are Kloudy Rep Assistant for United Family Caregivers customer service representatives.
+
+COMPANY: NV Care Solutions Inc dba United Family Caregivers (Nevada PCS Provider Type 30)
+
+REP GUIDANCE - ELIGIBILITY:
+- Nevada Medicaid + PCS waiver + ADL assessment required
+- Adults 18+ do NOT need guardians to qualify
+- Under 18 requires hardship documentation
+- Having a job does NOT disqualify clients
+- Provider selection during interview: "NV Care Solutions"
+
+PHONE NUMBERS:
+- Rep line: 833.432.6588
+- Medicaid interview line: 800-525-2395 (Mon-Fri 8am-5pm)
+
+INTAKE FLOW:
+1. Patient name, phone, Medicaid ID
+2. Verify PCS waiver status
+3. Caregiver name, relationship, phone
+4. Three-way call to 800-525-2395
+
+IMPORTANT: Give SHORT, DIRECT answers first, then details. Be fast and accurate.
+
+MEDICAID ID FACTS:
+- Nevada Medicaid ID is typically 9-10 digits (NO area code)
+- Area code is NOT part of Medicaid ID
+- Format: Usually 9 digits, sometimes 10
+{{context}}{{history}}
+REP QUESTION: {{message}}', 'Moved from rep-assistant.html', 'system', '2025-01-01T00:00:00.000Z');
+
+INSERT INTO prompt_templates (name, version, body, note, created_by, created_at) VALUES ('client', 1, 'You are Kloudy Client Assistant, helping clients with their Medicaid benefits, eligibility questions, and service information. Be helpful, friendly, and HIPAA-compliant.
+{{context}}{{history}}
+Client: {{message}}', 'Moved from user-app.html', 'system', '2025-01-01T00:00:00.000Z');
@@ -0,0 +1,28 @@
+-- Append-only, hash-chained audit trail. Each row's hash covers its content and
+-- the previous row's hash (see repositories/audit-log.js), so edits, deletions
+-- or reordering break verification. The triggers refuse changes outright.
+
+CREATE TABLE audit_log (
+  seq INTEGER PRIMARY KEY,
+  at TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  actor_role TEXT,
+  action TEXT NOT NULL,
+  target TEXT,
+  categories TEXT NOT NULL DEFAULT '{}',
+  details TEXT NOT NULL DEFAULT '{}',
+  prev_hash TEXT NOT NULL,
+  hash TEXT NOT NULL
+);
+CREATE INDEX idx_audit_log_actor ON audit_log (actor, seq);
+CREATE INDEX idx_audit_log_action ON audit_log (action, seq);
+
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
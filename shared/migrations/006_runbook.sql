@@ -0,0 +1,24 @@
+-- Operations runbook: who may run which class of operation, and every run's output
+
+CREATE TABLE runbook_permissions (
+  user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  permission TEXT NOT NULL,
+  granted_by TEXT,
+  granted_at TEXT NOT NULL,
+  PRIMARY KEY (user_id, permission)
+);
+
+CREATE TABLE runbook_runs (
+  id TEXT PRIMARY KEY,
+  operation TEXT NOT NULL,
+  params TEXT NOT NULL DEFAULT '{}',
+  target TEXT NOT NULL,
+  status TEXT NOT NULL,
+  exit_code INTEGER,
+  steps TEXT NOT NULL DEFAULT '[]',
+  output_hash TEXT,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  finished_at TEXT
+);
+CREATE INDEX idx_runbook_runs_created ON runbook_runs (created_at);
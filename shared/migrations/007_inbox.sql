@@ -0,0 +1,58 @@
+-- Shared conversation inbox between the user app and the rep dashboard
+
+CREATE TABLE conversations (
+  id TEXT PRIMARY KEY,
+  subject TEXT NOT NULL,
+  channel TEXT NOT NULL DEFAULT 'app',
+  status TEXT NOT NULL DEFAULT 'open',
+  queue TEXT NOT NULL DEFAULT 'general',
+  client_id TEXT REFERENCES users (id) ON DELETE SET NULL,
+  contact_name TEXT,
+  contact_phone TEXT,
+  contact_email TEXT,
+  assigned_to TEXT REFERENCES users (id) ON DELETE SET NULL,
+  escalation_reason TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  last_message_at TEXT NOT NULL
+);
+CREATE INDEX idx_conversations_client ON conversations (client_id);
+CREATE INDEX idx_conversations_queue ON conversations (queue, last_message_at);
+
+CREATE TABLE conversation_tags (
+  conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+  tag TEXT NOT NULL,
+  PRIMARY KEY (conversation_id, tag)
+);
+
+-- last_read_message_id is the read receipt: everything up to it has been seen
+CREATE TABLE conversation_participants (
+  conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  role TEXT NOT NULL,
+  last_read_message_id INTEGER NOT NULL DEFAULT 0,
+  last_read_at TEXT,
+  joined_at TEXT NOT NULL,
+  PRIMARY KEY (conversation_id, user_id)
+);
+CREATE INDEX idx_conversation_participants_user ON conversation_participants (user_id);
+
+CREATE TABLE conversation_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+  sender_id TEXT,
+  sender_role TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_conversation_messages_conv ON conversation_messages (conversation_id, id);
+
+-- Change feed both servers poll, so an event written by one reaches clients connected to the other
+CREATE TABLE inbox_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  data TEXT NOT NULL DEFAULT '{}',
+  created_at TEXT NOT NULL
+);
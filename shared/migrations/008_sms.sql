@@ -0,0 +1,36 @@
+-- Text message intake: every inbound/outbound SMS, and one intake record per sender
+
+CREATE TABLE sms_intakes (
+  id TEXT PRIMARY KEY,
+  phone TEXT NOT NULL UNIQUE,
+  name TEXT,
+  callback_phone TEXT,
+  medicaid_id TEXT,
+  waiver_status TEXT,
+  source TEXT NOT NULL DEFAULT 'rules',
+  status TEXT NOT NULL DEFAULT 'incomplete',
+  profile_id TEXT REFERENCES profiles (id) ON DELETE SET NULL,
+  conversation_id TEXT REFERENCES conversations (id) ON DELETE SET NULL,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  last_message TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX idx_sms_intakes_updated ON sms_intakes (updated_at);
+
+-- id is the Twilio MessageSid; status follows Twilio's delivery callbacks
+CREATE TABLE sms_messages (
+  id TEXT PRIMARY KEY,
+  direction TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+  from_number TEXT NOT NULL,
+  to_number TEXT NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL,
+  error TEXT,
+  intake_id TEXT REFERENCES sms_intakes (id) ON DELETE SET NULL,
+  conversation_id TEXT REFERENCES conversations (id) ON DELETE SET NULL,
+  sent_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX idx_sms_messages_intake ON sms_messages (intake_id, created_at);
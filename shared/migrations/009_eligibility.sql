@@ -0,0 +1,36 @@
+-- Eligibility verification jobs. Workers on either server claim due jobs by
+-- taking a lease; the latest verified result is copied onto the profile.
+
+CREATE TABLE eligibility_jobs (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  adapter TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'calling', 'verified', 'failed', 'needs-review')),
+  request TEXT NOT NULL,
+  result TEXT,
+  error TEXT,
+  reference TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TEXT NOT NULL,
+  lease_until TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  finished_at TEXT
+);
+CREATE INDEX idx_eligibility_jobs_due ON eligibility_jobs (status, run_after);
+CREATE INDEX idx_eligibility_jobs_profile ON eligibility_jobs (profile_id, created_at);
+
+-- Timeline of each job: every state change and adapter message
+CREATE TABLE eligibility_job_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id TEXT NOT NULL REFERENCES eligibility_jobs (id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  message TEXT,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_eligibility_job_events_job ON eligibility_job_events (job_id, id);
+
+ALTER TABLE profiles ADD COLUMN eligibility TEXT;
+ALTER TABLE profiles ADD COLUMN eligibility_verified_at TEXT;
@@ -0,0 +1,21 @@
+-- Profile service: date of birth for clients, and links between people
+-- (a caregiver or guardian of a client, or any other relationship).
+
+ALTER TABLE profiles ADD COLUMN dob TEXT;
+
+CREATE INDEX idx_profiles_user ON profiles (user_id);
+CREATE INDEX idx_profiles_medicaid ON profiles (medicaid_id);
+
+CREATE TABLE profile_links (
+  id TEXT PRIMARY KEY,
+  from_profile_id TEXT NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  to_profile_id TEXT NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('caregiver-of', 'guardian-of', 'related-to')),
+  -- How the two are related in the family's words: "Mother", "Sister", "Neighbor"
+  relationship TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  UNIQUE (from_profile_id, to_profile_id, type),
+  CHECK (from_profile_id <> to_profile_id)
+);
+CREATE INDEX idx_profile_links_to ON profile_links (to_profile_id);
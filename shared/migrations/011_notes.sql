@@ -0,0 +1,59 @@
+-- Case notes: categories, priority, pinning, an optional conversation the note
+-- is attached to, and an immutable revision per edit. notes holds the current
+-- text; note_revisions keeps every version with who wrote it.
+
+ALTER TABLE notes ADD COLUMN author_id TEXT;
+ALTER TABLE notes ADD COLUMN category TEXT NOT NULL DEFAULT 'general';
+ALTER TABLE notes ADD COLUMN priority TEXT NOT NULL DEFAULT 'medium';
+ALTER TABLE notes ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE notes ADD COLUMN conversation_id TEXT REFERENCES conversations (id) ON DELETE SET NULL;
+ALTER TABLE notes ADD COLUMN revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE notes ADD COLUMN updated_at TEXT;
+ALTER TABLE notes ADD COLUMN updated_by TEXT;
+
+UPDATE notes SET updated_at = created_at;
+CREATE INDEX idx_notes_conversation ON notes (conversation_id);
+
+CREATE TABLE note_revisions (
+  note_id TEXT NOT NULL REFERENCES notes (id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  text TEXT NOT NULL,
+  category TEXT NOT NULL,
+  priority TEXT NOT NULL,
+  pinned INTEGER NOT NULL,
+  conversation_id TEXT,
+  edited_by TEXT,
+  editor_name TEXT NOT NULL,
+  edited_at TEXT NOT NULL,
+  PRIMARY KEY (note_id, revision)
+);
+
+-- Revisions go away only with their note (when a profile is deleted)
+CREATE TRIGGER note_revisions_no_update BEFORE UPDATE ON note_revisions
+BEGIN
+  SELECT RAISE(ABORT, 'note revisions cannot be changed');
+END;
+
+-- Existing notes start their history at revision 1
+INSERT INTO note_revisions (note_id, revision, text, category, priority, pinned, conversation_id, edited_by, editor_name, edited_at)
+  SELECT id, 1, text, category, priority, pinned, conversation_id, NULL, author, created_at FROM notes;
+
+-- Full-text index over the current text, kept in step with notes by triggers
+CREATE VIRTUAL TABLE notes_fts USING fts5 (text, content = 'notes', content_rowid = 'rowid');
+INSERT INTO notes_fts (notes_fts) VALUES ('rebuild');
+
+CREATE TRIGGER notes_fts_insert AFTER INSERT ON notes
+BEGIN
+  INSERT INTO notes_fts (rowid, text) VALUES (new.rowid, new.text);
+END;
+
+CREATE TRIGGER notes_fts_delete AFTER DELETE ON notes
+BEGIN
+  INSERT INTO notes_fts (notes_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+END;
+
+CREATE TRIGGER notes_fts_update AFTER UPDATE OF text ON notes
+BEGIN
+  INSERT INTO notes_fts (notes_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+  INSERT INTO notes_fts (rowid, text) VALUES (new.rowid, new.text);
+END;
@@ -0,0 +1,61 @@
+-- Tasks for reps, clients, caregivers and guardians. A task with no assignee
+-- and assignee_role 'admin' sits in the rep queue until a rep accepts it.
+-- The *_notified_at columns are claimed by whichever server's worker sends
+-- that notification first, so each one goes out once.
+
+CREATE TABLE tasks (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT,
+  category TEXT NOT NULL DEFAULT 'general',
+  priority TEXT NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
+  status TEXT NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'accepted', 'in_progress', 'done', 'blocked')),
+  blocked_reason TEXT,
+  assignee_id TEXT REFERENCES users (id) ON DELETE SET NULL,
+  assignee_role TEXT NOT NULL,
+  profile_id TEXT REFERENCES profiles (id) ON DELETE CASCADE,
+  created_by TEXT,
+  due_at TEXT,
+  remind_at TEXT,
+  sla_minutes INTEGER,
+  sla_due_at TEXT,
+  recurrence TEXT CHECK (recurrence IN ('daily', 'weekly', 'monthly')),
+  series_id TEXT,
+  dedupe_key TEXT,
+  reminder_notified_at TEXT,
+  overdue_notified_at TEXT,
+  sla_notified_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  accepted_at TEXT,
+  started_at TEXT,
+  completed_at TEXT
+);
+CREATE INDEX idx_tasks_assignee ON tasks (assignee_id, status);
+CREATE INDEX idx_tasks_queue ON tasks (assignee_role, status);
+CREATE INDEX idx_tasks_profile ON tasks (profile_id);
+CREATE INDEX idx_tasks_dedupe ON tasks (dedupe_key);
+
+-- Timeline of each task: creation, every status change and reassignment
+CREATE TABLE task_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  task_id TEXT NOT NULL REFERENCES tasks (id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  message TEXT,
+  actor TEXT,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_task_events_task ON task_events (task_id, id);
+
+-- Per-user notification feed. Unread rows drive the bell's red dot; both
+-- servers poll this table and push new rows to their connected users.
+CREATE TABLE task_notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  task_id TEXT REFERENCES tasks (id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  message TEXT NOT NULL,
+  read_at TEXT,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_task_notifications_user ON task_notifications (user_id, read_at);
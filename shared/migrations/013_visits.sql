@@ -0,0 +1,57 @@
+-- Caregiver visits for EVV. Reps schedule a visit for a caregiver at a client's
+-- home; the caregiver clocks in and out from the app with GPS. Each clock
+-- records the server time and the device's own timestamp. The visit keeps the
+-- home location it was scheduled against, so moving the client later does not
+-- rewrite past visits.
+
+ALTER TABLE profiles ADD COLUMN home_latitude REAL;
+ALTER TABLE profiles ADD COLUMN home_longitude REAL;
+
+CREATE TABLE visits (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  caregiver_id TEXT NOT NULL REFERENCES users (id),
+  service_code TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'in_progress', 'completed', 'verified', 'cancelled')),
+  scheduled_start TEXT NOT NULL,
+  scheduled_end TEXT NOT NULL,
+  latitude REAL NOT NULL,
+  longitude REAL NOT NULL,
+  clock_in_at TEXT,
+  clock_in_device_at TEXT,
+  clock_in_latitude REAL,
+  clock_in_longitude REAL,
+  clock_in_accuracy REAL,
+  clock_in_type TEXT,
+  clock_out_at TEXT,
+  clock_out_device_at TEXT,
+  clock_out_latitude REAL,
+  clock_out_longitude REAL,
+  clock_out_accuracy REAL,
+  clock_out_type TEXT,
+  hours REAL,
+  cancel_reason TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  verified_at TEXT
+);
+CREATE INDEX idx_visits_caregiver ON visits (caregiver_id, scheduled_start);
+CREATE INDEX idx_visits_profile ON visits (profile_id, scheduled_start);
+CREATE INDEX idx_visits_status ON visits (status, scheduled_start);
+
+-- What the checks found on a visit. A visit is verified only once every
+-- exception on it has been resolved with a reason code.
+CREATE TABLE visit_exceptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  visit_id TEXT NOT NULL REFERENCES visits (id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  detail TEXT NOT NULL,
+  reason_code TEXT,
+  memo TEXT,
+  resolved_by TEXT,
+  resolved_at TEXT,
+  created_at TEXT NOT NULL,
+  UNIQUE (visit_id, type)
+);
+CREATE INDEX idx_visit_exceptions_open ON visit_exceptions (resolved_at, visit_id);
@@ -0,0 +1,34 @@
+-- Service authorizations from the payer or MCO: how many hours of a service a
+-- client is approved for per week or month, and for which dates. Utilization
+-- is not stored; it is summed from the client's visits when asked for.
+
+CREATE TABLE authorizations (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  number TEXT NOT NULL,
+  payer TEXT NOT NULL,
+  service_code TEXT NOT NULL,
+  hours REAL NOT NULL CHECK (hours > 0),
+  period TEXT NOT NULL CHECK (period IN ('week', 'month')),
+  start_date TEXT NOT NULL,
+  end_date TEXT NOT NULL,
+  notes TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  UNIQUE (payer, number)
+);
+CREATE INDEX idx_authorizations_profile ON authorizations (profile_id, service_code, start_date);
+CREATE INDEX idx_authorizations_dates ON authorizations (end_date, start_date);
+
+-- Alerts already raised, so each one goes out once per authorization period
+-- (period_start is the week or month the hours alert is for, or the end date
+-- for the expiry alert).
+CREATE TABLE authorization_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  authorization_id TEXT NOT NULL REFERENCES authorizations (id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  period_start TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  UNIQUE (authorization_id, type, period_start)
+);
@@ -0,0 +1,85 @@
+-- Billing: claims built from verified visits, the 837P batches they went out
+-- in, and the 835 remittances that paid or denied them. A visit is billed
+-- again only after the claim it was on is voided.
+
+CREATE TABLE claim_batches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  file_name TEXT NOT NULL,
+  content TEXT NOT NULL,
+  claim_count INTEGER NOT NULL,
+  total REAL NOT NULL,
+  created_by TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE claims (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  claim_number TEXT UNIQUE,
+  profile_id TEXT NOT NULL REFERENCES profiles (id),
+  authorization_id TEXT REFERENCES authorizations (id) ON DELETE SET NULL,
+  authorization_number TEXT NOT NULL,
+  payer TEXT NOT NULL,
+  payer_id TEXT NOT NULL,
+  service_code TEXT NOT NULL,
+  diagnosis TEXT NOT NULL,
+  -- The client as billed, so later profile edits do not change a sent claim
+  client TEXT NOT NULL,
+  from_date TEXT NOT NULL,
+  to_date TEXT NOT NULL,
+  total REAL NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted', 'accepted', 'rejected', 'paid', 'partial', 'denied', 'void')),
+  batch_id INTEGER REFERENCES claim_batches (id),
+  paid REAL NOT NULL DEFAULT 0,
+  adjusted REAL NOT NULL DEFAULT 0,
+  outstanding REAL,
+  status_reason TEXT,
+  payer_claim_number TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  submitted_at TEXT,
+  adjudicated_at TEXT
+);
+CREATE INDEX idx_claims_status ON claims (status, created_at);
+CREATE INDEX idx_claims_profile ON claims (profile_id, from_date);
+
+CREATE TABLE claim_lines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  claim_id INTEGER NOT NULL REFERENCES claims (id) ON DELETE CASCADE,
+  visit_id TEXT NOT NULL REFERENCES visits (id),
+  service_code TEXT NOT NULL,
+  service_date TEXT NOT NULL,
+  units INTEGER NOT NULL,
+  rate REAL NOT NULL,
+  amount REAL NOT NULL,
+  paid REAL,
+  adjustments TEXT
+);
+CREATE INDEX idx_claim_lines_visit ON claim_lines (visit_id);
+CREATE INDEX idx_claim_lines_claim ON claim_lines (claim_id);
+
+CREATE TABLE claim_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  claim_id INTEGER NOT NULL REFERENCES claims (id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  message TEXT,
+  actor TEXT,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_claim_events_claim ON claim_events (claim_id, id);
+
+-- One row per 835 file; the same check from the same payer is only applied once
+CREATE TABLE remittances (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  file_name TEXT NOT NULL,
+  check_number TEXT NOT NULL,
+  payer TEXT,
+  paid_date TEXT,
+  total REAL NOT NULL,
+  matched INTEGER NOT NULL,
+  unmatched TEXT NOT NULL,
+  content TEXT NOT NULL,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  UNIQUE (check_number, payer)
+);
@@ -0,0 +1,62 @@
+-- Employee records: hire status, the onboarding checklist and credentials
+-- with expiration dates. A caregiver's record is tied to their login, which is
+-- how visit scheduling finds it. Credential documents are stored on disk;
+-- only their name, type and size are kept here.
+
+CREATE TABLE employees (
+  id TEXT PRIMARY KEY,
+  user_id TEXT UNIQUE REFERENCES users (id),
+  profile_id TEXT REFERENCES profiles (id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  email TEXT,
+  phone TEXT,
+  position TEXT NOT NULL CHECK (position IN ('caregiver', 'office')),
+  status TEXT NOT NULL DEFAULT 'applicant' CHECK (status IN ('applicant', 'onboarding', 'active', 'inactive', 'terminated')),
+  status_reason TEXT,
+  hire_date TEXT,
+  end_date TEXT,
+  notes TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX idx_employees_status ON employees (status, name);
+
+-- Checklist steps that have been completed or waived; a step with no row is pending
+CREATE TABLE employee_steps (
+  employee_id TEXT NOT NULL REFERENCES employees (id) ON DELETE CASCADE,
+  step TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('done', 'waived')),
+  note TEXT,
+  completed_by TEXT,
+  completed_at TEXT NOT NULL,
+  PRIMARY KEY (employee_id, step)
+);
+
+-- Every credential on file, renewals included; the one that expires last is current
+CREATE TABLE employee_credentials (
+  id TEXT PRIMARY KEY,
+  employee_id TEXT NOT NULL REFERENCES employees (id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  number TEXT,
+  issuer TEXT,
+  issued_on TEXT,
+  expires_on TEXT NOT NULL,
+  document_name TEXT,
+  document_type TEXT,
+  document_size INTEGER,
+  document_file TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX idx_employee_credentials_employee ON employee_credentials (employee_id, type, expires_on);
+CREATE INDEX idx_employee_credentials_expiry ON employee_credentials (expires_on);
+
+-- Lapse alerts already raised, so each credential is flagged once as expiring and once as expired
+CREATE TABLE credential_alerts (
+  credential_id TEXT NOT NULL REFERENCES employee_credentials (id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (credential_id, type)
+);
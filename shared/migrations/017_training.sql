@@ -0,0 +1,28 @@
+-- Training sessions: a rep practicing a scenario with a role-played client.
+-- The scorecard is saved when the session ends, so a rep's scores stay as
+-- they were even if the scenario file changes later.
+
+CREATE TABLE training_sessions (
+  id TEXT PRIMARY KEY,
+  rep_id TEXT NOT NULL REFERENCES users (id),
+  scenario_id TEXT NOT NULL,
+  scenario_title TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'abandoned')),
+  started_at TEXT NOT NULL,
+  ended_at TEXT,
+  duration_seconds INTEGER,
+  score INTEGER,
+  scorecard TEXT
+);
+CREATE INDEX idx_training_sessions_rep ON training_sessions (rep_id, started_at);
+CREATE INDEX idx_training_sessions_scenario ON training_sessions (scenario_id, status);
+
+CREATE TABLE training_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id TEXT NOT NULL REFERENCES training_sessions (id) ON DELETE CASCADE,
+  sender TEXT NOT NULL CHECK (sender IN ('rep', 'client')),
+  body TEXT NOT NULL,
+  source TEXT,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_training_messages_session ON training_messages (session_id, id);
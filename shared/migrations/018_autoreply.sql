@@ -0,0 +1,40 @@
+-- AI replies on live inbox threads: per-channel policies, per-thread
+-- overrides and the drafts the model wrote, with what happened to each.
+
+CREATE TABLE autoreply_policies (
+  channel TEXT PRIMARY KEY,
+  mode TEXT NOT NULL CHECK (mode IN ('off', 'draft', 'auto')),
+  min_confidence REAL NOT NULL DEFAULT 0.8,
+  max_auto_replies INTEGER NOT NULL DEFAULT 3,
+  updated_by TEXT,
+  updated_at TEXT NOT NULL
+);
+INSERT INTO autoreply_policies (channel, mode, min_confidence, max_auto_replies, updated_at) VALUES
+  ('app', 'auto', 0.85, 3, '2026-01-01T00:00:00.000Z'),
+  ('sms', 'draft', 0.85, 2, '2026-01-01T00:00:00.000Z');
+
+CREATE TABLE autoreply_threads (
+  conversation_id TEXT PRIMARY KEY REFERENCES conversations (id) ON DELETE CASCADE,
+  mode TEXT NOT NULL CHECK (mode IN ('off', 'draft', 'auto')),
+  updated_by TEXT,
+  updated_at TEXT NOT NULL
+);
+
+-- status: pending drafts wait for a rep; sent went out on their own;
+-- handed-off is a handoff rule's reply, sent instead of a draft
+CREATE TABLE autoreply_drafts (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+  message_id INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  confidence REAL,
+  reason TEXT,
+  rules TEXT NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL CHECK (status IN ('pending', 'sent', 'approved', 'rejected', 'superseded', 'handed-off')),
+  sent_message_id INTEGER,
+  decided_by TEXT,
+  decided_at TEXT,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX idx_autoreply_drafts_status ON autoreply_drafts (status, created_at);
+CREATE INDEX idx_autoreply_drafts_conversation ON autoreply_drafts (conversation_id, created_at);
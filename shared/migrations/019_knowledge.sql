@@ -0,0 +1,49 @@
+-- Knowledge base for the rep assistant: documents (policy, scripts, FAQs),
+-- the passages they are split into, and a BM25 full-text index of the
+-- passages of active documents.
+
+-- source: 'library/<file>' for the files shipped in shared/knowledge/library,
+-- 'admin' for documents added through the API. file_checksum is the library
+-- file as last synced, so an admin's edit survives until the file changes.
+CREATE TABLE kb_documents (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  source TEXT NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+  version INTEGER NOT NULL DEFAULT 1,
+  file_checksum TEXT,
+  indexed_at TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_by TEXT,
+  updated_at TEXT NOT NULL
+);
+CREATE UNIQUE INDEX idx_kb_documents_library ON kb_documents (source) WHERE source LIKE 'library/%';
+
+CREATE TABLE kb_chunks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  document_id TEXT NOT NULL REFERENCES kb_documents (id) ON DELETE CASCADE,
+  ordinal INTEGER NOT NULL,
+  heading TEXT,
+  text TEXT NOT NULL
+);
+CREATE INDEX idx_kb_chunks_document ON kb_chunks (document_id, ordinal);
+
+-- rowid is the kb_chunks id; only chunks of active documents are indexed
+CREATE VIRTUAL TABLE kb_chunks_fts USING fts5 (title, heading, text, tokenize = 'porter unicode61');
+
+-- The rep prompt's guidance paragraphs now live in the knowledge base; the
+-- model answers from retrieved passages and cites them
+INSERT INTO prompt_templates (name, version, body, note, created_by, created_at)
+SELECT 'rep', MAX(version) + 1, 'You are Kloudy Rep Assistant for United Family Caregivers customer service representatives.
+
+COMPANY: NV Care Solutions Inc dba United Family Caregivers (Nevada PCS Provider Type 30)
+
+Answer from the KNOWLEDGE BASE passages below and cite the passage behind each fact by its number, like [1] or [2].
+If the passages do not cover the question, say so and suggest asking a supervisor. Never guess policy, phone numbers or ID formats.
+
+IMPORTANT: Give SHORT, DIRECT answers first, then details. Be fast and accurate.
+{{knowledge}}{{context}}{{history}}
+REP QUESTION: {{message}}', 'Rep guidance moved to the knowledge base', 'system', '2026-01-01T00:00:00.000Z'
+FROM prompt_templates WHERE name = 'rep';
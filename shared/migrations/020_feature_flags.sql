@@ -0,0 +1,28 @@
+-- Feature flags, evaluated per environment (KLOUDY_ENV), role and user.
+-- environments, roles and users are JSON arrays; NULL means no restriction.
+-- Listed users always get an enabled flag in its environments; everyone else
+-- must match roles and then falls in the rollout by a stable hash of their ID.
+
+CREATE TABLE feature_flags (
+  key TEXT PRIMARY KEY,
+  description TEXT NOT NULL DEFAULT '',
+  enabled INTEGER NOT NULL DEFAULT 0,
+  environments TEXT,
+  roles TEXT,
+  users TEXT,
+  rollout_percent INTEGER NOT NULL DEFAULT 100 CHECK (rollout_percent BETWEEN 0 AND 100),
+  updated_by TEXT,
+  updated_at TEXT NOT NULL
+);
+
+-- The dashboard's "coming soon" sections start off; Dev Login only outside production
+INSERT INTO feature_flags (key, description, enabled, environments, roles, updated_at) VALUES
+  ('dev-login', 'Dev Login buttons on the agent dashboard', 1, '["development","testing"]', '["admin"]', '2026-01-01T00:00:00.000Z'),
+  ('training-mode', 'Training Simulator in the rep assistant', 1, NULL, '["admin"]', '2026-01-01T00:00:00.000Z'),
+  ('testing-tools', 'Testing section of the agent dashboard', 0, NULL, '["admin"]', '2026-01-01T00:00:00.000Z'),
+  ('program-info', 'Program Info section and quick action', 0, NULL, NULL, '2026-01-01T00:00:00.000Z'),
+  ('care-management', 'Care Management section', 0, NULL, NULL, '2026-01-01T00:00:00.000Z'),
+  ('call-support', 'Call Support button and quick action', 0, NULL, NULL, '2026-01-01T00:00:00.000Z'),
+  ('install-app', 'Install App quick action', 0, NULL, NULL, '2026-01-01T00:00:00.000Z'),
+  ('email-system', 'Email system', 0, NULL, NULL, '2026-01-01T00:00:00.000Z'),
+  ('team-chat', 'Team chat', 0, NULL, NULL, '2026-01-01T00:00:00.000Z');
@@ -0,0 +1,30 @@
+-- Registration drafts for the user app's intake wizard. A draft is resumed
+-- with the token handed out when it was started (only its hash is kept).
+-- data holds the answers so far as JSON, never passwords; it is cleared once
+-- the draft is submitted and the account exists.
+
+CREATE TABLE intake_drafts (
+  id TEXT PRIMARY KEY,
+  token_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted')),
+  data TEXT NOT NULL DEFAULT '{}',
+  user_id TEXT REFERENCES users (id),
+  profile_id TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  submitted_at TEXT
+);
+CREATE INDEX idx_intake_drafts_status ON intake_drafts (status, expires_at);
+
+-- Guardianship and hardship documents for clients under 18, one per kind
+CREATE TABLE intake_documents (
+  draft_id TEXT NOT NULL REFERENCES intake_drafts (id) ON DELETE CASCADE,
+  kind TEXT NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  file TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (draft_id, kind)
+);
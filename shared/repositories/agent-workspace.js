@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function noteFromRow(row) {
+  return {
+    id: row.id, sessionId: row.session_id, userId: row.user_id, title: row.title, content: row.content,
+    context: row.context, category: row.category, priority: row.priority,
+    actionItems: JSON.parse(row.action_items), createdAt: row.created_at
+  };
+}
+
+function taskFromRow(row) {
+  return {
+    id: row.id, sessionId: row.session_id, userId: row.user_id, title: row.title, description: row.description,
+    category: row.category, priority: row.priority, status: row.status, dueDate: row.due_date,
+    estimatedTime: row.estimated_time, prerequisites: JSON.parse(row.prerequisites), createdAt: row.created_at
+  };
+}
+
+function summaryFromRow(row) {
+  return {
+    id: row.id, sessionId: row.session_id, userId: row.user_id, type: row.type, summary: row.summary,
+    keyPoints: JSON.parse(row.key_points), actionItems: JSON.parse(row.action_items), createdAt: row.created_at
+  };
+}
+
+function createNote(note) {
+  const id = crypto.randomUUID();
+  db.prepare(`INSERT INTO agent_notes (id, session_id, user_id, title, content, context, category, priority, action_items, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, note.sessionId, note.userId || null, note.title, note.content, note.context || null,
+      note.category, note.priority, JSON.stringify(note.actionItems || []), new Date().toISOString());
+  return noteFromRow(db.prepare('SELECT * FROM agent_notes WHERE id = ?').get(id));
+}
+
+function listNotes(sessionId) {
+  return db.prepare('SELECT * FROM agent_notes WHERE session_id = ? ORDER BY created_at DESC').all(sessionId).map(noteFromRow);
+}
+
+function createTask(task) {
+  const id = crypto.randomUUID();
+  db.prepare(`INSERT INTO agent_tasks (id, session_id, user_id, title, description, category, priority, due_date, estimated_time, prerequisites, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, task.sessionId, task.userId || null, task.title, task.description || null, task.category, task.priority,
+      task.dueDate || null, task.estimatedTime, JSON.stringify(task.prerequisites || []), new Date().toISOString());
+  return taskFromRow(db.prepare('SELECT * FROM agent_tasks WHERE id = ?').get(id));
+}
+
+function listTasks(sessionId) {
+  return db.prepare('SELECT * FROM agent_tasks WHERE session_id = ? ORDER BY created_at DESC').all(sessionId).map(taskFromRow);
+}
+
+function createSummary(summary) {
+  const id = crypto.randomUUID();
+  db.prepare(`INSERT INTO agent_summaries (id, session_id, user_id, type, summary, key_points, action_items, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, summary.sessionId, summary.userId || null, summary.type, summary.summary,
+      JSON.stringify(summary.keyPoints || []), JSON.stringify(summary.actionItems || []), new Date().toISOString());
+  return summaryFromRow(db.prepare('SELECT * FROM agent_summaries WHERE id = ?').get(id));
+}
+
+function listSummaries(sessionId) {
+  return db.prepare('SELECT * FROM agent_summaries WHERE session_id = ? ORDER BY created_at DESC').all(sessionId).map(summaryFromRow);
+}
+
+module.exports = { createNote, listNotes, createTask, listTasks, createSummary, listSummaries };
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { secret } = require('../env');
+
+// Keyed so a chain cannot be rebuilt by someone with write access to the file alone
+const AUDIT_KEY = secret('AUDIT_KEY', 'kloudy-dev-audit-key-change-me');
+
+const GENESIS = '0'.repeat(64);
+
+function hashEntry(prevHash, entry) {
+  const content = JSON.stringify([entry.seq, entry.at, entry.actor, entry.actorRole, entry.action, entry.target, entry.categories, entry.details]);
+  return crypto.createHmac('sha256', AUDIT_KEY).update(prevHash + '|' + content).digest('hex');
+}
+
+function fromRow(row) {
+  return {
+    seq: row.seq, at: row.at, actor: row.actor, actorRole: row.actor_role, action: row.action, target: row.target,
+    categories: JSON.parse(row.categories), details: JSON.parse(row.details), prevHash: row.prev_hash, hash: row.hash
+  };
+}
+
+/**
+ * Appends one entry. Never pass PHI in `details`; record categories and counts instead.
+ * @param {{ actor?: string, actorRole?: string, action: string, target?: string, categories?: object, details?: object }} entry
+ */
+function append({ actor, actorRole, action, target, categories = {}, details = {} }) {
+  return db.transaction(() => {
+    const last = db.prepare('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1').get();
+    const entry = {
+      seq: last ? last.seq + 1 : 1, at: new Date().toISOString(), actor: actor || 'system', actorRole: actorRole || null,
+      action, target: target || null, categories: JSON.stringify(categories), details: JSON.stringify(details)
+    };
+    const prevHash = last ? last.hash : GENESIS;
+    const hash = hashEntry(prevHash, entry);
+    db.prepare(`INSERT INTO audit_log (seq, at, actor, actor_role, action, target, categories, details, prev_hash, hash)
+      VALUES (@seq, @at, @actor, @actorRole, @action, @target, @categories, @details, @prevHash, @hash)`)
+      .run({ ...entry, prevHash, hash });
+    return entry.seq;
+  }).immediate();
+}
+
+function list({ actor, action, before, limit = 100 } = {}) {
+  const where = [];
+  const params = { limit: Math.min(Number(limit) || 100, 500) };
+  if (actor) { where.push('actor = @actor'); params.actor = actor; }
+  if (action) { where.push('action = @action'); params.action = action; }
+  if (before) { where.push('seq < @before'); params.before = Number(before); }
+  const sql = `SELECT * FROM audit_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY seq DESC LIMIT @limit`;
+  return db.prepare(sql).all(params).map(fromRow);
+}
+
+// Recomputes the whole chain; `head` can be recorded elsewhere to detect truncation
+function verify() {
+  let prevHash = GENESIS;
+  let expectedSeq = 1;
+  let count = 0;
+  for (const row of db.prepare('SELECT * FROM audit_log ORDER BY seq').iterate()) {
+    const entry = { seq: row.seq, at: row.at, actor: row.actor, actorRole: row.actor_role, action: row.action, target: row.target, categories: row.categories, details: row.details };
+    if (row.seq !== expectedSeq || row.prev_hash !== prevHash || row.hash !== hashEntry(prevHash, entry)) {
+      return { valid: false, count, brokenAt: row.seq };
+    }
+    prevHash = row.hash;
+    expectedSeq++;
+    count++;
+  }
+  return { valid: true, count, head: count ? { seq: expectedSeq - 1, hash: prevHash } : null };
+}
+
+module.exports = { append, list, verify };
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, profileId: row.profile_id, clientName: row.client_name || null, clientMedicaidId: row.client_medicaid_id || null,
+    number: row.number, payer: row.payer, serviceCode: row.service_code, hours: row.hours, period: row.period,
+    startDate: row.start_date, endDate: row.end_date, notes: row.notes,
+    createdBy: row.created_by, createdAt: row.created_at, updatedAt: row.updated_at
+  };
+}
+
+const SELECT = `SELECT a.*, p.name AS client_name, p.medicaid_id AS client_medicaid_id
+  FROM authorizations a LEFT JOIN profiles p ON p.id = a.profile_id`;
+
+function findById(id) {
+  return fromRow(db.prepare(`${SELECT} WHERE a.id = ?`).get(id));
+}
+
+function findByNumber(payer, number) {
+  return fromRow(db.prepare(`${SELECT} WHERE a.payer = ? AND a.number = ?`).get(payer, number));
+}
+
+/**
+ * Authorizations, soonest to end first. `activeOn` keeps those covering that
+ * date; `endingAfter` drops ones that ended before it.
+ */
+function list({ profileId, serviceCode, activeOn, endingAfter, limit = 200 } = {}) {
+  const where = [];
+  const params = { limit: Math.min(Number(limit) || 200, 1000) };
+  if (profileId) { where.push('a.profile_id = @profileId'); params.profileId = profileId; }
+  if (serviceCode) { where.push('a.service_code = @serviceCode'); params.serviceCode = serviceCode; }
+  if (activeOn) { where.push('a.start_date <= @activeOn AND a.end_date >= @activeOn'); params.activeOn = activeOn; }
+  if (endingAfter) { where.push('a.end_date >= @endingAfter'); params.endingAfter = endingAfter; }
+  const sql = `${SELECT} ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY a.end_date, p.name LIMIT @limit`;
+  return db.prepare(sql).all(params).map(fromRow);
+}
+
+// Another authorization for the same client and service whose dates overlap
+function findOverlap(profileId, serviceCode, startDate, endDate, exceptId = null) {
+  return fromRow(db.prepare(`${SELECT} WHERE a.profile_id = ? AND a.service_code = ? AND a.id IS NOT ?
+    AND a.start_date <= ? AND a.end_date >= ? LIMIT 1`).get(profileId, serviceCode, exceptId, endDate, startDate));
+}
+
+function create({ profileId, number, payer, serviceCode, hours, period, startDate, endDate, notes, createdBy }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.prepare(`INSERT INTO authorizations (id, profile_id, number, payer, service_code, hours, period, start_date, end_date, notes, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, profileId, number, payer, serviceCode, hours, period, startDate, endDate, notes || null, createdBy || null, now, now);
+  return findById(id);
+}
+
+const UPDATABLE = {
+  number: 'number', payer: 'payer', serviceCode: 'service_code', hours: 'hours', period: 'period',
+  startDate: 'start_date', endDate: 'end_date', notes: 'notes'
+};
+
+function update(id, changes) {
+  const sets = ['updated_at = @updatedAt'];
+  const params = { id, updatedAt: new Date().toISOString() };
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (changes[key] === undefined) continue;
+    sets.push(`${column} = @${key}`);
+    params[key] = changes[key];
+  }
+  db.prepare(`UPDATE authorizations SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return findById(id);
+}
+
+function remove(id) {
+  return db.prepare('DELETE FROM authorizations WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Hours of a client's service in [from, to): `used` from clocked-out visits,
+ * `scheduled` from the planned length of visits not finished yet.
+ */
+function visitHours(profileId, serviceCode, from, to) {
+  const row = db.prepare(`SELECT
+      COALESCE(SUM(CASE WHEN status IN ('completed', 'verified') THEN hours END), 0) AS used,
+      COALESCE(SUM(CASE WHEN status IN ('scheduled', 'in_progress') THEN (julianday(scheduled_end) - julianday(scheduled_start)) * 24 END), 0) AS scheduled
+    FROM visits WHERE profile_id = ? AND service_code = ? AND scheduled_start >= ? AND scheduled_start < ?`)
+    .get(profileId, serviceCode, from, to);
+  return { used: row.used, scheduled: row.scheduled };
+}
+
+// Records an alert once per authorization, type and period; true when it is new
+function addAlert(authorizationId, type, periodStart) {
+  return db.prepare('INSERT OR IGNORE INTO authorization_alerts (authorization_id, type, period_start, created_at) VALUES (?, ?, ?, ?)')
+    .run(authorizationId, type, periodStart, new Date().toISOString()).changes > 0;
+}
+
+module.exports = { findById, findByNumber, list, findOverlap, create, update, remove, visitHours, addAlert };
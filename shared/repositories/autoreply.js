@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function policyFromRow(row) {
+  if (!row) return null;
+  return {
+    channel: row.channel, mode: row.mode, minConfidence: row.min_confidence, maxAutoReplies: row.max_auto_replies,
+    updatedBy: row.updated_by, updatedAt: row.updated_at
+  };
+}
+
+function draftFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, conversationId: row.conversation_id, subject: row.subject || null, contactName: row.contact_name || null,
+    messageId: row.message_id, clientMessage: row.client_message ?? null, body: row.body, confidence: row.confidence,
+    reason: row.reason, rules: JSON.parse(row.rules), status: row.status, sentMessageId: row.sent_message_id,
+    decidedBy: row.decided_by, decidedByName: row.decided_by_name || null, decidedAt: row.decided_at, createdAt: row.created_at
+  };
+}
+
+// -------- Policies --------
+function policies() {
+  return db.prepare('SELECT * FROM autoreply_policies ORDER BY channel').all().map(policyFromRow);
+}
+
+function findPolicy(channel) {
+  return policyFromRow(db.prepare('SELECT * FROM autoreply_policies WHERE channel = ?').get(channel));
+}
+
+function savePolicy({ channel, mode, minConfidence, maxAutoReplies, updatedBy }) {
+  db.prepare(`INSERT INTO autoreply_policies (channel, mode, min_confidence, max_auto_replies, updated_by, updated_at)
+    VALUES (@channel, @mode, @minConfidence, @maxAutoReplies, @updatedBy, @updatedAt)
+    ON CONFLICT (channel) DO UPDATE SET mode = @mode, min_confidence = @minConfidence, max_auto_replies = @maxAutoReplies,
+      updated_by = @updatedBy, updated_at = @updatedAt`)
+    .run({ channel, mode, minConfidence, maxAutoReplies, updatedBy: updatedBy || null, updatedAt: new Date().toISOString() });
+  return findPolicy(channel);
+}
+
+// -------- Per-thread overrides --------
+function threadMode(conversationId) {
+  const row = db.prepare('SELECT mode FROM autoreply_threads WHERE conversation_id = ?').get(conversationId);
+  return row ? row.mode : null;
+}
+
+// A null mode goes back to the channel's policy
+function setThreadMode(conversationId, mode, updatedBy) {
+  if (!mode) {
+    db.prepare('DELETE FROM autoreply_threads WHERE conversation_id = ?').run(conversationId);
+    return;
+  }
+  db.prepare(`INSERT INTO autoreply_threads (conversation_id, mode, updated_by, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (conversation_id) DO UPDATE SET mode = excluded.mode, updated_by = excluded.updated_by, updated_at = excluded.updated_at`)
+    .run(conversationId, mode, updatedBy || null, new Date().toISOString());
+}
+
+// -------- Drafts --------
+const SELECT_DRAFT = `SELECT d.*, c.subject, c.contact_name, m.body AS client_message, COALESCE(u.name, u.username) AS decided_by_name
+  FROM autoreply_drafts d
+  JOIN conversations c ON c.id = d.conversation_id
+  LEFT JOIN conversation_messages m ON m.id = d.message_id
+  LEFT JOIN users u ON u.id = d.decided_by`;
+
+function findDraft(id) {
+  return draftFromRow(db.prepare(`${SELECT_DRAFT} WHERE d.id = ?`).get(id));
+}
+
+function findDraftBySentMessage(messageId) {
+  return draftFromRow(db.prepare(`${SELECT_DRAFT} WHERE d.sent_message_id = ?`).get(messageId));
+}
+
+// Newest first; `status` and `conversationId` narrow the list
+function listDrafts({ status, conversationId, limit = 100 } = {}) {
+  const where = [];
+  const params = { limit: Math.min(Number(limit) || 100, 500) };
+  if (status) { where.push('d.status = @status'); params.status = status; }
+  if (conversationId) { where.push('d.conversation_id = @conversationId'); params.conversationId = conversationId; }
+  const sql = `${SELECT_DRAFT} ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY d.created_at DESC LIMIT @limit`;
+  return db.prepare(sql).all(params).map(draftFromRow);
+}
+
+function createDraft({ conversationId, messageId, body, confidence, reason, rules = [], status, sentMessageId }) {
+  const id = crypto.randomUUID();
+  db.prepare(`INSERT INTO autoreply_drafts (id, conversation_id, message_id, body, confidence, reason, rules, status, sent_message_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, conversationId, messageId, body, confidence ?? null, reason || null, JSON.stringify(rules), status, sentMessageId || null, new Date().toISOString());
+  return findDraft(id);
+}
+
+// Only pending drafts are decided; returns null when someone got there first
+function decideDraft(id, { status, decidedBy, sentMessageId, body }) {
+  const info = db.prepare(`UPDATE autoreply_drafts SET status = @status, decided_by = @decidedBy, decided_at = @decidedAt,
+      sent_message_id = COALESCE(@sentMessageId, sent_message_id), body = COALESCE(@body, body)
+    WHERE id = @id AND status = 'pending'`)
+    .run({ id, status, decidedBy: decidedBy || null, decidedAt: new Date().toISOString(), sentMessageId: sentMessageId || null, body: body || null });
+  return info.changes ? findDraft(id) : null;
+}
+
+function recordSent(id, sentMessageId) {
+  db.prepare('UPDATE autoreply_drafts SET sent_message_id = ? WHERE id = ?').run(sentMessageId, id);
+  return findDraft(id);
+}
+
+// Back to pending when sending an approved draft failed
+function reopenDraft(id) {
+  db.prepare("UPDATE autoreply_drafts SET status = 'pending', decided_by = NULL, decided_at = NULL WHERE id = ?").run(id);
+}
+
+// Pending drafts a newer client message or a rep's own reply has overtaken
+function supersede(conversationId) {
+  return db.prepare(`UPDATE autoreply_drafts SET status = 'superseded', decided_at = ? WHERE conversation_id = ? AND status = 'pending'`)
+    .run(new Date().toISOString(), conversationId).changes;
+}
+
+// AI messages sent on a thread since a rep last wrote in it
+function autoRepliesSinceRep(conversationId) {
+  return db.prepare(`SELECT COUNT(*) AS n FROM conversation_messages WHERE conversation_id = @conversationId AND sender_role = 'assistant'
+    AND id > COALESCE((SELECT MAX(id) FROM conversation_messages WHERE conversation_id = @conversationId AND sender_role = 'admin'), 0)`)
+    .get({ conversationId }).n;
+}
+
+module.exports = {
+  policies, findPolicy, savePolicy, threadMode, setThreadMode,
+  findDraft, findDraftBySentMessage, listDrafts, createDraft, decideDraft, recordSent, reopenDraft, supersede, autoRepliesSinceRep
+};
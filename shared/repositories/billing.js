@@ -0,0 +1,205 @@
+const db = require('../db');
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, claimNumber: row.claim_number, profileId: row.profile_id, authorizationId: row.authorization_id,
+    authorizationNumber: row.authorization_number, payer: row.payer, payerId: row.payer_id, serviceCode: row.service_code,
+    diagnosis: row.diagnosis, client: JSON.parse(row.client), fromDate: row.from_date, toDate: row.to_date, total: row.total,
+    status: row.status, batchId: row.batch_id, paid: row.paid, adjusted: row.adjusted, outstanding: row.outstanding,
+    statusReason: row.status_reason, payerClaimNumber: row.payer_claim_number, createdBy: row.created_by,
+    createdAt: row.created_at, updatedAt: row.updated_at, submittedAt: row.submitted_at, adjudicatedAt: row.adjudicated_at
+  };
+}
+
+function lineFromRow(row) {
+  return {
+    id: row.id, lineId: row.visit_id, visitId: row.visit_id, serviceCode: row.service_code, date: row.service_date,
+    units: row.units, rate: row.rate, amount: row.amount, paid: row.paid, adjustments: row.adjustments ? JSON.parse(row.adjustments) : []
+  };
+}
+
+function batchFromRow(row) {
+  if (!row) return null;
+  return { id: row.id, fileName: row.file_name, content: row.content, claimCount: row.claim_count, total: row.total, createdBy: row.created_by, createdAt: row.created_at };
+}
+
+function remittanceFromRow(row) {
+  return {
+    id: row.id, fileName: row.file_name, checkNumber: row.check_number, payer: row.payer, paidDate: row.paid_date, total: row.total,
+    matched: row.matched, unmatched: JSON.parse(row.unmatched), createdBy: row.created_by, createdAt: row.created_at
+  };
+}
+
+function lines(claimId) {
+  return db.prepare('SELECT * FROM claim_lines WHERE claim_id = ? ORDER BY service_date, id').all(claimId).map(lineFromRow);
+}
+
+function events(claimId) {
+  return db.prepare('SELECT * FROM claim_events WHERE claim_id = ? ORDER BY id').all(claimId)
+    .map(row => ({ status: row.status, message: row.message, actor: row.actor, at: row.created_at }));
+}
+
+function withLines(claim) {
+  return claim && { ...claim, lines: lines(claim.id) };
+}
+
+function findById(id) {
+  return withLines(fromRow(db.prepare('SELECT * FROM claims WHERE id = ?').get(Number(id))));
+}
+
+function findByNumber(claimNumber) {
+  return withLines(fromRow(db.prepare('SELECT * FROM claims WHERE claim_number = ?').get(claimNumber)));
+}
+
+/**
+ * One page of claims, newest first.
+ * @returns {{ claims: object[], total: number }}
+ */
+function list({ status, profileId, batchId, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = {};
+  if (status) { where.push('status = @status'); params.status = status; }
+  if (profileId) { where.push('profile_id = @profileId'); params.profileId = profileId; }
+  if (batchId) { where.push('batch_id = @batchId'); params.batchId = Number(batchId); }
+  const clause = where.length ? 'WHERE ' + where.join(' AND ') : '';
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM claims ${clause}`).get(params).n;
+  const rows = db.prepare(`SELECT * FROM claims ${clause} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit: Math.min(Number(limit) || 50, 200), offset: Number(offset) || 0 });
+  return { claims: rows.map(fromRow), total };
+}
+
+// Verified visits not on a live claim, with the client details a claim needs
+function unbilledVisits() {
+  return db.prepare(`SELECT v.id, v.profile_id, v.service_code, v.scheduled_start, v.hours,
+      p.name, p.medicaid_id, p.dob, p.address
+    FROM visits v JOIN profiles p ON p.id = v.profile_id
+    WHERE v.status = 'verified' AND NOT EXISTS (
+      SELECT 1 FROM claim_lines l JOIN claims c ON c.id = l.claim_id WHERE l.visit_id = v.id AND c.status <> 'void')
+    ORDER BY v.scheduled_start`).all().map(row => ({
+    id: row.id, profileId: row.profile_id, serviceCode: row.service_code, date: row.scheduled_start.slice(0, 10), hours: row.hours,
+    client: { name: row.name, medicaidId: row.medicaid_id, dob: row.dob, address: row.address }
+  }));
+}
+
+function addEvent(claimId, status, message, actor) {
+  db.prepare('INSERT INTO claim_events (claim_id, status, message, actor, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(claimId, status, message || null, actor || null, new Date().toISOString());
+}
+
+// Saves a built claim and its lines as a draft; the claim number comes from its row id
+function createClaim(claim, createdBy) {
+  const now = new Date().toISOString();
+  const id = db.transaction(() => {
+    const { lastInsertRowid } = db.prepare(`INSERT INTO claims (profile_id, authorization_id, authorization_number, payer, payer_id, service_code,
+        diagnosis, client, from_date, to_date, total, outstanding, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(claim.profileId, claim.authorizationId, claim.authorizationNumber, claim.payer, claim.payerId, claim.serviceCode,
+        claim.diagnosis, JSON.stringify(claim.client), claim.fromDate, claim.toDate, claim.total, claim.total, createdBy || null, now, now);
+    db.prepare('UPDATE claims SET claim_number = ? WHERE id = ?').run(`UFC${String(lastInsertRowid).padStart(7, '0')}`, lastInsertRowid);
+    const insertLine = db.prepare(`INSERT INTO claim_lines (claim_id, visit_id, service_code, service_date, units, rate, amount)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`);
+    claim.lines.forEach(line => insertLine.run(lastInsertRowid, line.visitId, line.serviceCode, line.date, line.units, line.rate, line.amount));
+    addEvent(lastInsertRowid, 'draft', `${claim.lines.length} visit(s) from ${claim.fromDate} to ${claim.toDate}`, createdBy);
+    return lastInsertRowid;
+  })();
+  return findById(id);
+}
+
+const UPDATABLE = {
+  status: 'status', batchId: 'batch_id', paid: 'paid', adjusted: 'adjusted', outstanding: 'outstanding',
+  statusReason: 'status_reason', payerClaimNumber: 'payer_claim_number', submittedAt: 'submitted_at', adjudicatedAt: 'adjudicated_at'
+};
+
+function update(id, changes) {
+  const sets = ['updated_at = @updatedAt'];
+  const params = { id, updatedAt: new Date().toISOString() };
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (changes[key] === undefined) continue;
+    sets.push(`${column} = @${key}`);
+    params[key] = changes[key];
+  }
+  db.prepare(`UPDATE claims SET ${sets.join(', ')} WHERE id = @id`).run(params);
+}
+
+// Moves a claim to a new status and records why, in one step
+function setStatus(id, changes, message, actor) {
+  db.transaction(() => {
+    update(id, changes);
+    addEvent(id, changes.status, message, actor);
+  })();
+  return findById(id);
+}
+
+// -------- Batches --------
+/**
+ * Writes an 837P batch: `build(control)` returns `{ fileName, content }` for
+ * the batch's control number, and the claims are marked submitted with it.
+ */
+function createBatch({ claimIds, total, createdBy, build }) {
+  const id = db.transaction(() => {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = db.prepare(`INSERT INTO claim_batches (file_name, content, claim_count, total, created_by, created_at)
+      VALUES ('', '', ?, ?, ?, ?)`).run(claimIds.length, total, createdBy || null, now);
+    const { fileName, content } = build(Number(lastInsertRowid));
+    db.prepare('UPDATE claim_batches SET file_name = ?, content = ? WHERE id = ?').run(fileName, content, lastInsertRowid);
+    claimIds.forEach(claimId => {
+      update(claimId, { status: 'submitted', batchId: lastInsertRowid, submittedAt: now });
+      addEvent(claimId, 'submitted', `Sent in ${fileName}`, createdBy);
+    });
+    return lastInsertRowid;
+  })();
+  return findBatch(id);
+}
+
+function findBatch(id) {
+  return batchFromRow(db.prepare('SELECT * FROM claim_batches WHERE id = ?').get(Number(id)));
+}
+
+function batches(limit = 50) {
+  return db.prepare('SELECT id, file_name, claim_count, total, created_by, created_at FROM claim_batches ORDER BY id DESC LIMIT ?')
+    .all(Math.min(Number(limit) || 50, 200)).map(batchFromRow);
+}
+
+// -------- Remittances --------
+function findRemittance(checkNumber, payer) {
+  const row = db.prepare('SELECT * FROM remittances WHERE check_number = ? AND payer IS ?').get(checkNumber, payer);
+  return row ? remittanceFromRow(row) : null;
+}
+
+function remittances(limit = 50) {
+  return db.prepare('SELECT * FROM remittances ORDER BY id DESC LIMIT ?').all(Math.min(Number(limit) || 50, 200)).map(remittanceFromRow);
+}
+
+/**
+ * Stores an 835 and applies its payments in one step. Each payment is
+ * `{ claimId, changes, lines: [{ lineId, paid, adjustments }], message }`.
+ */
+function recordRemittance({ fileName, checkNumber, payer, paidDate, total, content, unmatched, createdBy }, payments) {
+  const id = db.transaction(() => {
+    const { lastInsertRowid } = db.prepare(`INSERT INTO remittances (file_name, check_number, payer, paid_date, total, matched, unmatched, content, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(fileName, checkNumber, payer, paidDate, total, payments.length, JSON.stringify(unmatched), content, createdBy || null, new Date().toISOString());
+    const setLine = db.prepare('UPDATE claim_lines SET paid = ?, adjustments = ? WHERE claim_id = ? AND visit_id = ?');
+    payments.forEach(payment => {
+      update(payment.claimId, payment.changes);
+      addEvent(payment.claimId, payment.changes.status, payment.message, createdBy);
+      payment.lines.filter(line => line.lineId).forEach(line => setLine.run(line.paid, JSON.stringify(line.adjustments), payment.claimId, line.lineId));
+    });
+    return lastInsertRowid;
+  })();
+  return remittanceFromRow(db.prepare('SELECT * FROM remittances WHERE id = ?').get(id));
+}
+
+// Billed and paid totals per month of service for one client
+function monthlyTotals(profileId) {
+  return db.prepare(`SELECT substr(from_date, 1, 7) AS month, COUNT(*) AS claims, SUM(total) AS billed, SUM(paid) AS paid,
+      SUM(CASE WHEN status IN ('draft', 'submitted', 'accepted') THEN total ELSE 0 END) AS pending,
+      SUM(CASE WHEN status = 'denied' THEN total ELSE 0 END) AS denied
+    FROM claims WHERE profile_id = ? AND status <> 'void' GROUP BY month ORDER BY month DESC LIMIT 12`).all(profileId);
+}
+
+module.exports = {
+  findById, findByNumber, list, unbilledVisits, createClaim, setStatus, events,
+  createBatch, findBatch, batches, findRemittance, remittances, recordRemittance, monthlyTotals
+};
@@ -0,0 +1,51 @@
+const db = require('../db');
+
+function sessionFromRow(row) {
+  if (!row) return null;
+  return { id: row.id, userId: row.user_id, template: row.template, summary: row.summary, createdAt: row.created_at, updatedAt: row.updated_at };
+}
+
+function messageFromRow(row) {
+  return { id: row.id, sessionId: row.session_id, role: row.role, content: row.content, tokens: row.tokens, createdAt: row.created_at };
+}
+
+function findSession(id) {
+  return sessionFromRow(db.prepare('SELECT * FROM chat_sessions WHERE id = ?').get(id));
+}
+
+function createSession({ id, userId, template }) {
+  const now = new Date().toISOString();
+  db.prepare('INSERT INTO chat_sessions (id, user_id, template, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+    .run(id, userId || null, template, now, now);
+  return findSession(id);
+}
+
+function addMessage({ sessionId, role, content, tokens }) {
+  const now = new Date().toISOString();
+  db.prepare('INSERT INTO chat_messages (session_id, role, content, tokens, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(sessionId, role, content, tokens, now);
+  db.prepare('UPDATE chat_sessions SET updated_at = ? WHERE id = ?').run(now, sessionId);
+}
+
+// Turns not yet folded into the session summary, oldest first
+function unsummarized(sessionId) {
+  return db.prepare('SELECT * FROM chat_messages WHERE session_id = ? AND summarized = 0 ORDER BY id').all(sessionId).map(messageFromRow);
+}
+
+function messages(sessionId) {
+  return db.prepare('SELECT * FROM chat_messages WHERE session_id = ? ORDER BY id').all(sessionId).map(messageFromRow);
+}
+
+// Stores the new summary and marks the turns it covers in one step
+function saveSummary(sessionId, summary, throughId) {
+  db.transaction(() => {
+    db.prepare('UPDATE chat_sessions SET summary = ?, updated_at = ? WHERE id = ?').run(summary, new Date().toISOString(), sessionId);
+    db.prepare('UPDATE chat_messages SET summarized = 1 WHERE session_id = ? AND id <= ?').run(sessionId, throughId);
+  })();
+}
+
+function deleteSession(id) {
+  db.prepare('DELETE FROM chat_sessions WHERE id = ?').run(id);
+}
+
+module.exports = { findSession, createSession, addMessage, unsummarized, messages, saveSummary, deleteSession };
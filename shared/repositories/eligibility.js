@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function jobFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, profileId: row.profile_id, profileName: row.profile_name || null, adapter: row.adapter, status: row.status,
+    request: JSON.parse(row.request), result: row.result ? JSON.parse(row.result) : null, error: row.error, reference: row.reference,
+    attempts: row.attempts, maxAttempts: row.max_attempts, runAfter: row.run_after, leaseUntil: row.lease_until,
+    createdBy: row.created_by, createdAt: row.created_at, updatedAt: row.updated_at, finishedAt: row.finished_at
+  };
+}
+
+const SELECT_JOB = 'SELECT j.*, p.name AS profile_name FROM eligibility_jobs j LEFT JOIN profiles p ON p.id = j.profile_id';
+
+function addEvent(jobId, status, message) {
+  db.prepare('INSERT INTO eligibility_job_events (job_id, status, message, created_at) VALUES (?, ?, ?, ?)')
+    .run(jobId, status, message || null, new Date().toISOString());
+}
+
+function events(jobId) {
+  return db.prepare('SELECT * FROM eligibility_job_events WHERE job_id = ? ORDER BY id').all(jobId)
+    .map(r => ({ status: r.status, message: r.message, at: r.created_at }));
+}
+
+function createJob({ profileId, adapter, request, maxAttempts = 3, createdBy }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(`INSERT INTO eligibility_jobs (id, profile_id, adapter, request, max_attempts, run_after, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(id, profileId, adapter, JSON.stringify(request), maxAttempts, now, createdBy || null, now, now);
+    addEvent(id, 'queued', `Queued for the ${adapter} verifier`);
+  })();
+  return findJob(id);
+}
+
+function findJob(id) {
+  return jobFromRow(db.prepare(`${SELECT_JOB} WHERE j.id = ?`).get(id));
+}
+
+// Newest first
+function listJobs({ status, profileId, limit = 50 } = {}) {
+  const where = [];
+  const params = { limit: Math.min(Number(limit) || 50, 200) };
+  if (status) { where.push('j.status = @status'); params.status = status; }
+  if (profileId) { where.push('j.profile_id = @profileId'); params.profileId = profileId; }
+  const sql = `${SELECT_JOB} ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY j.created_at DESC LIMIT @limit`;
+  return db.prepare(sql).all(params).map(jobFromRow);
+}
+
+// Jobs still in flight for a profile, so a second request does not start a duplicate check
+function openJobFor(profileId) {
+  return jobFromRow(db.prepare(`${SELECT_JOB} WHERE j.profile_id = ? AND j.status IN ('queued', 'calling') ORDER BY j.created_at DESC LIMIT 1`).get(profileId));
+}
+
+/**
+ * Takes the next due job and leases it to the caller until `leaseMs` from now.
+ * Jobs whose lease ran out (a worker died mid-call) are due again. IMMEDIATE
+ * keeps the other server from claiming the same job.
+ */
+function claimDue(leaseMs) {
+  return db.transaction(() => {
+    const now = new Date().toISOString();
+    const row = db.prepare(`SELECT id FROM eligibility_jobs
+      WHERE status IN ('queued', 'calling') AND run_after <= ? AND (lease_until IS NULL OR lease_until < ?)
+      ORDER BY run_after LIMIT 1`).get(now, now);
+    if (!row) return null;
+    db.prepare(`UPDATE eligibility_jobs SET status = 'calling', lease_until = ?, updated_at = ? WHERE id = ?`)
+      .run(new Date(Date.now() + leaseMs).toISOString(), now, row.id);
+    return findJob(row.id);
+  }).immediate();
+}
+
+const UPDATABLE = {
+  status: 'status', error: 'error', reference: 'reference', attempts: 'attempts',
+  runAfter: 'run_after', leaseUntil: 'lease_until', finishedAt: 'finished_at'
+};
+
+function updateJob(id, changes) {
+  const sets = ['updated_at = @updatedAt'];
+  const params = { id, updatedAt: new Date().toISOString() };
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (changes[key] === undefined) continue;
+    sets.push(`${column} = @${key}`);
+    params[key] = changes[key];
+  }
+  if (changes.result !== undefined) {
+    sets.push('result = @result');
+    params.result = changes.result === null ? null : JSON.stringify(changes.result);
+  }
+  db.prepare(`UPDATE eligibility_jobs SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return findJob(id);
+}
+
+module.exports = { createJob, findJob, listJobs, openJobFor, claimDue, updateJob, addEvent, events };
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, userId: row.user_id, profileId: row.profile_id, name: row.name, email: row.email, phone: row.phone,
+    position: row.position, status: row.status, statusReason: row.status_reason, hireDate: row.hire_date, endDate: row.end_date,
+    notes: row.notes, username: row.username || null, createdBy: row.created_by, createdAt: row.created_at, updatedAt: row.updated_at
+  };
+}
+
+function credentialFromRow(row) {
+  return {
+    id: row.id, employeeId: row.employee_id, type: row.type, number: row.number, issuer: row.issuer,
+    issuedOn: row.issued_on, expiresOn: row.expires_on,
+    document: row.document_file ? { name: row.document_name, type: row.document_type, size: row.document_size, file: row.document_file } : null,
+    createdBy: row.created_by, createdAt: row.created_at, updatedAt: row.updated_at
+  };
+}
+
+const SELECT = 'SELECT e.*, u.username FROM employees e LEFT JOIN users u ON u.id = e.user_id';
+
+function findById(id) {
+  return fromRow(db.prepare(`${SELECT} WHERE e.id = ?`).get(id));
+}
+
+function findByUserId(userId) {
+  return fromRow(db.prepare(`${SELECT} WHERE e.user_id = ?`).get(userId));
+}
+
+// Employees by name; `statuses` and `position` narrow the list, `q` matches name, email or login
+function list({ statuses, position, q, limit = 200 } = {}) {
+  const where = [];
+  const params = { limit: Math.min(Number(limit) || 200, 1000) };
+  if (statuses && statuses.length) {
+    where.push(`e.status IN (${statuses.map((_, i) => `@status${i}`).join(', ')})`);
+    statuses.forEach((status, i) => { params[`status${i}`] = status; });
+  }
+  if (position) { where.push('e.position = @position'); params.position = position; }
+  if (q) { where.push('(e.name LIKE @q OR e.email LIKE @q OR u.username LIKE @q)'); params.q = `%${q}%`; }
+  const sql = `${SELECT} ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY e.name LIMIT @limit`;
+  return db.prepare(sql).all(params).map(fromRow);
+}
+
+function create({ userId, profileId, name, email, phone, position, status, hireDate, notes, createdBy }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.prepare(`INSERT INTO employees (id, user_id, profile_id, name, email, phone, position, status, hire_date, notes, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, userId || null, profileId || null, name, email || null, phone || null, position, status, hireDate || null, notes || null, createdBy || null, now, now);
+  return findById(id);
+}
+
+const UPDATABLE = {
+  userId: 'user_id', profileId: 'profile_id', name: 'name', email: 'email', phone: 'phone', position: 'position',
+  status: 'status', statusReason: 'status_reason', hireDate: 'hire_date', endDate: 'end_date', notes: 'notes'
+};
+
+function update(id, changes) {
+  const sets = ['updated_at = @updatedAt'];
+  const params = { id, updatedAt: new Date().toISOString() };
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (changes[key] === undefined) continue;
+    sets.push(`${column} = @${key}`);
+    params[key] = changes[key];
+  }
+  db.prepare(`UPDATE employees SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return findById(id);
+}
+
+// -------- Checklist --------
+function steps(employeeId) {
+  return db.prepare('SELECT * FROM employee_steps WHERE employee_id = ?').all(employeeId).map(row => ({
+    step: row.step, status: row.status, note: row.note, completedBy: row.completed_by, completedAt: row.completed_at
+  }));
+}
+
+// Marks a step done or waived; `status` null puts it back to pending
+function setStep(employeeId, step, { status, note, completedBy }) {
+  if (!status) {
+    db.prepare('DELETE FROM employee_steps WHERE employee_id = ? AND step = ?').run(employeeId, step);
+    return;
+  }
+  db.prepare(`INSERT INTO employee_steps (employee_id, step, status, note, completed_by, completed_at) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (employee_id, step) DO UPDATE SET status = excluded.status, note = excluded.note,
+      completed_by = excluded.completed_by, completed_at = excluded.completed_at`)
+    .run(employeeId, step, status, note || null, completedBy || null, new Date().toISOString());
+}
+
+// -------- Credentials --------
+function credentials(employeeId) {
+  return db.prepare('SELECT * FROM employee_credentials WHERE employee_id = ? ORDER BY type, expires_on DESC').all(employeeId).map(credentialFromRow);
+}
+
+function findCredential(employeeId, credentialId) {
+  const row = db.prepare('SELECT * FROM employee_credentials WHERE id = ? AND employee_id = ?').get(credentialId, employeeId);
+  return row ? credentialFromRow(row) : null;
+}
+
+function addCredential({ employeeId, type, number, issuer, issuedOn, expiresOn, createdBy }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.prepare(`INSERT INTO employee_credentials (id, employee_id, type, number, issuer, issued_on, expires_on, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, employeeId, type, number || null, issuer || null, issuedOn || null, expiresOn, createdBy || null, now, now);
+  return findCredential(employeeId, id);
+}
+
+function setDocument(employeeId, credentialId, { name, type, size, file }) {
+  db.prepare(`UPDATE employee_credentials SET document_name = ?, document_type = ?, document_size = ?, document_file = ?, updated_at = ?
+    WHERE id = ? AND employee_id = ?`).run(name, type, size, file, new Date().toISOString(), credentialId, employeeId);
+  return findCredential(employeeId, credentialId);
+}
+
+function removeCredential(employeeId, credentialId) {
+  return db.prepare('DELETE FROM employee_credentials WHERE id = ? AND employee_id = ?').run(credentialId, employeeId).changes > 0;
+}
+
+function addAlert(credentialId, type) {
+  return db.prepare('INSERT OR IGNORE INTO credential_alerts (credential_id, type, created_at) VALUES (?, ?, ?)')
+    .run(credentialId, type, new Date().toISOString()).changes > 0;
+}
+
+module.exports = {
+  findById, findByUserId, list, create, update, steps, setStep,
+  credentials, findCredential, addCredential, setDocument, removeCredential, addAlert
+};
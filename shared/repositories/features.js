@@ -0,0 +1,35 @@
+const db = require('../db');
+
+const list = value => (value ? JSON.parse(value) : null);
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    key: row.key, description: row.description, enabled: Boolean(row.enabled),
+    environments: list(row.environments), roles: list(row.roles), users: list(row.users),
+    rolloutPercent: row.rollout_percent, updatedBy: row.updated_by, updatedAt: row.updated_at
+  };
+}
+
+function all() {
+  return db.prepare('SELECT * FROM feature_flags ORDER BY key').all().map(fromRow);
+}
+
+function find(key) {
+  return fromRow(db.prepare('SELECT * FROM feature_flags WHERE key = ?').get(key));
+}
+
+function save({ key, description, enabled, environments, roles, users, rolloutPercent, updatedBy }) {
+  const json = value => (value ? JSON.stringify(value) : null);
+  db.prepare(`INSERT INTO feature_flags (key, description, enabled, environments, roles, users, rollout_percent, updated_by, updated_at)
+    VALUES (@key, @description, @enabled, @environments, @roles, @users, @rolloutPercent, @updatedBy, @updatedAt)
+    ON CONFLICT (key) DO UPDATE SET description = @description, enabled = @enabled, environments = @environments, roles = @roles,
+      users = @users, rollout_percent = @rolloutPercent, updated_by = @updatedBy, updated_at = @updatedAt`)
+    .run({
+      key, description: description || '', enabled: enabled ? 1 : 0, environments: json(environments), roles: json(roles), users: json(users),
+      rolloutPercent, updatedBy: updatedBy || null, updatedAt: new Date().toISOString()
+    });
+  return find(key);
+}
+
+module.exports = { all, find, save };
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function conversationFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, subject: row.subject, channel: row.channel, status: row.status, queue: row.queue,
+    clientId: row.client_id, contact: { name: row.contact_name, phone: row.contact_phone, email: row.contact_email },
+    assignedTo: row.assigned_to, assignedName: row.assigned_name || null, escalationReason: row.escalation_reason,
+    tags: row.tags ? row.tags.split(',').sort() : [],
+    createdBy: row.created_by, createdAt: row.created_at, updatedAt: row.updated_at, lastMessageAt: row.last_message_at
+  };
+}
+
+function messageFromRow(row) {
+  return {
+    id: row.id, conversationId: row.conversation_id, senderId: row.sender_id, senderRole: row.sender_role,
+    senderName: row.sender_name || null, body: row.body, createdAt: row.created_at
+  };
+}
+
+const SELECT_CONVERSATION = `SELECT c.*, COALESCE(a.name, a.username) AS assigned_name,
+    (SELECT group_concat(tag) FROM conversation_tags t WHERE t.conversation_id = c.id) AS tags
+  FROM conversations c LEFT JOIN users a ON a.id = c.assigned_to`;
+
+function createConversation({ subject, channel = 'app', clientId, contact = {}, createdBy, tags = [] }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(`INSERT INTO conversations (id, subject, channel, client_id, contact_name, contact_phone, contact_email, created_by, created_at, updated_at, last_message_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(id, subject, channel, clientId || null, contact.name || null, contact.phone || null, contact.email || null, createdBy || null, now, now, now);
+    setTags(id, tags, []);
+  })();
+  return findConversation(id);
+}
+
+function findConversation(id) {
+  return conversationFromRow(db.prepare(`${SELECT_CONVERSATION} WHERE c.id = ?`).get(id));
+}
+
+/**
+ * Newest activity first. `participantId` limits to threads that user is part
+ * of; `queue`, `assignedTo` and `status` narrow the rep inbox.
+ */
+function listConversations({ participantId, queue, assignedTo, status, limit = 100 } = {}) {
+  const where = [];
+  const params = { limit: Math.min(Number(limit) || 100, 500) };
+  if (participantId) {
+    where.push('c.id IN (SELECT conversation_id FROM conversation_participants WHERE user_id = @participantId)');
+    params.participantId = participantId;
+  }
+  if (queue) { where.push('c.queue = @queue'); params.queue = queue; }
+  if (assignedTo) { where.push('c.assigned_to = @assignedTo'); params.assignedTo = assignedTo; }
+  if (status) { where.push('c.status = @status'); params.status = status; }
+  const sql = `${SELECT_CONVERSATION} ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY c.last_message_at DESC LIMIT @limit`;
+  return db.prepare(sql).all(params).map(conversationFromRow);
+}
+
+const UPDATABLE = {
+  status: 'status', queue: 'queue', assignedTo: 'assigned_to', escalationReason: 'escalation_reason',
+  subject: 'subject', contactName: 'contact_name'
+};
+
+function updateConversation(id, changes) {
+  const sets = ['updated_at = @updatedAt'];
+  const params = { id, updatedAt: new Date().toISOString() };
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (changes[key] === undefined) continue;
+    sets.push(`${column} = @${key}`);
+    params[key] = changes[key];
+  }
+  db.prepare(`UPDATE conversations SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return findConversation(id);
+}
+
+function setTags(conversationId, add = [], remove = []) {
+  const insert = db.prepare('INSERT OR IGNORE INTO conversation_tags (conversation_id, tag) VALUES (?, ?)');
+  const del = db.prepare('DELETE FROM conversation_tags WHERE conversation_id = ? AND tag = ?');
+  db.transaction(() => {
+    add.forEach(tag => insert.run(conversationId, tag));
+    remove.forEach(tag => del.run(conversationId, tag));
+  })();
+}
+
+function addMessage({ conversationId, senderId, senderRole, body }) {
+  const now = new Date().toISOString();
+  const id = db.transaction(() => {
+    const info = db.prepare(`INSERT INTO conversation_messages (conversation_id, sender_id, sender_role, body, created_at) VALUES (?, ?, ?, ?, ?)`)
+      .run(conversationId, senderId || null, senderRole, body, now);
+    db.prepare('UPDATE conversations SET last_message_at = ?, updated_at = ? WHERE id = ?').run(now, now, conversationId);
+    return Number(info.lastInsertRowid);
+  })();
+  return findMessage(id);
+}
+
+const SELECT_MESSAGE = `SELECT m.*, COALESCE(u.name, u.username) AS sender_name
+  FROM conversation_messages m LEFT JOIN users u ON u.id = m.sender_id`;
+
+function findMessage(id) {
+  const row = db.prepare(`${SELECT_MESSAGE} WHERE m.id = ?`).get(id);
+  return row ? messageFromRow(row) : null;
+}
+
+// Oldest first; `before` pages backwards through long threads
+function messages(conversationId, { before, limit = 200 } = {}) {
+  const max = Math.min(Number(limit) || 200, 500);
+  const rows = before
+    ? db.prepare(`${SELECT_MESSAGE} WHERE m.conversation_id = ? AND m.id < ? ORDER BY m.id DESC LIMIT ?`).all(conversationId, Number(before), max)
+    : db.prepare(`${SELECT_MESSAGE} WHERE m.conversation_id = ? ORDER BY m.id DESC LIMIT ?`).all(conversationId, max);
+  return rows.reverse().map(messageFromRow);
+}
+
+function lastMessage(conversationId) {
+  const row = db.prepare(`${SELECT_MESSAGE} WHERE m.conversation_id = ? ORDER BY m.id DESC LIMIT 1`).get(conversationId);
+  return row ? messageFromRow(row) : null;
+}
+
+// Messages from anyone else after the viewer's read receipt
+function unreadCount(conversationId, userId) {
+  return db.prepare(`SELECT COUNT(*) AS n FROM conversation_messages m
+    WHERE m.conversation_id = @conversationId AND (m.sender_id IS NULL OR m.sender_id != @userId)
+      AND m.id > COALESCE((SELECT last_read_message_id FROM conversation_participants WHERE conversation_id = @conversationId AND user_id = @userId), 0)`)
+    .get({ conversationId, userId }).n;
+}
+
+function addParticipant(conversationId, userId, role) {
+  db.prepare(`INSERT OR IGNORE INTO conversation_participants (conversation_id, user_id, role, joined_at) VALUES (?, ?, ?, ?)`)
+    .run(conversationId, userId, role, new Date().toISOString());
+}
+
+function isParticipant(conversationId, userId) {
+  return !!db.prepare('SELECT 1 FROM conversation_participants WHERE conversation_id = ? AND user_id = ?').get(conversationId, userId);
+}
+
+function participants(conversationId) {
+  return db.prepare(`SELECT p.*, COALESCE(u.name, u.username) AS name FROM conversation_participants p
+    LEFT JOIN users u ON u.id = p.user_id WHERE p.conversation_id = ? ORDER BY p.joined_at`).all(conversationId)
+    .map(r => ({ userId: r.user_id, name: r.name, role: r.role, lastReadMessageId: r.last_read_message_id, lastReadAt: r.last_read_at }));
+}
+
+// Read receipts only move forward
+function markRead(conversationId, userId, messageId) {
+  const info = db.prepare(`UPDATE conversation_participants SET last_read_message_id = ?, last_read_at = ?
+    WHERE conversation_id = ? AND user_id = ? AND last_read_message_id < ?`)
+    .run(messageId, new Date().toISOString(), conversationId, userId, messageId);
+  return info.changes > 0;
+}
+
+function addEvent(conversationId, type, data = {}) {
+  db.prepare('INSERT INTO inbox_events (conversation_id, type, data, created_at) VALUES (?, ?, ?, ?)')
+    .run(conversationId, type, JSON.stringify(data), new Date().toISOString());
+}
+
+function eventsAfter(id, limit = 500) {
+  return db.prepare('SELECT * FROM inbox_events WHERE id > ? ORDER BY id LIMIT ?').all(Number(id) || 0, limit)
+    .map(r => ({ id: r.id, conversationId: r.conversation_id, type: r.type, data: JSON.parse(r.data), createdAt: r.created_at }));
+}
+
+function latestEventId() {
+  return db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM inbox_events').get().id;
+}
+
+function pruneEvents(before) {
+  db.prepare('DELETE FROM inbox_events WHERE created_at < ?').run(before);
+}
+
+module.exports = {
+  createConversation, findConversation, listConversations, updateConversation, setTags,
+  addMessage, findMessage, messages, lastMessage, unreadCount,
+  addParticipant, isParticipant, participants, markRead,
+  addEvent, eventsAfter, latestEventId, pruneEvents
+};
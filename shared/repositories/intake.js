@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function draftFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, tokenHash: row.token_hash, status: row.status, data: JSON.parse(row.data), userId: row.user_id, profileId: row.profile_id,
+    createdAt: row.created_at, updatedAt: row.updated_at, expiresAt: row.expires_at, submittedAt: row.submitted_at
+  };
+}
+
+function documentFromRow(row) {
+  return { kind: row.kind, name: row.name, type: row.type, size: row.size, file: row.file, createdAt: row.created_at };
+}
+
+function findDraft(id) {
+  return draftFromRow(db.prepare('SELECT * FROM intake_drafts WHERE id = ?').get(id));
+}
+
+function createDraft({ tokenHash, data = {}, expiresAt }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.prepare(`INSERT INTO intake_drafts (id, token_hash, data, created_at, updated_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)`)
+    .run(id, tokenHash, JSON.stringify(data), now, now, expiresAt);
+  return findDraft(id);
+}
+
+// Saving an answer also pushes the expiry out
+function saveData(id, data, expiresAt) {
+  db.prepare(`UPDATE intake_drafts SET data = ?, updated_at = ?, expires_at = ? WHERE id = ? AND status = 'draft'`)
+    .run(JSON.stringify(data), new Date().toISOString(), expiresAt, id);
+  return findDraft(id);
+}
+
+function removeDraft(id) {
+  db.prepare('DELETE FROM intake_drafts WHERE id = ?').run(id);
+}
+
+/**
+ * Marks the draft submitted and runs `work` (creating the account, profiles
+ * and tasks) in the same transaction, so either all of it happens or none.
+ * `work` returns { userId, profileId }. Returns null, having done nothing,
+ * when the draft was already submitted.
+ */
+function submit(id, work) {
+  return db.transaction(() => {
+    const now = new Date().toISOString();
+    const claimed = db.prepare(`UPDATE intake_drafts SET status = 'submitted', submitted_at = ?, updated_at = ? WHERE id = ? AND status = 'draft'`)
+      .run(now, now, id).changes;
+    if (!claimed) return null;
+    const result = work();
+    db.prepare(`UPDATE intake_drafts SET data = '{}', user_id = ?, profile_id = ? WHERE id = ?`).run(result.userId, result.profileId, id);
+    return result;
+  }).immediate();
+}
+
+// Unsubmitted drafts past their expiry, with their documents' files
+function expired(now = new Date().toISOString()) {
+  return db.prepare(`SELECT * FROM intake_drafts WHERE status = 'draft' AND expires_at < ?`).all(now)
+    .map(row => ({ ...draftFromRow(row), documents: documents(row.id) }));
+}
+
+// -------- Documents --------
+function documents(draftId) {
+  return db.prepare('SELECT * FROM intake_documents WHERE draft_id = ? ORDER BY kind').all(draftId).map(documentFromRow);
+}
+
+function findDocument(draftId, kind) {
+  const row = db.prepare('SELECT * FROM intake_documents WHERE draft_id = ? AND kind = ?').get(draftId, kind);
+  return row ? documentFromRow(row) : null;
+}
+
+function saveDocument(draftId, { kind, name, type, size, file }) {
+  db.prepare(`INSERT INTO intake_documents (draft_id, kind, name, type, size, file, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (draft_id, kind) DO UPDATE SET name = excluded.name, type = excluded.type, size = excluded.size, file = excluded.file,
+      created_at = excluded.created_at`)
+    .run(draftId, kind, name, type, size, file, new Date().toISOString());
+  return findDocument(draftId, kind);
+}
+
+function removeDocument(draftId, kind) {
+  db.prepare('DELETE FROM intake_documents WHERE draft_id = ? AND kind = ?').run(draftId, kind);
+}
+
+module.exports = {
+  findDraft, createDraft, saveData, removeDraft, submit, expired, documents, findDocument, saveDocument, removeDocument
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function documentFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, title: row.title, source: row.source, status: row.status, version: row.version,
+    chunkCount: row.chunk_count ?? 0, length: row.length ?? (row.body || '').length, body: row.body,
+    indexedAt: row.indexed_at, createdBy: row.created_by, createdAt: row.created_at, updatedBy: row.updated_by, updatedAt: row.updated_at
+  };
+}
+
+const SELECT_DOCUMENT = `SELECT d.*, LENGTH(d.body) AS length, (SELECT COUNT(*) FROM kb_chunks c WHERE c.document_id = d.id) AS chunk_count
+  FROM kb_documents d`;
+
+function findById(id) {
+  return documentFromRow(db.prepare(`${SELECT_DOCUMENT} WHERE d.id = ?`).get(id));
+}
+
+// Library documents carry the checksum of the file they were last synced from
+function findBySource(source) {
+  const row = db.prepare(`${SELECT_DOCUMENT} WHERE d.source = ?`).get(source);
+  return row ? { ...documentFromRow(row), fileChecksum: row.file_checksum } : null;
+}
+
+// Newest edits first, without bodies; `status` narrows the list
+function list({ status } = {}) {
+  const rows = status
+    ? db.prepare(`${SELECT_DOCUMENT} WHERE d.status = ? ORDER BY d.updated_at DESC`).all(status)
+    : db.prepare(`${SELECT_DOCUMENT} ORDER BY d.updated_at DESC`).all();
+  return rows.map(row => {
+    const { body, ...document } = documentFromRow(row);
+    return document;
+  });
+}
+
+function chunks(documentId) {
+  return db.prepare('SELECT id, ordinal, heading, text FROM kb_chunks WHERE document_id = ? ORDER BY ordinal').all(documentId);
+}
+
+function unindex(documentId) {
+  db.prepare('DELETE FROM kb_chunks_fts WHERE rowid IN (SELECT id FROM kb_chunks WHERE document_id = ?)').run(documentId);
+}
+
+function indexChunks(documentId) {
+  db.prepare(`INSERT INTO kb_chunks_fts (rowid, title, heading, text)
+    SELECT c.id, d.title, COALESCE(c.heading, ''), c.text FROM kb_chunks c JOIN kb_documents d ON d.id = c.document_id WHERE c.document_id = ?`)
+    .run(documentId);
+}
+
+// Swaps in a new set of passages; only an active document's are searchable
+function writeChunks(documentId, passages) {
+  unindex(documentId);
+  db.prepare('DELETE FROM kb_chunks WHERE document_id = ?').run(documentId);
+  const insert = db.prepare('INSERT INTO kb_chunks (document_id, ordinal, heading, text) VALUES (?, ?, ?, ?)');
+  for (const p of passages) insert.run(documentId, p.ordinal, p.heading || null, p.text);
+  const { status } = db.prepare('SELECT status FROM kb_documents WHERE id = ?').get(documentId);
+  if (status === 'active') indexChunks(documentId);
+  db.prepare('UPDATE kb_documents SET indexed_at = ? WHERE id = ?').run(new Date().toISOString(), documentId);
+}
+
+function create({ title, source, body, fileChecksum, createdBy, passages }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(`INSERT INTO kb_documents (id, title, source, body, file_checksum, created_by, created_at, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(id, title, source, body, fileChecksum || null, createdBy || null, now, createdBy || null, now);
+    writeChunks(id, passages);
+  })();
+  return findById(id);
+}
+
+// New content is a new version; its passages replace the old ones in the same transaction
+function update(id, { title, body, fileChecksum, updatedBy, passages }) {
+  db.transaction(() => {
+    db.prepare(`UPDATE kb_documents SET title = @title, body = @body, version = version + 1,
+        file_checksum = COALESCE(@fileChecksum, file_checksum), updated_by = @updatedBy, updated_at = @updatedAt
+      WHERE id = @id`)
+      .run({ id, title, body, fileChecksum: fileChecksum || null, updatedBy: updatedBy || null, updatedAt: new Date().toISOString() });
+    writeChunks(id, passages);
+  })();
+  return findById(id);
+}
+
+function reindex(id, passages) {
+  db.transaction(() => writeChunks(id, passages))();
+  return findById(id);
+}
+
+// Retired documents keep their passages but drop out of the index
+function setStatus(id, status, updatedBy) {
+  db.transaction(() => {
+    db.prepare('UPDATE kb_documents SET status = ?, updated_by = ?, updated_at = ? WHERE id = ?')
+      .run(status, updatedBy || null, new Date().toISOString(), id);
+    unindex(id);
+    if (status === 'active') indexChunks(id);
+  })();
+  return findById(id);
+}
+
+/**
+ * Passages of active documents matching an FTS5 expression, best first.
+ * Title and heading hits weigh more than body text; `score` is BM25 with
+ * higher meaning more relevant.
+ */
+function search(match, limit) {
+  return db.prepare(`SELECT c.id, c.document_id, c.ordinal, c.heading, c.text, d.title, d.version,
+      bm25(kb_chunks_fts, 4.0, 2.0, 1.0) AS rank
+    FROM kb_chunks_fts
+    JOIN kb_chunks c ON c.id = kb_chunks_fts.rowid
+    JOIN kb_documents d ON d.id = c.document_id
+    WHERE kb_chunks_fts MATCH ? AND d.status = 'active'
+    ORDER BY rank LIMIT ?`)
+    .all(match, limit)
+    .map(row => ({
+      chunkId: row.id, documentId: row.document_id, title: row.title, version: row.version, heading: row.heading,
+      ordinal: row.ordinal, text: row.text, score: Math.round(-row.rank * 1000) / 1000
+    }));
+}
+
+module.exports = { findById, findBySource, list, chunks, create, update, reindex, setStatus, search };
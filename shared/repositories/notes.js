@@ -0,0 +1,128 @@
+const db = require('../db');
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, profileId: row.profile_id, text: row.text, by: row.author, authorId: row.author_id,
+    category: row.category, priority: row.priority, pinned: !!row.pinned,
+    conversationId: row.conversation_id, conversationSubject: row.conversation_subject || null,
+    revision: row.revision, at: row.created_at, updatedAt: row.updated_at, updatedBy: row.updated_by
+  };
+}
+
+function revisionFromRow(row) {
+  return {
+    revision: row.revision, text: row.text, category: row.category, priority: row.priority, pinned: !!row.pinned,
+    conversationId: row.conversation_id, editedBy: row.edited_by, editorName: row.editor_name, editedAt: row.edited_at
+  };
+}
+
+const SELECT = `SELECT n.*, c.subject AS conversation_subject FROM notes n LEFT JOIN conversations c ON c.id = n.conversation_id`;
+
+function findById(id) {
+  return fromRow(db.prepare(`${SELECT} WHERE n.id = ?`).get(id));
+}
+
+function listByProfile(profileId) {
+  return db.prepare(`${SELECT} WHERE n.profile_id = ? ORDER BY n.created_at, n.id`).all(profileId).map(fromRow);
+}
+
+// Words become quoted prefix terms, so user input is never read as FTS syntax
+function ftsQuery(q) {
+  const words = String(q || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.slice(0, 8).map(word => `"${word}"*`).join(' ');
+}
+
+/**
+ * One page of notes, pinned first and then newest first. `q` is a full-text
+ * search over the current text; every word must match (as a prefix).
+ * @returns {{ notes: object[], total: number }}
+ */
+function search({ profileId, conversationId, q, category, priority, pinned, limit = 20, offset = 0 } = {}) {
+  const where = [];
+  const params = {};
+  if (profileId) {
+    where.push('n.profile_id = @profileId');
+    params.profileId = profileId;
+  }
+  if (conversationId) {
+    where.push('n.conversation_id = @conversationId');
+    params.conversationId = conversationId;
+  }
+  if (category) {
+    where.push('n.category = @category');
+    params.category = category;
+  }
+  if (priority) {
+    where.push('n.priority = @priority');
+    params.priority = priority;
+  }
+  if (pinned !== undefined) {
+    where.push('n.pinned = @pinned');
+    params.pinned = pinned ? 1 : 0;
+  }
+  const match = ftsQuery(q);
+  if (q && !match) return { notes: [], total: 0 };
+  if (match) {
+    where.push('n.rowid IN (SELECT rowid FROM notes_fts WHERE notes_fts MATCH @match)');
+    params.match = match;
+  }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM notes n ${clause}`).get(params).n;
+  const rows = db.prepare(`${SELECT} ${clause} ORDER BY n.pinned DESC, n.created_at DESC, n.id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit: Math.min(Number(limit) || 20, 100), offset: Math.max(Number(offset) || 0, 0) });
+  return { notes: rows.map(fromRow), total };
+}
+
+const insertRevision = () => db.prepare(`INSERT INTO note_revisions
+  (note_id, revision, text, category, priority, pinned, conversation_id, edited_by, editor_name, edited_at)
+  VALUES (@id, @revision, @text, @category, @priority, @pinned, @conversationId, @editedBy, @editorName, @editedAt)`);
+
+/**
+ * `by` is the display name shown with the note ("Agent", "SMS intake");
+ * `authorId` is the user who wrote it, when a person did.
+ */
+function create({ profileId, text, by, authorId = null, category = 'general', priority = 'medium', pinned = false, conversationId = null }) {
+  const id = 'n' + Date.now() + Math.random().toString(36).slice(2, 6);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(`INSERT INTO notes
+      (id, profile_id, text, author, author_id, category, priority, pinned, conversation_id, revision, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)`)
+      .run(id, profileId, text, by, authorId, category, priority, pinned ? 1 : 0, conversationId, now, now);
+    insertRevision().run({
+      id, revision: 1, text, category, priority, pinned: pinned ? 1 : 0, conversationId, editedBy: authorId, editorName: by, editedAt: now
+    });
+  })();
+  return findById(id);
+}
+
+const UPDATABLE = ['text', 'category', 'priority', 'pinned', 'conversationId'];
+
+// Applies the changes and records the resulting state as the next revision
+function update(id, changes, { editedBy, editorName }) {
+  return db.transaction(() => {
+    const note = findById(id);
+    if (!note) return null;
+    const next = { ...note };
+    for (const key of UPDATABLE) {
+      if (changes[key] !== undefined) next[key] = changes[key];
+    }
+    const now = new Date().toISOString();
+    const revision = note.revision + 1;
+    db.prepare(`UPDATE notes SET text = @text, category = @category, priority = @priority, pinned = @pinned,
+      conversation_id = @conversationId, revision = @revision, updated_at = @now, updated_by = @editorName WHERE id = @id`)
+      .run({ ...next, pinned: next.pinned ? 1 : 0, revision, now, editorName, id });
+    insertRevision().run({
+      id, revision, text: next.text, category: next.category, priority: next.priority, pinned: next.pinned ? 1 : 0,
+      conversationId: next.conversationId, editedBy, editorName, editedAt: now
+    });
+    return findById(id);
+  })();
+}
+
+function revisions(noteId) {
+  return db.prepare('SELECT * FROM note_revisions WHERE note_id = ? ORDER BY revision').all(noteId).map(revisionFromRow);
+}
+
+module.exports = { findById, listByProfile, search, create, update, revisions };
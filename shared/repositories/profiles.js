@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+const COLUMNS = {
+  name: 'name',
+  role: 'role',
+  email: 'email',
+  phone: 'phone',
+  medicaidId: 'medicaid_id',
+  dob: 'dob',
+  status: 'status',
+  address: 'address',
+  caregiver: 'caregiver',
+  client: 'client',
+  lastContact: 'last_contact',
+  userId: 'user_id',
+  sessionId: 'session_id',
+  homeLatitude: 'home_latitude',
+  homeLongitude: 'home_longitude'
+};
+
+function fromRow(row) {
+  if (!row) return null;
+  const profile = { id: row.id, createdAt: row.created_at, updatedAt: row.updated_at };
+  for (const [prop, column] of Object.entries(COLUMNS)) profile[prop] = row[column];
+  profile.eligibility = row.eligibility ? { ...JSON.parse(row.eligibility), verifiedAt: row.eligibility_verified_at } : null;
+  return profile;
+}
+
+function list() {
+  return db.prepare('SELECT * FROM profiles ORDER BY name').all().map(fromRow);
+}
+
+function findById(id) {
+  return fromRow(db.prepare('SELECT * FROM profiles WHERE id = ?').get(id));
+}
+
+function findByUserId(userId) {
+  return fromRow(db.prepare('SELECT * FROM profiles WHERE user_id = ? ORDER BY created_at LIMIT 1').get(userId));
+}
+
+function findByMedicaidId(medicaidId) {
+  return fromRow(db.prepare('SELECT * FROM profiles WHERE medicaid_id = ? ORDER BY created_at LIMIT 1').get(medicaidId));
+}
+
+/**
+ * One page of profiles, newest contact first. `q` matches name, email, phone
+ * digits or Medicaid ID; `ids` limits the search to those profiles.
+ * @returns {{ profiles: object[], total: number }}
+ */
+function search({ q, role, status, ids, limit = 25, offset = 0 } = {}) {
+  const where = [];
+  const params = {};
+  const text = String(q || '').trim();
+  if (text) {
+    params.q = `%${text.toLowerCase()}%`;
+    const digits = text.replace(/\D/g, '');
+    const clauses = ['lower(name) LIKE @q', 'lower(email) LIKE @q', 'medicaid_id LIKE @q'];
+    if (digits.length >= 3) {
+      params.digits = `%${digits}%`;
+      clauses.push("replace(replace(replace(replace(replace(phone, '(', ''), ')', ''), '-', ''), ' ', ''), '+', '') LIKE @digits");
+    }
+    where.push(`(${clauses.join(' OR ')})`);
+  }
+  if (role) {
+    where.push('lower(role) = @role');
+    params.role = String(role).toLowerCase();
+  }
+  if (status) {
+    where.push('lower(status) = @status');
+    params.status = String(status).toLowerCase();
+  }
+  if (ids) {
+    if (!ids.length) return { profiles: [], total: 0 };
+    where.push(`id IN (${ids.map((_, i) => `@id${i}`).join(', ')})`);
+    ids.forEach((id, i) => { params[`id${i}`] = id; });
+  }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM profiles ${clause}`).get(params).n;
+  const rows = db.prepare(`SELECT * FROM profiles ${clause}
+    ORDER BY last_contact IS NULL, last_contact DESC, name LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit: Math.min(Number(limit) || 25, 100), offset: Math.max(Number(offset) || 0, 0) });
+  return { profiles: rows.map(fromRow), total };
+}
+
+// Matches on the last ten digits so "(702) 555-0102" and "+17025550102" agree
+function findByPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+  if (digits.length !== 10) return null;
+  return list().find(profile => String(profile.phone || '').replace(/\D/g, '').slice(-10) === digits) || null;
+}
+
+function create(fields) {
+  const profile = { status: 'Pending', ...fields, id: fields.id || crypto.randomUUID() };
+  const props = Object.keys(COLUMNS).filter(prop => profile[prop] !== undefined);
+  const now = new Date().toISOString();
+  db.prepare(`INSERT INTO profiles (id, created_at, updated_at, ${props.map(p => COLUMNS[p]).join(', ')})
+    VALUES (@id, @now, @now, ${props.map(p => '@' + p).join(', ')})`)
+    .run({ ...profile, now });
+  return findById(profile.id);
+}
+
+function update(id, changes) {
+  const props = Object.keys(changes).filter(prop => COLUMNS[prop] && changes[prop] !== undefined);
+  if (props.length) {
+    db.prepare(`UPDATE profiles SET ${props.map(p => `${COLUMNS[p]} = @${p}`).join(', ')}, updated_at = @now WHERE id = @id`)
+      .run({ ...changes, id, now: new Date().toISOString() });
+  }
+  return findById(id);
+}
+
+// Latest verified eligibility, written by the eligibility worker
+function setEligibility(id, eligibility, verifiedAt) {
+  db.prepare('UPDATE profiles SET eligibility = ?, eligibility_verified_at = ?, updated_at = ? WHERE id = ?')
+    .run(JSON.stringify(eligibility), verifiedAt, new Date().toISOString(), id);
+  return findById(id);
+}
+
+// Notes have no foreign key, so they go with the profile here; links and jobs cascade
+function remove(id) {
+  return db.transaction(() => {
+    db.prepare('DELETE FROM notes WHERE profile_id = ?').run(id);
+    return db.prepare('DELETE FROM profiles WHERE id = ?').run(id).changes > 0;
+  })();
+}
+
+// Everything else that points at a profile, moved over when two profiles are merged
+const PROFILE_TABLES = ['notes', 'tasks', 'eligibility_jobs', 'visits', 'authorizations', 'claims', 'employees', 'sms_intakes', 'intake_drafts'];
+
+/**
+ * Folds the duplicate `fromId` into `intoId`: empty fields on `intoId` are
+ * filled from it, its records and links move over, and it is deleted.
+ */
+function merge(fromId, intoId) {
+  return db.transaction(() => {
+    const from = findById(fromId);
+    const into = findById(intoId);
+    const fill = Object.keys(COLUMNS).filter(prop => !['role', 'status'].includes(prop) && from[prop] != null && into[prop] == null);
+    update(intoId, Object.fromEntries(fill.map(prop => [prop, from[prop]])));
+    db.prepare(`UPDATE profiles SET eligibility = (SELECT eligibility FROM profiles WHERE id = @fromId),
+      eligibility_verified_at = (SELECT eligibility_verified_at FROM profiles WHERE id = @fromId)
+      WHERE id = @intoId AND eligibility IS NULL`).run({ fromId, intoId });
+    for (const table of PROFILE_TABLES) db.prepare(`UPDATE ${table} SET profile_id = ? WHERE profile_id = ?`).run(intoId, fromId);
+    // Links already held by `intoId`, or between the two, are dropped with the duplicate
+    db.prepare('UPDATE OR IGNORE profile_links SET from_profile_id = ? WHERE from_profile_id = ? AND to_profile_id <> ?').run(intoId, fromId, intoId);
+    db.prepare('UPDATE OR IGNORE profile_links SET to_profile_id = ? WHERE to_profile_id = ? AND from_profile_id <> ?').run(intoId, fromId, intoId);
+    db.prepare('DELETE FROM profiles WHERE id = ?').run(fromId);
+    return findById(intoId);
+  })();
+}
+
+// -------- Links between people --------
+function linkFromRow(row) {
+  return {
+    id: row.id, fromProfileId: row.from_profile_id, toProfileId: row.to_profile_id, type: row.type,
+    relationship: row.relationship, createdBy: row.created_by, createdAt: row.created_at
+  };
+}
+
+function findLink(id) {
+  const row = db.prepare('SELECT * FROM profile_links WHERE id = ?').get(id);
+  return row ? linkFromRow(row) : null;
+}
+
+// Every link touching the profile, in either direction
+function linksFor(profileId) {
+  return db.prepare('SELECT * FROM profile_links WHERE from_profile_id = ? OR to_profile_id = ? ORDER BY created_at')
+    .all(profileId, profileId).map(linkFromRow);
+}
+
+// Returns the existing link when the same pair is already linked the same way
+function createLink({ fromProfileId, toProfileId, type, relationship, createdBy }) {
+  const id = crypto.randomUUID();
+  db.prepare(`INSERT OR IGNORE INTO profile_links (id, from_profile_id, to_profile_id, type, relationship, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`).run(id, fromProfileId, toProfileId, type, relationship || null, createdBy || null, new Date().toISOString());
+  const row = db.prepare('SELECT * FROM profile_links WHERE from_profile_id = ? AND to_profile_id = ? AND type = ?')
+    .get(fromProfileId, toProfileId, type);
+  return linkFromRow(row);
+}
+
+function removeLink(id) {
+  return db.prepare('DELETE FROM profile_links WHERE id = ?').run(id).changes > 0;
+}
+
+module.exports = {
+  list, search, findById, findByUserId, findByMedicaidId, findByPhone, create, update, remove, merge, setEligibility,
+  findLink, linksFor, createLink, removeLink
+};
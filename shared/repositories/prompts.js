@@ -0,0 +1,37 @@
+const db = require('../db');
+
+function fromRow(row) {
+  if (!row) return null;
+  return { name: row.name, version: row.version, body: row.body, note: row.note, createdBy: row.created_by, createdAt: row.created_at };
+}
+
+// The live template is the newest version of each name
+function latest(name) {
+  return fromRow(db.prepare('SELECT * FROM prompt_templates WHERE name = ? ORDER BY version DESC LIMIT 1').get(name));
+}
+
+function listLatest() {
+  return db.prepare(`SELECT t.* FROM prompt_templates t
+    JOIN (SELECT name, MAX(version) AS version FROM prompt_templates GROUP BY name) l ON l.name = t.name AND l.version = t.version
+    ORDER BY t.name`).all().map(fromRow);
+}
+
+function versions(name) {
+  return db.prepare('SELECT * FROM prompt_templates WHERE name = ? ORDER BY version DESC').all(name).map(fromRow);
+}
+
+function findVersion(name, version) {
+  return fromRow(db.prepare('SELECT * FROM prompt_templates WHERE name = ? AND version = ?').get(name, version));
+}
+
+// Versions are immutable; every edit appends the next one
+function createVersion({ name, body, note, createdBy }) {
+  return db.transaction(() => {
+    const { next } = db.prepare('SELECT COALESCE(MAX(version), 0) + 1 AS next FROM prompt_templates WHERE name = ?').get(name);
+    db.prepare('INSERT INTO prompt_templates (name, version, body, note, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(name, next, body, note || null, createdBy || null, new Date().toISOString());
+    return findVersion(name, next);
+  }).immediate();
+}
+
+module.exports = { latest, listLatest, versions, findVersion, createVersion };
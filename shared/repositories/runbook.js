@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function runFromRow(row) {
+  return {
+    id: row.id, operation: row.operation, params: JSON.parse(row.params), target: row.target, status: row.status,
+    exitCode: row.exit_code, steps: JSON.parse(row.steps), outputHash: row.output_hash,
+    createdBy: row.created_by, createdAt: row.created_at, finishedAt: row.finished_at
+  };
+}
+
+function createRun({ operation, params, target, createdBy }) {
+  const id = crypto.randomUUID();
+  db.prepare(`INSERT INTO runbook_runs (id, operation, params, target, status, created_by, created_at)
+    VALUES (?, ?, ?, ?, 'running', ?, ?)`)
+    .run(id, operation, JSON.stringify(params || {}), target, createdBy, new Date().toISOString());
+  return findRun(id);
+}
+
+function finishRun(id, { status, exitCode, steps, outputHash }) {
+  db.prepare(`UPDATE runbook_runs SET status = ?, exit_code = ?, steps = ?, output_hash = ?, finished_at = ? WHERE id = ?`)
+    .run(status, exitCode ?? null, JSON.stringify(steps || []), outputHash || null, new Date().toISOString(), id);
+  return findRun(id);
+}
+
+function findRun(id) {
+  const row = db.prepare('SELECT * FROM runbook_runs WHERE id = ?').get(id);
+  return row ? runFromRow(row) : null;
+}
+
+function listRuns({ operation, limit = 50 } = {}) {
+  const max = Math.min(Number(limit) || 50, 200);
+  const rows = operation
+    ? db.prepare('SELECT * FROM runbook_runs WHERE operation = ? ORDER BY created_at DESC LIMIT ?').all(operation, max)
+    : db.prepare('SELECT * FROM runbook_runs ORDER BY created_at DESC LIMIT ?').all(max);
+  return rows.map(runFromRow);
+}
+
+function permissionsFor(userId) {
+  return db.prepare('SELECT permission FROM runbook_permissions WHERE user_id = ? ORDER BY permission').all(userId).map(r => r.permission);
+}
+
+function listGrants() {
+  return db.prepare('SELECT user_id, permission, granted_by, granted_at FROM runbook_permissions ORDER BY user_id, permission').all()
+    .map(r => ({ userId: r.user_id, permission: r.permission, grantedBy: r.granted_by, grantedAt: r.granted_at }));
+}
+
+// Replaces a user's grants in one step so a partial update can never widen access
+function setPermissions(userId, permissions, grantedBy) {
+  const now = new Date().toISOString();
+  const insert = db.prepare('INSERT INTO runbook_permissions (user_id, permission, granted_by, granted_at) VALUES (?, ?, ?, ?)');
+  db.transaction(() => {
+    db.prepare('DELETE FROM runbook_permissions WHERE user_id = ?').run(userId);
+    permissions.forEach(p => insert.run(userId, p, grantedBy, now));
+  })();
+  return permissionsFor(userId);
+}
+
+module.exports = { createRun, finishRun, findRun, listRuns, permissionsFor, listGrants, setPermissions };
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function uploadFromRow(row) {
+  return {
+    id: row.id, entityType: row.entity_type, transactionId: row.transaction_id, status: row.status,
+    recordCount: row.record_count, rejectedCount: row.rejected_count,
+    issues: JSON.parse(row.issues), errors: JSON.parse(row.errors),
+    payload: JSON.parse(row.payload), response: row.response ? JSON.parse(row.response) : null,
+    runId: row.run_id, createdBy: row.created_by, createdAt: row.created_at, updatedAt: row.updated_at
+  };
+}
+
+function createUpload(upload) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.prepare(`INSERT INTO sandata_uploads (id, entity_type, status, record_count, rejected_count, issues, payload, run_id, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, upload.entityType, upload.status, upload.recordCount, upload.rejectedCount || 0,
+      JSON.stringify(upload.issues || []), JSON.stringify(upload.payload || []), upload.runId || null, upload.createdBy || null, now, now);
+  return findUpload(id);
+}
+
+const UPDATABLE = { transactionId: 'transaction_id', status: 'status', errors: 'errors', response: 'response', rejectedCount: 'rejected_count' };
+const JSON_FIELDS = new Set(['errors', 'response']);
+
+function updateUpload(id, changes) {
+  const sets = ['updated_at = @updatedAt'];
+  const params = { id, updatedAt: new Date().toISOString() };
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (changes[key] === undefined) continue;
+    sets.push(`${column} = @${key}`);
+    params[key] = JSON_FIELDS.has(key) ? JSON.stringify(changes[key]) : changes[key];
+  }
+  db.prepare(`UPDATE sandata_uploads SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return findUpload(id);
+}
+
+function findUpload(id) {
+  const row = db.prepare('SELECT * FROM sandata_uploads WHERE id = ?').get(id);
+  return row ? uploadFromRow(row) : null;
+}
+
+function listUploads({ runId, limit = 50 } = {}) {
+  const rows = runId
+    ? db.prepare('SELECT * FROM sandata_uploads WHERE run_id = ? ORDER BY created_at DESC').all(runId)
+    : db.prepare('SELECT * FROM sandata_uploads ORDER BY created_at DESC LIMIT ?').all(limit);
+  return rows.map(uploadFromRow);
+}
+
+function lastSequence(entityType, recordId) {
+  const row = db.prepare('SELECT sequence_id FROM sandata_sequences WHERE entity_type = ? AND record_id = ?').get(entityType, recordId);
+  return row ? row.sequence_id : null;
+}
+
+// Only ever moves forward, matching the aggregator's own rule
+function recordSequence(entityType, recordId, sequenceId) {
+  db.prepare(`INSERT INTO sandata_sequences (entity_type, record_id, sequence_id, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (entity_type, record_id) DO UPDATE SET sequence_id = excluded.sequence_id, updated_at = excluded.updated_at
+    WHERE excluded.sequence_id > sandata_sequences.sequence_id`)
+    .run(entityType, recordId, sequenceId, new Date().toISOString());
+}
+
+module.exports = { createUpload, updateUpload, findUpload, listUploads, lastSequence, recordSequence };
@@ -0,0 +1,27 @@
+const db = require('../db');
+
+function create({ sid, sub, role, exp }) {
+  db.prepare('INSERT INTO sessions (sid, user_id, role, created_at, expires_at) VALUES (?, ?, ?, ?, ?)')
+    .run(sid, sub, role, new Date().toISOString(), exp);
+}
+
+// Active means issued here, not revoked and not expired
+function findActive(sid) {
+  const row = db.prepare('SELECT * FROM sessions WHERE sid = ? AND revoked_at IS NULL AND expires_at > ?').get(sid, Date.now());
+  return row ? { sid: row.sid, sub: row.user_id, role: row.role, exp: row.expires_at } : null;
+}
+
+function revoke(sid) {
+  db.prepare('UPDATE sessions SET revoked_at = ? WHERE sid = ? AND revoked_at IS NULL').run(new Date().toISOString(), sid);
+}
+
+// Signs a user out everywhere, e.g. after their password changes
+function revokeForUser(userId) {
+  return db.prepare('UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL').run(new Date().toISOString(), userId).changes;
+}
+
+function purgeExpired() {
+  return db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(Date.now()).changes;
+}
+
+module.exports = { create, findActive, revoke, revokeForUser, purgeExpired };
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function intakeFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, phone: row.phone, name: row.name, callbackPhone: row.callback_phone, medicaidId: row.medicaid_id,
+    waiverStatus: row.waiver_status, source: row.source, status: row.status, profileId: row.profile_id,
+    profileName: row.profile_name || null, conversationId: row.conversation_id, messageCount: row.message_count,
+    lastMessage: row.last_message, createdAt: row.created_at, updatedAt: row.updated_at
+  };
+}
+
+function messageFromRow(row) {
+  return {
+    id: row.id, direction: row.direction, from: row.from_number, to: row.to_number, body: row.body, status: row.status,
+    error: row.error, intakeId: row.intake_id, conversationId: row.conversation_id, sentBy: row.sent_by,
+    createdAt: row.created_at, updatedAt: row.updated_at
+  };
+}
+
+const SELECT_INTAKE = `SELECT i.*, p.name AS profile_name FROM sms_intakes i LEFT JOIN profiles p ON p.id = i.profile_id`;
+
+function findIntake(id) {
+  return intakeFromRow(db.prepare(`${SELECT_INTAKE} WHERE i.id = ?`).get(id));
+}
+
+function findIntakeByPhone(phone) {
+  return intakeFromRow(db.prepare(`${SELECT_INTAKE} WHERE i.phone = ?`).get(phone));
+}
+
+function listIntakes({ status, limit = 50 } = {}) {
+  const max = Math.min(Number(limit) || 50, 200);
+  const rows = status
+    ? db.prepare(`${SELECT_INTAKE} WHERE i.status = ? ORDER BY i.updated_at DESC LIMIT ?`).all(status, max)
+    : db.prepare(`${SELECT_INTAKE} ORDER BY i.updated_at DESC LIMIT ?`).all(max);
+  return rows.map(intakeFromRow);
+}
+
+function createIntake(phone) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.prepare('INSERT OR IGNORE INTO sms_intakes (id, phone, created_at, updated_at) VALUES (?, ?, ?, ?)').run(id, phone, now, now);
+  return findIntakeByPhone(phone);
+}
+
+const UPDATABLE = {
+  name: 'name', callbackPhone: 'callback_phone', medicaidId: 'medicaid_id', waiverStatus: 'waiver_status', source: 'source',
+  status: 'status', profileId: 'profile_id', conversationId: 'conversation_id', lastMessage: 'last_message'
+};
+
+function updateIntake(id, changes) {
+  const sets = ['updated_at = @updatedAt'];
+  const params = { id, updatedAt: new Date().toISOString() };
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (changes[key] === undefined) continue;
+    sets.push(`${column} = @${key}`);
+    params[key] = changes[key];
+  }
+  if (changes.countMessage) sets.push('message_count = message_count + 1');
+  db.prepare(`UPDATE sms_intakes SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return findIntake(id);
+}
+
+// Returns false when the MessageSid was already stored (Twilio retried the webhook)
+function recordMessage({ id, direction, from, to, body, status, intakeId, conversationId, sentBy }) {
+  const now = new Date().toISOString();
+  const info = db.prepare(`INSERT OR IGNORE INTO sms_messages (id, direction, from_number, to_number, body, status, intake_id, conversation_id, sent_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, direction, from, to, body, status, intakeId || null, conversationId || null, sentBy || null, now, now);
+  return info.changes > 0;
+}
+
+function updateMessageStatus(id, status, error) {
+  const info = db.prepare('UPDATE sms_messages SET status = ?, error = ?, updated_at = ? WHERE id = ?')
+    .run(status, error || null, new Date().toISOString(), id);
+  return info.changes > 0;
+}
+
+function linkMessage(id, { intakeId, conversationId }) {
+  db.prepare('UPDATE sms_messages SET intake_id = ?, conversation_id = ? WHERE id = ?').run(intakeId || null, conversationId || null, id);
+}
+
+function findMessage(id) {
+  const row = db.prepare('SELECT * FROM sms_messages WHERE id = ?').get(id);
+  return row ? messageFromRow(row) : null;
+}
+
+// Newest first; `phone` matches either end of the message
+function listMessages({ phone, intakeId, limit = 100 } = {}) {
+  const where = [];
+  const params = { limit: Math.min(Number(limit) || 100, 500) };
+  if (phone) { where.push('(from_number = @phone OR to_number = @phone)'); params.phone = phone; }
+  if (intakeId) { where.push('intake_id = @intakeId'); params.intakeId = intakeId; }
+  const sql = `SELECT * FROM sms_messages ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY created_at DESC LIMIT @limit`;
+  return db.prepare(sql).all(params).map(messageFromRow);
+}
+
+module.exports = {
+  findIntake, findIntakeByPhone, listIntakes, createIntake, updateIntake,
+  recordMessage, updateMessageStatus, linkMessage, findMessage, listMessages
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, title: row.title, description: row.description, category: row.category, priority: row.priority,
+    status: row.status, blockedReason: row.blocked_reason,
+    assigneeId: row.assignee_id, assigneeRole: row.assignee_role, assigneeName: row.assignee_name || null,
+    profileId: row.profile_id, profileName: row.profile_name || null, createdBy: row.created_by,
+    dueAt: row.due_at, remindAt: row.remind_at, slaMinutes: row.sla_minutes, slaDueAt: row.sla_due_at,
+    slaBreached: !!row.sla_notified_at, overdue: !!row.overdue_notified_at,
+    recurrence: row.recurrence, seriesId: row.series_id, dedupeKey: row.dedupe_key,
+    createdAt: row.created_at, updatedAt: row.updated_at, acceptedAt: row.accepted_at, startedAt: row.started_at, completedAt: row.completed_at
+  };
+}
+
+const SELECT = `SELECT t.*, COALESCE(u.name, u.username, u.email) AS assignee_name, p.name AS profile_name
+  FROM tasks t LEFT JOIN users u ON u.id = t.assignee_id LEFT JOIN profiles p ON p.id = t.profile_id`;
+
+function addEvent(taskId, status, message, actor) {
+  db.prepare('INSERT INTO task_events (task_id, status, message, actor, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(taskId, status, message || null, actor || null, new Date().toISOString());
+}
+
+function events(taskId) {
+  return db.prepare('SELECT * FROM task_events WHERE task_id = ? ORDER BY id').all(taskId)
+    .map(r => ({ status: r.status, message: r.message, actor: r.actor, at: r.created_at }));
+}
+
+function findById(id) {
+  return fromRow(db.prepare(`${SELECT} WHERE t.id = ?`).get(id));
+}
+
+// The newest task from a system rule that is not finished yet
+function findOpenByDedupeKey(key) {
+  return fromRow(db.prepare(`${SELECT} WHERE t.dedupe_key = ? AND t.status <> 'done' ORDER BY t.created_at DESC LIMIT 1`).get(key));
+}
+
+function create(fields) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(`INSERT INTO tasks
+      (id, title, description, category, priority, assignee_id, assignee_role, profile_id, created_by,
+       due_at, remind_at, sla_minutes, sla_due_at, recurrence, series_id, dedupe_key, created_at, updated_at)
+      VALUES (@id, @title, @description, @category, @priority, @assigneeId, @assigneeRole, @profileId, @createdBy,
+       @dueAt, @remindAt, @slaMinutes, @slaDueAt, @recurrence, @seriesId, @dedupeKey, @now, @now)`)
+      .run({
+        description: null, category: 'general', priority: 'medium', assigneeId: null, profileId: null, createdBy: null,
+        dueAt: null, remindAt: null, slaMinutes: null, slaDueAt: null, recurrence: null, dedupeKey: null,
+        ...fields, seriesId: fields.seriesId || (fields.recurrence ? id : null), id, now
+      });
+    addEvent(id, 'new', fields.eventMessage || 'Created', fields.createdBy);
+  })();
+  return findById(id);
+}
+
+/**
+ * Tasks assigned to `assigneeId` and/or sitting unassigned in the `queue`
+ * role's queue. `open` leaves out finished tasks. Soonest due comes first.
+ */
+function list({ assigneeId, queue, status, open, profileId, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = {};
+  const mine = assigneeId ? 't.assignee_id = @assigneeId' : null;
+  const queued = queue ? '(t.assignee_id IS NULL AND t.assignee_role = @queue)' : null;
+  if (mine || queued) where.push(`(${[mine, queued].filter(Boolean).join(' OR ')})`);
+  if (assigneeId) params.assigneeId = assigneeId;
+  if (queue) params.queue = queue;
+  if (status) {
+    where.push('t.status = @status');
+    params.status = status;
+  } else if (open) {
+    where.push("t.status <> 'done'");
+  }
+  if (profileId) {
+    where.push('t.profile_id = @profileId');
+    params.profileId = profileId;
+  }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM tasks t ${clause}`).get(params).n;
+  const rows = db.prepare(`${SELECT} ${clause}
+    ORDER BY t.status = 'done', t.due_at IS NULL, t.due_at, CASE t.priority WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END, t.created_at DESC
+    LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit: Math.min(Number(limit) || 50, 200), offset: Math.max(Number(offset) || 0, 0) });
+  return { tasks: rows.map(fromRow), total };
+}
+
+const UPDATABLE = {
+  title: 'title', description: 'description', category: 'category', priority: 'priority', status: 'status',
+  blockedReason: 'blocked_reason', assigneeId: 'assignee_id', assigneeRole: 'assignee_role', dueAt: 'due_at',
+  remindAt: 'remind_at', slaMinutes: 'sla_minutes', slaDueAt: 'sla_due_at', recurrence: 'recurrence',
+  acceptedAt: 'accepted_at', startedAt: 'started_at', completedAt: 'completed_at',
+  reminderNotifiedAt: 'reminder_notified_at', overdueNotifiedAt: 'overdue_notified_at', slaNotifiedAt: 'sla_notified_at'
+};
+
+function update(id, changes) {
+  const sets = ['updated_at = @updatedAt'];
+  const params = { id, updatedAt: new Date().toISOString() };
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (changes[key] === undefined) continue;
+    sets.push(`${column} = @${key}`);
+    params[key] = changes[key];
+  }
+  db.prepare(`UPDATE tasks SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return findById(id);
+}
+
+// Which timestamp each worker check compares against, and which column marks it sent
+const DUE_CHECKS = {
+  reminder: { at: 'remind_at', sent: 'reminder_notified_at', statuses: "('new', 'accepted', 'in_progress', 'blocked')" },
+  overdue: { at: 'due_at', sent: 'overdue_notified_at', statuses: "('new', 'accepted', 'in_progress', 'blocked')" },
+  sla: { at: 'sla_due_at', sent: 'sla_notified_at', statuses: "('new')" }
+};
+
+/**
+ * Marks every task whose `kind` moment has passed as notified and returns
+ * them. IMMEDIATE keeps the other server from claiming the same tasks.
+ */
+function claimDue(kind, now = new Date().toISOString()) {
+  const check = DUE_CHECKS[kind];
+  return db.transaction(() => {
+    const ids = db.prepare(`SELECT id FROM tasks WHERE ${check.at} IS NOT NULL AND ${check.at} <= ?
+      AND ${check.sent} IS NULL AND status IN ${check.statuses} LIMIT 100`).all(now).map(row => row.id);
+    const mark = db.prepare(`UPDATE tasks SET ${check.sent} = ? WHERE id = ?`);
+    ids.forEach(id => mark.run(now, id));
+    return ids.map(findById);
+  }).immediate();
+}
+
+// -------- Notifications --------
+function notificationFromRow(row) {
+  return {
+    id: row.id, userId: row.user_id, taskId: row.task_id, type: row.type, message: row.message,
+    read: !!row.read_at, createdAt: row.created_at
+  };
+}
+
+function addNotification(userId, taskId, type, message) {
+  db.prepare('INSERT INTO task_notifications (user_id, task_id, type, message, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(userId, taskId, type, message, new Date().toISOString());
+}
+
+function notifications(userId, { unread, limit = 30 } = {}) {
+  return db.prepare(`SELECT * FROM task_notifications WHERE user_id = ? ${unread ? 'AND read_at IS NULL' : ''} ORDER BY id DESC LIMIT ?`)
+    .all(userId, Math.min(Number(limit) || 30, 100)).map(notificationFromRow);
+}
+
+function unreadCount(userId) {
+  return db.prepare('SELECT COUNT(*) AS n FROM task_notifications WHERE user_id = ? AND read_at IS NULL').get(userId).n;
+}
+
+// Marks the given notifications (or all of them) read; returns how many changed
+function markRead(userId, ids) {
+  const now = new Date().toISOString();
+  if (!ids) return db.prepare('UPDATE task_notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL').run(now, userId).changes;
+  const mark = db.prepare('UPDATE task_notifications SET read_at = ? WHERE user_id = ? AND id = ? AND read_at IS NULL');
+  return db.transaction(() => ids.reduce((n, id) => n + mark.run(now, userId, Number(id)).changes, 0))();
+}
+
+function notificationsAfter(id, limit = 500) {
+  return db.prepare('SELECT * FROM task_notifications WHERE id > ? ORDER BY id LIMIT ?').all(Number(id) || 0, limit).map(notificationFromRow);
+}
+
+function latestNotificationId() {
+  return db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM task_notifications').get().id;
+}
+
+module.exports = {
+  findById, findOpenByDedupeKey, create, list, update, claimDue, addEvent, events,
+  addNotification, notifications, unreadCount, markRead, notificationsAfter, latestNotificationId
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, repId: row.rep_id, repName: row.rep_name || null, scenarioId: row.scenario_id, scenarioTitle: row.scenario_title,
+    status: row.status, startedAt: row.started_at, endedAt: row.ended_at, durationSeconds: row.duration_seconds,
+    score: row.score, scorecard: row.scorecard ? JSON.parse(row.scorecard) : null
+  };
+}
+
+const SELECT = `SELECT s.*, COALESCE(u.name, u.username) AS rep_name
+  FROM training_sessions s LEFT JOIN users u ON u.id = s.rep_id`;
+
+function findById(id) {
+  return fromRow(db.prepare(`${SELECT} WHERE s.id = ?`).get(id));
+}
+
+// Sessions newest first; `repId` and `status` narrow them
+function list({ repId, status, limit = 50 } = {}) {
+  const where = [];
+  const params = { limit: Math.min(Number(limit) || 50, 200) };
+  if (repId) { where.push('s.rep_id = @repId'); params.repId = repId; }
+  if (status) { where.push('s.status = @status'); params.status = status; }
+  const sql = `${SELECT} ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY s.started_at DESC LIMIT @limit`;
+  return db.prepare(sql).all(params).map(fromRow);
+}
+
+function messages(sessionId) {
+  return db.prepare('SELECT * FROM training_messages WHERE session_id = ? ORDER BY id').all(sessionId)
+    .map(row => ({ id: row.id, sender: row.sender, body: row.body, source: row.source, createdAt: row.created_at }));
+}
+
+function addMessage(sessionId, sender, body, source) {
+  const { lastInsertRowid } = db.prepare('INSERT INTO training_messages (session_id, sender, body, source, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(sessionId, sender, body, source || null, new Date().toISOString());
+  return messages(sessionId).find(m => m.id === Number(lastInsertRowid));
+}
+
+/**
+ * Starts a session with the client's opening line. The rep's other active
+ * sessions are abandoned: a rep practices one scenario at a time.
+ */
+function start({ repId, scenarioId, scenarioTitle, opening }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare("UPDATE training_sessions SET status = 'abandoned', ended_at = ? WHERE rep_id = ? AND status = 'active'").run(now, repId);
+    db.prepare('INSERT INTO training_sessions (id, rep_id, scenario_id, scenario_title, started_at) VALUES (?, ?, ?, ?, ?)')
+      .run(id, repId, scenarioId, scenarioTitle, now);
+    db.prepare("INSERT INTO training_messages (session_id, sender, body, source, created_at) VALUES (?, 'client', ?, 'script', ?)").run(id, opening, now);
+  })();
+  return findById(id);
+}
+
+function finish(id, { status, endedAt, durationSeconds, score, scorecard }) {
+  db.prepare(`UPDATE training_sessions SET status = ?, ended_at = ?, duration_seconds = ?, score = ?, scorecard = ?
+    WHERE id = ? AND status = 'active'`).run(status, endedAt, durationSeconds ?? null, score ?? null, scorecard ? JSON.stringify(scorecard) : null, id);
+  return findById(id);
+}
+
+// Completed sessions per rep and scenario: attempts, best, average and latest score
+function scores({ repId } = {}) {
+  const rows = db.prepare(`SELECT s.rep_id, COALESCE(u.name, u.username) AS rep_name, s.scenario_id, s.scenario_title,
+      COUNT(*) AS attempts, MAX(s.score) AS best, ROUND(AVG(s.score)) AS average, MAX(s.ended_at) AS last_at,
+      (SELECT score FROM training_sessions l WHERE l.rep_id = s.rep_id AND l.scenario_id = s.scenario_id AND l.status = 'completed'
+        ORDER BY l.ended_at DESC LIMIT 1) AS latest
+    FROM training_sessions s LEFT JOIN users u ON u.id = s.rep_id
+    WHERE s.status = 'completed' ${repId ? 'AND s.rep_id = @repId' : ''}
+    GROUP BY s.rep_id, s.scenario_id ORDER BY rep_name, s.scenario_title`).all(repId ? { repId } : {});
+  return rows.map(row => ({
+    repId: row.rep_id, repName: row.rep_name, scenarioId: row.scenario_id, scenarioTitle: row.scenario_title,
+    attempts: row.attempts, best: row.best, average: row.average, latest: row.latest, lastAt: row.last_at
+  }));
+}
+
+module.exports = { findById, list, messages, addMessage, start, finish, scores };
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// Column <-> property mapping; only these properties can be written by update()
+const COLUMNS = {
+  email: 'email',
+  username: 'username',
+  phone: 'phone',
+  name: 'name',
+  role: 'role',
+  passwordHash: 'password_hash',
+  securityQuestion: 'security_question',
+  securityAnswerHash: 'security_answer_hash',
+  failedAttempts: 'failed_attempts',
+  lockedUntil: 'locked_until'
+};
+
+function fromRow(row) {
+  if (!row) return null;
+  const user = { id: row.id, createdAt: row.created_at };
+  for (const [prop, column] of Object.entries(COLUMNS)) user[prop] = row[column];
+  return user;
+}
+
+// Users can login by email, username or phone
+function findByIdentifier(identifier) {
+  const id = (identifier || '').trim();
+  if (!id) return null;
+  return fromRow(db.prepare('SELECT * FROM users WHERE email = @id OR username = @id OR phone = @id LIMIT 1').get({ id }));
+}
+
+// Matches on the last ten digits so "(702) 555-0101" and "+17025550101" agree
+function findByPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+  if (digits.length !== 10) return null;
+  return db.prepare('SELECT * FROM users WHERE phone IS NOT NULL').all().map(fromRow)
+    .find(user => String(user.phone).replace(/\D/g, '').slice(-10) === digits) || null;
+}
+
+function findById(id) {
+  return fromRow(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+}
+
+// Accounts by role and/or a name, username or email match, for pickers
+function list({ role, roles, q, limit = 25 } = {}) {
+  const where = [];
+  const params = { limit: Math.min(Number(limit) || 25, 100) };
+  const wanted = roles || (role ? [role] : []);
+  if (wanted.length) where.push(`role IN (${wanted.map((r, i) => { params['role' + i] = r; return '@role' + i; }).join(', ')})`);
+  if (q) {
+    where.push('(lower(name) LIKE @q OR lower(username) LIKE @q OR lower(email) LIKE @q)');
+    params.q = `%${String(q).trim().toLowerCase()}%`;
+  }
+  return db.prepare(`SELECT * FROM users ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY COALESCE(name, username, email) LIMIT @limit`)
+    .all(params).map(fromRow);
+}
+
+function idsByRole(role) {
+  return db.prepare('SELECT id FROM users WHERE role = ?').all(role).map(row => row.id);
+}
+
+function exists(email) {
+  return !!db.prepare('SELECT 1 FROM users WHERE email = ?').get(email);
+}
+
+function create(fields) {
+  const user = { failedAttempts: 0, lockedUntil: 0, ...fields, id: crypto.randomUUID() };
+  const columns = Object.keys(COLUMNS).filter(prop => user[prop] !== undefined);
+  db.prepare(`INSERT INTO users (id, created_at, ${columns.map(p => COLUMNS[p]).join(', ')})
+    VALUES (@id, @createdAt, ${columns.map(p => '@' + p).join(', ')})`)
+    .run({ ...user, createdAt: new Date().toISOString() });
+  return findById(user.id);
+}
+
+function update(user, changes) {
+  const props = Object.keys(changes).filter(prop => COLUMNS[prop]);
+  if (props.length) {
+    db.prepare(`UPDATE users SET ${props.map(p => `${COLUMNS[p]} = @${p}`).join(', ')} WHERE id = @id`)
+      .run({ ...changes, id: user.id });
+  }
+  return Object.assign(user, changes);
+}
+
+// Safe shape for API responses
+function publicUser(u) {
+  return { id: u.id, name: u.name || u.username || u.email, email: u.email, username: u.username, phone: u.phone, role: u.role };
+}
+
+module.exports = { findByIdentifier, findByPhone, findById, list, idsByRole, exists, create, update, publicUser };
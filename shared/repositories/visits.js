@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+function clock(row, prefix) {
+  if (!row[`${prefix}_at`]) return null;
+  return {
+    at: row[`${prefix}_at`], deviceAt: row[`${prefix}_device_at`], latitude: row[`${prefix}_latitude`],
+    longitude: row[`${prefix}_longitude`], accuracy: row[`${prefix}_accuracy`], type: row[`${prefix}_type`]
+  };
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id, profileId: row.profile_id, clientName: row.client_name || null, clientMedicaidId: row.client_medicaid_id || null,
+    clientAddress: row.client_address || null, caregiverId: row.caregiver_id, caregiverName: row.caregiver_name || null,
+    serviceCode: row.service_code, status: row.status, scheduledStart: row.scheduled_start, scheduledEnd: row.scheduled_end,
+    latitude: row.latitude, longitude: row.longitude, clockIn: clock(row, 'clock_in'), clockOut: clock(row, 'clock_out'),
+    hours: row.hours, cancelReason: row.cancel_reason, openExceptions: row.open_exceptions || 0,
+    createdBy: row.created_by, createdAt: row.created_at, updatedAt: row.updated_at, verifiedAt: row.verified_at
+  };
+}
+
+function exceptionFromRow(row) {
+  return {
+    id: row.id, visitId: row.visit_id, type: row.type, detail: row.detail, reasonCode: row.reason_code, memo: row.memo,
+    resolvedBy: row.resolved_by, resolvedAt: row.resolved_at, createdAt: row.created_at
+  };
+}
+
+const SELECT = `SELECT v.*, p.name AS client_name, p.medicaid_id AS client_medicaid_id, p.address AS client_address,
+  COALESCE(u.name, u.username, u.email) AS caregiver_name,
+  (SELECT COUNT(*) FROM visit_exceptions e WHERE e.visit_id = v.id AND e.resolved_at IS NULL) AS open_exceptions
+  FROM visits v LEFT JOIN profiles p ON p.id = v.profile_id LEFT JOIN users u ON u.id = v.caregiver_id`;
+
+function findById(id) {
+  return fromRow(db.prepare(`${SELECT} WHERE v.id = ?`).get(id));
+}
+
+/**
+ * Visits starting in [from, to), earliest first. `openExceptions` keeps only
+ * visits with something still to resolve.
+ */
+function list({ from, to, caregiverId, profileId, status, openExceptions, limit = 100 } = {}) {
+  const where = [];
+  const params = { limit: Math.min(Number(limit) || 100, 500) };
+  if (from) { where.push('v.scheduled_start >= @from'); params.from = from; }
+  if (to) { where.push('v.scheduled_start < @to'); params.to = to; }
+  if (caregiverId) { where.push('v.caregiver_id = @caregiverId'); params.caregiverId = caregiverId; }
+  if (profileId) { where.push('v.profile_id = @profileId'); params.profileId = profileId; }
+  if (status) { where.push('v.status = @status'); params.status = status; }
+  if (openExceptions) where.push('EXISTS (SELECT 1 FROM visit_exceptions e WHERE e.visit_id = v.id AND e.resolved_at IS NULL)');
+  const sql = `${SELECT} ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY v.scheduled_start LIMIT @limit`;
+  return db.prepare(sql).all(params).map(fromRow);
+}
+
+// Another live visit of the caregiver's that overlaps [start, end)
+function findOverlap(caregiverId, start, end, exceptId = null) {
+  return fromRow(db.prepare(`${SELECT} WHERE v.caregiver_id = ? AND v.status <> 'cancelled' AND v.id IS NOT ?
+    AND v.scheduled_start < ? AND v.scheduled_end > ? LIMIT 1`).get(caregiverId, exceptId, end, start));
+}
+
+function create({ profileId, caregiverId, serviceCode, scheduledStart, scheduledEnd, latitude, longitude, createdBy }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.prepare(`INSERT INTO visits (id, profile_id, caregiver_id, service_code, scheduled_start, scheduled_end, latitude, longitude, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, profileId, caregiverId, serviceCode, scheduledStart, scheduledEnd, latitude, longitude, createdBy || null, now, now);
+  return findById(id);
+}
+
+const UPDATABLE = {
+  caregiverId: 'caregiver_id', serviceCode: 'service_code', status: 'status', scheduledStart: 'scheduled_start',
+  scheduledEnd: 'scheduled_end', latitude: 'latitude', longitude: 'longitude', hours: 'hours',
+  cancelReason: 'cancel_reason', verifiedAt: 'verified_at'
+};
+
+function update(id, changes) {
+  const sets = ['updated_at = @updatedAt'];
+  const params = { id, updatedAt: new Date().toISOString() };
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (changes[key] === undefined) continue;
+    sets.push(`${column} = @${key}`);
+    params[key] = changes[key];
+  }
+  for (const prefix of ['clockIn', 'clockOut']) {
+    const call = changes[prefix];
+    if (!call) continue;
+    const column = prefix === 'clockIn' ? 'clock_in' : 'clock_out';
+    for (const field of ['at', 'deviceAt', 'latitude', 'longitude', 'accuracy', 'type']) {
+      const name = field === 'at' ? `${column}_at` : field === 'deviceAt' ? `${column}_device_at` : `${column}_${field}`;
+      sets.push(`${name} = @${prefix}_${field}`);
+      params[`${prefix}_${field}`] = call[field] ?? null;
+    }
+  }
+  db.prepare(`UPDATE visits SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return findById(id);
+}
+
+/**
+ * Visits the worker has not flagged yet: scheduled ones whose start passed
+ * `noShowBefore` without a clock-in, and in-progress ones whose end passed
+ * `missingBefore` without a clock-out.
+ */
+function overdue({ noShowBefore, missingBefore }) {
+  const flagged = type => `NOT EXISTS (SELECT 1 FROM visit_exceptions e WHERE e.visit_id = v.id AND e.type = '${type}')`;
+  return db.prepare(`${SELECT} WHERE (v.status = 'scheduled' AND v.scheduled_start < @noShowBefore AND ${flagged('missed_visit')})
+    OR (v.status = 'in_progress' AND v.scheduled_end < @missingBefore AND ${flagged('missing_clock_out')}) LIMIT 200`)
+    .all({ noShowBefore, missingBefore }).map(fromRow);
+}
+
+// -------- Exceptions --------
+// Records an exception once per type; returns it only when it is new
+function addException(visitId, type, detail) {
+  const result = db.prepare('INSERT OR IGNORE INTO visit_exceptions (visit_id, type, detail, created_at) VALUES (?, ?, ?, ?)')
+    .run(visitId, type, detail, new Date().toISOString());
+  return result.changes ? exceptionFromRow(db.prepare('SELECT * FROM visit_exceptions WHERE id = ?').get(result.lastInsertRowid)) : null;
+}
+
+function exceptions(visitId) {
+  return db.prepare('SELECT * FROM visit_exceptions WHERE visit_id = ? ORDER BY id').all(visitId).map(exceptionFromRow);
+}
+
+function findException(visitId, id) {
+  const row = db.prepare('SELECT * FROM visit_exceptions WHERE visit_id = ? AND id = ?').get(visitId, Number(id));
+  return row ? exceptionFromRow(row) : null;
+}
+
+function resolveException(id, { reasonCode, memo, resolvedBy }) {
+  db.prepare('UPDATE visit_exceptions SET reason_code = ?, memo = ?, resolved_by = ?, resolved_at = ? WHERE id = ? AND resolved_at IS NULL')
+    .run(reasonCode, memo || null, resolvedBy, new Date().toISOString(), id);
+}
+
+module.exports = {
+  findById, list, findOverlap, create, update, overdue,
+  addException, exceptions, findException, resolveException
+};
@@ -0,0 +1,92 @@
+const express = require('express');
+const workspace = require('../repositories/agent-workspace');
+const profiles = require('../repositories/profiles');
+const assistant = require('../services/agent-assistant');
+const { httpError, sendError } = require('../http');
+
+function capitalize(value) {
+  const v = String(value || '').trim().toLowerCase();
+  return v ? v.charAt(0).toUpperCase() + v.slice(1) : v;
+}
+
+// Each action validates its own data and returns the `result` the dashboard renders
+const actions = {
+  async make_note({ sessionId, userId, actor, data }) {
+    if (!data.content) throw httpError(400, 'Note content is required');
+    const analysis = await assistant.analyzeNote(data, actor);
+    const note = workspace.createNote({
+      sessionId, userId, content: data.content, context: data.context,
+      title: analysis.title, category: analysis.category, priority: analysis.priority, actionItems: analysis.actionItems
+    });
+    return { note, aiSuggestions: { actionItems: analysis.actionItems, source: analysis.source } };
+  },
+
+  async create_profile({ sessionId, actor, data }) {
+    if (!data.name) throw httpError(400, 'Name is required');
+    const fields = { name: data.name, phone: data.phone || undefined, email: data.email || undefined, role: capitalize(data.role || 'client') };
+    const profile = profiles.create({ ...fields, sessionId });
+    const analysis = await assistant.analyzeProfile(profile, actor);
+    return {
+      profile: { ...profile, completeness: analysis.completeness },
+      aiSuggestions: { missingInfo: analysis.missingInfo, nextSteps: analysis.nextSteps, source: analysis.source }
+    };
+  },
+
+  async schedule_task({ sessionId, userId, actor, data }) {
+    if (!data.title) throw httpError(400, 'Task title is required');
+    if (data.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(data.dueDate)) throw httpError(400, 'Due date must be YYYY-MM-DD');
+    const analysis = await assistant.analyzeTask(data, actor);
+    const task = workspace.createTask({
+      sessionId, userId, title: data.title, description: data.description, dueDate: data.dueDate,
+      category: analysis.category, priority: analysis.priority, estimatedTime: analysis.estimatedTime, prerequisites: analysis.prerequisites
+    });
+    return { task, aiSuggestions: { prerequisites: analysis.prerequisites, source: analysis.source } };
+  },
+
+  async generate_summary({ sessionId, userId, actor, data }) {
+    if (!data.content) throw httpError(400, 'Nothing to summarize');
+    const analysis = await assistant.summarize(data, actor);
+    const summary = workspace.createSummary({
+      sessionId, userId, type: data.type || 'conversation',
+      summary: analysis.summary, keyPoints: analysis.keyPoints, actionItems: analysis.actionItems
+    });
+    return { summary: { ...summary, source: analysis.source } };
+  }
+};
+
+function agentRoutes() {
+  const router = express.Router();
+
+  router.post('/task', async (req, res) => {
+    const { action, sessionId, data = {} } = req.body || {};
+    if (!sessionId) return res.status(400).json({ success: false, error: 'sessionId is required' });
+    const handler = Object.hasOwn(actions, action) && actions[action];
+    if (!handler) return res.status(400).json({ success: false, error: `Unknown action: ${action}` });
+    try {
+      const actor = { id: req.session.sub, role: req.session.role };
+      const result = await handler({ sessionId, userId: actor.id, actor, data });
+      res.json({ success: true, action, result });
+    } catch (error) {
+      sendError(res, error, `Agent action ${action}`);
+    }
+  });
+
+  router.get('/notes', (req, res) => {
+    if (!req.query.sessionId) return res.status(400).json({ success: false, error: 'sessionId is required' });
+    res.json({ success: true, notes: workspace.listNotes(req.query.sessionId) });
+  });
+
+  router.get('/tasks', (req, res) => {
+    if (!req.query.sessionId) return res.status(400).json({ success: false, error: 'sessionId is required' });
+    res.json({ success: true, tasks: workspace.listTasks(req.query.sessionId) });
+  });
+
+  router.get('/summaries', (req, res) => {
+    if (!req.query.sessionId) return res.status(400).json({ success: false, error: 'sessionId is required' });
+    res.json({ success: true, summaries: workspace.listSummaries(req.query.sessionId) });
+  });
+
+  return router;
+}
+
+module.exports = agentRoutes;
@@ -0,0 +1,22 @@
+const express = require('express');
+const auditLog = require('../repositories/audit-log');
+
+// Read-only view of the audit trail; entries are only ever written by the services that act
+function auditRoutes() {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const { actor, action, before, limit } = req.query;
+    res.json({ success: true, entries: auditLog.list({ actor, action, before, limit }) });
+  });
+
+  router.get('/verify', (req, res) => {
+    const result = auditLog.verify();
+    if (!result.valid) console.error(`❌ Audit log chain broken at entry ${result.brokenAt}`);
+    res.json({ success: true, ...result });
+  });
+
+  return router;
+}
+
+module.exports = auditRoutes;
@@ -0,0 +1,120 @@
+const express = require('express');
+const auth = require('../auth');
+const users = require('../repositories/users');
+const sessions = require('../repositories/sessions');
+const intakeService = require('../services/intake');
+const { sendError } = require('../http');
+
+const MAX_FAILED_ATTEMPTS = 7;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+function normalizeAnswer(answer) {
+  return (answer || '').toLowerCase().trim();
+}
+
+function isLocked(user) {
+  return Boolean(user.lockedUntil && user.lockedUntil > Date.now());
+}
+
+// Lock account for 15 minutes after too many failures
+function recordFailure(user) {
+  const failedAttempts = (user.failedAttempts || 0) + 1;
+  const lockedUntil = failedAttempts >= MAX_FAILED_ATTEMPTS ? Date.now() + LOCKOUT_MS : user.lockedUntil;
+  users.update(user, { failedAttempts, lockedUntil });
+  return { failedAttempts, lockedUntil };
+}
+
+// Simple math captcha check (a + b === answer)
+function captchaOk(captcha = {}) {
+  const a = Number(captcha.a), b = Number(captcha.b), answer = Number(captcha.answer);
+  return Number.isFinite(a) && Number.isFinite(b) && Number.isFinite(answer) && a + b === answer;
+}
+
+function authRoutes() {
+  const router = express.Router();
+
+  router.post('/login', (req, res) => {
+    const { identifier, password, captcha } = req.body || {};
+    if (!captchaOk(captcha)) {
+      return res.status(400).json({ success: false, error: 'Captcha failed' });
+    }
+
+    const user = users.findByIdentifier(identifier);
+    if (!user) return res.status(401).json({ success: false, error: 'Invalid credentials' });
+
+    if (isLocked(user)) return res.status(423).json({ success: false, error: 'Account locked. Try later.', lockedUntil: user.lockedUntil });
+
+    if (auth.verifyPassword(password, user.passwordHash)) {
+      users.update(user, { failedAttempts: 0, lockedUntil: 0 });
+      const session = auth.issueSession(user);
+      auth.setSessionCookie(res, session);
+      return res.json({
+        success: true,
+        role: user.role,
+        email: user.email,
+        username: user.username,
+        phone: user.phone,
+        user: users.publicUser(user),
+        token: session.token,
+        expiresAt: session.expiresAt
+      });
+    }
+
+    const { failedAttempts, lockedUntil } = recordFailure(user);
+    return res.status(401).json({ success: false, error: 'Invalid credentials', attempts: failedAttempts, lockedUntil: lockedUntil || 0 });
+  });
+
+  // One-shot registration with the intake wizard's checks; admin accounts are provisioned, never self-registered
+  router.post('/register', (req, res) => {
+    try {
+      const { user, account, profile, client } = intakeService.register(req.body || {}, req.ip);
+      const session = auth.issueSession(user);
+      auth.setSessionCookie(res, session);
+      res.json({ success: true, role: user.role, user: account, profile, client, token: session.token, expiresAt: session.expiresAt });
+    } catch (error) {
+      sendError(res, error, 'Registration');
+    }
+  });
+
+  // Forgot password: step 1 - get security question
+  router.post('/forgot', (req, res) => {
+    const { identifier } = req.body || {};
+    const user = users.findByIdentifier(identifier);
+    if (!user || !user.securityQuestion) return res.status(404).json({ success: false, error: 'User not found' });
+    res.json({ success: true, securityQuestion: user.securityQuestion });
+  });
+
+  // Forgot password: step 2 - reset
+  router.post('/reset', (req, res) => {
+    const { identifier, securityAnswer, newPassword } = req.body || {};
+    const user = users.findByIdentifier(identifier);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    if (!newPassword) return res.status(400).json({ success: false, error: 'New password required' });
+    // Wrong answers count toward the same lockout as wrong passwords
+    if (isLocked(user)) return res.status(423).json({ success: false, error: 'Account locked. Try later.', lockedUntil: user.lockedUntil });
+    if (!auth.verifyPassword(normalizeAnswer(securityAnswer), user.securityAnswerHash)) {
+      const { failedAttempts, lockedUntil } = recordFailure(user);
+      return res.status(401).json({ success: false, error: 'Security answer incorrect', attempts: failedAttempts, lockedUntil: lockedUntil || 0 });
+    }
+    users.update(user, { passwordHash: auth.hashPassword(newPassword), failedAttempts: 0, lockedUntil: 0 });
+    // Whoever knew the old password may still hold a session
+    sessions.revokeForUser(user.id);
+    res.json({ success: true });
+  });
+
+  router.post('/logout', (req, res) => {
+    auth.revokeSession(req.session);
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+  });
+
+  router.get('/me', auth.requireRole(), (req, res) => {
+    const user = users.findById(req.session.sub);
+    if (!user) return res.status(401).json({ success: false, error: 'Authentication required' });
+    res.json({ success: true, user: users.publicUser(user), expiresAt: req.session.exp });
+  });
+
+  return router;
+}
+
+module.exports = authRoutes;
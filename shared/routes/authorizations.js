@@ -0,0 +1,33 @@
+const express = require('express');
+const authorizationService = require('../services/authorizations');
+const { routeHandler } = require('../http');
+
+/**
+ * Service authorizations for the rep dashboard. Every authorization comes
+ * back with its status, utilization for the current period and alerts[].
+ *
+ *   GET    /                      ?profileId=&status=active|upcoming|expired|all&alerts=only
+ *   POST   /                      { profileId, number, payer, serviceCode?, hours, period, startDate, endDate, notes? }
+ *   GET    /:id
+ *   PATCH  /:id                   any of the fields above except profileId
+ *   DELETE /:id
+ */
+function authorizationsRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Authorization');
+
+  router.get('/', handle(req => ({ authorizations: authorizationService.list(req.session, req.query) })));
+
+  router.post('/', handle(req => ({ authorization: authorizationService.create(req.session, req.body || {}) })));
+
+  router.get('/:id', handle(req => ({ authorization: authorizationService.get(req.session, req.params.id) })));
+
+  router.patch('/:id', handle(req => ({ authorization: authorizationService.update(req.session, req.params.id, req.body || {}) })));
+
+  router.delete('/:id', handle(req => authorizationService.remove(req.session, req.params.id)));
+
+  return router;
+}
+
+module.exports = authorizationsRoutes;
@@ -0,0 +1,44 @@
+const express = require('express');
+const autoreply = require('../services/autoreply');
+const { routeHandler } = require('../http');
+
+/**
+ * AI replies on live inbox threads (reps only): the approval queue, the
+ * per-channel policies and per-thread overrides, and the handoff rules.
+ *
+ *   GET   /drafts                    ?status=pending|sent|approved|rejected|superseded|handed-off|all&conversationId=
+ *   POST  /drafts/:id/approve        { body? } sends the draft, or the rep's edit of it, as the rep
+ *   POST  /drafts/:id/reject         { reason? }
+ *   GET   /policies                  mode off|draft|auto, minConfidence and maxAutoReplies per channel
+ *   PATCH /policies/:channel         { mode?, minConfidence?, maxAutoReplies? }
+ *   GET   /threads/:conversationId   the thread's override and the mode in effect
+ *   PUT   /threads/:conversationId   { mode: off|draft|auto|null }  null follows the channel policy
+ *   GET   /rules                     handoff rules, in priority order
+ */
+function autoreplyRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Auto-reply');
+
+  router.get('/drafts', handle(req => ({ drafts: autoreply.listDrafts(req.session, req.query) })));
+
+  router.post('/drafts/:id/approve', handle(req => ({ draft: autoreply.approve(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/drafts/:id/reject', handle(req => ({ draft: autoreply.reject(req.session, req.params.id, req.body || {}) })));
+
+  router.get('/policies', handle(req => ({ policies: autoreply.policies(req.session) })));
+
+  router.patch('/policies/:channel', handle(req => ({ policy: autoreply.updatePolicy(req.session, req.params.channel, req.body || {}) })));
+
+  router.get('/threads/:conversationId', handle(req => ({ settings: autoreply.threadSettings(req.session, req.params.conversationId) })));
+
+  router.put('/threads/:conversationId', handle(req => ({
+    settings: autoreply.setThreadMode(req.session, req.params.conversationId, req.body?.mode ?? null)
+  })));
+
+  router.get('/rules', handle(req => ({ rules: autoreply.handoffRules(req.session) })));
+
+  return router;
+}
+
+module.exports = autoreplyRoutes;
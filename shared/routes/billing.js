@@ -0,0 +1,58 @@
+const express = require('express');
+const billingService = require('../services/billing');
+const { routeHandler, sendError } = require('../http');
+
+/**
+ * Billing. Everything but /summary is for reps; /summary is mounted on both
+ * servers so clients and guardians can see their own billing.
+ *
+ *   GET   /unbilled                    claims "Create claims" would make now, and held visits
+ *   POST  /claims                      create draft claims from every unbilled verified visit
+ *   GET   /claims                      ?status=&profileId=&batchId=&limit=&offset= → { claims, total }
+ *   GET   /claims/:id                  one claim with lines, timeline and readable preview
+ *   POST  /claims/:id/status           { status: accepted|rejected|void, reason? }
+ *   POST  /batches                     { claimIds? } send drafts as an 837P (all drafts when omitted)
+ *   GET   /batches
+ *   GET   /batches/:id/file            the 837P file
+ *   POST  /remittances                 { fileName, content } apply an 835
+ *   GET   /remittances
+ *   GET   /summary                     ?profileId= (reps) billed and paid by month
+ */
+function billingRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Billing');
+
+  router.get('/unbilled', handle(req => billingService.unbilled(req.session)));
+
+  router.post('/claims', handle(req => billingService.createClaims(req.session)));
+
+  router.get('/claims', handle(req => billingService.list(req.session, req.query)));
+
+  router.get('/claims/:id', handle(req => ({ claim: billingService.get(req.session, req.params.id) })));
+
+  router.post('/claims/:id/status', handle(req => ({ claim: billingService.setStatus(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/batches', handle(req => ({ batch: billingService.submit(req.session, req.body || {}) })));
+
+  router.get('/batches', handle(req => ({ batches: billingService.batches(req.session, req.query) })));
+
+  router.get('/batches/:id/file', (req, res) => {
+    try {
+      const batch = billingService.batchFile(req.session, req.params.id);
+      res.type('text/plain').attachment(batch.fileName).send(batch.content);
+    } catch (error) {
+      sendError(res, error, 'Billing');
+    }
+  });
+
+  router.post('/remittances', handle(req => billingService.ingest835(req.session, req.body || {})));
+
+  router.get('/remittances', handle(req => ({ remittances: billingService.remittances(req.session, req.query) })));
+
+  router.get('/summary', handle(req => billingService.summary(req.session, req.query)));
+
+  return router;
+}
+
+module.exports = billingRoutes;
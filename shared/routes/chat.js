@@ -0,0 +1,240 @@
+const express = require('express');
+const conversation = require('../services/conversation');
+const autoreply = require('../services/autoreply');
+const knowledgeBase = require('../services/knowledge');
+const chatTools = require('../services/chat-tools');
+const history = require('../repositories/chat-history');
+const auditLog = require('../repositories/audit-log');
+const llm = require('../llm');
+
+/**
+ * Chat endpoints for one role prompt. Clients send only { message, sessionId,
+ * context }; the server renders the live `template` with that session's
+ * history. PHI is tokenized before it leaves for the model and restored in
+ * the reply; each request is written to the audit log.
+ *
+ *   POST /         { response, model, sessionId, handoff?, sources?, actions? }
+ *   POST /stream   Server-Sent Events:
+ *                    event: token  data: { text }
+ *                    event: done   data: { model, sessionId, handoff?, sources?, actions? }
+ *                    event: error  data: { error, details }
+ *                  Closing the request (the UI's Stop button) aborts generation upstream.
+ *   GET/DELETE /history/:sessionId
+ *
+ * @param {{ template: string, role?: string, handoff?: boolean, knowledge?: boolean, tools?: boolean }} options
+ *   role picks the model route in shared/llm/config.js (the template name by
+ *   default), which decides the providers tried and their fallback order.
+ *   handoff runs the auto-reply handoff rules first: a
+ *   matching message opens a care-team thread and gets the rule's reply, with
+ *   `handoff: { rule, conversationId }`, instead of a model answer. knowledge
+ *   adds the knowledge base passages that best match the question to the
+ *   prompt and returns them as `sources: [{ n, documentId, title, version,
+ *   heading, excerpt, cited }]`, where `cited` means the reply refers to [n].
+ *   tools lets the model call the tools in shared/tools/catalog.js as the
+ *   caller before it answers (see services/chat-tools.js) and returns what
+ *   they produced for the UI as `actions: [{ type, ... }]`.
+ */
+function chatRoutes({ template, role = template, handoff = false, knowledge = false, tools = false } = {}) {
+  const router = express.Router();
+
+  // Sends the tokenized prompt, restores PHI in the reply as it streams and
+  // audits who sent which categories of data to which model
+  async function generate(turn, actor, { signal, onText }) {
+    const restorer = turn.vault.restorer();
+    let reply = '';
+    const emit = text => {
+      if (!text) return;
+      reply += text;
+      onText(text);
+    };
+    let model = `route:${role}`;
+    let outcome = 'failed';
+    try {
+      const result = await llm.stream({
+        role, prompt: turn.prompt, sessionId: turn.session.id, context: turn.vault.redactDeep(turn.context), signal,
+        onToken: text => emit(restorer.push(text))
+      });
+      emit(restorer.flush());
+      model = result.model;
+      outcome = 'completed';
+      return { model, reply };
+    } catch (error) {
+      emit(restorer.flush());
+      if (signal.aborted) outcome = 'stopped';
+      error.reply = reply;
+      throw error;
+    } finally {
+      auditLog.append({
+        actor: actor.sub, actorRole: actor.role, action: 'llm.request', target: model, categories: turn.vault.categories,
+        details: {
+          purpose: `chat.${template}`, sessionId: turn.session.id, templateVersion: turn.templateVersion, outcome,
+          ...(turn.passages && { sources: [...new Set(turn.passages.map(p => `${p.documentId}@v${p.version}`))] })
+        }
+      });
+    }
+  }
+
+  // Validates the request and renders the prompt; responds itself on failure
+  function prepare(req, res) {
+    const { message, sessionId, context = {} } = req.body || {};
+    if (!message || typeof message !== 'string') {
+      res.status(400).json({ error: 'Missing message' });
+      return null;
+    }
+    try {
+      const passages = retrieve(message);
+      return { message, context, passages, ...conversation.preparePrompt({ template, sessionId, userId: req.session.sub, message, context, passages }) };
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+      return null;
+    }
+  }
+
+  // Without an index to search the model still answers, just without sources
+  function retrieve(message) {
+    if (!knowledge) return null;
+    try {
+      return knowledgeBase.retrieve(message);
+    } catch (error) {
+      console.warn('⚠️ Knowledge base search failed, answering without sources:', error.message);
+      return null;
+    }
+  }
+
+  // Runs the tools the message calls for and re-renders the prompt with their
+  // results; when planning fails the model answers without them
+  async function useTools(req, turn) {
+    if (!tools) return null;
+    try {
+      const { calls, actions } = await chatTools.run(req.session, turn.message);
+      if (calls.length) {
+        Object.assign(turn, conversation.preparePrompt({
+          template, sessionId: turn.session.id, userId: req.session.sub, message: turn.message, context: turn.context,
+          passages: turn.passages, toolCalls: calls
+        }));
+      }
+      return actions;
+    } catch (error) {
+      console.warn('⚠️ Chat tools unavailable, answering without them:', error.message);
+      return [];
+    }
+  }
+
+  function sources(turn, reply) {
+    if (!turn.passages) return {};
+    return { sources: turn.passages.map(p => ({ ...knowledgeBase.citation(p), cited: reply.includes(`[${p.n}]`) })) };
+  }
+
+  // The rule's reply when the message is handed to the care team; on failure the model answers as usual
+  function handOff(req, turn) {
+    if (!handoff) return null;
+    try {
+      const handed = autoreply.chatHandoff(req.session, turn.message);
+      if (handed) remember(turn.session.id, turn.message, handed.reply);
+      return handed;
+    } catch (error) {
+      console.error('❌ Chat handoff failed:', error.message);
+      return null;
+    }
+  }
+
+  function remember(sessionId, message, reply) {
+    if (!reply.trim()) return;
+    conversation.recordExchange(sessionId, message, reply.trim())
+      .catch(error => console.error('❌ Failed to save chat history:', error.message));
+  }
+
+  router.post('/', async (req, res) => {
+    const turn = prepare(req, res);
+    if (!turn) return;
+    console.log(`🤖 Chat request received (session ${turn.session.id})`);
+    const handed = handOff(req, turn);
+    if (handed) {
+      return res.json({ response: handed.reply, model: 'handoff', sessionId: turn.session.id, handoff: { rule: handed.rule, conversationId: handed.conversationId } });
+    }
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    const actions = await useTools(req, turn);
+    if (controller.signal.aborted) return;
+    try {
+      const { model, reply } = await generate(turn, req.session, { signal: controller.signal, onText: () => {} });
+      remember(turn.session.id, turn.message, reply);
+      res.json({ response: reply.trim(), model, sessionId: turn.session.id, ...sources(turn, reply), ...(actions && { actions }) });
+    } catch (error) {
+      console.error('❌ Chat error:', error.message);
+      if (!res.headersSent) res.status(503).json({ error: 'AI service unavailable', details: error.message });
+    }
+  });
+
+  router.post('/stream', async (req, res) => {
+    const turn = prepare(req, res);
+    if (!turn) return;
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const handed = handOff(req, turn);
+    if (handed) {
+      send('token', { text: handed.reply });
+      send('done', { model: 'handoff', sessionId: turn.session.id, handoff: { rule: handed.rule, conversationId: handed.conversationId } });
+      return res.end();
+    }
+
+    const actions = await useTools(req, turn);
+    if (controller.signal.aborted) return res.end();
+    try {
+      const { model, reply } = await generate(turn, req.session, {
+        signal: controller.signal,
+        onText: text => send('token', { text })
+      });
+      remember(turn.session.id, turn.message, reply);
+      send('done', { model, sessionId: turn.session.id, ...sources(turn, reply), ...(actions && { actions }) });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        // Keep what the user saw so a follow-up still has context
+        remember(turn.session.id, turn.message, error.reply || '');
+        console.log('⏹️ Chat stream stopped by client');
+      } else {
+        console.error('❌ Chat stream error:', error.message);
+        send('error', { error: 'AI service unavailable', details: error.message });
+      }
+    }
+    res.end();
+  });
+
+  // Only the session's owner can read or clear its history
+  function ownedSession(req, res) {
+    const session = history.findSession(req.params.sessionId);
+    if (!session || session.userId !== req.session.sub) {
+      res.status(404).json({ error: 'Chat session not found' });
+      return null;
+    }
+    return session;
+  }
+
+  router.get('/history/:sessionId', (req, res) => {
+    const session = ownedSession(req, res);
+    if (!session) return;
+    res.json({ success: true, sessionId: session.id, summary: session.summary, messages: history.messages(session.id) });
+  });
+
+  router.delete('/history/:sessionId', (req, res) => {
+    const session = ownedSession(req, res);
+    if (!session) return;
+    history.deleteSession(session.id);
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = chatRoutes;
@@ -0,0 +1,42 @@
+const express = require('express');
+const eligibility = require('../eligibility/queue');
+const { isRep, routeHandler } = require('../http');
+
+/**
+ * Eligibility verification, mounted on both servers. Clients see checks for
+ * their own profile; reps see every check and resolve the review queue.
+ *
+ *   GET  /adapters            installed verifiers
+ *   GET  /checks              ?status=&profileId= newest first
+ *   POST /checks              clients: { clientName, dob, medicaidId }
+ *                             reps: { profileId } or { clientName, dob, medicaidId }, optional adapter
+ *   GET  /checks/latest       the caller's latest check and the eligibility on their profile
+ *   GET  /checks/:id          one check with its timeline
+ *   POST /checks/:id/retry    re-queue a failed or needs-review check (reps)
+ *   POST /checks/:id/review   { result } or { reason } to resolve it by hand (reps)
+ */
+function eligibilityRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Eligibility');
+
+  router.get('/adapters', handle(() => ({ adapters: eligibility.adapters() })));
+
+  router.get('/checks', handle(req => ({ checks: eligibility.list(req.session, req.query) })));
+
+  router.post('/checks', handle(req => ({
+    check: isRep(req.session) ? eligibility.requestForRep(req.session, req.body) : eligibility.requestForUser(req.session, req.body)
+  })));
+
+  router.get('/checks/latest', handle(req => eligibility.latest(req.session)));
+
+  router.get('/checks/:id', handle(req => ({ check: eligibility.get(req.session, req.params.id) })));
+
+  router.post('/checks/:id/retry', handle(req => ({ check: eligibility.retry(req.session, req.params.id) })));
+
+  router.post('/checks/:id/review', handle(req => ({ check: eligibility.review(req.session, req.params.id, req.body || {}) })));
+
+  return router;
+}
+
+module.exports = eligibilityRoutes;
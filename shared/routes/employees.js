@@ -0,0 +1,72 @@
+const express = require('express');
+const employeeService = require('../services/employees');
+const { routeHandler, sendError } = require('../http');
+
+/**
+ * Employee records for the rep dashboard: hire status, the onboarding
+ * checklist and credentials with their scanned documents.
+ *
+ *   GET    /                              ?status=current|all|<status>&position=&q=&attention=only
+ *   POST   /                              { name, position, userId?, profileId?, email?, phone?, hireDate?, notes?, status? }
+ *   GET    /requirements                  checklist steps and credential types per position
+ *   GET    /:id                           one employee with the checklist and every credential
+ *   PATCH  /:id                           { name?, position?, userId?, profileId?, email?, phone?, hireDate?, notes? }
+ *   POST   /:id/status                    { status, reason? }
+ *   POST   /:id/steps/:step               { status: done|waived|pending, note? }
+ *   POST   /:id/credentials               { type, expiresOn, issuedOn?, number?, issuer? }
+ *   DELETE /:id/credentials/:credentialId
+ *   PUT    /:id/credentials/:credentialId/document   the file itself as the body (PDF, PNG or JPEG), ?name=
+ *   GET    /:id/credentials/:credentialId/document
+ */
+function employeesRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Employee');
+
+  router.get('/', handle(req => ({ employees: employeeService.list(req.session, req.query) })));
+
+  router.post('/', handle(req => ({ employee: employeeService.create(req.session, req.body || {}) })));
+
+  router.get('/requirements', handle(() => employeeService.requirements()));
+
+  router.get('/:id', handle(req => ({ employee: employeeService.get(req.session, req.params.id) })));
+
+  router.patch('/:id', handle(req => ({ employee: employeeService.update(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/:id/status', handle(req => ({ employee: employeeService.setStatus(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/:id/steps/:step', handle(req => ({
+    employee: employeeService.setStep(req.session, req.params.id, req.params.step, req.body || {})
+  })));
+
+  router.post('/:id/credentials', handle(req => ({ employee: employeeService.addCredential(req.session, req.params.id, req.body || {}) })));
+
+  router.delete('/:id/credentials/:credentialId', handle(req => ({
+    employee: employeeService.removeCredential(req.session, req.params.id, req.params.credentialId)
+  })));
+
+  // Documents arrive as the raw file rather than JSON, so they can be larger than a JSON body
+  const upload = express.raw({ type: () => true, limit: employeeService.DOCUMENT_MAX_BYTES });
+
+  router.put('/:id/credentials/:credentialId/document', (req, res, next) => upload(req, res, error => {
+    if (error) return res.status(error.status || 400).json({ success: false, error: error.type === 'entity.too.large' ? 'The document is too large' : error.message });
+    next();
+  }), handle(req => ({
+    employee: employeeService.attachDocument(req.session, req.params.id, req.params.credentialId, {
+      fileName: req.query.name, mimeType: req.get('Content-Type'), content: req.body
+    })
+  })));
+
+  router.get('/:id/credentials/:credentialId/document', (req, res) => {
+    try {
+      const document = employeeService.documentFile(req.session, req.params.id, req.params.credentialId);
+      res.type(document.type).attachment(document.name).sendFile(document.path);
+    } catch (error) {
+      sendError(res, error, 'Employee');
+    }
+  });
+
+  return router;
+}
+
+module.exports = employeesRoutes;
@@ -0,0 +1,30 @@
+const express = require('express');
+const featuresService = require('../services/features');
+const { routeHandler } = require('../http');
+
+/**
+ * Feature flags. Any signed-in user gets their own flag values; reps manage
+ * the flags.
+ *
+ *   GET   /              { environment, features: { key: true|false } } for the signed-in user
+ *   GET   /flags         every flag with its rules and whether it is on for the rep asking (reps)
+ *   POST  /flags         { key, description?, enabled?, environments?, roles?, users?, rolloutPercent? } (reps)
+ *   PATCH /flags/:key    any of those fields; environments, roles and users take a list or null (reps)
+ */
+function featuresRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Feature flag');
+
+  router.get('/', handle(req => featuresService.forSession(req.session)));
+
+  router.get('/flags', handle(req => featuresService.list(req.session)));
+
+  router.post('/flags', handle(req => ({ flag: featuresService.create(req.session, req.body || {}) })));
+
+  router.patch('/flags/:key', handle(req => ({ flag: featuresService.update(req.session, req.params.key, req.body || {}) })));
+
+  return router;
+}
+
+module.exports = featuresRoutes;
@@ -0,0 +1,70 @@
+const express = require('express');
+const inbox = require('../services/inbox');
+const { routeHandler } = require('../http');
+
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Shared inbox, mounted on both servers. Clients see the threads they are in;
+ * reps see every thread and can assign, tag and escalate.
+ *
+ *   GET  /conversations            ?queue=general|supervisor&assignedTo=me&status=open
+ *   POST /conversations            { subject, body, clientId? }
+ *   GET  /conversations/:id        thread, messages (?before=) and read receipts
+ *   POST /conversations/:id/messages   { body }
+ *   POST /conversations/:id/read       { messageId? }  defaults to the latest message
+ *   POST /conversations/:id/assign     { userId? }     defaults to the caller (reps)
+ *   POST /conversations/:id/tags       { add, remove } (reps)
+ *   POST /conversations/:id/status     { status: open|closed } (reps)
+ *   POST /conversations/:id/escalate   { reason }      to the supervisor queue (reps)
+ *   GET  /events                   Server-Sent Events: conversation, message, read
+ */
+function inboxRoutes() {
+  const router = express.Router();
+
+  // Runs a service call and maps its errors onto the usual JSON shape
+  const handle = routeHandler('Inbox');
+
+  router.get('/conversations', handle(req => ({ conversations: inbox.list(req.session, req.query) })));
+
+  router.post('/conversations', handle(req => ({ conversation: inbox.start(req.session, req.body || {}) })));
+
+  router.get('/conversations/:id', handle(req => inbox.get(req.session, req.params.id, req.query)));
+
+  router.post('/conversations/:id/messages', handle(req => ({ message: inbox.send(req.session, req.params.id, req.body?.body) })));
+
+  router.post('/conversations/:id/read', handle(req => ({ updated: inbox.markRead(req.session, req.params.id, req.body?.messageId) })));
+
+  router.post('/conversations/:id/assign', handle(req => ({ conversation: inbox.assign(req.session, req.params.id, req.body?.userId) })));
+
+  router.post('/conversations/:id/tags', handle(req => ({ conversation: inbox.tag(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/conversations/:id/status', handle(req => ({ conversation: inbox.setStatus(req.session, req.params.id, req.body?.status) })));
+
+  router.post('/conversations/:id/escalate', handle(req => ({ conversation: inbox.escalate(req.session, req.params.id, req.body?.reason) })));
+
+  router.get('/events', (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const unsubscribe = inbox.subscribe(req.session, ({ id, type, data }) => {
+      res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }, { lastEventId: req.get('Last-Event-ID') });
+    // Keeps proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
+
+module.exports = inboxRoutes;
@@ -0,0 +1,71 @@
+const express = require('express');
+const auth = require('../auth');
+const intakeService = require('../services/intake');
+const { routeHandler, sendError } = require('../http');
+
+/**
+ * The registration wizard. Public on the user app: a draft is reached with
+ * the token POST /drafts hands out, sent back as the X-Intake-Token header.
+ * On the rep dashboard reps can read any draft and open its documents.
+ *
+ *   POST   /drafts                          starts a draft (INTAKE_DRAFTS_PER_HOUR per address); returns { draft, token }
+ *   GET    /drafts/:id                      the answers so far, each step's state and the next step
+ *   PUT    /drafts/:id/steps/:step          account | client | documents, with that step's fields
+ *   PUT    /drafts/:id/documents/:kind      guardianship | hardship, the file itself as the body (PDF, PNG or JPEG), ?name=
+ *   GET    /drafts/:id/documents/:kind
+ *   DELETE /drafts/:id/documents/:kind
+ *   POST   /drafts/:id/submit               { password, securityQuestion, securityAnswer, acceptTerms } and signs in
+ *
+ * Validation errors are 400s whose `fields` maps each field to its message.
+ */
+function intakeRoutes() {
+  const router = express.Router();
+
+  const access = req => ({ token: req.get('X-Intake-Token'), session: req.session });
+
+  const handle = routeHandler('Intake');
+
+  router.post('/drafts', handle(req => intakeService.start(req.ip)));
+
+  router.get('/drafts/:id', handle(req => ({ draft: intakeService.get(req.params.id, access(req)) })));
+
+  router.put('/drafts/:id/steps/:step', handle(req => ({
+    draft: intakeService.saveStep(req.params.id, access(req), req.params.step, req.body || {})
+  })));
+
+  // Documents arrive as the raw file rather than JSON, so they can be larger than a JSON body
+  const upload = express.raw({ type: () => true, limit: intakeService.DOCUMENT_MAX_BYTES });
+
+  router.put('/drafts/:id/documents/:kind', (req, res, next) => upload(req, res, error => {
+    if (error) return res.status(error.status || 400).json({ success: false, error: error.type === 'entity.too.large' ? 'The document is too large' : error.message });
+    next();
+  }), handle(req => ({
+    draft: intakeService.attachDocument(req.params.id, access(req), req.params.kind, {
+      fileName: req.query.name, mimeType: req.get('Content-Type'), content: req.body
+    })
+  })));
+
+  router.get('/drafts/:id/documents/:kind', (req, res) => {
+    try {
+      const document = intakeService.documentFile(req.params.id, access(req), req.params.kind);
+      res.type(document.type).attachment(document.name).sendFile(document.path);
+    } catch (error) {
+      sendError(res, error, 'Intake');
+    }
+  });
+
+  router.delete('/drafts/:id/documents/:kind', handle(req => ({
+    draft: intakeService.removeDocument(req.params.id, access(req), req.params.kind)
+  })));
+
+  router.post('/drafts/:id/submit', handle((req, res) => {
+    const { user, account, profile, client } = intakeService.submit(req.params.id, access(req), req.body || {});
+    const session = auth.issueSession(user);
+    auth.setSessionCookie(res, session);
+    return { user: account, role: user.role, profile, client, token: session.token, expiresAt: session.expiresAt };
+  }));
+
+  return router;
+}
+
+module.exports = intakeRoutes;
@@ -0,0 +1,44 @@
+const express = require('express');
+const knowledgeService = require('../services/knowledge');
+const { routeHandler } = require('../http');
+
+/**
+ * Knowledge base behind the rep assistant's cited answers (reps only).
+ *
+ *   GET  /documents               ?status=active|retired|all  without bodies
+ *   GET  /documents/:id           the document and the passages it is indexed as
+ *   POST /documents               { title?, body } markdown; the title defaults to its "# Title" line
+ *   PUT  /documents/:id           { title?, body? } saves a new version and re-indexes it
+ *   POST /documents/:id/reindex   re-splits the stored text
+ *   POST /documents/:id/retire    drops it from search; passages are kept
+ *   POST /documents/:id/restore
+ *   POST /reindex                 every document
+ *   GET  /search                  ?q=&limit=  ranked passages, as the chat would cite them
+ */
+function knowledgeRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Knowledge base');
+
+  router.get('/documents', handle(req => ({ documents: knowledgeService.list(req.session, req.query) })));
+
+  router.get('/documents/:id', handle(req => knowledgeService.get(req.session, req.params.id)));
+
+  router.post('/documents', handle(req => ({ document: knowledgeService.add(req.session, req.body || {}) })));
+
+  router.put('/documents/:id', handle(req => ({ document: knowledgeService.update(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/documents/:id/reindex', handle(req => ({ documents: knowledgeService.reindex(req.session, req.params.id) })));
+
+  router.post('/documents/:id/retire', handle(req => ({ document: knowledgeService.retire(req.session, req.params.id) })));
+
+  router.post('/documents/:id/restore', handle(req => ({ document: knowledgeService.restore(req.session, req.params.id) })));
+
+  router.post('/reindex', handle(req => ({ documents: knowledgeService.reindex(req.session) })));
+
+  router.get('/search', handle(req => ({ passages: knowledgeService.search(req.session, req.query) })));
+
+  return router;
+}
+
+module.exports = knowledgeRoutes;
@@ -0,0 +1,32 @@
+const express = require('express');
+const llm = require('../llm');
+const { ROLES } = require('../auth');
+
+/**
+ * Model provider status for this server's process.
+ *
+ *   GET /status   ?probe=true also asks each enabled provider for its models
+ *                 Reps get every provider's circuit state, request counts,
+ *                 error rate and latency percentiles plus each role's route;
+ *                 portal users only whether each role can be served.
+ */
+function llmRoutes() {
+  const router = express.Router();
+
+  router.get('/status', async (req, res) => {
+    try {
+      if (req.session.role !== ROLES.ADMIN) {
+        const { routes } = await llm.status();
+        return res.json({ success: true, routes: Object.fromEntries(Object.entries(routes).map(([role, r]) => [role, { available: r.available }])) });
+      }
+      res.json({ success: true, ...(await llm.status({ probe: req.query.probe === 'true' })) });
+    } catch (error) {
+      console.error('❌ Model status error:', error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = llmRoutes;
@@ -0,0 +1,30 @@
+const express = require('express');
+const noteService = require('../services/notes');
+const { routeHandler } = require('../http');
+
+/**
+ * Case notes for reps, keyed by profile ID.
+ *
+ *   GET   /                 ?profileId= or ?conversationId=, plus q (full text), category, priority,
+ *                           pinned, limit, offset → { notes, total }, pinned first
+ *   POST  /                 { profileId, text, category?, priority?, pinned?, conversationId? }
+ *   GET   /:id              one note with its revisions
+ *   PATCH /:id              { text?, category?, priority?, pinned?, conversationId? } adds a revision
+ */
+function notesRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Notes');
+
+  router.get('/', handle(req => noteService.list(req.session, req.query)));
+
+  router.post('/', handle(req => ({ note: noteService.create(req.session, req.body || {}) })));
+
+  router.get('/:id', handle(req => ({ note: noteService.get(req.session, req.params.id) })));
+
+  router.patch('/:id', handle(req => ({ note: noteService.update(req.session, req.params.id, req.body || {}) })));
+
+  return router;
+}
+
+module.exports = notesRoutes;
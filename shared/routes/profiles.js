@@ -0,0 +1,52 @@
+const express = require('express');
+const profileService = require('../services/profiles');
+const { routeHandler } = require('../http');
+
+/**
+ * Profile management, mounted on both servers. Reps manage every profile;
+ * portal users read their own and linked profiles and edit the clients they
+ * care for. Every profile comes back with completionPercentage and missing[].
+ *
+ *   GET    /schemas               required fields and links per role
+ *   GET    /                      ?q=&role=&status=&limit=&offset= → { profiles, total }
+ *   POST   /                      create (reps)
+ *   GET    /me                    the caller's own profile and the client they act for
+ *   POST   /registration          the signed-in user's registration fields
+ *   GET    /:id                   one profile with its links
+ *   PATCH  /:id                   update fields; '' clears one
+ *   DELETE /:id                   delete with its notes and links (reps)
+ *   POST   /:id/merge             { intoProfileId } folds this profile into another (reps)
+ *   POST   /:id/links             { toProfileId, type, relationship }
+ *   DELETE /:id/links/:linkId
+ */
+function profilesRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Profile');
+
+  router.get('/schemas', handle(() => ({ schemas: profileService.schemas() })));
+
+  router.get('/', handle(req => profileService.search(req.session, req.query)));
+
+  router.post('/', handle(req => ({ profile: profileService.create(req.session, req.body || {}) })));
+
+  router.get('/me', handle(req => profileService.mine(req.session)));
+
+  router.post('/registration', handle(req => profileService.register(req.session, req.body || {})));
+
+  router.get('/:id', handle(req => ({ profile: profileService.get(req.session, req.params.id) })));
+
+  router.patch('/:id', handle(req => ({ profile: profileService.update(req.session, req.params.id, req.body || {}) })));
+
+  router.delete('/:id', handle(req => ({ deleted: profileService.remove(req.session, req.params.id) })));
+
+  router.post('/:id/merge', handle(req => ({ profile: profileService.merge(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/:id/links', handle(req => ({ profile: profileService.link(req.session, req.params.id, req.body || {}) })));
+
+  router.delete('/:id/links/:linkId', handle(req => ({ profile: profileService.unlink(req.session, req.params.id, req.params.linkId) })));
+
+  return router;
+}
+
+module.exports = profilesRoutes;
@@ -0,0 +1,47 @@
+const express = require('express');
+const prompts = require('../repositories/prompts');
+const auditLog = require('../repositories/audit-log');
+
+const MAX_BODY = 20000;
+
+// Admin editing of the role prompts used by /api/chat. Saving appends a new
+// version; restoring copies an old version forward, so history is never lost.
+function promptsRoutes() {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({ success: true, templates: prompts.listLatest() });
+  });
+
+  router.get('/:name', (req, res) => {
+    const versions = prompts.versions(req.params.name);
+    if (!versions.length) return res.status(404).json({ success: false, error: 'Template not found' });
+    res.json({ success: true, name: req.params.name, versions });
+  });
+
+  router.post('/:name', (req, res) => {
+    const { body, note } = req.body || {};
+    if (!prompts.latest(req.params.name)) return res.status(404).json({ success: false, error: 'Template not found' });
+    if (typeof body !== 'string' || !body.trim()) return res.status(400).json({ success: false, error: 'Template body is required' });
+    if (body.length > MAX_BODY) return res.status(400).json({ success: false, error: `Template body must be under ${MAX_BODY} characters` });
+    if (!body.includes('{{message}}')) return res.status(400).json({ success: false, error: 'Template must include {{message}}' });
+    const template = prompts.createVersion({ name: req.params.name, body, note, createdBy: req.session.sub });
+    auditLog.append({ actor: req.session.sub, actorRole: req.session.role, action: 'prompt.update', target: `${template.name} v${template.version}` });
+    console.log(`📝 Prompt template ${template.name} v${template.version} saved by ${req.session.sub}`);
+    res.json({ success: true, template });
+  });
+
+  router.post('/:name/restore/:version', (req, res) => {
+    const previous = prompts.findVersion(req.params.name, Number(req.params.version));
+    if (!previous) return res.status(404).json({ success: false, error: 'Template version not found' });
+    const template = prompts.createVersion({
+      name: previous.name, body: previous.body, note: `Restored from v${previous.version}`, createdBy: req.session.sub
+    });
+    auditLog.append({ actor: req.session.sub, actorRole: req.session.role, action: 'prompt.restore', target: `${template.name} v${template.version}`, details: { from: previous.version } });
+    res.json({ success: true, template });
+  });
+
+  return router;
+}
+
+module.exports = promptsRoutes;
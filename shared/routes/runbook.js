@@ -0,0 +1,84 @@
+const express = require('express');
+const operations = require('../runbook/operations');
+const runner = require('../runbook/runner');
+const target = require('../runbook/target');
+const runs = require('../repositories/runbook');
+const users = require('../repositories/users');
+const auditLog = require('../repositories/audit-log');
+const { sendError } = require('../http');
+
+/**
+ * Named server operations in place of raw remote commands.
+ *
+ *   GET  /                      operations, with whether the caller may run each
+ *   POST /:operation/run        { params } → the finished run and its output
+ *   GET  /runs, /runs/:id       run history
+ *   GET  /permissions           every grant (ops.admin)
+ *   PUT  /permissions/:userId   { permissions: [...] } replaces a user's grants (ops.admin)
+ */
+function runbookRoutes() {
+  const router = express.Router();
+
+  function requirePermission(permission) {
+    return (req, res, next) => {
+      if (runner.can(req.session.sub, permission)) return next();
+      res.status(403).json({ success: false, error: `You need the ${permission} permission` });
+    };
+  }
+
+  router.get('/', (req, res) => {
+    const granted = runs.permissionsFor(req.session.sub);
+    res.json({
+      success: true,
+      target: target.describeTarget(),
+      permissions: granted,
+      operations: Object.keys(operations.OPERATIONS).map(name => {
+        const operation = operations.describe(name);
+        return { ...operation, allowed: granted.includes(operation.permission) };
+      })
+    });
+  });
+
+  router.post('/:operation/run', async (req, res) => {
+    try {
+      const run = await runner.run({
+        name: req.params.operation,
+        params: req.body?.params || {},
+        user: { id: req.session.sub, role: req.session.role }
+      });
+      res.json({ success: true, run });
+    } catch (error) {
+      sendError(res, error, `Runbook ${req.params.operation}`);
+    }
+  });
+
+  router.get('/runs', requirePermission('ops.read'), (req, res) => {
+    res.json({ success: true, runs: runs.listRuns({ operation: req.query.operation, limit: req.query.limit }).map(({ steps, ...run }) => run) });
+  });
+
+  router.get('/runs/:id', requirePermission('ops.read'), (req, res) => {
+    const run = runs.findRun(req.params.id);
+    if (!run) return res.status(404).json({ success: false, error: 'Run not found' });
+    res.json({ success: true, run: { ...run, output: runner.transcript(run.steps) } });
+  });
+
+  router.get('/permissions', requirePermission('ops.admin'), (req, res) => {
+    res.json({ success: true, available: operations.PERMISSIONS, grants: runs.listGrants() });
+  });
+
+  router.put('/permissions/:userId', requirePermission('ops.admin'), (req, res) => {
+    const { permissions } = req.body || {};
+    if (!Array.isArray(permissions) || permissions.some(p => !operations.PERMISSIONS.includes(p))) {
+      return res.status(400).json({ success: false, error: `permissions must be a list drawn from: ${operations.PERMISSIONS.join(', ')}` });
+    }
+    const user = users.findById(req.params.userId);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    const granted = runs.setPermissions(user.id, [...new Set(permissions)], req.session.sub);
+    auditLog.append({ actor: req.session.sub, actorRole: req.session.role, action: 'runbook.grant', target: user.id, details: { permissions: granted } });
+    res.json({ success: true, userId: user.id, permissions: granted });
+  });
+
+  return router;
+}
+
+module.exports = runbookRoutes;
@@ -0,0 +1,60 @@
+const express = require('express');
+const config = require('../sandata/config');
+const { builders } = require('../sandata/payloads');
+const { validate } = require('../sandata/validator');
+const client = require('../sandata/client');
+const certification = require('../sandata/certification');
+const uploads = require('../repositories/sandata');
+
+function sandataRoutes() {
+  const router = express.Router();
+
+  router.get('/status', (req, res) => {
+    res.json({
+      success: true,
+      provider: { ...config.PROVIDER, account: config.ACCOUNT },
+      endpoint: config.BASE_URL,
+      latestRun: certification.latestRun()
+    });
+  });
+
+  // Runs the certification scenarios; autoFix applies the validator's corrections first
+  router.post('/certification/run', async (req, res) => {
+    try {
+      const run = await certification.run({ autoFix: !!req.body?.autoFix, userId: req.session.sub });
+      res.json({ success: true, ...run });
+    } catch (error) {
+      console.error('❌ Sandata certification run failed:', error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/certification/fixes', (req, res) => {
+    res.json({ success: true, issues: certification.fixPreview() });
+  });
+
+  // Builds and checks our records without sending them: { type, records, autoFix }
+  router.post('/validate', (req, res) => {
+    const { type, records, autoFix = false } = req.body || {};
+    if (!Object.hasOwn(builders, type)) return res.status(400).json({ success: false, error: `Unknown record type: ${type}` });
+    if (!Array.isArray(records) || !records.length) return res.status(400).json({ success: false, error: 'records must be a non-empty array' });
+    const lastSequence = id => uploads.lastSequence(type, id);
+    res.json({ success: true, ...validate(type, records.map(builders[type]), { autoFix, lastSequence }) });
+  });
+
+  router.get('/uploads', (req, res) => {
+    res.json({ success: true, uploads: uploads.listUploads({ runId: req.query.runId }).map(({ payload, ...upload }) => upload) });
+  });
+
+  // Re-polls the aggregator for uploads still awaiting a verdict
+  router.get('/uploads/:id', async (req, res) => {
+    let upload = uploads.findUpload(req.params.id);
+    if (!upload) return res.status(404).json({ success: false, error: 'Upload not found' });
+    if (upload.status === 'submitted') upload = await client.refreshStatus(upload.id);
+    res.json({ success: true, upload });
+  });
+
+  return router;
+}
+
+module.exports = sandataRoutes;
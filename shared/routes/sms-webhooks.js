@@ -0,0 +1,52 @@
+const express = require('express');
+const config = require('../sms/config');
+const signature = require('../sms/signature');
+const intake = require('../sms/intake');
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function twiml(reply) {
+  return `<?xml version="1.0" encoding="UTF-8"?><Response>${reply ? `<Message>${escapeXml(reply)}</Message>` : ''}</Response>`;
+}
+
+/**
+ * Twilio webhooks. These are public (Twilio has no session), so every request
+ * must carry a valid X-Twilio-Signature for TWILIO_AUTH_TOKEN. Mount before
+ * the admin gate.
+ *
+ *   POST /webhook   inbound message → TwiML reply (an acknowledgement on a sender's first text)
+ *   POST /status    delivery status callback for outbound texts
+ */
+function smsWebhookRoutes() {
+  const router = express.Router();
+
+  router.use(express.urlencoded({ extended: false }));
+
+  router.use((req, res, next) => {
+    const base = config.WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    if (signature.verify(config.AUTH_TOKEN, base + req.originalUrl, req.body || {}, req.get('X-Twilio-Signature'))) return next();
+    console.warn(`⚠️ Rejected SMS webhook with a bad signature from ${req.ip}`);
+    res.status(403).type('text/plain').send('Invalid signature');
+  });
+
+  router.post('/webhook', (req, res) => {
+    try {
+      const { reply } = intake.receive(req.body);
+      res.type('text/xml').send(twiml(reply));
+    } catch (error) {
+      if (!error.status) console.error('❌ SMS intake error:', error.message);
+      res.status(error.status || 500).type('text/plain').send(error.message);
+    }
+  });
+
+  router.post('/status', (req, res) => {
+    intake.updateStatus(req.body);
+    res.sendStatus(204);
+  });
+
+  return router;
+}
+
+module.exports = smsWebhookRoutes;
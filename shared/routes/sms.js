@@ -0,0 +1,46 @@
+const express = require('express');
+const sms = require('../repositories/sms');
+const intake = require('../sms/intake');
+const { normalizePhone } = require('../sms/extract');
+const { sendError } = require('../http');
+
+/**
+ * Dashboard side of SMS intake (reps only).
+ *
+ *   GET  /intakes     ?status=incomplete|complete  newest activity first
+ *   GET  /intakes/:id the intake and its texts
+ *   GET  /messages    ?phone=  every stored text, newest first
+ *   POST /send        { to, body } sends a text and threads it with the number's intake
+ */
+function smsRoutes() {
+  const router = express.Router();
+
+  router.get('/intakes', (req, res) => {
+    res.json({ success: true, intakes: sms.listIntakes(req.query) });
+  });
+
+  router.get('/intakes/:id', (req, res) => {
+    const found = sms.findIntake(req.params.id);
+    if (!found) return res.status(404).json({ success: false, error: 'Intake not found' });
+    res.json({ success: true, intake: found, messages: sms.listMessages({ intakeId: found.id }) });
+  });
+
+  router.get('/messages', (req, res) => {
+    const phone = req.query.phone ? normalizePhone(req.query.phone) : undefined;
+    if (req.query.phone && !phone) return res.status(400).json({ success: false, error: 'phone must be a US phone number' });
+    res.json({ success: true, messages: sms.listMessages({ phone, limit: req.query.limit }) });
+  });
+
+  router.post('/send', async (req, res) => {
+    try {
+      const message = await intake.sendText(req.session, req.body || {});
+      res.json({ success: true, message });
+    } catch (error) {
+      sendError(res, error, 'SMS');
+    }
+  });
+
+  return router;
+}
+
+module.exports = smsRoutes;
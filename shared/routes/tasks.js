@@ -0,0 +1,67 @@
+const express = require('express');
+const taskService = require('../services/tasks');
+const { routeHandler } = require('../http');
+
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Tasks and task notifications, mounted on both servers. Reps create, edit
+ * and assign tasks; everyone moves the tasks assigned to them along.
+ *
+ *   GET   /                      ?assignee=me|queue|all|<userId>&status=&open=&profileId= → { tasks, total }
+ *   POST  /                      { title, description?, assigneeId?, profileId?, priority?, category?,
+ *                                  dueAt?, remindAt?, slaMinutes?, recurrence? } (reps)
+ *   GET   /assignees             ?q=&role= people a rep can assign to (reps)
+ *   GET   /notifications         ?unread=true → { notifications, unread }
+ *   POST  /notifications/read    { ids? } all when omitted → { updated, unread }
+ *   GET   /events                Server-Sent Events: unread (on connect), notification
+ *   GET   /:id                   one task with its timeline
+ *   PATCH /:id                   edit or reassign (reps)
+ *   POST  /:id/status            { status, reason? } reason required for blocked
+ */
+function tasksRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Task');
+
+  router.get('/', handle(req => taskService.list(req.session, req.query)));
+
+  router.post('/', handle(req => ({ task: taskService.create(req.session, req.body || {}) })));
+
+  router.get('/assignees', handle(req => ({ assignees: taskService.assignees(req.session, req.query) })));
+
+  router.get('/notifications', handle(req => taskService.notifications(req.session, req.query)));
+
+  router.post('/notifications/read', handle(req => taskService.markRead(req.session, req.body?.ids)));
+
+  router.get('/events', (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    res.write(`event: unread\ndata: ${JSON.stringify({ unread: taskService.notifications(req.session, { unread: true }).unread })}\n\n`);
+
+    const unsubscribe = taskService.subscribe(req.session, ({ id, type, data }) => {
+      res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }, { lastEventId: req.get('Last-Event-ID') });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  router.get('/:id', handle(req => ({ task: taskService.get(req.session, req.params.id) })));
+
+  router.patch('/:id', handle(req => ({ task: taskService.update(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/:id/status', handle(req => taskService.transition(req.session, req.params.id, req.body || {})));
+
+  return router;
+}
+
+module.exports = tasksRoutes;
@@ -0,0 +1,38 @@
+const express = require('express');
+const trainingService = require('../services/training');
+const { routeHandler } = require('../http');
+
+/**
+ * Rep training against scripted scenarios with a role-played client.
+ *
+ *   GET  /scenarios              what can be practiced (no answers)
+ *   POST /sessions               { scenarioId } starts a session with the client's opening line
+ *   GET  /sessions               ?repId=&status=active|completed|abandoned  own sessions by default
+ *   GET  /sessions/:id           the session and its messages
+ *   POST /sessions/:id/messages  { body } the rep's message; returns it and the client's reply
+ *   POST /sessions/:id/end       scores the session and returns the scorecard
+ *   GET  /scores                 ?repId=<id>|all  attempts, best, average and latest score per scenario
+ */
+function trainingRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Training');
+
+  router.get('/scenarios', handle(req => ({ scenarios: trainingService.listScenarios(req.session) })));
+
+  router.post('/sessions', handle(req => trainingService.start(req.session, req.body || {})));
+
+  router.get('/sessions', handle(req => ({ sessions: trainingService.list(req.session, req.query) })));
+
+  router.get('/sessions/:id', handle(req => trainingService.get(req.session, req.params.id)));
+
+  router.post('/sessions/:id/messages', handle(req => trainingService.sendMessage(req.session, req.params.id, req.body || {})));
+
+  router.post('/sessions/:id/end', handle(req => trainingService.end(req.session, req.params.id)));
+
+  router.get('/scores', handle(req => ({ scores: trainingService.scores(req.session, req.query) })));
+
+  return router;
+}
+
+module.exports = trainingRoutes;
@@ -0,0 +1,51 @@
+const express = require('express');
+const visitService = require('../services/visits');
+const { routeHandler } = require('../http');
+
+/**
+ * Caregiver visits and EVV, mounted on both servers. Reps schedule visits and
+ * resolve exceptions; caregivers see and clock their own visits; clients and
+ * guardians see the visits to the client they act for.
+ *
+ *   GET   /                      ?from=&to=&caregiverId=&profileId=&status=&exceptions=open
+ *   POST  /                      { profileId, caregiverId, scheduledStart, scheduledEnd, serviceCode?, latitude?, longitude? } (reps)
+ *   GET   /reason-codes          reason codes and exception types
+ *   GET   /:id                   one visit with its exceptions
+ *   PATCH /:id                   reschedule or reassign a scheduled visit (reps)
+ *   POST  /:id/cancel            { reason } (reps)
+ *   POST  /:id/clock-in          { latitude, longitude, accuracy?, deviceTime } (the caregiver)
+ *   POST  /:id/clock-out         { latitude, longitude, accuracy?, deviceTime } (the caregiver)
+ *   POST  /:id/exceptions/:exceptionId/resolve   { reasonCode, memo?, clockOutAt? } (reps)
+ *   GET   /:id/evv               the verified EVV record, aggregator payload and validation (reps)
+ */
+function visitsRoutes() {
+  const router = express.Router();
+
+  const handle = routeHandler('Visit');
+
+  router.get('/', handle(req => ({ visits: visitService.list(req.session, req.query) })));
+
+  router.post('/', handle(req => ({ visit: visitService.schedule(req.session, req.body || {}) })));
+
+  router.get('/reason-codes', handle(() => visitService.reasonCodes()));
+
+  router.get('/:id', handle(req => ({ visit: visitService.get(req.session, req.params.id) })));
+
+  router.patch('/:id', handle(req => ({ visit: visitService.reschedule(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/:id/cancel', handle(req => ({ visit: visitService.cancel(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/:id/clock-in', handle(req => ({ visit: visitService.clockIn(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/:id/clock-out', handle(req => ({ visit: visitService.clockOut(req.session, req.params.id, req.body || {}) })));
+
+  router.post('/:id/exceptions/:exceptionId/resolve', handle(req => ({
+    visit: visitService.resolve(req.session, req.params.id, req.params.exceptionId, req.body || {})
+  })));
+
+  router.get('/:id/evv', handle(req => visitService.evv(req.session, req.params.id)));
+
+  return router;
+}
+
+module.exports = visitsRoutes;
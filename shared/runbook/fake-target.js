@@ -0,0 +1,146 @@
+/**
+ * Local stand-in for the app server, invoked with exactly the arguments that
+ * would be passed to ssh. It parses the remote command the way a POSIX shell
+ * would and refuses any unquoted shell syntax, so a quoting mistake in
+ * target.js fails loudly here instead of on the real server.
+ *
+ * Service state is kept in a temp file so a restart is visible to later runs;
+ * mcp-hub starts out failed to give the restart operation something to fix.
+ *
+ *   node shared/runbook/fake-target.js -i key user@host -- "'uptime'"
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { APP_DIR, SERVICES } = require('./operations');
+
+const STATE_FILE = path.join(os.tmpdir(), 'kloudy-fake-target.json');
+const OPTIONS_WITH_VALUE = new Set(['-o', '-i', '-p', '-l', '-F', '-E', '-J', '-b', '-c', '-m']);
+
+const TREE = {
+  '.': ['README.md', 'agent-ui', 'shared', 'user-ui'],
+  'agent-ui': ['integrated-server.js', 'rep-assistant.html', 'index.html'],
+  'user-ui': ['integrated-server.js', 'user-app.html', 'login.html'],
+  shared: ['auth.js', 'db.js', 'migrations', 'routes']
+};
+
+// [options] destination [--] command words, as ssh reads them
+function remoteCommand(args) {
+  const rest = [...args];
+  let destination = null;
+  while (rest.length) {
+    const arg = rest.shift();
+    if (arg === '--') break;
+    if (OPTIONS_WITH_VALUE.has(arg)) rest.shift();
+    else if (arg.startsWith('-')) continue;
+    else if (!destination) destination = arg;
+    else {
+      rest.unshift(arg);
+      break;
+    }
+  }
+  return { destination, command: rest.join(' ') };
+}
+
+function shellWords(command) {
+  const words = [];
+  let i = 0;
+  while (i < command.length) {
+    if (command[i] === ' ') {
+      i++;
+      continue;
+    }
+    let word = '';
+    while (i < command.length && command[i] !== ' ') {
+      if (command[i] === '\\' && command[i + 1] === "'") {
+        word += "'";
+        i += 2;
+      } else if (command[i] === "'") {
+        const end = command.indexOf("'", i + 1);
+        if (end < 0) throw new Error('unterminated quote');
+        word += command.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        throw new Error(`unquoted shell syntax at "${command.slice(i, i + 20)}"`);
+      }
+    }
+    words.push(word);
+  }
+  return words;
+}
+
+function loadState() {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch (e) {
+    return Object.fromEntries(SERVICES.map(s => [s, s === 'mcp-hub' ? 'failed' : 'active']));
+  }
+}
+
+function saveState(state) {
+  fs.writeFileSync(STATE_FILE, JSON.stringify(state));
+}
+
+function run([program, ...args]) {
+  const state = loadState();
+  const known = name => Object.hasOwn(state, name);
+  switch (program) {
+    case 'uptime':
+      return { out: ` ${new Date().toTimeString().slice(0, 8)} up 12 days,  3:04,  1 user,  load average: 0.42, 0.37, 0.31\n` };
+    case 'free':
+      return { out: '               total        used        free      shared  buff/cache   available\nMem:           15995        6120        2048         112        7827        9420\nSwap:           2047          12        2035\n' };
+    case 'df':
+      return { out: 'Filesystem      Size  Used Avail Use% Mounted on\n/dev/vda1        80G   41G   36G  54% /\n/dev/vdb1       200G  122G   69G  64% /var/lib/ollama\n' };
+    case 'systemctl': {
+      if (args[0] === 'status' && known(args[1])) {
+        const active = state[args[1]] === 'active';
+        return { out: `● ${args[1]}.service\n     Active: ${active ? 'active (running)' : 'failed (Result: exit-code)'}\n`, code: active ? 0 : 3 };
+      }
+      if (args[0] === 'is-active' && known(args[1])) return { out: `${state[args[1]]}\n`, code: state[args[1]] === 'active' ? 0 : 3 };
+      return { err: `Unit ${args[1]}.service could not be found.\n`, code: 4 };
+    }
+    case 'sudo': {
+      const [flag, tool, action, name] = args;
+      if (flag !== '-n' || tool !== 'systemctl' || action !== 'restart') return { err: 'sudo: a password is required\n', code: 1 };
+      if (!known(name)) return { err: `Failed to restart ${name}.service: Unit ${name}.service not found.\n`, code: 5 };
+      state[name] = 'active';
+      saveState(state);
+      return { out: '' };
+    }
+    case 'journalctl': {
+      const name = args[args.indexOf('-u') + 1];
+      const count = Math.min(Number(args[args.indexOf('-n') + 1]) || 10, 20);
+      if (!known(name)) return { out: '-- No entries --\n' };
+      const lines = Array.from({ length: count }, (v, i) =>
+        `${new Date(Date.now() - (count - i) * 60000).toISOString()} app ${name}[4242]: ${state[name] === 'active' ? 'request handled in 12ms' : 'Error: connect ECONNREFUSED 127.0.0.1:11434'}`);
+      return { out: lines.join('\n') + '\n' };
+    }
+    case 'ls': {
+      const target = args[args.length - 1];
+      const relative = target === APP_DIR ? '.' : target.startsWith(APP_DIR + '/') ? target.slice(APP_DIR.length + 1).replace(/^\.\/?/, '') || '.' : null;
+      if (!relative || !TREE[relative]) return { err: `ls: cannot access '${target}': No such file or directory\n`, code: 2 };
+      const rows = TREE[relative].map(name => `${TREE[relative === '.' ? name : `${relative}/${name}`] ? 'drwxr-xr-x' : '-rw-r--r--'} 1 kloudykare kloudykare 4096 Oct  1 09:00 ${name}`);
+      return { out: `total ${rows.length * 4}\n${rows.join('\n')}\n` };
+    }
+    default:
+      return { err: `bash: ${program}: command not found\n`, code: 127 };
+  }
+}
+
+const { destination, command } = remoteCommand(process.argv.slice(2));
+if (!destination || !command) {
+  process.stderr.write('usage: fake-target.js [options] destination -- command\n');
+  process.exit(255);
+}
+let words;
+try {
+  words = shellWords(command);
+} catch (error) {
+  process.stderr.write(`fake-target: ${error.message}\n`);
+  process.exit(2);
+}
+const { out = '', err = '', code = 0 } = run(words);
+process.stdout.write(out);
+process.stderr.write(err);
+process.exitCode = code;
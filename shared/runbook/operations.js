@@ -0,0 +1,115 @@
+// The only operations the dashboard can run on the app server. Each one
+// declares typed parameters and builds argv arrays from validated values;
+// nothing a user types is ever parsed by a shell.
+
+const { httpError } = require('../http');
+
+const APP_DIR = process.env.RUNBOOK_APP_DIR || '/home/kloudykare/KloudyKareApp';
+
+const SERVICES = ['kloudy-agent', 'kloudy-user', 'mcp-hub', 'ollama', 'nginx'];
+
+// read: inspect the server; restart: change running services; admin: manage grants
+const PERMISSIONS = ['ops.read', 'ops.restart', 'ops.admin'];
+
+const service = { type: 'enum', values: SERVICES, required: true, label: 'Service' };
+
+const OPERATIONS = {
+  status: {
+    label: 'Server status',
+    description: 'Uptime, load average and memory',
+    permission: 'ops.read',
+    params: {},
+    steps: () => [['uptime'], ['free', '-m']]
+  },
+  disk: {
+    label: 'Disk usage',
+    description: 'Free space on mounted filesystems',
+    permission: 'ops.read',
+    params: {},
+    steps: () => [['df', '-h', '-x', 'tmpfs', '-x', 'devtmpfs']]
+  },
+  service_status: {
+    label: 'Service status',
+    description: 'systemd state of one service',
+    permission: 'ops.read',
+    params: { service },
+    steps: ({ service }) => [['systemctl', 'status', service, '--no-pager', '--lines=0']]
+  },
+  logs: {
+    label: 'Service logs',
+    description: 'Most recent journal lines for one service',
+    permission: 'ops.read',
+    params: { service, lines: { type: 'integer', min: 1, max: 500, default: 100, label: 'Lines' } },
+    steps: ({ service, lines }) => [['journalctl', '-u', service, '-n', String(lines), '--no-pager', '-o', 'short-iso']]
+  },
+  list_files: {
+    label: 'List files',
+    description: `Directory listing inside ${APP_DIR}`,
+    permission: 'ops.read',
+    params: { path: { type: 'path', default: '.', label: 'Path' } },
+    steps: ({ path }) => [['ls', '-la', '--', `${APP_DIR}/${path}`]]
+  },
+  restart_service: {
+    label: 'Restart service',
+    description: 'Restart one service, then confirm it is active',
+    permission: 'ops.restart',
+    params: { service },
+    timeout: 60000,
+    steps: ({ service }) => [['sudo', '-n', 'systemctl', 'restart', service], ['systemctl', 'is-active', service]]
+  }
+};
+
+// Relative to APP_DIR, plain characters only and no way back out of it
+function checkPath(value) {
+  const text = String(value).trim().replace(/\/+$/, '') || '.';
+  if (text.length > 200 || !/^[\w.@+-]+(\/[\w.@+-]+)*$/.test(text)) return null;
+  if (text.split('/').some(part => part === '..')) return null;
+  return text;
+}
+
+function checkParam(name, spec, value) {
+  if (value === undefined || value === null || value === '') {
+    if (spec.required) throw httpError(400, `${spec.label || name} is required`);
+    return spec.default;
+  }
+  if (spec.type === 'enum') {
+    if (!spec.values.includes(value)) throw httpError(400, `${spec.label || name} must be one of: ${spec.values.join(', ')}`);
+    return value;
+  }
+  if (spec.type === 'integer') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < spec.min || number > spec.max) {
+      throw httpError(400, `${spec.label || name} must be a whole number from ${spec.min} to ${spec.max}`);
+    }
+    return number;
+  }
+  if (spec.type === 'path') {
+    const path = checkPath(value);
+    if (!path) throw httpError(400, `${spec.label || name} must be a relative path without ".." or special characters`);
+    return path;
+  }
+  throw httpError(400, `Unsupported parameter type for ${name}`);
+}
+
+/**
+ * Validates `params` against the operation's declaration; unknown keys are refused.
+ * @returns {{ name: string, operation: object, params: object, steps: string[][] }}
+ */
+function resolve(name, params = {}) {
+  const operation = Object.hasOwn(OPERATIONS, name) && OPERATIONS[name];
+  if (!operation) throw httpError(400, `Unknown operation: ${name}`);
+  if (!params || typeof params !== 'object' || Array.isArray(params)) throw httpError(400, 'params must be an object');
+  const unknown = Object.keys(params).filter(key => !Object.hasOwn(operation.params, key));
+  if (unknown.length) throw httpError(400, `Unknown parameter: ${unknown.join(', ')}`);
+  const values = {};
+  for (const [key, spec] of Object.entries(operation.params)) values[key] = checkParam(key, spec, params[key]);
+  return { name, operation, params: values, steps: operation.steps(values) };
+}
+
+// Public shape for the dashboard: what can be run and how to fill it in
+function describe(name) {
+  const { label, description, permission, params } = OPERATIONS[name];
+  return { name, label, description, permission, params };
+}
+
+module.exports = { OPERATIONS, PERMISSIONS, SERVICES, APP_DIR, resolve, describe };
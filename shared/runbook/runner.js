@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const operations = require('./operations');
+const target = require('./target');
+const runs = require('../repositories/runbook');
+const auditLog = require('../repositories/audit-log');
+const { httpError } = require('../http');
+
+// Output kept in the audit entry itself; the full output stays on the run and is pinned by its hash
+const AUDIT_OUTPUT_CHARS = 4000;
+
+function can(userId, permission) {
+  return runs.permissionsFor(userId).includes(permission);
+}
+
+// What the operator would have seen in a terminal
+function transcript(steps) {
+  return steps.map(s => `$ ${s.argv.join(' ')}\n${s.stdout}${s.stderr}${s.timedOut ? '[timed out]\n' : ''}`).join('');
+}
+
+/**
+ * Runs one allowlisted operation for `user` ({ id, role }). Steps run in
+ * order and stop at the first non-zero exit. Refusals and runs are audited.
+ */
+async function run({ name, params, user }) {
+  const declared = Object.hasOwn(operations.OPERATIONS, name) && operations.OPERATIONS[name];
+  if (declared && !can(user.id, declared.permission)) {
+    auditLog.append({ actor: user.id, actorRole: user.role, action: 'runbook.denied', target: name, details: { permission: declared.permission } });
+    throw httpError(403, `You need the ${declared.permission} permission to run ${declared.label}`);
+  }
+  const resolved = operations.resolve(name, params);
+
+  const record = runs.createRun({ operation: name, params: resolved.params, target: target.describeTarget(), createdBy: user.id });
+  console.log(`🛠️ Runbook ${name} started by ${user.id} (${record.id})`);
+  const steps = [];
+  for (const argv of resolved.steps) {
+    const result = await target.execute(argv, { timeout: resolved.operation.timeout });
+    steps.push(result);
+    if (result.exitCode !== 0) break;
+  }
+  const last = steps[steps.length - 1];
+  const status = last.timedOut ? 'timeout' : last.exitCode === 0 ? 'succeeded' : 'failed';
+  const output = transcript(steps);
+  const outputHash = crypto.createHash('sha256').update(output).digest('hex');
+  const finished = runs.finishRun(record.id, { status, exitCode: last.exitCode, steps, outputHash });
+
+  auditLog.append({
+    actor: user.id, actorRole: user.role, action: 'runbook.run', target: name,
+    details: {
+      runId: record.id, params: resolved.params, host: record.target, status, exitCode: last.exitCode, outputHash,
+      output: output.length > AUDIT_OUTPUT_CHARS ? output.slice(0, AUDIT_OUTPUT_CHARS) + '…' : output
+    }
+  });
+  console.log(`${status === 'succeeded' ? '✅' : '❌'} Runbook ${name} ${status} (${record.id})`);
+  return { ...finished, output };
+}
+
+module.exports = { run, can, transcript };
@@ -0,0 +1,64 @@
+// Runs one argv on the app server over ssh. `spawn` is given an argument
+// array, so no local shell is involved; because sshd hands the command to the
+// remote login shell, every word is single-quoted before it is sent.
+//
+// Without RUNBOOK_HOST the same ssh arguments go to fake-target.js, a local
+// stand-in, so the runbook can be exercised without a server.
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const HOST = process.env.RUNBOOK_HOST || '';
+const USER = process.env.RUNBOOK_USER || 'kloudykare';
+const KEY_PATH = process.env.RUNBOOK_KEY_PATH || '/home/kloudykare/.ssh/KloudyKare';
+const FAKE_TARGET = path.join(__dirname, 'fake-target.js');
+
+const MAX_OUTPUT = 64 * 1024;
+const DEFAULT_TIMEOUT = 15000;
+
+function quote(word) {
+  return `'${String(word).replace(/'/g, `'\\''`)}'`;
+}
+
+function sshArgs(argv) {
+  return [
+    '-o', 'BatchMode=yes', '-o', 'ConnectTimeout=10', '-o', 'StrictHostKeyChecking=yes',
+    '-i', KEY_PATH, '-T', `${USER}@${HOST || 'fake-target'}`,
+    '--', argv.map(quote).join(' ')
+  ];
+}
+
+// Where runs go, recorded with each run
+function describeTarget() {
+  return HOST ? `${USER}@${HOST}` : 'fake-target (local)';
+}
+
+/**
+ * @param {string[]} argv program and arguments to run remotely
+ * @returns {Promise<{ argv: string[], exitCode: number|null, stdout: string, stderr: string, timedOut: boolean, truncated: boolean }>}
+ */
+function execute(argv, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const [command, args] = HOST ? ['ssh', sshArgs(argv)] : [process.execPath, [FAKE_TARGET, ...sshArgs(argv)]];
+  return new Promise(resolve => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], timeout, killSignal: 'SIGKILL' });
+    const output = { stdout: '', stderr: '' };
+    let truncated = false;
+    for (const name of ['stdout', 'stderr']) {
+      child[name].setEncoding('utf8');
+      child[name].on('data', chunk => {
+        const room = MAX_OUTPUT - output[name].length;
+        if (chunk.length > room) truncated = true;
+        output[name] += chunk.slice(0, Math.max(room, 0));
+      });
+    }
+    child.on('error', error => {
+      resolve({ argv, exitCode: null, stdout: output.stdout, stderr: output.stderr || error.message, timedOut: false, truncated });
+    });
+    // spawn's own timeout is the only thing that sends SIGKILL
+    child.on('close', (code, signal) => {
+      resolve({ argv, exitCode: code, ...output, timedOut: signal === 'SIGKILL', truncated });
+    });
+  });
+}
+
+module.exports = { execute, describeTarget, quote };
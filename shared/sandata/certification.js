@@ -0,0 +1,87 @@
+/**
+ * Reproducible certification run: uploads the fixture clients, employees and
+ * visits in fixtures/certification.json (which carry the data problems that
+ * failed certification) and scores each scenario from the aggregator's verdict.
+ */
+
+const crypto = require('crypto');
+const fixtures = require('./fixtures/certification.json');
+const config = require('./config');
+const { builders } = require('./payloads');
+const { validate } = require('./validator');
+const client = require('./client');
+const uploads = require('../repositories/sandata');
+
+const SCENARIOS = [
+  { type: 'client', key: 'clients', label: 'Send 6+ Client records' },
+  { type: 'employee', key: 'employees', label: 'Send 6+ Employee records' },
+  { type: 'visit', key: 'visits', label: 'Send 6+ Visit records' }
+];
+
+function callType(visit) {
+  const raw = String((visit.calls[0] || {}).type || '');
+  return config.CALL_TYPES.find(t => t.toLowerCase() === raw.toLowerCase()) || config.CALL_TYPE_ALIASES[raw.toLowerCase()] || raw;
+}
+
+// Record IDs the aggregator accepted in an upload
+function acceptedIds(upload, type) {
+  if (!upload || !['accepted', 'partial'].includes(upload.status)) return new Set();
+  const failed = new Set(upload.errors.map(e => e.recordId));
+  const key = type === 'client' ? 'ClientOtherID' : type === 'employee' ? 'EmployeeOtherID' : 'VisitOtherID';
+  return new Set(upload.payload.map(r => r[key]).filter(id => !failed.has(id)));
+}
+
+function summarize(runId, runUploads) {
+  const byType = Object.fromEntries(runUploads.map(u => [u.entityType, u]));
+  const results = {};
+  for (const { type, key } of SCENARIOS) {
+    const accepted = acceptedIds(byType[type], type);
+    results[key] = { passed: fixtures[key].filter(r => accepted.has(r.id)).length, total: fixtures[key].length, status: byType[type]?.status || null };
+  }
+  const visitsAccepted = acceptedIds(byType.visit, 'visit');
+  const calls = {};
+  for (const visit of fixtures.visits) {
+    const type = callType(visit);
+    calls[type] = calls[type] || { passed: 0, total: 0 };
+    calls[type].total++;
+    if (visitsAccepted.has(visit.id)) calls[type].passed++;
+  }
+  const certified = Object.values(results).every(r => r.passed === r.total) && Object.values(calls).every(c => c.passed === c.total);
+  return {
+    runId,
+    certified,
+    results,
+    calls,
+    issues: runUploads.flatMap(u => u.issues),
+    errors: runUploads.flatMap(u => u.errors),
+    uploads: runUploads.map(u => ({ id: u.id, entityType: u.entityType, transactionId: u.transactionId, status: u.status, recordCount: u.recordCount, rejectedCount: u.rejectedCount, createdAt: u.createdAt }))
+  };
+}
+
+/**
+ * Uploads every fixture scenario in order. Without autoFix the known issues
+ * block their records, reproducing the original failures.
+ */
+async function run({ autoFix = false, userId } = {}) {
+  const runId = crypto.randomUUID();
+  const runUploads = [];
+  for (const { type, key } of SCENARIOS) {
+    runUploads.push(await client.upload(type, fixtures[key].map(builders[type]), { autoFix, runId, userId }));
+  }
+  return summarize(runId, runUploads);
+}
+
+// What autoFix would change, without sending anything
+function fixPreview() {
+  return SCENARIOS.flatMap(({ type, key }) => {
+    const lastSequence = id => uploads.lastSequence(type, id);
+    return validate(type, fixtures[key].map(builders[type]), { autoFix: true, lastSequence }).issues;
+  });
+}
+
+function latestRun() {
+  const latest = uploads.listUploads({ limit: 1 }).find(u => u.runId);
+  return latest ? summarize(latest.runId, uploads.listUploads({ runId: latest.runId })) : null;
+}
+
+module.exports = { run, fixPreview, latestRun };
@@ -0,0 +1,83 @@
+/**
+ * Uploads validated payloads to the Sandata intake API and tracks each
+ * transaction in sandata_uploads. Records the validator could not fix are
+ * held back and reported rather than sent.
+ */
+
+const axios = require('axios');
+const config = require('./config');
+const { validate } = require('./validator');
+const { recordId } = require('./payloads');
+const uploads = require('../repositories/sandata');
+
+const http = axios.create({
+  baseURL: config.BASE_URL,
+  timeout: 30000,
+  auth: { username: config.USERNAME, password: config.PASSWORD },
+  headers: { Account: config.ACCOUNT, 'Content-Type': 'application/json' }
+});
+
+function describeError(error) {
+  return error.response?.data?.messageSummary || error.message;
+}
+
+// Rejections the aggregator reported for individual records
+function recordErrors(type, data) {
+  return (data || []).filter(r => r.ErrorCode).map(r => ({ recordId: recordId(type, r), code: r.ErrorCode, message: r.ErrorMessage }));
+}
+
+/**
+ * Fetches the aggregator's verdict for an upload and records accepted
+ * SequenceIDs so the next upload of those records is numbered above them.
+ */
+async function refreshStatus(uploadId) {
+  const upload = uploads.findUpload(uploadId);
+  if (!upload || !upload.transactionId) return upload;
+  try {
+    const { data } = await http.get(`${config.ENDPOINTS[upload.entityType]}/status`, { params: { uuid: upload.transactionId } });
+    const errors = recordErrors(upload.entityType, data.data);
+    const failedIds = new Set(errors.map(e => e.recordId));
+    for (const record of data.data || []) {
+      const id = recordId(upload.entityType, record);
+      if (!failedIds.has(id)) uploads.recordSequence(upload.entityType, id, Number(record.SequenceID));
+    }
+    const status = data.status !== 'SUCCESS' ? 'failed' : errors.length ? 'partial' : 'accepted';
+    const heldBack = upload.recordCount - upload.payload.length;
+    return uploads.updateUpload(uploadId, {
+      status, errors, rejectedCount: heldBack + errors.length, response: { status: data.status, messageSummary: data.messageSummary }
+    });
+  } catch (error) {
+    return uploads.updateUpload(uploadId, { errors: [{ code: 'STATUS', message: describeError(error) }] });
+  }
+}
+
+/**
+ * @param {'client'|'employee'|'visit'} type
+ * @param {object[]} payloads built by payloads.js
+ * @param {{ autoFix?: boolean, runId?: string, userId?: string }} options
+ */
+async function upload(type, payloads, { autoFix = true, runId, userId } = {}) {
+  const lastSequence = id => uploads.lastSequence(type, id);
+  const { records, issues, rejected } = validate(type, payloads, { autoFix, lastSequence });
+  const held = new Set(rejected);
+  const sendable = records.filter(r => !held.has(recordId(type, r)));
+
+  let record = uploads.createUpload({
+    entityType: type, status: sendable.length ? 'pending' : 'blocked', recordCount: records.length,
+    rejectedCount: held.size, issues, payload: sendable, runId, createdBy: userId
+  });
+  if (!sendable.length) return record;
+
+  try {
+    const { data } = await http.post(config.ENDPOINTS[type], sendable);
+    record = uploads.updateUpload(record.id, {
+      transactionId: data.id, status: 'submitted', response: { status: data.status, messageSummary: data.messageSummary }
+    });
+  } catch (error) {
+    console.error(`❌ Sandata ${type} upload failed:`, describeError(error));
+    return uploads.updateUpload(record.id, { status: 'failed', errors: [{ code: 'UPLOAD', message: describeError(error) }] });
+  }
+  return refreshStatus(record.id);
+}
+
+module.exports = { upload, refreshStatus };
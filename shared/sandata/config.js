@@ -0,0 +1,51 @@
+// Sandata EVV aggregator settings for UNITED FAMILY CAREGIVERS.
+// SANDATA_BASE_URL defaults to the local mock (see mock-server.js) so
+// certification runs are reproducible without touching the real aggregator.
+
+const PROVIDER = {
+  ProviderQualifier: 'MedicaidID',
+  ProviderID: process.env.SANDATA_PROVIDER_ID || '250038194'
+};
+
+const ACCOUNT = process.env.SANDATA_ACCOUNT || '71607';
+const BASE_URL = process.env.SANDATA_BASE_URL || `http://localhost:${process.env.SANDATA_MOCK_PORT || 7090}`;
+const USERNAME = process.env.SANDATA_USERNAME || 'mock';
+const PASSWORD = process.env.SANDATA_PASSWORD || 'mock';
+const TIMEZONE = 'US/Pacific';
+
+const ENDPOINTS = {
+  client: '/interfaces/intake/clients/v2',
+  employee: '/interfaces/intake/employees/v2',
+  visit: '/interfaces/intake/visits/v2'
+};
+
+// Services we bill, keyed by the aggregator's procedure code. `aliases` are the
+// internal service IDs that previously produced "Error during retrieving service".
+const SERVICE_CATALOG = {
+  T1019: { payerId: 'NVMCD', payerProgram: 'PCS', modifiers: [], aliases: ['pcs', 'personal care', 'personal_care', 'pcs-type-30'] },
+  S5130: { payerId: 'NVMCD', payerProgram: 'PCS', modifiers: [], aliases: ['homemaker', 'homemaker services'] }
+};
+
+const PHONE_TYPES = ['Home', 'Mobile', 'Business', 'Other'];
+const PHONE_TYPE_ALIASES = { work: 'Business', office: 'Business', cell: 'Mobile', cellular: 'Mobile', landline: 'Home' };
+
+const CALL_TYPES = ['Mobile', 'Telephony', 'Manual', 'FOB', 'Other'];
+const CALL_TYPE_ALIASES = { gps: 'Mobile', app: 'Mobile', evv_app: 'Mobile', ivr: 'Telephony', phone: 'Telephony', landline: 'Telephony' };
+
+const CALL_ASSIGNMENTS = ['Time In', 'Time Out'];
+
+module.exports = {
+  PROVIDER,
+  ACCOUNT,
+  BASE_URL,
+  USERNAME,
+  PASSWORD,
+  TIMEZONE,
+  ENDPOINTS,
+  SERVICE_CATALOG,
+  PHONE_TYPES,
+  PHONE_TYPE_ALIASES,
+  CALL_TYPES,
+  CALL_TYPE_ALIASES,
+  CALL_ASSIGNMENTS
+};
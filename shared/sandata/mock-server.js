@@ -0,0 +1,112 @@
+/**
+ * Local stand-in for the Sandata intake API. It enforces the aggregator rules
+ * that failed certification independently of validator.js, so a record that
+ * slips past our checks is still rejected here the way production would.
+ *
+ *   node shared/sandata/mock-server.js        # listens on SANDATA_MOCK_PORT (7090)
+ *
+ * State is in memory and resets on restart.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const config = require('./config');
+
+const PHONE_TYPES = ['Home', 'Mobile', 'Business', 'Other'];
+const CALL_TYPES = ['Mobile', 'Telephony', 'Manual', 'FOB', 'Other'];
+
+function recordKey(type, record) {
+  if (type === 'client') return record.ClientOtherID;
+  if (type === 'employee') return record.EmployeeOtherID;
+  return record.VisitOtherID;
+}
+
+function checkRecord(type, record, sequences) {
+  const errors = [];
+  const key = `${type}:${recordKey(type, record)}`;
+  const last = sequences.get(key) || 0;
+  if (!(Number(record.SequenceID) > last)) {
+    errors.push({ code: '-1', message: `ERROR: The SequenceID ${record.SequenceID} is less than or equal to the existing record version ${last}.` });
+  }
+  if (type === 'client') {
+    for (const phone of record.ClientPhone || []) {
+      if (!PHONE_TYPES.includes(phone.ClientPhoneType)) {
+        errors.push({ code: '-1', message: `ERROR: ClientPhoneType ${phone.ClientPhoneType} is not a valid value.` });
+      }
+    }
+  }
+  if (type === 'visit') {
+    const service = config.SERVICE_CATALOG[record.ProcedureCode];
+    if (!service || service.payerId !== record.PayerID || service.payerProgram !== record.PayerProgram) {
+      errors.push({ code: '-1', message: `ERROR: Error during retrieving service service_id entered ${record.ProcedureCode}.` });
+    }
+    const calls = record.Calls || [];
+    const types = new Set(calls.map(c => c.CallType));
+    if ([...types].some(t => !CALL_TYPES.includes(t))) errors.push({ code: '-1', message: 'ERROR: CallType is not a valid value.' });
+    if (types.size > 1) errors.push({ code: '-1', message: 'ERROR: Calls for a visit must use the same CallType.' });
+    if (types.has('Mobile') && calls.some(c => c.CallLatitude == null || c.CallLongitude == null)) {
+      errors.push({ code: '-1', message: 'ERROR: CallLatitude and CallLongitude are required for Mobile calls.' });
+    }
+    if (types.has('Telephony') && calls.some(c => !c.OriginatingPhoneNumber)) {
+      errors.push({ code: '-1', message: 'ERROR: OriginatingPhoneNumber is required for Telephony calls.' });
+    }
+    if (types.has('Manual') && !(record.VisitChanges || []).some(c => c.ReasonCode)) {
+      errors.push({ code: '-1', message: 'ERROR: VisitChanges ReasonCode is required for Manual calls.' });
+    }
+  }
+  return { key, errors };
+}
+
+function createMockServer() {
+  const app = express();
+  const sequences = new Map();
+  const transactions = new Map();
+
+  app.use(express.json({ limit: '5mb' }));
+
+  app.use((req, res, next) => {
+    const auth = req.headers.authorization || '';
+    const expected = 'Basic ' + Buffer.from(`${config.USERNAME}:${config.PASSWORD}`).toString('base64');
+    if (auth !== expected || !req.headers.account) {
+      return res.status(401).json({ status: 'FAILED', messageSummary: 'Unauthorized: invalid credentials or missing Account header' });
+    }
+    next();
+  });
+
+  for (const [type, endpoint] of Object.entries(config.ENDPOINTS)) {
+    app.post(endpoint, (req, res) => {
+      const records = Array.isArray(req.body) ? req.body : [];
+      if (!records.length) return res.status(400).json({ status: 'FAILED', messageSummary: 'Request body must be a non-empty array' });
+      const id = crypto.randomUUID();
+      const data = records.map(record => {
+        const { key, errors } = checkRecord(type, record, sequences);
+        if (!errors.length) sequences.set(key, Number(record.SequenceID));
+        return { ...record, ErrorCode: errors.length ? errors[0].code : null, ErrorMessage: errors.map(e => e.message).join(' ') || null };
+      });
+      const failed = data.filter(r => r.ErrorCode).length;
+      transactions.set(id, { id, status: 'SUCCESS', messageSummary: `${records.length - failed} of ${records.length} records accepted`, data });
+      res.json({ id, status: 'SUCCESS', token: null, messageSummary: 'The data was received and is being processed.', data: null });
+    });
+
+    app.get(`${endpoint}/status`, (req, res) => {
+      const transaction = transactions.get(req.query.uuid);
+      if (!transaction) return res.status(404).json({ status: 'FAILED', messageSummary: `Transaction ${req.query.uuid} not found` });
+      res.json(transaction);
+    });
+  }
+
+  app.post('/__reset', (req, res) => {
+    sequences.clear();
+    transactions.clear();
+    res.json({ status: 'SUCCESS' });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.SANDATA_MOCK_PORT || 7090;
+  createMockServer().listen(port, () => console.log(`🧪 Sandata mock listening on http://localhost:${port}`));
+}
+
+module.exports = { createMockServer };
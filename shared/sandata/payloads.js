@@ -0,0 +1,130 @@
+/**
+ * Builds Sandata intake payloads from our records. Builders copy values
+ * through as-is; normalization and auto-correction happen in validator.js so
+ * every change made to outgoing data is reported.
+ */
+
+const config = require('./config');
+
+function splitName(name) {
+  const parts = String(name || '').trim().split(/\s+/);
+  return { first: parts[0] || '', last: parts.slice(1).join(' ') || parts[0] || '' };
+}
+
+// client: { id, name | firstName/lastName, medicaidId, address: { line1, line2, city, state, zip }, phones: [{ type, number }], sequenceId }
+function buildClient(client) {
+  const name = client.firstName ? { first: client.firstName, last: client.lastName } : splitName(client.name);
+  const address = client.address || {};
+  return {
+    ProviderIdentification: { ...config.PROVIDER },
+    ClientID: client.medicaidId,
+    ClientFirstName: name.first,
+    ClientLastName: name.last,
+    ClientQualifier: 'ClientCustomID',
+    ClientMedicaidID: client.medicaidId,
+    ClientIdentifier: client.medicaidId,
+    MissingMedicaidID: client.medicaidId ? 'false' : 'true',
+    SequenceID: client.sequenceId,
+    ClientCustomID: client.id,
+    ClientOtherID: client.id,
+    ClientTimezone: config.TIMEZONE,
+    ClientAddress: [{
+      ClientAddressType: 'Home',
+      ClientAddressIsPrimary: 'true',
+      ClientAddressLine1: address.line1 || '',
+      ClientAddressLine2: address.line2 || '',
+      ClientCity: address.city || '',
+      ClientState: address.state || 'NV',
+      ClientZip: address.zip || '',
+      ClientAddressLongitude: address.longitude,
+      ClientAddressLatitude: address.latitude
+    }],
+    ClientPhone: (client.phones || []).map(p => ({ ClientPhoneType: p.type, ClientPhone: String(p.number || '').replace(/\D/g, '') }))
+  };
+}
+
+// employee: { id, name | firstName/lastName, ssn, email, hireDate, sequenceId }
+function buildEmployee(employee) {
+  const name = employee.firstName ? { first: employee.firstName, last: employee.lastName } : splitName(employee.name);
+  return {
+    ProviderIdentification: { ...config.PROVIDER },
+    EmployeeQualifier: 'EmployeeCustomID',
+    EmployeeIdentifier: employee.id,
+    EmployeeOtherID: employee.id,
+    SequenceID: employee.sequenceId,
+    EmployeeSSN: String(employee.ssn || '').replace(/\D/g, ''),
+    EmployeeLastName: name.last,
+    EmployeeFirstName: name.first,
+    EmployeeEmail: employee.email || '',
+    EmployeeHireDate: employee.hireDate || ''
+  };
+}
+
+// visit: { id, clientMedicaidId, clientId, employeeId, serviceId, scheduledStart, scheduledEnd,
+//          calls: [{ id, type, assignment, at, latitude, longitude, phone }], changes: [{ reasonCode, memo, changedBy }], sequenceId }
+function buildVisit(visit) {
+  const service = config.SERVICE_CATALOG[visit.serviceId] || {};
+  return {
+    ProviderIdentification: { ...config.PROVIDER },
+    VisitOtherID: visit.id,
+    SequenceID: visit.sequenceId,
+    EmployeeQualifier: 'EmployeeCustomID',
+    EmployeeOtherID: visit.employeeId,
+    EmployeeIdentifier: visit.employeeId,
+    GroupCode: null,
+    ClientIDQualifier: 'ClientCustomID',
+    ClientID: visit.clientMedicaidId,
+    ClientOtherID: visit.clientId,
+    VisitCancelledIndicator: 'false',
+    PayerID: service.payerId,
+    PayerProgram: service.payerProgram,
+    ProcedureCode: visit.serviceId,
+    Modifier1: (service.modifiers || [])[0] || null,
+    VisitTimeZone: config.TIMEZONE,
+    ScheduleStartTime: visit.scheduledStart,
+    ScheduleEndTime: visit.scheduledEnd,
+    HoursToBill: visit.hoursToBill,
+    HoursToPay: visit.hoursToBill,
+    Memo: visit.memo || null,
+    ClientVerifiedTimes: 'true',
+    ClientVerifiedTasks: 'true',
+    ClientVerifiedService: 'true',
+    ClientSignatureAvailable: 'false',
+    ClientVoiceRecording: 'false',
+    Calls: (visit.calls || []).map(call => ({
+      CallExternalID: call.id,
+      CallDateTime: call.at,
+      CallAssignment: call.assignment,
+      GroupCode: null,
+      CallType: call.type,
+      ProcedureCode: visit.serviceId,
+      ClientIdentifierOnCall: visit.clientMedicaidId,
+      MobileLogin: call.type === 'Mobile' ? visit.employeeId : null,
+      CallLatitude: call.latitude ?? null,
+      CallLongitude: call.longitude ?? null,
+      Location: null,
+      TelephonyPIN: null,
+      OriginatingPhoneNumber: call.phone ? String(call.phone).replace(/\D/g, '') : null
+    })),
+    VisitChanges: (visit.changes || []).map((change, i) => ({
+      SequenceID: i + 1,
+      ChangeMadeBy: change.changedBy || 'system',
+      ChangeDateTime: change.at || new Date().toISOString(),
+      GroupCode: null,
+      ReasonCode: change.reasonCode,
+      ChangeReasonMemo: change.memo || null,
+      ResolutionCode: change.resolutionCode || 'A'
+    }))
+  };
+}
+
+const builders = { client: buildClient, employee: buildEmployee, visit: buildVisit };
+
+// Key used to track SequenceIDs and per-record results
+function recordId(type, payload) {
+  if (type === 'client') return payload.ClientOtherID;
+  if (type === 'employee') return payload.EmployeeOtherID;
+  return payload.VisitOtherID;
+}
+
+module.exports = { buildClient, buildEmployee, buildVisit, builders, recordId };
@@ -0,0 +1,143 @@
+/**
+ * Validates Sandata payloads and, with autoFix, corrects the known
+ * certification failures:
+ *  - SERVICE_ID: internal service IDs sent instead of a catalog procedure code
+ *  - PHONE_TYPE: "Work" (and similar) instead of "Business"
+ *  - VERSION_CONFLICT: SequenceID duplicate or older than the last accepted one
+ *  - CALL_TYPE / MIXED_CALL_TYPES: unknown call types, or several types in one visit
+ * Every finding is reported with `fixed` so corrections are auditable.
+ * Mixed call types and missing call evidence are never auto-fixed: changing
+ * how a caregiver clocked in would alter the EVV record itself.
+ */
+
+const config = require('./config');
+const { recordId } = require('./payloads');
+
+function lookupAlias(value, allowed, aliases) {
+  const raw = String(value || '').trim();
+  const exact = allowed.find(a => a.toLowerCase() === raw.toLowerCase());
+  return exact || aliases[raw.toLowerCase()] || null;
+}
+
+function resolveService(value) {
+  const raw = String(value || '').trim();
+  if (config.SERVICE_CATALOG[raw.toUpperCase()]) return raw.toUpperCase();
+  return Object.keys(config.SERVICE_CATALOG).find(code => config.SERVICE_CATALOG[code].aliases.includes(raw.toLowerCase())) || null;
+}
+
+// Monotonic and comfortably above anything previously sent
+function nextSequenceId(last) {
+  return Math.max((Number(last) || 0) + 1, Math.floor(Date.now() / 1000));
+}
+
+function checkSequence(payload, id, lastSequence, report) {
+  const last = lastSequence(id);
+  const current = Number(payload.SequenceID);
+  if (!Number.isInteger(current) || current <= 0 || (last && current <= last)) {
+    const next = nextSequenceId(last);
+    report('VERSION_CONFLICT', 'SequenceID', `SequenceID ${payload.SequenceID ?? '(missing)'} is duplicate or older than ${last || 'required minimum'}`, () => { payload.SequenceID = next; });
+  }
+}
+
+function checkClient(payload, report) {
+  if (!payload.ClientFirstName || !payload.ClientLastName) report('REQUIRED', 'ClientName', 'Client first and last name are required');
+  const medicaid = String(payload.ClientMedicaidID || '');
+  if (medicaid && !/^\d{9,10}$/.test(medicaid)) {
+    const digits = medicaid.replace(/\D/g, '');
+    const fix = /^\d{9,10}$/.test(digits) ? () => { payload.ClientMedicaidID = payload.ClientID = payload.ClientIdentifier = digits; } : null;
+    report('MEDICAID_ID', 'ClientMedicaidID', 'Nevada Medicaid ID must be 9-10 digits', fix);
+  }
+  (payload.ClientPhone || []).forEach((phone, i) => {
+    if (config.PHONE_TYPES.includes(phone.ClientPhoneType)) return;
+    const canonical = lookupAlias(phone.ClientPhoneType, config.PHONE_TYPES, config.PHONE_TYPE_ALIASES);
+    report('PHONE_TYPE', `ClientPhone[${i}].ClientPhoneType`, `Phone type "${phone.ClientPhoneType}" is not valid; use ${config.PHONE_TYPES.join('/')}`,
+      canonical ? () => { phone.ClientPhoneType = canonical; } : null);
+  });
+}
+
+function checkEmployee(payload, report) {
+  if (!payload.EmployeeFirstName || !payload.EmployeeLastName) report('REQUIRED', 'EmployeeName', 'Employee first and last name are required');
+  if (!/^\d{9}$/.test(payload.EmployeeSSN || '')) report('REQUIRED', 'EmployeeSSN', 'Employee SSN must be 9 digits');
+}
+
+function checkVisit(payload, report) {
+  const code = resolveService(payload.ProcedureCode);
+  if (!code) {
+    report('SERVICE_ID', 'ProcedureCode', `Error during retrieving service: "${payload.ProcedureCode}" is not a known procedure code`);
+  } else {
+    const service = config.SERVICE_CATALOG[code];
+    if (payload.ProcedureCode !== code || payload.PayerID !== service.payerId || payload.PayerProgram !== service.payerProgram) {
+      report('SERVICE_ID', 'ProcedureCode', `Service "${payload.ProcedureCode}" must be sent as ${code} (${service.payerId}/${service.payerProgram})`, () => {
+        payload.ProcedureCode = code;
+        payload.PayerID = service.payerId;
+        payload.PayerProgram = service.payerProgram;
+        (payload.Calls || []).forEach(call => { call.ProcedureCode = code; });
+      });
+    }
+  }
+
+  const calls = payload.Calls || [];
+  if (!calls.some(c => c.CallAssignment === 'Time In')) report('CALL_MISSING', 'Calls', 'Visit has no Time In call');
+  calls.forEach((call, i) => {
+    if (!config.CALL_ASSIGNMENTS.includes(call.CallAssignment)) report('CALL_ASSIGNMENT', `Calls[${i}].CallAssignment`, `Call assignment "${call.CallAssignment}" is not valid`);
+    if (config.CALL_TYPES.includes(call.CallType)) return;
+    const canonical = lookupAlias(call.CallType, config.CALL_TYPES, config.CALL_TYPE_ALIASES);
+    report('CALL_TYPE', `Calls[${i}].CallType`, `Call type "${call.CallType}" is not valid; use ${config.CALL_TYPES.join('/')}`,
+      canonical ? () => { call.CallType = canonical; } : null);
+  });
+
+  // Evaluated on the (possibly corrected) call types
+  const types = [...new Set(calls.map(c => lookupAlias(c.CallType, config.CALL_TYPES, config.CALL_TYPE_ALIASES) || c.CallType))];
+  if (types.length > 1) {
+    report('MIXED_CALL_TYPES', 'Calls', `Calls in one visit must share a call type (found ${types.join(', ')}); record a Manual visit change instead`);
+  }
+  calls.forEach((call, i) => {
+    const type = lookupAlias(call.CallType, config.CALL_TYPES, config.CALL_TYPE_ALIASES);
+    if (type === 'Mobile' && (call.CallLatitude == null || call.CallLongitude == null)) {
+      report('CALL_EVIDENCE', `Calls[${i}]`, 'Mobile calls require CallLatitude and CallLongitude');
+    }
+    if (type === 'Telephony' && !call.OriginatingPhoneNumber) {
+      report('CALL_EVIDENCE', `Calls[${i}]`, 'Telephony calls require OriginatingPhoneNumber');
+    }
+  });
+  if (types.includes('Manual') && !(payload.VisitChanges || []).some(c => c.ReasonCode)) {
+    report('CALL_EVIDENCE', 'VisitChanges', 'Manual calls require a VisitChanges entry with a ReasonCode');
+  }
+
+  const timeIn = calls.find(c => c.CallAssignment === 'Time In');
+  const timeOut = calls.find(c => c.CallAssignment === 'Time Out');
+  if (timeIn && timeOut && new Date(timeOut.CallDateTime) <= new Date(timeIn.CallDateTime)) {
+    report('CALL_ORDER', 'Calls', 'Time Out must be after Time In');
+  }
+}
+
+const checks = { client: checkClient, employee: checkEmployee, visit: checkVisit };
+
+/**
+ * @param {'client'|'employee'|'visit'} type
+ * @param {object[]} payloads built by payloads.js; copied, never mutated
+ * @param {{ autoFix?: boolean, lastSequence?: (recordId: string) => number|null }} options
+ * @returns {{ records: object[], issues: object[], rejected: string[] }}
+ */
+function validate(type, payloads, { autoFix = false, lastSequence = () => null } = {}) {
+  const check = checks[type];
+  if (!check) throw new Error(`Unknown Sandata record type: ${type}`);
+  const issues = [];
+  const rejected = new Set();
+  const records = payloads.map(original => {
+    const payload = JSON.parse(JSON.stringify(original));
+    const id = recordId(type, payload);
+    const report = (code, field, message, fix) => {
+      const fixed = !!(autoFix && fix);
+      if (fixed) fix();
+      issues.push({ recordId: id, type, code, field, message, fixable: !!fix, fixed });
+      if (!fixed) rejected.add(id);
+    };
+    checkSequence(payload, id, lastSequence, report);
+    check(payload, report);
+    return payload;
+  });
+  return { records, issues, rejected: [...rejected] };
+}
+
+module.exports = { validate, resolveService, nextSequenceId };
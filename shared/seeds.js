@@ -0,0 +1,139 @@
+// Demo data for a fresh database; INSERT OR IGNORE keeps reruns harmless.
+// Users carry credential hashes only, never plaintext.
+
+const users = [
+  {
+    id: 'johnny', email: 'johnny@alorosai.com', username: 'johnny', phone: null, name: 'Johnny Alorosai', role: 'admin',
+    password_hash: 'scrypt:e2090cfb795f54c7dc912c0c73c20e41:7af44ea97d94b4a4b9d75b36e607211b51c7cd19f8265576b42646e9a1dee8c9719d069d37ca888807a414218c475e3316e33862d9204420c8b5d5ac70a9ddf7',
+    security_question: null, security_answer_hash: null
+  },
+  {
+    id: 'agent1', email: 'agent1@ufc.local', username: 'agent1', phone: '+17025550101', name: null, role: 'admin',
+    password_hash: 'scrypt:a00aa433acfc6e9726b805fe59cbeb2f:b4c23ab2c7bc5cf086214ecd6f707e008c73a10fce46d7a4c87e441de05e1a7ab144133cc5a7f25583ea7f7ff4213e64edc47084426b97b3feac4062580732c7',
+    security_question: 'favorite_color',
+    security_answer_hash: 'scrypt:dc43251d0f26ee2a6c4224e32bf364be:3982ab745aa503a1ae63b30f472c964736b8e3770e34c9cc994589dc5746c38f037e254be19ce5bbb85f4c75ae1d783aed9595e98be1ffcbd2b388905e4d2898'
+  },
+  {
+    id: 'user1', email: 'user1@ufc.local', username: 'user1', phone: '+17025550102', name: null, role: 'client',
+    password_hash: 'scrypt:82e041c9bcaa271991576ed32b23166a:e959064f4f9c919651d97a12d9452cb2c5372150ae45ee4b469c35bb949a7699513fcc2a1e210c1b06586f0123ec14e4ac8dadda99e0595575543f16f8a2cf88',
+    security_question: 'pet_name',
+    security_answer_hash: 'scrypt:88c76290ddd5183c854fdb3a64434b87:dcf56dbb4603584d10cb78ecce68a354e605c27bc9084958557243960c56be8869d4ef1147b1a1224084f1b20d25cc906f9b62636e532bb62137fb1e43c18618'
+  },
+  {
+    id: 'caregiver1', email: 'caregiver1@ufc.local', username: 'caregiver1', phone: '+17025550103', name: 'Emily Chen', role: 'caregiver',
+    password_hash: 'scrypt:fe7f58abd9e4b4d693ca332359a7fa88:7bc26ebb5f80fd2bf0e28a9685e87a4aa4fe7b33ff9e34a094b2c04a3a4552ce25f132122350cbc9b1a725007bd7081f7092b1d8ab9f2206ccc4c9b6f5895383',
+    security_question: null, security_answer_hash: null
+  }
+];
+
+// Practice profiles used by the rep dashboard
+const profiles = [
+  {
+    id: 'profile1', name: 'Sarah Johnson', role: 'Client', email: 'sarah.johnson@email.com', phone: '(702) 555-0101',
+    medicaid_id: '123456789', dob: '1958-03-14', status: 'Active', address: '123 Main St, Las Vegas, NV 89101',
+    caregiver: 'Mary Johnson (Mother)', client: null, last_contact: '2025-09-20', home_latitude: 36.1676, home_longitude: -115.1432,
+    notes: ['Needs help with PCS waiver application', 'Has mobility issues', 'Prefers morning calls']
+  },
+  {
+    id: 'profile2', name: 'Robert Martinez', role: 'Client', email: 'robert.martinez@email.com', phone: '(702) 555-0102',
+    medicaid_id: '987654321', dob: '1971-11-02', status: 'Pending', address: '456 Oak Ave, Henderson, NV 89014',
+    caregiver: 'Maria Martinez (Sister)', client: null, last_contact: '2025-09-19', home_latitude: 36.0397, home_longitude: -114.9819,
+    notes: ['Medicaid approved, waiting for waiver', 'Works part-time', 'Has diabetes']
+  },
+  {
+    id: 'profile3', name: 'Emily Chen', role: 'Caregiver', email: 'emily.chen@email.com', phone: '(702) 555-0103',
+    medicaid_id: '456789123', dob: '1986-07-25', status: 'Active', address: '789 Pine St, Reno, NV 89501',
+    caregiver: null, client: 'David Chen (Father)', last_contact: '2025-09-21', home_latitude: null, home_longitude: null,
+    notes: ['Caring for father with dementia', 'Has CNA certification', 'Available weekdays']
+  }
+];
+
+// Runbook grants for the demo admins; only the owner manages grants
+const runbookPermissions = {
+  johnny: ['ops.read', 'ops.restart', 'ops.admin'],
+  agent1: ['ops.read', 'ops.restart']
+};
+
+// The demo caregiver's employee record: active, onboarded, with credentials
+// that expire the given number of years after the first seed
+const employees = [
+  {
+    id: 'employee-caregiver1', user_id: 'caregiver1', profile_id: 'profile3', name: 'Emily Chen', email: 'caregiver1@ufc.local',
+    phone: '(702) 555-0103', position: 'caregiver', status: 'active',
+    steps: ['background_check', 'i9', 'tb_test', 'cpr_first_aid', 'training_orientation', 'training_personal_care', 'training_abuse', 'training_hipaa'],
+    credentials: { background_check: 5, tb_test: 1, cpr_first_aid: 2, cna: 2 }
+  }
+];
+
+// A client thread so the shared inbox has something in it on a fresh install
+const conversations = [
+  {
+    id: 'conv-user1-medicaid', subject: 'Help with my Medicaid ID', client_id: 'user1', contact_name: 'user1',
+    contact_phone: '+17025550102', contact_email: 'user1@ufc.local', tags: ['new', 'urgent'],
+    messages: ['I need help with my Medicaid ID. The letter I got says my number is missing a digit.']
+  }
+];
+
+function seed(db) {
+  const now = new Date().toISOString();
+  const insertUser = db.prepare(`INSERT OR IGNORE INTO users
+    (id, email, username, phone, name, role, password_hash, security_question, security_answer_hash, created_at)
+    VALUES (@id, @email, @username, @phone, @name, @role, @password_hash, @security_question, @security_answer_hash, @created_at)`);
+  const insertProfile = db.prepare(`INSERT OR IGNORE INTO profiles
+    (id, name, role, email, phone, medicaid_id, dob, status, address, caregiver, client, last_contact, home_latitude, home_longitude, created_at, updated_at)
+    VALUES (@id, @name, @role, @email, @phone, @medicaid_id, @dob, @status, @address, @caregiver, @client, @last_contact, @home_latitude, @home_longitude, @created_at, @created_at)`);
+  const insertNote = db.prepare(`INSERT OR IGNORE INTO notes (id, profile_id, text, author, created_at, updated_at)
+    VALUES (?, ?, ?, 'Agent', ?, ?)`);
+  const insertNoteRevision = db.prepare(`INSERT OR IGNORE INTO note_revisions
+    (note_id, revision, text, category, priority, pinned, editor_name, edited_at)
+    VALUES (?, 1, ?, 'general', 'medium', 0, 'Agent', ?)`);
+  const insertGrant = db.prepare(`INSERT OR IGNORE INTO runbook_permissions (user_id, permission, granted_by, granted_at)
+    VALUES (?, ?, 'seed', ?)`);
+  const insertConversation = db.prepare(`INSERT OR IGNORE INTO conversations
+    (id, subject, client_id, contact_name, contact_phone, contact_email, created_by, created_at, updated_at, last_message_at)
+    VALUES (@id, @subject, @client_id, @contact_name, @contact_phone, @contact_email, @client_id, @created_at, @created_at, @created_at)`);
+  const insertEmployee = db.prepare(`INSERT OR IGNORE INTO employees
+    (id, user_id, profile_id, name, email, phone, position, status, hire_date, created_at, updated_at)
+    VALUES (@id, @user_id, @profile_id, @name, @email, @phone, @position, @status, @hire_date, @created_at, @created_at)`);
+  const insertStep = db.prepare(`INSERT OR IGNORE INTO employee_steps (employee_id, step, status, completed_by, completed_at)
+    VALUES (?, ?, 'done', 'seed', ?)`);
+  const insertCredential = db.prepare(`INSERT OR IGNORE INTO employee_credentials
+    (id, employee_id, type, issued_on, expires_on, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, 'seed', ?, ?)`);
+  const insertTag = db.prepare('INSERT OR IGNORE INTO conversation_tags (conversation_id, tag) VALUES (?, ?)');
+  const insertParticipant = db.prepare(`INSERT OR IGNORE INTO conversation_participants (conversation_id, user_id, role, joined_at)
+    VALUES (?, ?, 'client', ?)`);
+  const insertMessage = db.prepare(`INSERT INTO conversation_messages (conversation_id, sender_id, sender_role, body, created_at)
+    VALUES (?, ?, 'client', ?, ?)`);
+
+  users.forEach(u => insertUser.run({ ...u, created_at: now }));
+  profiles.forEach(({ notes, ...p }) => {
+    insertProfile.run({ ...p, created_at: now });
+    notes.forEach((text, i) => {
+      insertNote.run(`seed-${p.id}-${i + 1}`, p.id, text, now, now);
+      insertNoteRevision.run(`seed-${p.id}-${i + 1}`, text, now);
+    });
+  });
+  // Date arithmetic rather than string splicing, so a Feb 29 run lands on Mar 1 instead of an invalid date
+  const inYears = years => {
+    const date = new Date(now);
+    date.setUTCFullYear(date.getUTCFullYear() + years);
+    return date.toISOString().slice(0, 10);
+  };
+  employees.forEach(({ steps, credentials, ...e }) => {
+    insertEmployee.run({ ...e, hire_date: now.slice(0, 10), created_at: now });
+    steps.forEach(step => insertStep.run(e.id, step, now));
+    Object.entries(credentials).forEach(([type, years]) =>
+      insertCredential.run(`seed-${e.id}-${type}`, e.id, type, now.slice(0, 10), inYears(years), now, now));
+  });
+  // Messages have no natural key, so a thread is only filled in when it is first created
+  conversations.forEach(({ tags, messages, ...c }) => {
+    if (!insertConversation.run({ ...c, created_at: now }).changes) return;
+    tags.forEach(tag => insertTag.run(c.id, tag));
+    insertParticipant.run(c.id, c.client_id, now);
+    messages.forEach(body => insertMessage.run(c.id, c.client_id, body, now));
+  });
+  Object.entries(runbookPermissions).forEach(([userId, permissions]) =>
+    permissions.forEach(permission => insertGrant.run(userId, permission, now)));
+}
+
+module.exports = seed;
@@ -0,0 +1,136 @@
+/**
+ * AI analysis behind the agent dashboard actions (make note, create profile,
+ * schedule task, summarize). The model is asked for JSON; every field is
+ * validated, and rule-based values fill in when the model is unavailable or
+ * returns something unusable, so the dashboard always gets the full shape.
+ */
+
+const llm = require('../llm');
+const profileService = require('./profiles');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const NOTE_CATEGORIES = ['eligibility', 'intake', 'scheduling', 'billing', 'medical', 'general'];
+const TASK_CATEGORIES = ['call', 'follow_up', 'documentation', 'scheduling', 'eligibility', 'general'];
+
+const CATEGORY_KEYWORDS = {
+  eligibility: ['medicaid', 'waiver', 'eligib', 'pcs', 'interview'],
+  intake: ['intake', 'register', 'new client', 'referral'],
+  scheduling: ['schedule', 'appointment', 'visit', 'hours', 'shift'],
+  billing: ['bill', 'pay', 'claim', 'rate', 'invoice'],
+  medical: ['diagnos', 'medical', 'doctor', 'medication', 'adl', 'hospital'],
+  call: ['call', 'phone', 'three-way'],
+  follow_up: ['follow up', 'follow-up', 'check in', 'callback', 'call back'],
+  documentation: ['document', 'form', 'upload', 'paperwork', 'sign']
+};
+
+// Minutes, used when the model cannot estimate
+const DEFAULT_ESTIMATES = { call: 15, follow_up: 15, documentation: 30, scheduling: 20, eligibility: 45, general: 30 };
+
+function oneOf(value, allowed, fallback) {
+  const v = String(value || '').toLowerCase().trim();
+  return allowed.includes(v) ? v : fallback;
+}
+
+function stringList(value, max = 6) {
+  if (!Array.isArray(value)) return [];
+  return value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim()).slice(0, max);
+}
+
+function sentences(text) {
+  return String(text || '').split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+}
+
+function guessCategory(text, allowed) {
+  const lower = String(text || '').toLowerCase();
+  const match = allowed.find(c => (CATEGORY_KEYWORDS[c] || []).some(k => lower.includes(k)));
+  return match || 'general';
+}
+
+function guessPriority(text) {
+  const lower = String(text || '').toLowerCase();
+  if (/(urgent|asap|emergency|immediately|today)/.test(lower)) return 'high';
+  if (/(when possible|no rush|eventually)/.test(lower)) return 'low';
+  return 'medium';
+}
+
+function extractActionItems(text) {
+  return sentences(text)
+    .filter(s => /\b(need|needs|should|must|call|follow up|send|schedule|verify|submit)\b/i.test(s))
+    .slice(0, 5);
+}
+
+function titleFrom(text, words = 8) {
+  const parts = String(text || '').replace(/\s+/g, ' ').trim().split(' ');
+  return parts.slice(0, words).join(' ') + (parts.length > words ? '…' : '');
+}
+
+async function askModel(prompt, purpose, actor) {
+  try {
+    return await llm.generateJson(prompt, { purpose, actor });
+  } catch (error) {
+    console.warn('⚠️ Agent assistant falling back to rules:', error.message);
+    return null;
+  }
+}
+
+async function analyzeNote({ content, context }, actor) {
+  const ai = await askModel(`You organize case notes for United Family Caregivers, a Nevada Medicaid PCS provider.
+Return JSON: {"title": "max 8 words", "category": one of ${JSON.stringify(NOTE_CATEGORIES)}, "priority": one of ${JSON.stringify(PRIORITIES)}, "actionItems": ["short imperative steps"]}.
+Context: ${context || 'none'}
+Note: ${content}`, 'agent.note', actor);
+  return {
+    title: (ai && typeof ai.title === 'string' && ai.title.trim()) || titleFrom(content),
+    category: oneOf(ai && ai.category, NOTE_CATEGORIES, guessCategory(content, NOTE_CATEGORIES)),
+    priority: oneOf(ai && ai.priority, PRIORITIES, guessPriority(content)),
+    actionItems: ai && Array.isArray(ai.actionItems) ? stringList(ai.actionItems) : extractActionItems(content),
+    source: ai ? 'ai' : 'rules'
+  };
+}
+
+// Completeness comes from the profile service's role schema; the model only suggests next steps
+async function analyzeProfile(profile, actor) {
+  const { completionPercentage, missing } = profileService.completeness(profile);
+  const ai = missing.length ? await askModel(`A ${profile.role || 'client'} profile for a Nevada Medicaid PCS provider is missing: ${missing.map(m => m.label).join(', ')}.
+Return JSON: {"nextSteps": ["short steps a rep should take to collect the missing information"]}.`, 'agent.profile', actor) : null;
+  return {
+    completeness: completionPercentage,
+    missingInfo: missing.map(m => m.label),
+    nextSteps: ai ? stringList(ai.nextSteps, 4) : [],
+    source: ai ? 'ai' : 'rules'
+  };
+}
+
+async function analyzeTask({ title, description, priority }, actor) {
+  const text = `${title}. ${description || ''}`;
+  const ai = await askModel(`You plan tasks for customer service reps at a Nevada Medicaid PCS provider.
+Return JSON: {"category": one of ${JSON.stringify(TASK_CATEGORIES)}, "priority": one of ${JSON.stringify(PRIORITIES)}, "estimatedTime": minutes as an integer, "prerequisites": ["things needed before starting"]}.
+Task: ${title}
+Description: ${description || 'none'}
+Requested priority: ${priority || 'none'}`, 'agent.task', actor);
+  const category = oneOf(ai && ai.category, TASK_CATEGORIES, guessCategory(text, TASK_CATEGORIES));
+  const estimate = Math.round(Number(ai && ai.estimatedTime));
+  return {
+    category,
+    // An explicit priority from the rep always wins over the model
+    priority: oneOf(priority, PRIORITIES, oneOf(ai && ai.priority, PRIORITIES, guessPriority(text))),
+    estimatedTime: estimate >= 5 && estimate <= 480 ? estimate : DEFAULT_ESTIMATES[category],
+    prerequisites: ai ? stringList(ai.prerequisites, 5) : [],
+    source: ai ? 'ai' : 'rules'
+  };
+}
+
+async function summarize({ content, type = 'conversation' }, actor) {
+  const ai = await askModel(`Summarize this ${type} for a customer service rep at United Family Caregivers.
+Return JSON: {"summary": "2-3 sentences", "keyPoints": ["..."], "actionItems": ["..."]}.
+${type}:
+${content}`, 'agent.summary', actor);
+  const lines = sentences(content);
+  return {
+    summary: (ai && typeof ai.summary === 'string' && ai.summary.trim()) || lines.slice(0, 2).join(' '),
+    keyPoints: ai && Array.isArray(ai.keyPoints) ? stringList(ai.keyPoints) : lines.slice(0, 5),
+    actionItems: ai && Array.isArray(ai.actionItems) ? stringList(ai.actionItems) : extractActionItems(content),
+    source: ai ? 'ai' : 'rules'
+  };
+}
+
+module.exports = { analyzeNote, analyzeProfile, analyzeTask, summarize, PRIORITIES };
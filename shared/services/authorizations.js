@@ -0,0 +1,266 @@
+/**
+ * Service authorizations. Each one approves a client for so many hours of a
+ * service per week or month between two dates. Utilization is summed from
+ * the client's visits for the same service: clocked-out hours count as used,
+ * visits still to come as scheduled. A worker raises a rep-queue task when a
+ * client nears or goes over their hours, is booked past them, or has an
+ * authorization about to end with nothing after it.
+ *
+ * Periods are calendar months and Monday-to-Sunday weeks, by UTC date.
+ */
+
+const authorizations = require('../repositories/authorizations');
+const profiles = require('../repositories/profiles');
+const sandataConfig = require('../sandata/config');
+const taskService = require('./tasks');
+const auditLog = require('../repositories/audit-log');
+const { httpError, requireRep } = require('../http');
+
+// Share of the approved hours used before reps are warned
+const WARN_PERCENT = Number(process.env.AUTH_WARN_PERCENT) || 80;
+// How many days before an authorization ends reps are told to renew it
+const EXPIRY_DAYS = Number(process.env.AUTH_EXPIRY_DAYS) || 30;
+const TICK_MS = Number(process.env.AUTH_TICK_MS) || 15 * 60 * 1000;
+
+const PERIODS = ['week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ALERTS = {
+  hours_nearing: 'Nearing approved hours',
+  hours_exceeded: 'Over approved hours',
+  overbooked: 'Scheduled past approved hours',
+  expiring: 'Authorization ending soon'
+};
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+const round = hours => Math.round(hours * 100) / 100;
+
+// The week or month containing `date`, as [start, end) dates, clipped to the authorization
+function periodOf(auth, date) {
+  let start;
+  let end;
+  if (auth.period === 'month') {
+    start = `${date.slice(0, 7)}-01`;
+    const next = new Date(start);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    end = next.toISOString().slice(0, 10);
+  } else {
+    start = addDays(date, -((new Date(date).getUTCDay() + 6) % 7));
+    end = addDays(start, 7);
+  }
+  const last = addDays(auth.endDate, 1);
+  return { start: start < auth.startDate ? auth.startDate : start, end: end > last ? last : end };
+}
+
+/**
+ * Hours for the current period (or the first or last one when the
+ * authorization has not started or has ended).
+ */
+function utilization(auth, on = today()) {
+  const date = on < auth.startDate ? auth.startDate : on > auth.endDate ? auth.endDate : on;
+  const period = periodOf(auth, date);
+  const { used, scheduled } = authorizations.visitHours(auth.profileId, auth.serviceCode, `${period.start}T00:00:00.000Z`, `${period.end}T00:00:00.000Z`);
+  return {
+    periodStart: period.start, periodEnd: addDays(period.end, -1), approved: auth.hours,
+    used: round(used), scheduled: round(scheduled), remaining: round(Math.max(auth.hours - used, 0)),
+    percent: Math.round(used / auth.hours * 100)
+  };
+}
+
+function status(auth, on = today()) {
+  if (on < auth.startDate) return 'upcoming';
+  return on > auth.endDate ? 'expired' : 'active';
+}
+
+// Whether a later authorization for the same client and service picks up where this one ends
+function renewed(auth) {
+  return authorizations.list({ profileId: auth.profileId, serviceCode: auth.serviceCode, endingAfter: addDays(auth.endDate, 1) })
+    .some(other => other.id !== auth.id && other.startDate > auth.endDate);
+}
+
+function alertsFor(auth, usage, on = today()) {
+  if (status(auth, on) !== 'active') return [];
+  const alerts = [];
+  const hours = h => `${h} of ${auth.hours} h`;
+  const period = `this ${auth.period}`;
+  if (usage.used > auth.hours) {
+    alerts.push({ type: 'hours_exceeded', key: usage.periodStart, message: `${hours(usage.used)} used ${period}` });
+  } else if (usage.percent >= WARN_PERCENT) {
+    alerts.push({ type: 'hours_nearing', key: usage.periodStart, message: `${hours(usage.used)} used ${period} (${usage.percent}%)` });
+  }
+  if (usage.used <= auth.hours && usage.used + usage.scheduled > auth.hours) {
+    alerts.push({ type: 'overbooked', key: usage.periodStart, message: `${hours(round(usage.used + usage.scheduled))} used or scheduled ${period}` });
+  }
+  const daysLeft = Math.round((Date.parse(auth.endDate) - Date.parse(on)) / DAY_MS);
+  if (daysLeft <= EXPIRY_DAYS && !renewed(auth)) {
+    alerts.push({ type: 'expiring', key: auth.endDate, message: `Ends ${auth.endDate} (${daysLeft} day${daysLeft === 1 ? '' : 's'}) with no renewal on file` });
+  }
+  return alerts.map(alert => ({ ...alert, label: ALERTS[alert.type] }));
+}
+
+function view(auth) {
+  const usage = utilization(auth);
+  return { ...auth, status: status(auth), utilization: usage, alerts: alertsFor(auth, usage).map(({ key, ...alert }) => alert) };
+}
+
+function audit(session, action, target, details) {
+  auditLog.append({ actor: session.sub, actorRole: session.role, action, target, details });
+}
+
+// -------- Validation --------
+function validDate(value, label) {
+  const text = String(value || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) throw httpError(400, `${label} must be a date (YYYY-MM-DD)`);
+  return text;
+}
+
+function text(value, label, max) {
+  const result = String(value ?? '').trim();
+  if (!result) throw httpError(400, `${label} is required`);
+  return result.slice(0, max);
+}
+
+function checkFields(body, current = {}) {
+  const fields = { ...current };
+  if (body.number !== undefined || !current.number) fields.number = text(body.number, 'Authorization number', 40).toUpperCase();
+  if (body.payer !== undefined || !current.payer) fields.payer = text(body.payer, 'Payer', 120);
+  if (body.serviceCode !== undefined || !current.serviceCode) {
+    fields.serviceCode = String(body.serviceCode || 'T1019').toUpperCase();
+    if (!sandataConfig.SERVICE_CATALOG[fields.serviceCode]) throw httpError(400, `serviceCode must be one of: ${Object.keys(sandataConfig.SERVICE_CATALOG).join(', ')}`);
+  }
+  if (body.hours !== undefined || current.hours === undefined) {
+    fields.hours = Number(body.hours);
+    if (!Number.isFinite(fields.hours) || fields.hours <= 0 || fields.hours > 744) throw httpError(400, 'hours must be a number of approved hours');
+  }
+  if (body.period !== undefined || !current.period) {
+    fields.period = String(body.period || '').toLowerCase();
+    if (!PERIODS.includes(fields.period)) throw httpError(400, `period must be one of: ${PERIODS.join(', ')}`);
+  }
+  if (body.startDate !== undefined || !current.startDate) fields.startDate = validDate(body.startDate, 'startDate');
+  if (body.endDate !== undefined || !current.endDate) fields.endDate = validDate(body.endDate, 'endDate');
+  if (fields.endDate < fields.startDate) throw httpError(400, 'endDate must be on or after startDate');
+  if (body.notes !== undefined) fields.notes = String(body.notes || '').trim().slice(0, 1000) || null;
+  return fields;
+}
+
+function checkUnique(fields, exceptId = null) {
+  const sameNumber = authorizations.findByNumber(fields.payer, fields.number);
+  if (sameNumber && sameNumber.id !== exceptId) throw httpError(409, `${fields.payer} authorization ${fields.number} is already on file`);
+  const overlap = authorizations.findOverlap(fields.profileId, fields.serviceCode, fields.startDate, fields.endDate, exceptId);
+  if (overlap) throw httpError(409, `Authorization ${overlap.number} already covers ${fields.serviceCode} from ${overlap.startDate} to ${overlap.endDate}`);
+}
+
+// -------- Authorizations --------
+/**
+ * Authorizations with utilization and alerts. `status` is active (default),
+ * upcoming, expired or all; `alerts=only` keeps those with an alert.
+ */
+function list(session, { profileId, status: wanted = 'active', alerts, limit } = {}) {
+  requireRep(session);
+  if (!['active', 'upcoming', 'expired', 'all'].includes(wanted)) throw httpError(400, 'status must be active, upcoming, expired or all');
+  const rows = authorizations.list({ profileId, limit }).map(view);
+  return rows.filter(auth => (wanted === 'all' || auth.status === wanted) && (alerts !== 'only' || auth.alerts.length));
+}
+
+function get(session, id) {
+  requireRep(session);
+  const auth = authorizations.findById(id);
+  if (!auth) throw httpError(404, 'Authorization not found');
+  return view(auth);
+}
+
+function create(session, body = {}) {
+  requireRep(session);
+  const client = body.profileId && profiles.findById(body.profileId);
+  if (!client || client.role !== 'Client') throw httpError(400, 'Client profile not found');
+  const fields = { ...checkFields(body), profileId: client.id };
+  checkUnique(fields);
+  const auth = authorizations.create({ ...fields, createdBy: session.sub });
+  audit(session, 'authorization.create', auth.id, { profileId: client.id, serviceCode: auth.serviceCode, hours: auth.hours, period: auth.period });
+  return view(auth);
+}
+
+function update(session, id, body = {}) {
+  requireRep(session);
+  const current = authorizations.findById(id);
+  if (!current) throw httpError(404, 'Authorization not found');
+  const fields = checkFields(body, current);
+  checkUnique(fields, current.id);
+  const changes = Object.fromEntries(Object.entries(fields).filter(([key, value]) => key in body && value !== current[key]));
+  const updated = authorizations.update(current.id, changes);
+  audit(session, 'authorization.update', current.id, { fields: Object.keys(changes) });
+  return view(updated);
+}
+
+function remove(session, id) {
+  requireRep(session);
+  const auth = authorizations.findById(id);
+  if (!auth) throw httpError(404, 'Authorization not found');
+  authorizations.remove(auth.id);
+  audit(session, 'authorization.delete', auth.id, { profileId: auth.profileId });
+  return { deleted: true };
+}
+
+/**
+ * A client's approved hours this month across their active authorizations,
+ * with weekly ones converted to a monthly figure. Null when none are active.
+ */
+function monthlyHours(profileId) {
+  const on = today();
+  const active = authorizations.list({ profileId, activeOn: on });
+  if (!active.length) return null;
+  return active.reduce((total, auth) => {
+    const usage = utilization({ ...auth, period: 'month' }, on);
+    return {
+      approved: round(total.approved + (auth.period === 'month' ? auth.hours : auth.hours * 52 / 12)),
+      used: round(total.used + usage.used),
+      scheduled: round(total.scheduled + usage.scheduled)
+    };
+  }, { approved: 0, used: 0, scheduled: 0 });
+}
+
+// -------- Worker --------
+function raise(auth, alert) {
+  if (!authorizations.addAlert(auth.id, alert.type, alert.key)) return;
+  taskService.createSystemTask({
+    dedupeKey: `authorization:${auth.id}:${alert.type}:${alert.key}`,
+    title: `${ALERTS[alert.type]}: ${auth.clientName} (${auth.serviceCode})`,
+    description: `Authorization ${auth.number} from ${auth.payer}. ${alert.message}.`,
+    category: 'billing', priority: alert.type === 'hours_exceeded' ? 'high' : 'medium', profileId: auth.profileId
+  });
+  auditLog.append({ actor: 'authorization-checks', action: `authorization.${alert.type}`, target: auth.id, details: { period: alert.key } });
+}
+
+function tick() {
+  try {
+    const on = today();
+    authorizations.list({ activeOn: on, limit: 1000 }).forEach(auth => {
+      alertsFor(auth, utilization(auth, on), on).forEach(alert => raise(auth, alert));
+    });
+  } catch (error) {
+    console.error('❌ Authorization checks failed:', error.message);
+  }
+}
+
+let timer = null;
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  setImmediate(tick);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { list, get, create, update, remove, monthlyHours, start, stop, ALERTS, PERIODS };
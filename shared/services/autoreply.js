@@ -0,0 +1,286 @@
+/**
+ * AI replies on live inbox threads. When a client writes, the handoff rules
+ * run first: pay, legal and medical-emergency topics and upset clients get
+ * the rule's holding reply and go to people, and the AI stops replying on
+ * that thread. Otherwise the model drafts a reply with a confidence score.
+ *
+ * Each channel's policy decides what happens to a draft: `off` writes none,
+ * `draft` queues every draft for a rep to approve, edit or reject, and
+ * `auto` sends drafts at or above `minConfidence` unless `maxAutoReplies`
+ * have gone out since a rep last wrote. A rep can override the policy per
+ * thread; writing in an auto thread drops it back to drafts.
+ *
+ * The drafter follows the inbox change feed, so it sees client messages
+ * posted through either server. Only the agent server starts it.
+ */
+
+const repo = require('../repositories/autoreply');
+const inboxRepo = require('../repositories/inbox');
+const prompts = require('../repositories/prompts');
+const inbox = require('./inbox');
+const rules = require('../autoreply/rules');
+const llm = require('../llm');
+const auditLog = require('../repositories/audit-log');
+const { ROLES } = require('../auth');
+const { httpError, requireRep } = require('../http');
+
+const DRAFT_TIMEOUT_MS = Number(process.env.AUTOREPLY_TIMEOUT_MS) || 30000;
+const MODES = ['off', 'draft', 'auto'];
+// Messages from these roles are never answered by the AI
+const STAFF_ROLES = [ROLES.ADMIN, 'system', 'assistant'];
+const TRANSCRIPT_MESSAGES = 12;
+const MAX_REPLY = 1200;
+// The drafter reads the feed as a rep would, so it sees every thread
+const DRAFTER = { sub: 'autoreply', role: ROLES.ADMIN };
+
+function audit(actor, action, target, details) {
+  auditLog.append({ actor: actor.sub, actorRole: actor.role, action, target, details });
+}
+
+function loadConversation(conversationId) {
+  const conversation = inboxRepo.findConversation(conversationId);
+  if (!conversation) throw httpError(404, 'Conversation not found');
+  return conversation;
+}
+
+function policyFor(channel) {
+  return repo.findPolicy(channel) || { channel, mode: 'off', minConfidence: 1, maxAutoReplies: 0 };
+}
+
+function effectiveMode(conversation) {
+  return repo.threadMode(conversation.id) || policyFor(conversation.channel).mode;
+}
+
+// -------- Policies and thread settings --------
+function policies(session) {
+  requireRep(session);
+  return repo.policies();
+}
+
+function updatePolicy(session, channel, { mode, minConfidence, maxAutoReplies } = {}) {
+  requireRep(session);
+  const current = repo.findPolicy(channel);
+  if (!current) throw httpError(404, `No auto-reply policy for channel ${channel}`);
+  const next = {
+    mode: mode ?? current.mode,
+    minConfidence: minConfidence ?? current.minConfidence,
+    maxAutoReplies: maxAutoReplies ?? current.maxAutoReplies
+  };
+  if (!MODES.includes(next.mode)) throw httpError(400, `mode must be one of ${MODES.join(', ')}`);
+  next.minConfidence = Number(next.minConfidence);
+  next.maxAutoReplies = Number(next.maxAutoReplies);
+  if (!(next.minConfidence >= 0 && next.minConfidence <= 1)) throw httpError(400, 'minConfidence must be between 0 and 1');
+  if (!Number.isInteger(next.maxAutoReplies) || next.maxAutoReplies < 0 || next.maxAutoReplies > 20) {
+    throw httpError(400, 'maxAutoReplies must be a whole number from 0 to 20');
+  }
+  const saved = repo.savePolicy({ channel, ...next, updatedBy: session.sub });
+  audit(session, 'autoreply.policy', channel, next);
+  return saved;
+}
+
+function threadSettings(session, conversationId) {
+  requireRep(session);
+  const conversation = loadConversation(conversationId);
+  const override = repo.threadMode(conversation.id);
+  const policy = policyFor(conversation.channel);
+  return { conversationId: conversation.id, mode: override, policyMode: policy.mode, effectiveMode: override || policy.mode };
+}
+
+// `mode: null` follows the channel policy again
+function setThreadMode(session, conversationId, mode) {
+  requireRep(session);
+  const conversation = loadConversation(conversationId);
+  if (mode !== null && !MODES.includes(mode)) throw httpError(400, `mode must be one of ${MODES.join(', ')}, or null for the channel policy`);
+  repo.setThreadMode(conversation.id, mode, session.sub);
+  if (mode === 'off') repo.supersede(conversation.id);
+  audit(session, 'autoreply.thread', conversation.id, { mode });
+  return threadSettings(session, conversation.id);
+}
+
+// -------- Drafting --------
+function draftPrompt(conversation, messages) {
+  const template = prompts.latest('client');
+  const guidance = template ? template.body.replace(/\{\{\w+\}\}/g, '').trim() : '';
+  const transcript = messages.slice(-TRANSCRIPT_MESSAGES).map(m => {
+    const who = m.senderRole === ROLES.ADMIN ? 'Rep' : m.senderRole === 'assistant' ? 'Kloudy' : m.senderRole === 'system' ? 'System' : 'Client';
+    return `${who}: ${m.body}`;
+  }).join('\n');
+  return `You draft replies for the care team at United Family Caregivers, a Nevada Medicaid personal care provider.
+${guidance ? `How the team answers clients:\n${guidance}\n` : ''}
+Write the next reply to ${conversation.contact.name || 'the client'} in this ${conversation.channel === 'sms' ? 'text message' : 'chat'} thread.
+Be brief and friendly, answer only what you know, and never promise approval, hours or pay.
+Rate how sure you are that the reply is correct and complete enough to send without a rep checking it, from 0 to 1.
+Set needsHuman to true if a person should answer instead (account-specific details you cannot see, decisions, complaints).
+Thread:
+${transcript}
+Return JSON: {"reply": "the message to send", "confidence": 0.0, "needsHuman": false, "reason": "one short sentence on why"}`;
+}
+
+async function askModel(prompt) {
+  try {
+    return await llm.generateJson(prompt, { timeout: DRAFT_TIMEOUT_MS, purpose: 'inbox.autoreply', actor: { id: DRAFTER.sub, role: 'assistant' } });
+  } catch (error) {
+    console.warn('⚠️ Auto-reply draft failed, leaving the thread to reps:', error.message);
+    return null;
+  }
+}
+
+function handOff(conversation, message, evaluation) {
+  const { handoff } = evaluation;
+  const sent = inbox.assistantMessage(conversation.id, handoff.reply);
+  inbox.handOff(conversation.id, { queue: handoff.queue, reason: `Auto-reply handoff: ${handoff.label}`, tags: handoff.tags });
+  repo.setThreadMode(conversation.id, 'off', DRAFTER.sub);
+  const draft = repo.createDraft({
+    conversationId: conversation.id, messageId: message.id, body: handoff.reply, reason: handoff.label,
+    rules: evaluation.matched, status: 'handed-off', sentMessageId: sent.id
+  });
+  audit(DRAFTER, 'autoreply.handoff', conversation.id, { rules: evaluation.matched, queue: handoff.queue, sentiment: evaluation.sentiment });
+  inbox.draftChanged(conversation.id, { draftId: draft.id, status: draft.status });
+  return draft;
+}
+
+async function draftFor(conversation, message) {
+  const ai = await askModel(draftPrompt(conversation, inboxRepo.messages(conversation.id, { limit: TRANSCRIPT_MESSAGES })));
+  const body = ai && typeof ai.reply === 'string' ? ai.reply.trim().slice(0, MAX_REPLY) : '';
+  if (!body) return null;
+  // A thread that moved on while the model was writing gets no stale draft
+  const later = inboxRepo.messages(conversation.id, { limit: 20 }).some(m => m.id > message.id && m.senderRole !== 'system');
+  if (later) return null;
+
+  const needsHuman = ai.needsHuman === true;
+  const reported = Number(ai.confidence);
+  const confidence = needsHuman ? 0 : Math.round((Number.isFinite(reported) ? Math.min(Math.max(reported, 0), 1) : 0) * 100) / 100;
+  const reason = typeof ai.reason === 'string' ? ai.reason.trim().slice(0, 300) : null;
+  const policy = policyFor(conversation.channel);
+  const autoSend = effectiveMode(conversation) === 'auto' && confidence >= policy.minConfidence
+    && repo.autoRepliesSinceRep(conversation.id) < policy.maxAutoReplies;
+
+  if (!autoSend) {
+    const draft = repo.createDraft({ conversationId: conversation.id, messageId: message.id, body, confidence, reason, status: 'pending' });
+    inbox.draftChanged(conversation.id, { draftId: draft.id, status: draft.status });
+    return draft;
+  }
+  const sent = inbox.assistantMessage(conversation.id, body);
+  const draft = repo.createDraft({ conversationId: conversation.id, messageId: message.id, body, confidence, reason, status: 'sent', sentMessageId: sent.id });
+  audit(DRAFTER, 'autoreply.send', conversation.id, { draftId: draft.id, confidence });
+  inbox.draftChanged(conversation.id, { draftId: draft.id, status: draft.status });
+  return draft;
+}
+
+/**
+ * Handles one new message on a thread: a client's gets the rules and maybe a
+ * draft; a rep's own reply overtakes pending drafts and pauses auto-send.
+ */
+async function onMessage(conversation, message) {
+  if (message.senderRole === ROLES.ADMIN) {
+    if (repo.findDraftBySentMessage(message.id)) return null;
+    if (repo.supersede(conversation.id)) inbox.draftChanged(conversation.id, { draftId: null, status: 'superseded' });
+    if (effectiveMode(conversation) === 'auto') repo.setThreadMode(conversation.id, 'draft', message.senderId);
+    return null;
+  }
+  if (STAFF_ROLES.includes(message.senderRole)) return null;
+  // Supervisors own escalated threads; the AI stays out of them
+  if (conversation.queue === 'supervisor' || effectiveMode(conversation) === 'off') return null;
+  if (repo.supersede(conversation.id)) inbox.draftChanged(conversation.id, { draftId: null, status: 'superseded' });
+
+  const evaluation = rules.evaluate(message.body);
+  if (evaluation.handoff) return handOff(conversation, message, evaluation);
+  return draftFor(conversation, message);
+}
+
+// -------- Approval queue --------
+function listDrafts(session, { status = 'pending', conversationId, limit } = {}) {
+  requireRep(session);
+  return repo.listDrafts({ status: status === 'all' ? undefined : status, conversationId, limit });
+}
+
+function pendingDraft(draftId) {
+  const draft = repo.findDraft(draftId);
+  if (!draft) throw httpError(404, 'Draft not found');
+  if (draft.status !== 'pending') throw httpError(409, `This draft was already ${draft.status}`);
+  return draft;
+}
+
+// Sends the draft, edited or not, as the approving rep
+function approve(session, draftId, { body } = {}) {
+  requireRep(session);
+  const draft = pendingDraft(draftId);
+  const text = typeof body === 'string' && body.trim() ? body.trim() : draft.body;
+  const decided = repo.decideDraft(draft.id, { status: 'approved', decidedBy: session.sub, body: text });
+  if (!decided) throw httpError(409, 'This draft was already decided');
+  let message;
+  try {
+    message = inbox.send(session, draft.conversationId, text);
+  } catch (error) {
+    repo.reopenDraft(draft.id);
+    throw error;
+  }
+  const approved = repo.recordSent(draft.id, message.id);
+  audit(session, 'autoreply.approve', draft.conversationId, { draftId: draft.id, edited: text !== draft.body, confidence: draft.confidence });
+  inbox.draftChanged(draft.conversationId, { draftId: draft.id, status: 'approved' });
+  return approved;
+}
+
+function reject(session, draftId, { reason } = {}) {
+  requireRep(session);
+  const draft = pendingDraft(draftId);
+  const rejected = repo.decideDraft(draft.id, { status: 'rejected', decidedBy: session.sub });
+  if (!rejected) throw httpError(409, 'This draft was already decided');
+  audit(session, 'autoreply.reject', draft.conversationId, { draftId: draft.id, reason: String(reason || '').slice(0, 300) || null });
+  inbox.draftChanged(draft.conversationId, { draftId: draft.id, status: 'rejected' });
+  return rejected;
+}
+
+function handoffRules(session) {
+  requireRep(session);
+  return rules.list();
+}
+
+/**
+ * The user app's Kloudy chat runs the same rules before asking the model. A
+ * match opens a thread with the care team for the client's question and
+ * returns the reply to show instead of an AI answer.
+ * @returns {null|{ reply: string, rule: string, conversationId: string }}
+ */
+function chatHandoff(session, message) {
+  if (session.role === ROLES.ADMIN) return null;
+  const evaluation = rules.evaluate(String(message || ''));
+  if (!evaluation.handoff) return null;
+  const { handoff } = evaluation;
+  const conversation = inbox.start(session, { subject: handoff.label, body: message });
+  inbox.assistantMessage(conversation.id, handoff.reply);
+  inbox.handOff(conversation.id, { queue: handoff.queue, reason: `Kloudy chat handoff: ${handoff.label}`, tags: handoff.tags });
+  repo.setThreadMode(conversation.id, 'off', DRAFTER.sub);
+  audit(session, 'autoreply.chat-handoff', conversation.id, { rules: evaluation.matched, queue: handoff.queue });
+  return { reply: `${handoff.reply} You'll see their answer under Conversations.`, rule: handoff.rule, conversationId: conversation.id };
+}
+
+// -------- Drafter --------
+let unsubscribe = null;
+// One message at a time per thread, so drafts come out in order
+const queues = new Map();
+
+function enqueue(conversationId, job) {
+  const previous = queues.get(conversationId) || Promise.resolve();
+  const next = previous.then(job).catch(error => console.error('❌ Auto-reply failed:', error.message));
+  queues.set(conversationId, next);
+  next.finally(() => { if (queues.get(conversationId) === next) queues.delete(conversationId); });
+}
+
+function start() {
+  if (unsubscribe) return;
+  unsubscribe = inbox.subscribe(DRAFTER, ({ type, data }) => {
+    if (type !== 'message') return;
+    enqueue(data.conversation.id, () => onMessage(loadConversation(data.conversation.id), data.message));
+  });
+}
+
+function stop() {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+}
+
+module.exports = {
+  policies, updatePolicy, threadSettings, setThreadMode, listDrafts, approve, reject, handoffRules, chatHandoff,
+  onMessage, start, stop
+};
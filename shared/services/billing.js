@@ -0,0 +1,220 @@
+/**
+ * Billing. Verified visits become draft claims, one per client authorization
+ * and month of service, priced from shared/billing/rates.json. Reps check
+ * the readable preview, send drafts as an 837P batch for the clearinghouse,
+ * record the clearinghouse's accept or reject, and upload 835 remittances,
+ * which set each claim to paid, partial or denied. Denials and short
+ * payments raise a rep-queue task.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const billing = require('../repositories/billing');
+const authorizations = require('../repositories/authorizations');
+const config = require('../billing/config');
+const { buildClaims, preview, reconcile } = require('../billing/claims');
+const { build837P, parse835 } = require('../billing/x12');
+const profileService = require('./profiles');
+const taskService = require('./tasks');
+const auditLog = require('../repositories/audit-log');
+const { httpError, isRep, requireRep } = require('../http');
+
+const STATUSES = ['draft', 'submitted', 'accepted', 'rejected', 'paid', 'partial', 'denied', 'void'];
+// Status changes a rep records by hand; payments come from 835s
+const TRANSITIONS = {
+  submitted: ['accepted', 'rejected'],
+  accepted: ['rejected'],
+  draft: ['void'],
+  rejected: ['void'],
+  denied: ['void']
+};
+// Claims that may go out (again) in a batch
+const SENDABLE = ['draft', 'rejected'];
+
+function audit(session, action, target, details) {
+  auditLog.append({ actor: session.sub, actorRole: session.role, action, target, details });
+}
+
+const dollars = amount => `$${Number(amount).toFixed(2)}`;
+
+// Verified visits not billed yet, each with the authorization covering its date
+function unbilledVisits() {
+  return billing.unbilledVisits().map(visit => ({
+    ...visit,
+    authorization: authorizations.list({ profileId: visit.profileId, serviceCode: visit.serviceCode, activeOn: visit.date, limit: 1 })[0] || null
+  }));
+}
+
+function view(claim) {
+  return { ...claim, events: billing.events(claim.id), preview: preview(claim) };
+}
+
+// -------- Claims --------
+// What "Create claims" would bill right now, and the visits it would hold back
+function unbilled(session) {
+  requireRep(session);
+  const { claims, held } = buildClaims(unbilledVisits());
+  return { claims: claims.map(claim => ({ ...claim, preview: preview(claim) })), held };
+}
+
+function createClaims(session) {
+  requireRep(session);
+  const { claims, held } = buildClaims(unbilledVisits());
+  const created = claims.map(claim => billing.createClaim(claim, session.sub));
+  audit(session, 'billing.claims_create', null, { claims: created.length, held: held.length });
+  return { claims: created, held };
+}
+
+function list(session, { status, profileId, batchId, limit, offset } = {}) {
+  requireRep(session);
+  if (status && !STATUSES.includes(status)) throw httpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+  return billing.list({ status, profileId, batchId, limit, offset });
+}
+
+function load(id) {
+  const claim = billing.findById(id);
+  if (!claim) throw httpError(404, 'Claim not found');
+  return claim;
+}
+
+function get(session, id) {
+  requireRep(session);
+  return view(load(id));
+}
+
+function setStatus(session, id, { status, reason } = {}) {
+  requireRep(session);
+  const claim = load(id);
+  const allowed = TRANSITIONS[claim.status] || [];
+  if (!allowed.includes(status)) {
+    throw httpError(409, allowed.length ? `A ${claim.status} claim can only be set to ${allowed.join(' or ')}` : `A ${claim.status} claim cannot be changed by hand`);
+  }
+  const text = String(reason || '').trim().slice(0, 500);
+  if (['rejected', 'void'].includes(status) && !text) throw httpError(400, `Say why the claim is ${status === 'void' ? 'voided' : 'rejected'}`);
+  const updated = billing.setStatus(claim.id, { status, statusReason: text || null }, text || `Marked ${status}`, session.sub);
+  audit(session, `billing.claim_${status}`, String(claim.id), { claimNumber: claim.claimNumber });
+  return view(updated);
+}
+
+// -------- 837P batches --------
+/**
+ * Sends draft (or rejected) claims as one 837P file, written to the outbox
+ * for the clearinghouse. All claims are sent when `claimIds` is omitted.
+ */
+function submit(session, { claimIds } = {}) {
+  requireRep(session);
+  const claims = claimIds
+    ? [].concat(claimIds).map(load)
+    : SENDABLE.flatMap(status => billing.list({ status, limit: 200 }).claims).map(claim => load(claim.id));
+  if (!claims.length) throw httpError(400, 'No claims to send');
+  const unsendable = claims.find(claim => !SENDABLE.includes(claim.status));
+  if (unsendable) throw httpError(409, `Claim ${unsendable.claimNumber} is ${unsendable.status} and cannot be sent`);
+
+  const total = Math.round(claims.reduce((sum, claim) => sum + claim.total, 0) * 100) / 100;
+  const batch = billing.createBatch({
+    claimIds: claims.map(claim => claim.id), total, createdBy: session.sub,
+    build: control => {
+      const fileName = `837P-${String(control).padStart(9, '0')}.x12`;
+      const content = build837P({ control, claims });
+      const outbox = path.join(config.X12_DIR, 'outbox');
+      fs.mkdirSync(outbox, { recursive: true });
+      fs.writeFileSync(path.join(outbox, fileName), content);
+      return { fileName, content };
+    }
+  });
+  audit(session, 'billing.batch_submit', String(batch.id), { claims: batch.claimCount, total });
+  const { content, ...summary } = batch;
+  return summary;
+}
+
+function batches(session, { limit } = {}) {
+  requireRep(session);
+  return billing.batches(limit);
+}
+
+function batchFile(session, id) {
+  requireRep(session);
+  const batch = billing.findBatch(id);
+  if (!batch) throw httpError(404, 'Batch not found');
+  return batch;
+}
+
+// -------- 835 remittances --------
+function applyMessage(result, remit) {
+  const check = remit.checkNumber ? ` (check ${remit.checkNumber})` : '';
+  if (result.status === 'paid') return `Paid ${dollars(result.paid)}${check}`;
+  if (result.status === 'partial') return `Paid ${dollars(result.paid)}, ${dollars(result.outstanding)} outstanding${check}${result.reason ? `: ${result.reason}` : ''}`;
+  if (result.status === 'denied') return `Denied${check}${result.reason ? `: ${result.reason}` : ''}`;
+  return result.reason;
+}
+
+/**
+ * Reads an 835 and reconciles each claim payment against our claims by claim
+ * number. Payments for claims we do not have, or have not sent, are listed
+ * as unmatched; the same check from the same payer is only applied once.
+ */
+function ingest835(session, { fileName, content } = {}) {
+  requireRep(session);
+  if (!content || typeof content !== 'string') throw httpError(400, 'Upload the 835 file contents');
+  let remit;
+  try {
+    remit = parse835(content);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+  if (!remit.checkNumber) throw httpError(400, 'The 835 has no TRN check or EFT number');
+  const payer = remit.payer || '';
+  if (billing.findRemittance(remit.checkNumber, payer)) throw httpError(409, `Check ${remit.checkNumber} from ${payer || 'this payer'} was already applied`);
+
+  const payments = [];
+  const unmatched = [];
+  const results = [];
+  for (const payment of remit.claims) {
+    const claim = billing.findByNumber(payment.claimNumber);
+    if (!claim || ['draft', 'void'].includes(claim.status)) {
+      unmatched.push({ claimNumber: payment.claimNumber, paid: payment.paid, reason: claim ? `Claim is ${claim.status}` : 'No claim with this number' });
+      continue;
+    }
+    const result = reconcile(claim, payment);
+    const message = applyMessage(result, remit);
+    payments.push({
+      claimId: claim.id, lines: result.lines, message,
+      changes: {
+        status: result.status, paid: result.paid, adjusted: result.adjusted, outstanding: result.outstanding, statusReason: result.reason,
+        payerClaimNumber: payment.payerClaimNumber, adjudicatedAt: remit.paidDate || new Date().toISOString().slice(0, 10)
+      }
+    });
+    results.push({ claimId: claim.id, claimNumber: claim.claimNumber, clientName: claim.client.name, profileId: claim.profileId, ...result, message });
+  }
+
+  const remittance = billing.recordRemittance({
+    fileName: String(fileName || `835-${remit.checkNumber}`).slice(0, 120), checkNumber: remit.checkNumber, payer,
+    paidDate: remit.paidDate, total: remit.total, content, unmatched, createdBy: session.sub
+  }, payments);
+
+  results.filter(r => ['denied', 'partial'].includes(r.status)).forEach(r => taskService.createSystemTask({
+    dedupeKey: `claim-${r.status}:${r.claimId}`,
+    title: `${r.status === 'denied' ? 'Claim denied' : 'Claim short-paid'}: ${r.claimNumber} for ${r.clientName}`,
+    description: r.message, category: 'billing', priority: r.status === 'denied' ? 'high' : 'medium', profileId: r.profileId
+  }));
+  audit(session, 'billing.remittance', String(remittance.id), { checkNumber: remit.checkNumber, matched: payments.length, unmatched: unmatched.length });
+  return { remittance, results: results.map(({ lines, profileId, ...r }) => r), unmatched };
+}
+
+function remittances(session, { limit } = {}) {
+  requireRep(session);
+  return billing.remittances(limit);
+}
+
+// -------- Portal --------
+// Billed and paid totals by month for the client the caller acts for
+function summary(session, { profileId } = {}) {
+  const client = isRep(session) ? profileId && profileService.get(session, profileId) : profileService.clientFor(session.sub);
+  if (!client || client.role !== 'Client') throw httpError(404, 'No client to show billing for');
+  return { client: { id: client.id, name: client.name }, months: billing.monthlyTotals(client.id) };
+}
+
+module.exports = {
+  unbilled, createClaims, list, get, setStatus, submit, batches, batchFile, ingest835, remittances, summary,
+  STATUSES
+};
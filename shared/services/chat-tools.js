@@ -0,0 +1,90 @@
+/**
+ * Tool calling for the chat. Before answering, the model is shown the tools
+ * the caller's role may use and asked which, if any, the message needs.
+ * Each call it asks for is checked against the tool's schema and run on the
+ * server as the caller; calls for unknown or disallowed tools and calls with
+ * bad arguments are refused, not repaired. The results go into the answer's
+ * prompt and the actions come back to the UI.
+ *
+ * Every call is audited as chat.tool with its outcome; the services the
+ * tools use audit their own writes as usual.
+ */
+
+const { generateJson } = require('../llm');
+const auditLog = require('../repositories/audit-log');
+const { TOOLS } = require('../tools/catalog');
+const { validate } = require('../tools/schema');
+
+const MAX_CALLS = Number(process.env.CHAT_TOOL_CALLS) || 3;
+const PLAN_TIMEOUT_MS = Number(process.env.CHAT_TOOL_TIMEOUT_MS) || 20000;
+
+function audit(session, tool, details) {
+  auditLog.append({ actor: session.sub, actorRole: session.role, action: 'chat.tool', target: tool, details });
+}
+
+function allowed(tool, session) {
+  return !tool.roles || tool.roles.includes(session.role);
+}
+
+// The tools the caller may use, as the model sees them
+function catalog(session) {
+  return TOOLS.filter(tool => allowed(tool, session)).map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Asks the model which tools the message needs.
+ * @returns {Promise<{ tool: string, arguments: object }[]>} as the model wrote them, not yet validated
+ */
+async function plan(session, message) {
+  const tools = catalog(session);
+  if (!tools.length) return [];
+  const result = await generateJson(`You pick the tools a home-care agency assistant should call before it answers.
+Call a tool only when the message asks for what it does. Create tasks or save notes only when the user asks for that.
+Use at most ${MAX_CALLS} calls. Arguments must match the tool's JSON Schema.
+
+TOOLS:
+${tools.map(tool => `- ${tool.name}: ${tool.description}\n  arguments: ${JSON.stringify(tool.parameters)}`).join('\n')}
+
+MESSAGE: ${message}
+
+Respond with JSON only: {"calls": [{"tool": "name", "arguments": {}}]}, with an empty list when no tool is needed.`,
+  { timeout: PLAN_TIMEOUT_MS, purpose: 'chat.tools', actor: { id: session.sub, role: session.role } });
+  return Array.isArray(result.calls) ? result.calls : [];
+}
+
+/**
+ * Validates and runs one call as the caller.
+ * @returns {{ tool: string, arguments: object, outcome: 'completed'|'refused'|'failed', result?: object, error?: string, actions: object[] }}
+ */
+function call(session, { tool: name, arguments: args = {} } = {}) {
+  const tool = TOOLS.find(t => t.name === name);
+  const refuse = error => {
+    audit(session, String(name || 'unknown').slice(0, 60), { outcome: 'refused', error });
+    return { tool: name, arguments: args, outcome: 'refused', error, actions: [] };
+  };
+  if (typeof name !== 'string') return refuse('A tool call needs the name of a tool');
+  if (!tool || !allowed(tool, session)) return refuse(`No tool named ${name} is available`);
+  const errors = validate(tool.parameters, args);
+  if (errors.length) return refuse(errors.join('; '));
+  try {
+    const { result, actions } = tool.run(session, args);
+    audit(session, name, { outcome: 'completed', actions: actions.map(action => action.type) });
+    return { tool: name, arguments: args, outcome: 'completed', result, actions };
+  } catch (error) {
+    if (!error.status) console.error(`❌ Chat tool ${name} error:`, error.message);
+    audit(session, name, { outcome: 'failed', error: error.message });
+    return { tool: name, arguments: args, outcome: 'failed', error: error.message, actions: [] };
+  }
+}
+
+/**
+ * Plans and runs the tool calls for one chat message.
+ * @returns {Promise<{ calls: object[], actions: object[] }>}
+ */
+async function run(session, message) {
+  const planned = await plan(session, message);
+  const calls = planned.slice(0, MAX_CALLS).map(entry => call(session, entry && typeof entry === 'object' ? entry : {}));
+  return { calls, actions: calls.flatMap(c => c.actions) };
+}
+
+module.exports = { catalog, plan, call, run };
@@ -0,0 +1,153 @@
+/**
+ * Builds chat prompts from the live server-side template plus the session's
+ * memory: a rolling summary of older turns and as many recent turns as fit
+ * CHAT_HISTORY_TOKENS. Turns that no longer fit are folded into the summary
+ * after each exchange.
+ */
+
+const crypto = require('crypto');
+const prompts = require('../repositories/prompts');
+const history = require('../repositories/chat-history');
+const { generateJson } = require('../llm');
+const { createVault } = require('./phi');
+const { httpError } = require('../http');
+
+const HISTORY_TOKENS = Number(process.env.CHAT_HISTORY_TOKENS) || 1500;
+const SUMMARY_CHARS = 1200;
+
+// How the asking side is labelled in transcripts, per template
+const SPEAKERS = { rep: 'Rep', client: 'Client' };
+
+// ~4 characters per token is close enough for budgeting across llama models
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function render(body, vars) {
+  return body.replace(/\{\{(\w+)\}\}/g, (match, key) => vars[key] ?? '');
+}
+
+// Sessions belong to whoever opened them; a reused ID from someone else is refused
+function openSession({ sessionId, userId, template }) {
+  const id = sessionId || crypto.randomUUID();
+  const session = history.findSession(id);
+  if (!session) return history.createSession({ id, userId, template });
+  if (session.userId !== (userId || null)) throw httpError(403, 'This chat session belongs to another user');
+  return session;
+}
+
+// Newest unsummarized turns that fit the budget, oldest first
+function recentTurns(sessionId) {
+  const turns = history.unsummarized(sessionId);
+  const kept = [];
+  let used = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (used + turns[i].tokens > HISTORY_TOKENS) break;
+    used += turns[i].tokens;
+    kept.unshift(turns[i]);
+  }
+  return kept;
+}
+
+function transcript(template, turns) {
+  const speaker = SPEAKERS[template] || 'User';
+  return turns.map(t => `${t.role === 'user' ? speaker : 'Kloudy'}: ${t.content}`).join('\n');
+}
+
+function formatHistory(session, turns) {
+  const parts = [];
+  if (session.summary) parts.push(`\nSUMMARY OF EARLIER CONVERSATION: ${session.summary}`);
+  if (turns.length) parts.push(`\nRECENT CONVERSATION:\n${transcript(session.template, turns)}`);
+  return parts.length ? parts.join('\n') + '\n' : '';
+}
+
+function formatContext(context = {}) {
+  const conv = context.conversation;
+  return conv && conv.name ? `\nCURRENT CONVERSATION CONTEXT: Talking with ${conv.name} (${conv.email || 'no email'})\n` : '';
+}
+
+// Numbered passages the model cites as [n]; an empty list tells it nothing matched
+function formatKnowledge(passages) {
+  if (!passages) return '';
+  if (!passages.length) return '\nKNOWLEDGE BASE: no passages match this question.\n';
+  const blocks = passages.map(p => `[${p.n}] ${p.heading ? `${p.title} › ${p.heading}` : p.title}\n${p.text}`);
+  return `\nKNOWLEDGE BASE:\n${blocks.join('\n\n')}\n`;
+}
+
+// What the tools already did, so the answer reports it instead of guessing
+function formatToolCalls(calls) {
+  if (!calls || !calls.length) return '';
+  const lines = calls.map(c => `- ${c.tool}: ${c.outcome === 'completed' ? JSON.stringify(c.result) : `not done (${c.error})`}`);
+  return `\nTOOL RESULTS (already run on the server; report them and do not claim anything else was done):\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders the live `template` for one question. Everything filled into the
+ * template is PHI-tokenized; the returned vault restores the model's reply.
+ * The template text itself is admin-authored and sent as-is, as are the
+ * knowledge base `passages`, which go in at {{knowledge}} (or ahead of the
+ * context when an older template has no such placeholder). Results of
+ * `toolCalls` made for this question go in with the context.
+ * @returns {{ session: object, prompt: string, templateVersion: number, vault: object }}
+ */
+function preparePrompt({ template, sessionId, userId, message, context = {}, passages = null, toolCalls = null }) {
+  const live = prompts.latest(template);
+  if (!live) throw new Error(`Prompt template "${template}" not found`);
+  const session = openSession({ sessionId, userId, template });
+  const vault = createVault({ names: [context.conversation && context.conversation.name] });
+  const knowledge = formatKnowledge(passages);
+  const inline = live.body.includes('{{knowledge}}');
+  const prompt = render(live.body, {
+    message: vault.redact(message),
+    knowledge,
+    context: (inline ? '' : knowledge) + vault.redact(formatContext(context) + formatToolCalls(toolCalls)),
+    history: vault.redact(formatHistory(session, recentTurns(session.id)))
+  });
+  return { session, prompt, templateVersion: live.version, vault };
+}
+
+async function summarize(session, turns) {
+  const text = transcript(session.template, turns);
+  try {
+    const result = await generateJson(`Summarize this customer-service chat so an assistant can continue it later.
+Keep names, IDs, dates, decisions and open questions. Use under 120 words.
+Respond with JSON only: {"summary": "..."}
+
+EARLIER SUMMARY: ${session.summary || 'none'}
+
+NEW TURNS:
+${text}`, { purpose: 'chat.summary', actor: { id: session.userId } });
+    if (typeof result.summary === 'string' && result.summary.trim()) return result.summary.trim().slice(0, SUMMARY_CHARS);
+  } catch (error) {
+    console.warn('⚠️ Chat summary unavailable, keeping questions verbatim:', error.message);
+  }
+  // Without the model, keep what was asked; the newest questions matter most
+  const speaker = SPEAKERS[session.template] || 'User';
+  const asked = turns.filter(t => t.role === 'user').map(t => `${speaker} asked: ${t.content}`);
+  const combined = [session.summary, ...asked].filter(Boolean).join(' | ');
+  return combined.length > SUMMARY_CHARS ? '…' + combined.slice(-SUMMARY_CHARS) : combined;
+}
+
+// Folds the oldest turns into the summary until the rest fits half the budget,
+// leaving room for the next exchange
+async function compact(sessionId) {
+  const turns = history.unsummarized(sessionId);
+  let remaining = turns.reduce((sum, t) => sum + t.tokens, 0);
+  if (remaining <= HISTORY_TOKENS) return;
+  const overflow = [];
+  for (const turn of turns) {
+    if (remaining <= HISTORY_TOKENS / 2) break;
+    overflow.push(turn);
+    remaining -= turn.tokens;
+  }
+  const summary = await summarize(history.findSession(sessionId), overflow);
+  history.saveSummary(sessionId, summary, overflow[overflow.length - 1].id);
+}
+
+async function recordExchange(sessionId, message, reply) {
+  history.addMessage({ sessionId, role: 'user', content: message, tokens: estimateTokens(message) });
+  history.addMessage({ sessionId, role: 'assistant', content: reply, tokens: estimateTokens(reply) });
+  await compact(sessionId);
+}
+
+module.exports = { preparePrompt, recordExchange, openSession, estimateTokens, render, HISTORY_TOKENS };
@@ -0,0 +1,469 @@
+/**
+ * Employee records. Each employee has a hire status, an onboarding checklist
+ * for their position (background check, I-9, TB test, training modules) and
+ * credentials with expiration dates, each with an optional scanned document.
+ * Steps backed by a credential are checked off when the credential is added.
+ *
+ * An employee can only be made active once the checklist is done and every
+ * required credential is current, and a caregiver is only scheduled for a
+ * visit while active with required credentials that last past the visit. A
+ * worker raises a rep-queue task when a credential is about to lapse and
+ * again when it has.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const employees = require('../repositories/employees');
+const users = require('../repositories/users');
+const profiles = require('../repositories/profiles');
+const visits = require('../repositories/visits');
+const taskService = require('./tasks');
+const auditLog = require('../repositories/audit-log');
+const { ROLES } = require('../auth');
+const { httpError, requireRep } = require('../http');
+
+// How many days before a credential expires reps are told to renew it
+const WARN_DAYS = Number(process.env.CREDENTIAL_WARN_DAYS) || 30;
+const TICK_MS = Number(process.env.EMPLOYEE_TICK_MS) || 60 * 60 * 1000;
+const DOCS_DIR = process.env.EMPLOYEE_DOCS_DIR || path.join(__dirname, '..', '..', 'data', 'employees');
+const DOCUMENT_MAX_BYTES = (Number(process.env.EMPLOYEE_DOC_MAX_MB) || 10) * 1024 * 1024;
+const DOCUMENT_TYPES = { 'application/pdf': '.pdf', 'image/png': '.png', 'image/jpeg': '.jpg' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POSITIONS = ['caregiver', 'office'];
+const STATUSES = ['applicant', 'onboarding', 'active', 'inactive', 'terminated'];
+const TRANSITIONS = {
+  applicant: ['onboarding', 'terminated'],
+  onboarding: ['active', 'terminated'],
+  active: ['inactive', 'terminated'],
+  inactive: ['active', 'terminated']
+};
+// Statuses a credential lapse matters for
+const WATCHED = ['onboarding', 'active'];
+// The login role each position's record is tied to
+const POSITION_ROLES = { caregiver: ROLES.CAREGIVER, office: ROLES.ADMIN };
+
+const ALERTS = {
+  expiring: 'Credential expiring',
+  expired: 'Credential expired'
+};
+
+// Required credentials per position; the rest are kept when an employee has them
+const CREDENTIALS = {
+  background_check: { label: 'Background check', required: ['caregiver', 'office'] },
+  tb_test: { label: 'TB test', required: ['caregiver'] },
+  cpr_first_aid: { label: 'CPR and first aid', required: ['caregiver'] },
+  cna: { label: 'CNA certification', required: [] },
+  drivers_license: { label: "Driver's license", required: [] },
+  auto_insurance: { label: 'Auto insurance', required: [] }
+};
+
+// Onboarding checklist per position, in order. Steps with a credential are done once it is on file.
+const STEPS = {
+  background_check: { label: 'Background check (fingerprints)', positions: ['caregiver', 'office'], credential: 'background_check' },
+  i9: { label: 'Form I-9 employment eligibility', positions: ['caregiver', 'office'] },
+  tb_test: { label: 'TB test', positions: ['caregiver'], credential: 'tb_test' },
+  cpr_first_aid: { label: 'CPR and first aid', positions: ['caregiver'], credential: 'cpr_first_aid' },
+  training_orientation: { label: 'Training: orientation and policies', positions: ['caregiver', 'office'] },
+  training_personal_care: { label: 'Training: personal care aide (16 hours)', positions: ['caregiver'] },
+  training_abuse: { label: 'Training: recognizing abuse and neglect', positions: ['caregiver'] },
+  training_hipaa: { label: 'Training: HIPAA and privacy', positions: ['caregiver', 'office'] }
+};
+
+function audit(session, action, target, details) {
+  auditLog.append({ actor: session.sub, actorRole: session.role, action, target, details });
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function load(id) {
+  const employee = employees.findById(id);
+  if (!employee) throw httpError(404, 'Employee not found');
+  return employee;
+}
+
+// -------- Compliance --------
+const required = position => Object.keys(CREDENTIALS).filter(type => CREDENTIALS[type].required.includes(position));
+const stepsFor = position => Object.keys(STEPS).filter(step => STEPS[step].positions.includes(position));
+
+// The credential of each type that expires last
+function currentCredentials(credentials) {
+  const current = {};
+  credentials.forEach(c => { if (!current[c.type] || c.expiresOn > current[c.type].expiresOn) current[c.type] = c; });
+  return current;
+}
+
+function credentialState(credential, on) {
+  if (!credential) return 'missing';
+  if (credential.expiresOn < on) return 'expired';
+  return credential.expiresOn <= addDays(on, WARN_DAYS) ? 'expiring' : 'current';
+}
+
+// What an employee still needs before they can work, as of `on`
+function blockersFor(employee, current, on) {
+  return required(employee.position).flatMap(type => {
+    const credential = current[type];
+    if (!credential) return [`${CREDENTIALS[type].label} is not on file`];
+    return credential.expiresOn < on ? [`${CREDENTIALS[type].label} expired on ${credential.expiresOn}`] : [];
+  });
+}
+
+/**
+ * The checklist and credential status for an employee. `schedulable` is
+ * whether a caregiver can be given visits today.
+ */
+function compliance(employee, on = today()) {
+  const done = Object.fromEntries(employees.steps(employee.id).map(s => [s.step, s]));
+  const checklist = stepsFor(employee.position).map(step => ({
+    step, label: STEPS[step].label, credential: STEPS[step].credential || null,
+    status: done[step] ? done[step].status : 'pending', note: done[step] ? done[step].note : null,
+    completedBy: done[step] ? done[step].completedBy : null, completedAt: done[step] ? done[step].completedAt : null
+  }));
+  const current = currentCredentials(employees.credentials(employee.id));
+  const needed = required(employee.position);
+  const credentials = Object.keys(CREDENTIALS).filter(type => needed.includes(type) || current[type]).map(type => ({
+    type, label: CREDENTIALS[type].label, required: needed.includes(type),
+    state: credentialState(current[type], on), expiresOn: current[type] ? current[type].expiresOn : null
+  }));
+  const blockers = blockersFor(employee, current, on);
+  return {
+    onboarding: { done: checklist.filter(s => s.status !== 'pending').length, total: checklist.length },
+    checklist, credentials, blockers,
+    schedulable: employee.position === 'caregiver' && employee.status === 'active' && !blockers.length
+  };
+}
+
+function view(employee, { detail = false } = {}) {
+  const status = compliance(employee);
+  if (!detail) {
+    const { checklist, ...summary } = status;
+    return { ...employee, compliance: summary };
+  }
+  const current = currentCredentials(employees.credentials(employee.id));
+  const credentials = employees.credentials(employee.id).map(c => ({
+    ...c, label: CREDENTIALS[c.type] ? CREDENTIALS[c.type].label : c.type,
+    current: current[c.type] && current[c.type].id === c.id,
+    document: c.document && { name: c.document.name, type: c.document.type, size: c.document.size }
+  }));
+  return { ...employee, compliance: status, credentialHistory: credentials };
+}
+
+// -------- Validation --------
+function validDate(value, label) {
+  const text = String(value || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) throw httpError(400, `${label} must be a date (YYYY-MM-DD)`);
+  return text;
+}
+
+function optional(value, max) {
+  return value === undefined ? undefined : String(value ?? '').trim().slice(0, max) || null;
+}
+
+function checkUser(userId, position, exceptId = null) {
+  if (!userId) return null;
+  const user = users.findById(userId);
+  if (!user || user.role !== POSITION_ROLES[position]) throw httpError(400, `No ${position === 'caregiver' ? 'caregiver' : 'staff'} login with that id`);
+  const other = employees.findByUserId(user.id);
+  if (other && other.id !== exceptId) throw httpError(409, `${other.name} already has that login`);
+  return user;
+}
+
+function checkFields(body, current = {}) {
+  const fields = {};
+  const position = body.position !== undefined ? String(body.position || '').toLowerCase() : current.position;
+  if (!POSITIONS.includes(position)) throw httpError(400, `position must be one of: ${POSITIONS.join(', ')}`);
+  if (body.position !== undefined) fields.position = position;
+  if (body.userId !== undefined || body.position !== undefined) {
+    const userId = body.userId !== undefined ? body.userId : current.userId;
+    fields.userId = checkUser(userId, position, current.id) ? userId : null;
+  }
+  if (body.profileId !== undefined) {
+    if (body.profileId && !profiles.findById(body.profileId)) throw httpError(400, 'Profile not found');
+    fields.profileId = body.profileId || null;
+  }
+  if (body.name !== undefined || !current.name) {
+    const user = fields.userId && users.findById(fields.userId);
+    fields.name = String(body.name || (user && user.name) || '').trim().replace(/\s+/g, ' ').slice(0, 120);
+    if (!fields.name) throw httpError(400, 'Name is required');
+  }
+  if (body.email !== undefined) fields.email = optional(body.email, 200);
+  if (body.phone !== undefined) fields.phone = optional(body.phone, 40);
+  if (body.hireDate !== undefined) fields.hireDate = body.hireDate ? validDate(body.hireDate, 'hireDate') : null;
+  if (body.notes !== undefined) fields.notes = optional(body.notes, 1000);
+  return fields;
+}
+
+// -------- Employees --------
+/**
+ * Employees with their compliance summary. `status` is one hire status or
+ * `current` (everyone not terminated, the default) or `all`; `attention=only`
+ * keeps those with a missing, expired or expiring credential.
+ */
+function list(session, { status = 'current', position, q, attention } = {}) {
+  requireRep(session);
+  if (![...STATUSES, 'current', 'all'].includes(status)) throw httpError(400, `status must be one of: ${[...STATUSES, 'current', 'all'].join(', ')}`);
+  const statuses = status === 'all' ? null : status === 'current' ? STATUSES.filter(s => s !== 'terminated') : [status];
+  return employees.list({ statuses, position, q }).map(e => view(e))
+    .filter(e => attention !== 'only' || e.compliance.credentials.some(c => c.required && c.state !== 'current'));
+}
+
+function get(session, id) {
+  requireRep(session);
+  return view(load(id), { detail: true });
+}
+
+function create(session, body = {}) {
+  requireRep(session);
+  const fields = checkFields(body);
+  const status = body.status ? String(body.status) : 'applicant';
+  if (!['applicant', 'onboarding'].includes(status)) throw httpError(400, 'New employees start as applicant or onboarding');
+  const employee = employees.create({ ...fields, status, createdBy: session.sub });
+  audit(session, 'employee.create', employee.id, { position: employee.position, status });
+  return view(employee, { detail: true });
+}
+
+function update(session, id, body = {}) {
+  requireRep(session);
+  const current = load(id);
+  const fields = checkFields(body, current);
+  const changes = Object.fromEntries(Object.entries(fields).filter(([key, value]) => value !== current[key]));
+  const updated = employees.update(current.id, changes);
+  audit(session, 'employee.update', current.id, { fields: Object.keys(changes) });
+  return view(updated, { detail: true });
+}
+
+// Caregiver visits still to come, for telling reps what a lapse or departure affects
+function upcomingVisits(employee) {
+  if (!employee.userId) return [];
+  return visits.list({ caregiverId: employee.userId, from: new Date().toISOString(), status: 'scheduled', limit: 500 });
+}
+
+function reassignNote(employee) {
+  const count = upcomingVisits(employee).length;
+  return count ? ` ${count} upcoming visit${count === 1 ? ' needs' : 's need'} another caregiver.` : '';
+}
+
+function setStatus(session, id, { status, reason } = {}) {
+  requireRep(session);
+  const employee = load(id);
+  const allowed = TRANSITIONS[employee.status] || [];
+  if (!allowed.includes(status)) {
+    throw httpError(409, allowed.length ? `An employee who is ${employee.status} can only be set to ${allowed.join(' or ')}` : `An employee who is ${employee.status} cannot be changed`);
+  }
+  const text = String(reason || '').trim().slice(0, 500);
+  if (['inactive', 'terminated'].includes(status) && !text) throw httpError(400, 'Say why the employee is leaving active work');
+  if (status === 'active') {
+    const { checklist, blockers } = compliance(employee);
+    const pending = checklist.filter(s => s.status === 'pending').map(s => s.label);
+    if (pending.length || blockers.length) throw httpError(409, `Not ready to work: ${[...pending.map(p => `${p} is not done`), ...blockers].join('; ')}`);
+  }
+  const changes = { status, statusReason: text || null };
+  if (status === 'active' && !employee.hireDate) changes.hireDate = today();
+  if (status === 'terminated') changes.endDate = today();
+  const updated = employees.update(employee.id, changes);
+  if (['inactive', 'terminated'].includes(status)) {
+    const note = reassignNote(employee);
+    if (note) {
+      taskService.createSystemTask({
+        dedupeKey: `employee:${employee.id}:${status}`, title: `Reassign visits: ${employee.name} is ${status}`,
+        description: note.trim(), category: 'scheduling', priority: 'high', profileId: employee.profileId
+      });
+    }
+  }
+  audit(session, `employee.${status}`, employee.id, {});
+  return view(updated, { detail: true });
+}
+
+// -------- Checklist --------
+/**
+ * Marks a checklist step `done`, `waived` (with a note) or back to
+ * `pending`. Steps backed by a credential need it on file to be done and
+ * cannot be waived.
+ */
+function setStep(session, id, step, { status, note } = {}) {
+  requireRep(session);
+  const employee = load(id);
+  const definition = STEPS[step];
+  if (!definition || !definition.positions.includes(employee.position)) throw httpError(404, 'No such checklist step for this position');
+  if (!['done', 'waived', 'pending'].includes(status)) throw httpError(400, 'status must be done, waived or pending');
+  const text = String(note || '').trim().slice(0, 500);
+  if (definition.credential) {
+    if (status === 'waived') throw httpError(400, `${definition.label} cannot be waived`);
+    const credential = currentCredentials(employees.credentials(employee.id))[definition.credential];
+    if (status === 'done' && ['missing', 'expired'].includes(credentialState(credential, today()))) {
+      throw httpError(409, `${CREDENTIALS[definition.credential].label} must be on file and current to complete this step`);
+    }
+  }
+  if (status === 'waived' && !text) throw httpError(400, 'Say why the step is waived');
+  employees.setStep(employee.id, step, { status: status === 'pending' ? null : status, note: text || null, completedBy: session.sub });
+  audit(session, 'employee.step', employee.id, { step, status });
+  return view(employee, { detail: true });
+}
+
+// -------- Credentials --------
+function addCredential(session, id, body = {}) {
+  requireRep(session);
+  const employee = load(id);
+  const type = String(body.type || '');
+  if (!CREDENTIALS[type]) throw httpError(400, `type must be one of: ${Object.keys(CREDENTIALS).join(', ')}`);
+  const expiresOn = validDate(body.expiresOn, 'expiresOn');
+  const issuedOn = body.issuedOn ? validDate(body.issuedOn, 'issuedOn') : null;
+  if (issuedOn && issuedOn > expiresOn) throw httpError(400, 'expiresOn must be after issuedOn');
+
+  const previous = currentCredentials(employees.credentials(employee.id))[type];
+  const credential = employees.addCredential({
+    employeeId: employee.id, type, number: optional(body.number, 60), issuer: optional(body.issuer, 120), issuedOn, expiresOn, createdBy: session.sub
+  });
+  // A renewal settles the lapse tasks raised for the one it replaces
+  if (previous && expiresOn > previous.expiresOn && credentialState(credential, today()) === 'current') {
+    Object.keys(ALERTS).forEach(alert => taskService.completeSystemTask(`credential:${previous.id}:${alert}`, `Renewed until ${expiresOn}`));
+  }
+  const step = Object.keys(STEPS).find(key => STEPS[key].credential === type && STEPS[key].positions.includes(employee.position));
+  if (step && expiresOn >= today() && !employees.steps(employee.id).some(s => s.step === step)) {
+    employees.setStep(employee.id, step, { status: 'done', note: `${CREDENTIALS[type].label} on file until ${expiresOn}`, completedBy: session.sub });
+  }
+  audit(session, 'employee.credential_add', employee.id, { credentialId: credential.id, type, expiresOn });
+  return view(employee, { detail: true });
+}
+
+function loadCredential(employee, credentialId) {
+  const credential = employees.findCredential(employee.id, credentialId);
+  if (!credential) throw httpError(404, 'Credential not found');
+  return credential;
+}
+
+function removeFile(document) {
+  if (!document) return;
+  try {
+    fs.unlinkSync(path.join(DOCS_DIR, document.file));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('❌ Could not remove credential document:', error.message);
+  }
+}
+
+function removeCredential(session, id, credentialId) {
+  requireRep(session);
+  const employee = load(id);
+  const credential = loadCredential(employee, credentialId);
+  employees.removeCredential(employee.id, credential.id);
+  removeFile(credential.document);
+  audit(session, 'employee.credential_delete', employee.id, { credentialId: credential.id, type: credential.type });
+  return view(employee, { detail: true });
+}
+
+/**
+ * Stores the scanned document for a credential, replacing any earlier one.
+ * `content` is the file's bytes.
+ */
+function attachDocument(session, id, credentialId, { fileName, mimeType, content } = {}) {
+  requireRep(session);
+  const employee = load(id);
+  const credential = loadCredential(employee, credentialId);
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  if (!DOCUMENT_TYPES[type]) throw httpError(400, 'Documents must be PDF, PNG or JPEG');
+  if (!Buffer.isBuffer(content) || !content.length) throw httpError(400, 'Upload the document file');
+  if (content.length > DOCUMENT_MAX_BYTES) throw httpError(413, 'The document is too large');
+
+  const file = path.join(employee.id, `${credential.id}${DOCUMENT_TYPES[type]}`);
+  fs.mkdirSync(path.join(DOCS_DIR, employee.id), { recursive: true });
+  fs.writeFileSync(path.join(DOCS_DIR, file), content);
+  if (credential.document && credential.document.file !== file) removeFile(credential.document);
+  const name = path.basename(String(fileName || '')).replace(/[^\w .()-]/g, '').slice(0, 120) || `${credential.type}${DOCUMENT_TYPES[type]}`;
+  employees.setDocument(employee.id, credential.id, { name, type, size: content.length, file });
+  audit(session, 'employee.document_upload', employee.id, { credentialId: credential.id, size: content.length });
+  return view(employee, { detail: true });
+}
+
+// Where a credential's document is on disk, with the name and type to send it as
+function documentFile(session, id, credentialId) {
+  requireRep(session);
+  const employee = load(id);
+  const credential = loadCredential(employee, credentialId);
+  if (!credential.document) throw httpError(404, 'No document uploaded for this credential');
+  const file = path.join(DOCS_DIR, credential.document.file);
+  if (!fs.existsSync(file)) throw httpError(404, 'The document file is missing');
+  audit(session, 'employee.document_view', employee.id, { credentialId: credential.id });
+  return { path: file, name: credential.document.name, type: credential.document.type };
+}
+
+function requirements() {
+  return {
+    positions: POSITIONS, statuses: STATUSES,
+    steps: Object.entries(STEPS).map(([step, s]) => ({ step, label: s.label, positions: s.positions, credential: s.credential || null })),
+    credentials: Object.entries(CREDENTIALS).map(([type, c]) => ({ type, label: c.label, required: c.required }))
+  };
+}
+
+// -------- Scheduling --------
+/**
+ * Throws unless the caregiver login can be given a visit ending at `visitEnd`:
+ * they need an active employee record and required credentials that are
+ * current through the visit.
+ */
+function requireSchedulable(user, visitEnd) {
+  const name = user.name || user.username;
+  const employee = employees.findByUserId(user.id);
+  if (!employee) throw httpError(409, `${name} has no employee record yet; add them under Employees before scheduling`);
+  if (employee.status !== 'active') throw httpError(409, `${name} is ${employee.status} and cannot be scheduled`);
+  const on = [today(), String(visitEnd).slice(0, 10)].sort()[1];
+  const blockers = blockersFor(employee, currentCredentials(employees.credentials(employee.id)), on);
+  if (blockers.length) throw httpError(409, `${name} cannot be scheduled on ${on}: ${blockers.join('; ')}`);
+  return employee;
+}
+
+// -------- Worker --------
+function raise(employee, credential, type) {
+  if (!employees.addAlert(credential.id, type)) return;
+  const label = CREDENTIALS[credential.type] ? CREDENTIALS[credential.type].label : credential.type;
+  const required = CREDENTIALS[credential.type] && CREDENTIALS[credential.type].required.includes(employee.position);
+  const blocked = type === 'expired' && required && employee.position === 'caregiver';
+  taskService.createSystemTask({
+    dedupeKey: `credential:${credential.id}:${type}`,
+    title: `${ALERTS[type]}: ${label} for ${employee.name}`,
+    description: type === 'expired'
+      ? `Expired ${credential.expiresOn}.${blocked ? ` ${employee.name} cannot be scheduled until it is renewed.${reassignNote(employee)}` : ''}`
+      : `Expires ${credential.expiresOn}. Upload the renewal before then.`,
+    category: 'employees', priority: type === 'expired' && required ? 'high' : 'medium', profileId: employee.profileId
+  });
+  if (type === 'expired') taskService.completeSystemTask(`credential:${credential.id}:expiring`, 'Expired');
+  auditLog.append({ actor: 'credential-checks', action: `employee.credential_${type}`, target: employee.id, details: { credentialId: credential.id, type: credential.type } });
+}
+
+function tick() {
+  try {
+    const on = today();
+    employees.list({ statuses: WATCHED, limit: 1000 }).forEach(employee => {
+      Object.values(currentCredentials(employees.credentials(employee.id))).forEach(credential => {
+        const state = credentialState(credential, on);
+        if (state === 'expired' || state === 'expiring') raise(employee, credential, state);
+      });
+    });
+  } catch (error) {
+    console.error('❌ Credential checks failed:', error.message);
+  }
+}
+
+let timer = null;
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  setImmediate(tick);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  list, get, create, update, setStatus, setStep, addCredential, removeCredential, attachDocument, documentFile,
+  requirements, requireSchedulable, start, stop, CREDENTIALS, STEPS, STATUSES, DOCUMENT_MAX_BYTES
+};
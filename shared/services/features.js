@@ -0,0 +1,137 @@
+/**
+ * Feature flags for both servers. A flag is on for a request when it is
+ * enabled, the server's environment (KLOUDY_ENV) is one of its
+ * environments, and the user is either listed in its users or has one of
+ * its roles and falls inside its rollout percentage. Rollouts hash the flag
+ * and user ID together, so a user keeps the same answer as the percentage
+ * grows and different flags reach different users first.
+ *
+ * Reps edit flags; every change is audited with the fields before and after.
+ */
+
+const crypto = require('crypto');
+const features = require('../repositories/features');
+const users = require('../repositories/users');
+const auditLog = require('../repositories/audit-log');
+const { ROLES } = require('../auth');
+const { ENVIRONMENT, ENVIRONMENTS } = require('../env');
+const { httpError, requireRep } = require('../http');
+
+const KEY_PATTERN = /^[a-z][a-z0-9-]{1,47}$/;
+const MAX_USERS = 500;
+const FIELDS = ['description', 'enabled', 'environments', 'roles', 'users', 'rolloutPercent'];
+
+function audit(session, action, target, details) {
+  auditLog.append({ actor: session.sub, actorRole: session.role, action, target, details });
+}
+
+// 0-99, stable for a flag and user
+function bucket(key, userId) {
+  return crypto.createHash('sha256').update(`${key}:${userId}`).digest().readUInt32BE(0) % 100;
+}
+
+function evaluate(flag, { environment = ENVIRONMENT, role, userId } = {}) {
+  if (!flag || !flag.enabled) return false;
+  if (flag.environments && !flag.environments.includes(environment)) return false;
+  if (userId && flag.users && flag.users.includes(userId)) return true;
+  if (flag.roles && !flag.roles.includes(role)) return false;
+  if (flag.rolloutPercent >= 100) return true;
+  return Boolean(userId) && bucket(flag.key, userId) < flag.rolloutPercent;
+}
+
+/**
+ * Every flag's value for the signed-in user.
+ * @returns {{ environment: string, features: Object<string, boolean> }}
+ */
+function forSession(session) {
+  const context = { role: session.role, userId: session.sub };
+  return { environment: ENVIRONMENT, features: Object.fromEntries(features.all().map(flag => [flag.key, evaluate(flag, context)])) };
+}
+
+function isEnabled(session, key) {
+  return evaluate(features.find(key), { role: session.role, userId: session.sub });
+}
+
+// For services whose whole feature sits behind a flag
+function requireFeature(session, key) {
+  if (!isEnabled(session, key)) throw httpError(403, `The ${key} feature is turned off`);
+}
+
+function subset(value, allowed, name) {
+  if (value === null) return null;
+  if (!Array.isArray(value) || !value.length) throw httpError(400, `${name} must be a non-empty list, or null for no restriction`);
+  const unknown = value.find(v => !allowed.includes(v));
+  if (unknown !== undefined) throw httpError(400, `${name} must be chosen from ${allowed.join(', ')}`);
+  return [...new Set(value)];
+}
+
+// The flag as it would be after applying `changes`, validated
+function apply(flag, changes) {
+  const next = { ...flag };
+  if (changes.description !== undefined) {
+    if (typeof changes.description !== 'string' || changes.description.length > 200) throw httpError(400, 'description must be text under 200 characters');
+    next.description = changes.description.trim();
+  }
+  if (changes.enabled !== undefined) {
+    if (typeof changes.enabled !== 'boolean') throw httpError(400, 'enabled must be true or false');
+    next.enabled = changes.enabled;
+  }
+  if (changes.environments !== undefined) next.environments = subset(changes.environments, ENVIRONMENTS, 'environments');
+  if (changes.roles !== undefined) next.roles = subset(changes.roles, Object.values(ROLES), 'roles');
+  if (changes.users !== undefined) {
+    if (changes.users !== null && (!Array.isArray(changes.users) || changes.users.length > MAX_USERS)) {
+      throw httpError(400, `users must be a list of up to ${MAX_USERS} user IDs, or null`);
+    }
+    const missing = (changes.users || []).find(id => typeof id !== 'string' || !users.findById(id));
+    if (missing !== undefined) throw httpError(400, `Unknown user ${missing}`);
+    next.users = changes.users && changes.users.length ? [...new Set(changes.users)] : null;
+  }
+  if (changes.rolloutPercent !== undefined) {
+    const percent = changes.rolloutPercent;
+    if (!Number.isInteger(percent) || percent < 0 || percent > 100) throw httpError(400, 'rolloutPercent must be a whole number from 0 to 100');
+    next.rolloutPercent = percent;
+  }
+  return next;
+}
+
+// Before and after for each field that changed
+function diff(before, after) {
+  const changed = {};
+  for (const field of FIELDS) {
+    if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) changed[field] = { from: before[field] ?? null, to: after[field] ?? null };
+  }
+  return changed;
+}
+
+/**
+ * Flags with their rules and whether each is on for the rep asking.
+ */
+function list(session) {
+  requireRep(session);
+  const context = { role: session.role, userId: session.sub };
+  return { environment: ENVIRONMENT, environments: ENVIRONMENTS, flags: features.all().map(flag => ({ ...flag, on: evaluate(flag, context) })) };
+}
+
+function create(session, { key, ...input } = {}) {
+  requireRep(session);
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) throw httpError(400, 'key must be 2-48 lowercase letters, digits and dashes, starting with a letter');
+  if (features.find(key)) throw httpError(409, `Flag ${key} already exists`);
+  const flag = apply({ key, description: '', enabled: false, environments: null, roles: null, users: null, rolloutPercent: 100 }, input);
+  const saved = features.save({ ...flag, updatedBy: session.sub });
+  audit(session, 'feature.create', key, { flag: Object.fromEntries(FIELDS.map(field => [field, saved[field]])) });
+  return saved;
+}
+
+function update(session, key, changes = {}) {
+  requireRep(session);
+  const current = features.find(key);
+  if (!current) throw httpError(404, 'Flag not found');
+  const next = apply(current, changes);
+  const changed = diff(current, next);
+  if (!Object.keys(changed).length) return current;
+  const saved = features.save({ ...next, updatedBy: session.sub });
+  audit(session, 'feature.update', key, { changes: changed, environment: ENVIRONMENT });
+  return saved;
+}
+
+module.exports = { forSession, isEnabled, requireFeature, evaluate, list, create, update, ENVIRONMENT, ENVIRONMENTS };
@@ -0,0 +1,345 @@
+/**
+ * Shared inbox: clients and reps write to the same threads, and every change
+ * is recorded in inbox_events. Each server polls that feed and pushes events
+ * to its own subscribers, so a message posted through the user app reaches a
+ * rep connected to the dashboard server (and the other way round).
+ */
+
+const repo = require('../repositories/inbox');
+const users = require('../repositories/users');
+const auditLog = require('../repositories/audit-log');
+const { ROLES } = require('../auth');
+const { httpError, isRep, requireRep } = require('../http');
+
+const POLL_MS = Number(process.env.INBOX_POLL_MS) || 1000;
+const EVENT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_BODY = 4000;
+const TAG_PATTERN = /^[a-z][a-z0-9-]{0,23}$/;
+
+// Computed per viewer from read receipts, never stored
+const COMPUTED_TAGS = ['unread'];
+
+function displayName(user) {
+  return user.name || user.username || user.email;
+}
+
+function canView(conversation, session) {
+  return isRep(session) || repo.isParticipant(conversation.id, session.sub);
+}
+
+function load(conversationId, session) {
+  const conversation = repo.findConversation(conversationId);
+  if (!conversation || !canView(conversation, session)) throw httpError(404, 'Conversation not found');
+  return conversation;
+}
+
+function checkBody(body) {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) throw httpError(400, 'Message is required');
+  if (text.length > MAX_BODY) throw httpError(400, `Messages are limited to ${MAX_BODY} characters`);
+  return text;
+}
+
+// What one viewer sees; queue and escalation details are for reps only
+function view(conversation, session) {
+  const last = repo.lastMessage(conversation.id);
+  const unread = repo.unreadCount(conversation.id, session.sub);
+  const summary = {
+    id: conversation.id, subject: conversation.subject, channel: conversation.channel, status: conversation.status,
+    contact: conversation.contact, assignedTo: conversation.assignedTo, assignedName: conversation.assignedName,
+    tags: unread ? ['unread', ...conversation.tags] : conversation.tags, unread,
+    preview: last ? last.body.slice(0, 140) : '', lastMessageAt: conversation.lastMessageAt, createdAt: conversation.createdAt
+  };
+  if (!isRep(session)) return summary;
+  return { ...summary, queue: conversation.queue, clientId: conversation.clientId, escalationReason: conversation.escalationReason };
+}
+
+// -------- Change feed --------
+const subscribers = new Set();
+let cursor = 0;
+let timer = null;
+let lastPrune = 0;
+
+function emit(conversationId, type, data) {
+  repo.addEvent(conversationId, type, data);
+  if (timer) setImmediate(poll);
+}
+
+function payloadFor(event, session) {
+  const conversation = repo.findConversation(event.conversationId);
+  if (!conversation || !canView(conversation, session)) return null;
+  if (event.type === 'message') {
+    const message = repo.findMessage(event.data.messageId);
+    return message && { conversation: view(conversation, session), message };
+  }
+  if (event.type === 'read') return { conversationId: conversation.id, userId: event.data.userId, messageId: event.data.messageId };
+  // AI drafts waiting for approval are for reps only
+  if (event.type === 'draft') return isRep(session) ? { conversation: view(conversation, session), draft: event.data } : null;
+  return { conversation: view(conversation, session) };
+}
+
+function deliver(subscriber, event) {
+  try {
+    const data = payloadFor(event, subscriber.session);
+    if (data) subscriber.onEvent({ id: event.id, type: event.type, data });
+  } catch (error) {
+    console.error('❌ Inbox event delivery failed:', error.message);
+  }
+}
+
+function poll() {
+  try {
+    for (const event of repo.eventsAfter(cursor)) {
+      cursor = event.id;
+      subscribers.forEach(subscriber => deliver(subscriber, event));
+    }
+    if (Date.now() - lastPrune > 60 * 60 * 1000) {
+      lastPrune = Date.now();
+      repo.pruneEvents(new Date(Date.now() - EVENT_RETENTION_MS).toISOString());
+    }
+  } catch (error) {
+    console.error('❌ Inbox event poll failed:', error.message);
+  }
+}
+
+/**
+ * Calls `onEvent({ id, type, data })` for each change `session` may see.
+ * `lastEventId` replays what a reconnecting client missed.
+ * @returns {Function} unsubscribe
+ */
+function subscribe(session, onEvent, { lastEventId } = {}) {
+  if (!timer) {
+    cursor = repo.latestEventId();
+    timer = setInterval(poll, POLL_MS);
+    timer.unref();
+  }
+  const subscriber = { session, onEvent };
+  if (lastEventId) {
+    repo.eventsAfter(lastEventId).filter(event => event.id <= cursor).forEach(event => deliver(subscriber, event));
+  }
+  subscribers.add(subscriber);
+  return () => {
+    subscribers.delete(subscriber);
+    if (!subscribers.size && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+// -------- Actions --------
+function list(session, { queue, assignedTo, status } = {}) {
+  const filters = isRep(session) ? { queue, assignedTo: assignedTo === 'me' ? session.sub : assignedTo, status } : { participantId: session.sub, status };
+  return repo.listConversations(filters).map(conversation => view(conversation, session));
+}
+
+function get(session, conversationId, { before } = {}) {
+  const conversation = load(conversationId, session);
+  return {
+    conversation: view(conversation, session),
+    messages: repo.messages(conversation.id, { before }),
+    participants: repo.participants(conversation.id)
+  };
+}
+
+function post(conversation, session, body) {
+  const message = repo.addMessage({ conversationId: conversation.id, senderId: session.sub, senderRole: session.role, body });
+  repo.markRead(conversation.id, session.sub, message.id);
+  emit(conversation.id, 'message', { messageId: message.id });
+  return message;
+}
+
+// -------- External channels --------
+// Rep replies on a thread whose channel is registered here (e.g. 'sms') are
+// also delivered through it; failures are posted back into the thread.
+const channels = new Map();
+
+function registerChannel(channel, deliverMessage) {
+  channels.set(channel, deliverMessage);
+}
+
+function relay(conversation, message, session) {
+  const deliverMessage = channels.get(conversation.channel);
+  if (!deliverMessage) return;
+  Promise.resolve()
+    .then(() => deliverMessage(conversation, message, session))
+    .catch(error => systemMessage(conversation, `⚠️ Not delivered by ${conversation.channel}: ${error.message}`));
+}
+
+/**
+ * Opens a thread for someone outside the app (a texter, a caller), with no
+ * client account. It lands unassigned and tagged "new" like a client's.
+ */
+function openExternal({ channel, subject, contact = {}, tags = [] }) {
+  const conversation = repo.createConversation({ subject, channel, contact, tags: ['new', ...tags] });
+  emit(conversation.id, 'conversation', {});
+  return conversation;
+}
+
+// A message that arrived through an external channel; reopens closed threads
+function receive(conversationId, senderRole, body) {
+  const conversation = repo.findConversation(conversationId);
+  if (!conversation) throw httpError(404, 'Conversation not found');
+  if (conversation.status === 'closed') repo.updateConversation(conversation.id, { status: 'open' });
+  const message = repo.addMessage({ conversationId: conversation.id, senderId: null, senderRole, body: checkBody(body) });
+  emit(conversation.id, 'message', { messageId: message.id });
+  return message;
+}
+
+// Lets other services refresh a thread's card, e.g. once an intake learns the contact's name
+function touch(conversationId, { subject, contactName } = {}) {
+  if (subject || contactName) repo.updateConversation(conversationId, { subject, contactName });
+  emit(conversationId, 'conversation', {});
+}
+
+function systemMessage(conversation, body) {
+  const message = repo.addMessage({ conversationId: conversation.id, senderId: null, senderRole: 'system', body });
+  emit(conversation.id, 'message', { messageId: message.id });
+  return message;
+}
+
+// -------- AI replies --------
+// The AI writes as 'assistant'; on external threads its replies go out through the channel like a rep's
+const ASSISTANT = { sub: 'autoreply', role: 'assistant' };
+
+function assistantMessage(conversationId, body) {
+  const conversation = repo.findConversation(conversationId);
+  if (!conversation) throw httpError(404, 'Conversation not found');
+  const message = repo.addMessage({ conversationId: conversation.id, senderId: null, senderRole: ASSISTANT.role, body: checkBody(body) });
+  emit(conversation.id, 'message', { messageId: message.id });
+  relay(conversation, message, ASSISTANT);
+  return message;
+}
+
+// Tells reps a draft on this thread was added or decided
+function draftChanged(conversationId, { draftId, status }) {
+  emit(conversationId, 'draft', { draftId, status });
+}
+
+// Unassigned, urgent, with the reason kept for supervisors
+function toSupervisor(conversation, reason) {
+  const updated = repo.updateConversation(conversation.id, {
+    queue: 'supervisor', assignedTo: null, status: 'open', escalationReason: String(reason || '').trim().slice(0, 500) || null
+  });
+  repo.setTags(conversation.id, ['urgent'], ['new']);
+  systemMessage(updated, '⚠️ This conversation was passed to a supervisor, who will follow up shortly.');
+  emit(conversation.id, 'conversation', {});
+  return updated;
+}
+
+/**
+ * Hands a thread from the AI to people: tagged for reps, and moved to the
+ * supervisor queue when `queue` is 'supervisor'.
+ */
+function handOff(conversationId, { queue = 'general', reason, tags = [] }) {
+  const conversation = repo.findConversation(conversationId);
+  if (!conversation) throw httpError(404, 'Conversation not found');
+  repo.setTags(conversation.id, tags, []);
+  if (queue === 'supervisor' && conversation.queue !== 'supervisor') return toSupervisor(conversation, reason);
+  emit(conversation.id, 'conversation', {});
+  return repo.findConversation(conversation.id);
+}
+
+/**
+ * Clients open a thread with the care team; reps open one with a client
+ * (`clientId`) and are assigned to it.
+ */
+function start(session, { subject, body, clientId }) {
+  const text = checkBody(body);
+  const title = String(subject || '').trim().slice(0, 120) || text.slice(0, 60);
+  const clientUserId = isRep(session) ? clientId : session.sub;
+  const client = clientUserId && users.findById(clientUserId);
+  if (!client || client.role === ROLES.ADMIN) throw httpError(400, isRep(session) ? 'clientId must be an existing app user' : 'Account not found');
+
+  const conversation = repo.createConversation({
+    subject: title, clientId: client.id, createdBy: session.sub, tags: isRep(session) ? [] : ['new'],
+    contact: { name: displayName(client), phone: client.phone, email: client.email }
+  });
+  repo.addParticipant(conversation.id, client.id, client.role);
+  if (isRep(session)) {
+    repo.addParticipant(conversation.id, session.sub, session.role);
+    repo.updateConversation(conversation.id, { assignedTo: session.sub });
+  }
+  emit(conversation.id, 'conversation', {});
+  post(conversation, session, text);
+  return view(repo.findConversation(conversation.id), session);
+}
+
+// A rep's first reply claims an unassigned thread and clears "new". `deliver: false`
+// skips the external channel, for messages the caller has already sent through it.
+function send(session, conversationId, body, { deliver = true } = {}) {
+  const text = checkBody(body);
+  let conversation = load(conversationId, session);
+  const changes = {};
+  if (conversation.status === 'closed') changes.status = 'open';
+  if (isRep(session)) {
+    repo.addParticipant(conversation.id, session.sub, session.role);
+    if (!conversation.assignedTo) changes.assignedTo = session.sub;
+    if (conversation.tags.includes('new')) repo.setTags(conversation.id, [], ['new']);
+  }
+  if (Object.keys(changes).length) conversation = repo.updateConversation(conversation.id, changes);
+  const message = post(conversation, session, text);
+  if (deliver && isRep(session)) relay(conversation, message, session);
+  return message;
+}
+
+function markRead(session, conversationId, messageId) {
+  const conversation = load(conversationId, session);
+  const last = repo.lastMessage(conversation.id);
+  const upTo = Math.min(Number(messageId) || (last ? last.id : 0), last ? last.id : 0);
+  if (!upTo) return false;
+  // Reps join a thread's receipts the first time they read it
+  repo.addParticipant(conversation.id, session.sub, session.role);
+  const moved = repo.markRead(conversation.id, session.sub, upTo);
+  if (moved) emit(conversation.id, 'read', { userId: session.sub, messageId: upTo });
+  return moved;
+}
+
+function assign(session, conversationId, userId) {
+  requireRep(session);
+  const conversation = load(conversationId, session);
+  const assignee = users.findById(userId || session.sub);
+  if (!assignee || assignee.role !== ROLES.ADMIN) throw httpError(400, 'Threads can only be assigned to reps');
+  repo.addParticipant(conversation.id, assignee.id, assignee.role);
+  const updated = repo.updateConversation(conversation.id, { assignedTo: assignee.id });
+  auditLog.append({ actor: session.sub, actorRole: session.role, action: 'inbox.assign', target: conversation.id, details: { assignedTo: assignee.id } });
+  emit(conversation.id, 'conversation', {});
+  return view(updated, session);
+}
+
+function tag(session, conversationId, { add = [], remove = [] }) {
+  requireRep(session);
+  const conversation = load(conversationId, session);
+  const tags = [...add, ...remove];
+  if (!Array.isArray(add) || !Array.isArray(remove) || tags.some(t => typeof t !== 'string' || !TAG_PATTERN.test(t))) {
+    throw httpError(400, 'Tags are short lowercase words, e.g. urgent');
+  }
+  if (tags.some(t => COMPUTED_TAGS.includes(t))) throw httpError(400, '"unread" follows read receipts and cannot be set');
+  repo.setTags(conversation.id, add, remove);
+  emit(conversation.id, 'conversation', {});
+  return view(repo.findConversation(conversation.id), session);
+}
+
+function setStatus(session, conversationId, status) {
+  requireRep(session);
+  if (!['open', 'closed'].includes(status)) throw httpError(400, 'status must be open or closed');
+  const conversation = load(conversationId, session);
+  const updated = repo.updateConversation(conversation.id, { status });
+  emit(conversation.id, 'conversation', {});
+  return view(updated, session);
+}
+
+// Hands the thread to the supervisor queue
+function escalate(session, conversationId, reason) {
+  requireRep(session);
+  const conversation = load(conversationId, session);
+  if (conversation.queue === 'supervisor' && !conversation.assignedTo) throw httpError(409, 'Already waiting in the supervisor queue');
+  auditLog.append({ actor: session.sub, actorRole: session.role, action: 'inbox.escalate', target: conversation.id, details: { queue: 'supervisor' } });
+  toSupervisor(conversation, reason);
+  return view(repo.findConversation(conversation.id), session);
+}
+
+module.exports = {
+  list, get, start, send, markRead, assign, tag, setStatus, escalate, subscribe, systemMessage, isRep,
+  registerChannel, openExternal, receive, touch, assistantMessage, draftChanged, handOff
+};
@@ -0,0 +1,464 @@
+/**
+ * The user app's intake wizard. Registration is a draft that fills in step
+ * by step, each step checked here rather than in the page:
+ *
+ *   account    role, name, email, phone (and an optional username)
+ *   client     the client's date of birth and Nevada Medicaid ID; caregivers
+ *              and guardians also give the client's name and their relation
+ *   documents  only when the client is under 18: the guardian's contact
+ *              (unless a guardian is registering) plus guardianship and
+ *              hardship documents
+ *
+ * Drafts are resumed with the token handed out when they start and expire
+ * after INTAKE_DRAFT_DAYS without changes. Submitting sets the password and
+ * creates the account, the profiles and links, and the follow-up tasks in one
+ * transaction. The client is always a new Draft profile, even when the
+ * Medicaid ID matches one on file; the review task tells the rep to link or
+ * merge it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const intake = require('../repositories/intake');
+const users = require('../repositories/users');
+const profiles = require('../repositories/profiles');
+const profileService = require('./profiles');
+const taskService = require('./tasks');
+const auditLog = require('../repositories/audit-log');
+const auth = require('../auth');
+const { httpError } = require('../http');
+
+const { ROLES } = auth;
+const DRAFT_DAYS = Number(process.env.INTAKE_DRAFT_DAYS) || 30;
+const DOCS_DIR = process.env.INTAKE_DOCS_DIR || path.join(__dirname, '..', '..', 'data', 'intake');
+const DOCUMENT_MAX_BYTES = (Number(process.env.INTAKE_DOC_MAX_MB) || 10) * 1024 * 1024;
+const DRAFT_MAX_BYTES = (Number(process.env.INTAKE_DRAFT_MAX_MB) || 15) * 1024 * 1024;
+const DRAFTS_PER_HOUR = Number(process.env.INTAKE_DRAFTS_PER_HOUR) || 10;
+const DOCUMENT_TYPES = { 'application/pdf': '.pdf', 'image/png': '.png', 'image/jpeg': '.jpg' };
+const DOCUMENT_KINDS = { guardianship: 'Proof of guardianship', hardship: 'Hardship documentation' };
+const ADULT_AGE = 18;
+
+const STEPS = {
+  account: { title: 'About you', fields: ['role', 'fullName', 'email', 'phone', 'username'] },
+  client: { title: 'The client', fields: ['clientName', 'relation', 'dob', 'medicaidId'] },
+  documents: { title: 'Guardian and hardship documents', fields: ['guardianName', 'guardianPhone'] }
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+function expiry() {
+  return new Date(Date.now() + DRAFT_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Whole years between a YYYY-MM-DD birth date and today
+function age(dob) {
+  const born = new Date(`${dob}T00:00:00Z`);
+  const now = new Date();
+  let years = now.getUTCFullYear() - born.getUTCFullYear();
+  if (now.getUTCMonth() < born.getUTCMonth() || (now.getUTCMonth() === born.getUTCMonth() && now.getUTCDate() < born.getUTCDate())) years--;
+  return years;
+}
+
+function isMinor(data) {
+  return Boolean(data.dob) && age(data.dob) < ADULT_AGE;
+}
+
+function stepsFor(data) {
+  return ['account', 'client', ...(isMinor(data) ? ['documents'] : [])];
+}
+
+// -------- Field checks --------
+function phoneDigits(value) {
+  let digits = String(value || '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  return digits;
+}
+
+function formatPhone(digits) {
+  return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+}
+
+// Each check returns the cleaned value or throws the message for that field
+const CHECKS = {
+  role(value) {
+    if (!auth.USER_ROLES.includes(value)) throw new Error(`Choose one of: ${auth.USER_ROLES.join(', ')}`);
+    return value;
+  },
+  name(value, label) {
+    const name = text(value);
+    if (!name) throw new Error(`${label} is required`);
+    if (name.length > 120) throw new Error(`${label} is limited to 120 characters`);
+    return name;
+  },
+  email(value) {
+    const email = text(value).toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 200) throw new Error('Enter a valid email address');
+    return email;
+  },
+  phone(value) {
+    const digits = phoneDigits(value);
+    if (digits.length !== 10) throw new Error('Enter a 10-digit US phone number');
+    return formatPhone(digits);
+  },
+  username(value) {
+    const username = text(value);
+    if (!/^[A-Za-z0-9._-]{3,32}$/.test(username)) throw new Error('Usernames are 3-32 letters, digits, dots, dashes or underscores');
+    return username;
+  },
+  dob(value) {
+    const dob = text(value);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dob) || Number.isNaN(Date.parse(dob)) || Date.parse(dob) > Date.now()) {
+      throw new Error('Date of birth must be a past date (YYYY-MM-DD)');
+    }
+    if (age(dob) > 120) throw new Error('Check the year of birth');
+    return dob;
+  },
+  // Nevada Medicaid IDs are 9 or 10 digits; spaces and dashes are dropped, anything else is refused
+  medicaidId(value, phones) {
+    const raw = text(value);
+    if (!/^[\d\s-]+$/.test(raw)) throw new Error('Nevada Medicaid ID is digits only, with no area code, letters or prefix');
+    const id = raw.replace(/[\s-]/g, '');
+    if (!/^\d{9,10}$/.test(id)) throw new Error('Nevada Medicaid ID must be 9 or 10 digits');
+    if (phones.includes(id)) throw new Error('That is a phone number; enter the Medicaid ID from the Medicaid card');
+    return id;
+  },
+  relation(value) {
+    const relation = text(value);
+    if (relation.length > 60) throw new Error('Relationship is limited to 60 characters');
+    return relation || null;
+  }
+};
+
+/**
+ * Checks one step's fields against the answers so far.
+ * @returns {{ fields: object, errors: Object<string, string> }}
+ */
+function checkStep(step, input, data) {
+  const fields = {};
+  const errors = {};
+  const run = (field, check) => {
+    try {
+      fields[field] = check(input[field]);
+    } catch (error) {
+      errors[field] = error.message;
+    }
+  };
+  const present = field => input[field] !== undefined && input[field] !== null && String(input[field]).trim() !== '';
+
+  if (step === 'account') {
+    run('role', CHECKS.role);
+    run('fullName', value => CHECKS.name(value, 'Your full name'));
+    run('email', value => {
+      const email = CHECKS.email(value);
+      if (users.exists(email)) throw new Error('An account with this email already exists; log in instead');
+      return email;
+    });
+    run('phone', value => {
+      const phone = CHECKS.phone(value);
+      if (users.findByPhone(phone)) throw new Error('An account with this phone number already exists; log in instead');
+      return phone;
+    });
+    if (present('username')) {
+      run('username', value => {
+        const username = CHECKS.username(value);
+        if (users.findByIdentifier(username)) throw new Error('That username is taken');
+        return username;
+      });
+    } else {
+      fields.username = null;
+    }
+    return { fields, errors };
+  }
+
+  if (!data.role) return { fields, errors: { role: `Finish the "${STEPS.account.title}" step first` } };
+
+  if (step === 'client') {
+    const forSelf = data.role === ROLES.CLIENT;
+    if (forSelf) fields.clientName = data.fullName;
+    else run('clientName', value => CHECKS.name(value, "The client's full name"));
+    if (forSelf) fields.relation = null;
+    else run('relation', CHECKS.relation);
+    run('dob', CHECKS.dob);
+    // Caregivers may not have the client's card at hand; clients and guardians need it
+    if (present('medicaidId') || data.role !== ROLES.CAREGIVER) {
+      run('medicaidId', value => CHECKS.medicaidId(value, [phoneDigits(data.phone)]));
+    } else {
+      fields.medicaidId = null;
+    }
+    return { fields, errors };
+  }
+
+  if (step === 'documents') {
+    if (data.role === ROLES.GUARDIAN) {
+      fields.guardianName = null;
+      fields.guardianPhone = null;
+    } else {
+      run('guardianName', value => CHECKS.name(value, "The guardian's full name"));
+      run('guardianPhone', CHECKS.phone);
+    }
+    return { fields, errors };
+  }
+
+  throw httpError(404, `There is no ${step} step`);
+}
+
+function firstError(errors) {
+  return Object.values(errors)[0];
+}
+
+function documentsMissing(documents) {
+  return Object.keys(DOCUMENT_KINDS).filter(kind => !documents.some(d => d.kind === kind));
+}
+
+// A saved step is complete when its answers still pass (an email may have been taken since)
+function complete(step, data, documents) {
+  const { errors } = checkStep(step, data, data);
+  if (Object.keys(errors).length) return false;
+  return step !== 'documents' || !documentsMissing(documents).length;
+}
+
+// -------- Access --------
+function view(draft) {
+  const documents = intake.documents(draft.id).map(({ file, ...document }) => ({ ...document, label: DOCUMENT_KINDS[document.kind] }));
+  const base = {
+    id: draft.id, status: draft.status, createdAt: draft.createdAt, updatedAt: draft.updatedAt, documents
+  };
+  if (draft.status === 'submitted') return { ...base, submittedAt: draft.submittedAt, userId: draft.userId, profileId: draft.profileId };
+  const steps = stepsFor(draft.data).map(id => ({ id, title: STEPS[id].title, complete: complete(id, draft.data, documents) }));
+  const next = steps.find(step => !step.complete);
+  return {
+    ...base, data: draft.data, minor: isMinor(draft.data), steps, next: next ? next.id : 'submit',
+    documentKinds: DOCUMENT_KINDS, expiresAt: draft.expiresAt
+  };
+}
+
+/**
+ * The draft for `id` when the caller holds its token; reps may read any
+ * draft (`write` false), for instance to open the documents.
+ */
+function load(id, { token, session } = {}, { write = true } = {}) {
+  const draft = intake.findDraft(id);
+  const expired = draft && draft.status === 'draft' && draft.expiresAt < new Date().toISOString();
+  if (!draft || expired) throw httpError(404, 'Registration not found or expired; please start again');
+  const rep = session && session.role === ROLES.ADMIN;
+  const holder = token && crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(draft.tokenHash));
+  if (!holder && !(rep && !write)) throw httpError(404, 'Registration not found or expired; please start again');
+  if (write && draft.status !== 'draft') throw httpError(409, 'This registration is already done; log in instead');
+  return draft;
+}
+
+function removeFiles(documents) {
+  for (const document of documents) {
+    try {
+      fs.unlinkSync(path.join(DOCS_DIR, document.file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Could not remove intake document:', error.message);
+    }
+  }
+}
+
+// Abandoned drafts hold personal details; drop them (and their files) once expired
+function purgeExpired() {
+  for (const draft of intake.expired()) {
+    removeFiles(draft.documents);
+    intake.removeDraft(draft.id);
+  }
+}
+
+// Draft starts per caller (an IP address) in the last hour, kept in memory
+const recentStarts = new Map();
+
+function limitStarts(caller) {
+  const since = Date.now() - 60 * 60 * 1000;
+  if (recentStarts.size > 1000) {
+    for (const [key, times] of recentStarts) if (!times.some(time => time > since)) recentStarts.delete(key);
+  }
+  const times = (recentStarts.get(caller) || []).filter(time => time > since);
+  if (times.length >= DRAFTS_PER_HOUR) throw httpError(429, 'Too many registrations started from here; please try again later');
+  recentStarts.set(caller, [...times, Date.now()]);
+}
+
+// -------- Wizard --------
+/**
+ * @param {string} [caller] who is starting, for the hourly limit
+ * @returns {{ draft: object, token: string }} the token is shown only here; the page keeps it to resume
+ */
+function start(caller = 'unknown') {
+  limitStarts(caller);
+  purgeExpired();
+  const token = crypto.randomBytes(24).toString('base64url');
+  const draft = intake.createDraft({ tokenHash: hashToken(token), expiresAt: expiry() });
+  return { draft: view(draft), token };
+}
+
+function get(id, access) {
+  return view(load(id, access, { write: false }));
+}
+
+function saveStep(id, access, step, input = {}) {
+  const draft = load(id, access);
+  if (!STEPS[step]) throw httpError(404, `There is no ${step} step`);
+  if (!stepsFor(draft.data).includes(step)) throw httpError(400, 'Documents are only needed when the client is under 18');
+  const { fields, errors } = checkStep(step, input, draft.data);
+  if (Object.keys(errors).length) throw httpError(400, firstError(errors), errors);
+  return view(intake.saveData(draft.id, { ...draft.data, ...fields }, expiry()));
+}
+
+/**
+ * Stores a guardianship or hardship document, replacing an earlier one of
+ * the same kind. `content` is the file's bytes.
+ */
+function attachDocument(id, access, kind, { fileName, mimeType, content } = {}) {
+  const draft = load(id, access);
+  if (!DOCUMENT_KINDS[kind]) throw httpError(404, `Document kind must be one of: ${Object.keys(DOCUMENT_KINDS).join(', ')}`);
+  if (!isMinor(draft.data)) throw httpError(400, 'Documents are only needed when the client is under 18');
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  if (!DOCUMENT_TYPES[type]) throw httpError(400, 'Documents must be PDF, PNG or JPEG');
+  if (!Buffer.isBuffer(content) || !content.length) throw httpError(400, 'Upload the document file');
+  if (content.length > DOCUMENT_MAX_BYTES) throw httpError(413, 'The document is too large');
+  // One document per kind; a new upload replaces the old one, and together they stay under the draft's cap
+  const others = intake.documents(draft.id).filter(document => document.kind !== kind);
+  if (others.length >= Object.keys(DOCUMENT_KINDS).length) throw httpError(400, 'This registration has all its documents');
+  if (others.reduce((total, document) => total + document.size, content.length) > DRAFT_MAX_BYTES) {
+    throw httpError(413, 'The documents for this registration are too large together');
+  }
+
+  const file = path.join(draft.id, `${kind}${DOCUMENT_TYPES[type]}`);
+  fs.mkdirSync(path.join(DOCS_DIR, draft.id), { recursive: true });
+  fs.writeFileSync(path.join(DOCS_DIR, file), content);
+  const previous = intake.findDocument(draft.id, kind);
+  if (previous && previous.file !== file) removeFiles([previous]);
+  const name = path.basename(String(fileName || '')).replace(/[^\w .()-]/g, '').slice(0, 120) || `${kind}${DOCUMENT_TYPES[type]}`;
+  intake.saveDocument(draft.id, { kind, name, type, size: content.length, file });
+  return view(intake.saveData(draft.id, draft.data, expiry()));
+}
+
+function removeDocument(id, access, kind) {
+  const draft = load(id, access);
+  const document = intake.findDocument(draft.id, kind);
+  if (!document) throw httpError(404, 'Document not found');
+  intake.removeDocument(draft.id, kind);
+  removeFiles([document]);
+  return view(draft);
+}
+
+// Where a document is on disk, with the name and type to send it as
+function documentFile(id, access, kind) {
+  const draft = load(id, access, { write: false });
+  const document = intake.findDocument(draft.id, kind);
+  if (!document) throw httpError(404, 'Document not found');
+  const file = path.join(DOCS_DIR, document.file);
+  if (!fs.existsSync(file)) throw httpError(404, 'The document file is missing');
+  if (access.session && access.session.role === ROLES.ADMIN) {
+    auditLog.append({ actor: access.session.sub, actorRole: access.session.role, action: 'intake.document_view', target: draft.id, details: { kind } });
+  }
+  return { path: file, name: document.name, type: document.type };
+}
+
+// As the password reset route compares it
+function normalizeAnswer(answer) {
+  return (answer || '').toLowerCase().trim();
+}
+
+function checkCredentials({ password, securityQuestion, securityAnswer, acceptTerms } = {}) {
+  const errors = {};
+  if (typeof password !== 'string' || password.length < 8) errors.password = 'Use a password of at least 8 characters';
+  else if (password.length > 200) errors.password = 'Passwords are limited to 200 characters';
+  const question = text(securityQuestion);
+  if (question.length < 3 || question.length > 200) errors.securityQuestion = 'Choose a security question';
+  const answer = text(securityAnswer);
+  if (!answer || answer.length > 200) errors.securityAnswer = 'Answer the security question';
+  if (acceptTerms !== true) errors.acceptTerms = 'Please agree to the terms to continue';
+  if (Object.keys(errors).length) throw httpError(400, firstError(errors), errors);
+  return { password, securityQuestion: question, securityAnswer: answer };
+}
+
+// The rep-queue task that brings a new registration to a person
+function reviewTask(draft, data, client, minor) {
+  const who = data.role === ROLES.CLIENT ? 'client' : `${data.role} for ${data.clientName}`;
+  const details = [`${data.fullName} registered as a ${who}.`];
+  if (!data.medicaidId) details.push('No Medicaid ID yet.');
+  // Registration never attaches to an existing profile; the rep decides whether it is the same person
+  const existing = data.medicaidId && profiles.findByMedicaidId(data.medicaidId);
+  if (existing && existing.id !== client.id) {
+    details.push(`${existing.name}'s profile already has this Medicaid ID: once you know who they are, link or merge the new Draft profile from the profile panel.`);
+  }
+  if (minor) details.push(`The client is under ${ADULT_AGE}: review the guardianship and hardship documents on registration ${draft.id}.`);
+  return taskService.createSystemTask({
+    dedupeKey: `intake-review:${draft.id}`, title: `Review new registration: ${data.clientName}`, category: 'intake',
+    priority: minor ? 'high' : 'medium', profileId: client.id, description: details.join(' ')
+  });
+}
+
+/**
+ * Creates the account and everything behind it from a finished draft.
+ * @returns {{ user: object, profile: object, client: object|null }} `user` carries the id and role to sign in with
+ */
+function submit(id, access, credentials = {}) {
+  const draft = load(id, access);
+  const documents = intake.documents(draft.id);
+  for (const step of stepsFor(draft.data)) {
+    if (!complete(step, draft.data, documents)) throw httpError(400, `Finish the "${STEPS[step].title}" step first`, { step });
+  }
+  const { password, securityQuestion, securityAnswer } = checkCredentials(credentials);
+  const data = draft.data;
+  const minor = isMinor(data);
+
+  const done = intake.submit(draft.id, () => {
+    if (users.exists(data.email)) throw httpError(409, 'An account with this email already exists; log in instead');
+    if (users.findByPhone(data.phone)) throw httpError(409, 'An account with this phone number already exists; log in instead');
+    const user = users.create({
+      email: data.email, username: data.username || undefined, phone: `+1${phoneDigits(data.phone)}`, name: data.fullName, role: data.role,
+      passwordHash: auth.hashPassword(password), securityQuestion, securityAnswerHash: auth.hashPassword(normalizeAnswer(securityAnswer))
+    });
+    const session = { sub: user.id, role: user.role };
+    const registered = profileService.register(session, {
+      fullName: data.fullName, phone: data.phone, email: data.email, relation: data.relation,
+      clientName: data.role === ROLES.CLIENT ? undefined : data.clientName, dob: data.dob, medicaid: data.medicaidId || undefined
+    });
+    const client = registered.client || registered.profile;
+    // A minor's guardian gets a profile of their own when someone else is registering
+    if (minor && data.guardianName) {
+      const guardian = profiles.create({ name: data.guardianName, phone: data.guardianPhone, role: 'Guardian', status: 'Draft' });
+      profiles.createLink({ fromProfileId: guardian.id, toProfileId: client.id, type: 'guardian-of', relationship: null, createdBy: user.id });
+    }
+    reviewTask(draft, data, client, minor);
+    auditLog.append({
+      actor: user.id, actorRole: user.role, action: 'intake.submit', target: draft.id,
+      details: { profileId: client.id, minor, documents: documents.map(d => d.kind) }
+    });
+    return { userId: user.id, profileId: client.id, user, registered };
+  });
+  if (!done) throw httpError(409, 'This registration is already done; log in instead');
+  return { user: done.user, account: users.publicUser(done.user), profile: done.registered.profile, client: done.registered.client };
+}
+
+/**
+ * Registration in one request (POST /api/auth/register): the same steps and
+ * checks as the wizard, without a draft to come back to. Clients under 18
+ * need documents, so they go through the wizard.
+ */
+function register(body = {}, caller) {
+  const { draft, token } = start(caller);
+  const access = { token };
+  try {
+    saveStep(draft.id, access, 'account', body);
+    const saved = saveStep(draft.id, access, 'client', { ...body, medicaidId: body.medicaidId || body.medicaid });
+    if (saved.minor) throw httpError(400, `Clients under ${ADULT_AGE} need guardianship and hardship documents; please register in the app`);
+    return submit(draft.id, access, body);
+  } catch (error) {
+    intake.removeDraft(draft.id);
+    throw error;
+  }
+}
+
+module.exports = {
+  start, get, saveStep, attachDocument, removeDocument, documentFile, submit, register, STEPS, DOCUMENT_KINDS, DOCUMENT_MAX_BYTES
+};
@@ -0,0 +1,151 @@
+/**
+ * Knowledge base for the rep assistant. Documents are markdown (policy,
+ * scripts, FAQs) split into passages and indexed with SQLite FTS5, which
+ * ranks matches by BM25; nothing leaves the server to build or query it.
+ *
+ * The files in shared/knowledge/library are synced in at startup: a new
+ * file is added, a changed file becomes a new version of its document.
+ * Reps add their own documents through the API, edit them (each save is a
+ * new version), re-index them and retire the ones that no longer apply.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const knowledge = require('../repositories/knowledge');
+const { chunk, title: titleOf } = require('../knowledge/chunk');
+const { matchExpression } = require('../knowledge/query');
+const auditLog = require('../repositories/audit-log');
+const { httpError, requireRep } = require('../http');
+
+const LIBRARY_DIR = process.env.KNOWLEDGE_LIBRARY_DIR || path.join(__dirname, '..', 'knowledge', 'library');
+// Passages added to each rep question's prompt
+const PASSAGES = Number(process.env.KNOWLEDGE_PASSAGES) || 4;
+const MAX_TITLE = 200;
+const MAX_BODY = 200000;
+const EXCERPT_CHARS = 280;
+const STATUSES = ['active', 'retired'];
+
+function audit(session, action, target, details) {
+  auditLog.append({ actor: session.sub, actorRole: session.role, action, target, details });
+}
+
+function findDocument(id) {
+  const document = knowledge.findById(id);
+  if (!document) throw httpError(404, 'Document not found');
+  return document;
+}
+
+// Title and body of a document; the title defaults to the body's `# Title`
+function content({ title, body } = {}, current = {}) {
+  const text = typeof body === 'string' ? body.trim() : current.body;
+  if (!text) throw httpError(400, 'Document text is required');
+  if (text.length > MAX_BODY) throw httpError(400, `Document text must be under ${MAX_BODY} characters`);
+  const name = (typeof title === 'string' && title.trim()) || (body !== undefined && titleOf(text)) || current.title;
+  if (!name) throw httpError(400, 'Give the document a title or start it with a "# Title" line');
+  if (name.length > MAX_TITLE) throw httpError(400, `Title must be under ${MAX_TITLE} characters`);
+  const passages = chunk(text);
+  if (!passages.length) throw httpError(400, 'Document has no text to index');
+  return { title: name, body: text, passages };
+}
+
+function list(session, { status } = {}) {
+  requireRep(session);
+  if (status && status !== 'all' && !STATUSES.includes(status)) throw httpError(400, `status must be one of ${STATUSES.join(', ')} or all`);
+  return knowledge.list({ status: status === 'all' ? null : status });
+}
+
+function get(session, id) {
+  requireRep(session);
+  return { document: findDocument(id), chunks: knowledge.chunks(id) };
+}
+
+function add(session, input = {}) {
+  requireRep(session);
+  const { title, body, passages } = content(input);
+  const document = knowledge.create({ title, source: 'admin', body, createdBy: session.sub, passages });
+  audit(session, 'knowledge.add', document.id, { title, chunks: passages.length });
+  return document;
+}
+
+function update(session, id, input = {}) {
+  requireRep(session);
+  const current = findDocument(id);
+  const { title, body, passages } = content(input, current);
+  if (title === current.title && body === current.body) return current;
+  const document = knowledge.update(id, { title, body, updatedBy: session.sub, passages });
+  audit(session, 'knowledge.update', id, { title, version: document.version, chunks: passages.length });
+  return document;
+}
+
+// Re-splits one document, or every document when `id` is empty, from its stored text
+function reindex(session, id) {
+  requireRep(session);
+  const documents = id ? [findDocument(id)] : knowledge.list().map(d => knowledge.findById(d.id));
+  const indexed = documents.map(d => knowledge.reindex(d.id, chunk(d.body)));
+  audit(session, 'knowledge.reindex', id || 'all', { documents: indexed.length });
+  return indexed;
+}
+
+function setStatus(session, id, status) {
+  requireRep(session);
+  const current = findDocument(id);
+  if (current.status === status) throw httpError(409, `Document is already ${status}`);
+  const document = knowledge.setStatus(id, status, session.sub);
+  audit(session, status === 'retired' ? 'knowledge.retire' : 'knowledge.restore', id, { title: document.title, version: document.version });
+  return document;
+}
+
+const retire = (session, id) => setStatus(session, id, 'retired');
+const restore = (session, id) => setStatus(session, id, 'active');
+
+function excerpt(text) {
+  return text.length > EXCERPT_CHARS ? text.slice(0, EXCERPT_CHARS).replace(/\s+\S*$/, '') + '…' : text;
+}
+
+/**
+ * Passages for a rep question, best first, numbered for citation.
+ * @returns {{ n: number, documentId: string, title: string, version: number, heading: string|null, text: string, score: number }[]}
+ */
+function retrieve(question, limit = PASSAGES) {
+  const match = matchExpression(question);
+  if (!match) return [];
+  return knowledge.search(match, limit).map(({ chunkId, ordinal, ...passage }, i) => ({ n: i + 1, ...passage }));
+}
+
+// What the UI shows under an answer
+function citation(passage) {
+  const { n, documentId, title, version, heading, text } = passage;
+  return { n, documentId, title, version, heading, excerpt: excerpt(text) };
+}
+
+function search(session, { q, limit } = {}) {
+  requireRep(session);
+  if (typeof q !== 'string' || !q.trim()) throw httpError(400, 'Search text is required');
+  return retrieve(q, Math.min(Number(limit) || 10, 50)).map(passage => ({ ...citation(passage), score: passage.score }));
+}
+
+/**
+ * Brings the library files into the knowledge base. Documents are matched
+ * by file name; one whose file has not changed since the last sync keeps
+ * any edits made through the API.
+ */
+function syncLibrary() {
+  const files = fs.existsSync(LIBRARY_DIR) ? fs.readdirSync(LIBRARY_DIR).filter(file => file.endsWith('.md')).sort() : [];
+  let changed = 0;
+  for (const file of files) {
+    const text = fs.readFileSync(path.join(LIBRARY_DIR, file), 'utf8').trim();
+    const fileChecksum = crypto.createHash('sha256').update(text).digest('hex');
+    const source = `library/${file}`;
+    const existing = knowledge.findBySource(source);
+    if (existing && existing.fileChecksum === fileChecksum) continue;
+    const title = titleOf(text) || path.basename(file, '.md');
+    const passages = chunk(text);
+    if (existing) knowledge.update(existing.id, { title, body: text, fileChecksum, updatedBy: 'library', passages });
+    else knowledge.create({ title, source, body: text, fileChecksum, createdBy: 'library', passages });
+    changed++;
+  }
+  if (changed) console.log(`📚 Knowledge base: synced ${changed} library document(s)`);
+}
+
+module.exports = { list, get, add, update, reindex, retire, restore, search, retrieve, citation, syncLibrary };
@@ -0,0 +1,109 @@
+/**
+ * Case notes on profiles, written by reps and by the intake and eligibility
+ * pipelines. Notes are keyed by real profile IDs and may be attached to an
+ * inbox conversation. Edits never overwrite history: each one is stored as a
+ * new revision with the rep who made it.
+ */
+
+const notes = require('../repositories/notes');
+const profiles = require('../repositories/profiles');
+const inbox = require('../repositories/inbox');
+const users = require('../repositories/users');
+const auditLog = require('../repositories/audit-log');
+const { httpError, requireRep } = require('../http');
+
+const CATEGORIES = ['eligibility', 'intake', 'scheduling', 'billing', 'medical', 'general'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const MAX_TEXT = 4000;
+
+function displayName(userId) {
+  const user = users.findById(userId);
+  return user ? user.name || user.username || user.email : 'Agent';
+}
+
+function checkText(text) {
+  const value = typeof text === 'string' ? text.trim() : '';
+  if (!value) throw httpError(400, 'Note text is required');
+  if (value.length > MAX_TEXT) throw httpError(400, `Notes are limited to ${MAX_TEXT} characters`);
+  return value;
+}
+
+function checkConversation(conversationId) {
+  if (!conversationId) return null;
+  if (!inbox.findConversation(conversationId)) throw httpError(400, 'Conversation not found');
+  return conversationId;
+}
+
+// The optional fields of a create or edit, validated; undefined leaves one unchanged
+function cleanOptions({ category, priority, pinned, conversationId } = {}) {
+  if (category !== undefined && !CATEGORIES.includes(category)) throw httpError(400, `category must be one of: ${CATEGORIES.join(', ')}`);
+  if (priority !== undefined && !PRIORITIES.includes(priority)) throw httpError(400, `priority must be one of: ${PRIORITIES.join(', ')}`);
+  return {
+    category, priority,
+    pinned: pinned === undefined ? undefined : pinned === true || pinned === 'true',
+    conversationId: conversationId === undefined ? undefined : checkConversation(conversationId)
+  };
+}
+
+function load(noteId) {
+  const note = notes.findById(noteId);
+  if (!note) throw httpError(404, 'Note not found');
+  return note;
+}
+
+/**
+ * @param {{ profileId?, conversationId?, q?, category?, priority?, pinned?, limit?, offset? }} query
+ *   at least a profile or a conversation
+ */
+function list(session, { profileId, conversationId, q, category, priority, pinned, limit, offset } = {}) {
+  requireRep(session);
+  if (!profileId && !conversationId) throw httpError(400, 'profileId or conversationId is required');
+  if (profileId && !profiles.findById(profileId)) throw httpError(404, 'Profile not found');
+  if (category && !CATEGORIES.includes(category)) throw httpError(400, `category must be one of: ${CATEGORIES.join(', ')}`);
+  if (priority && !PRIORITIES.includes(priority)) throw httpError(400, `priority must be one of: ${PRIORITIES.join(', ')}`);
+  return notes.search({
+    profileId, conversationId, q, category, priority, limit, offset,
+    pinned: pinned === undefined || pinned === '' ? undefined : pinned === true || pinned === 'true'
+  });
+}
+
+function get(session, noteId) {
+  requireRep(session);
+  const note = load(noteId);
+  return { ...note, revisions: notes.revisions(note.id) };
+}
+
+function create(session, { profileId, text, ...options } = {}) {
+  requireRep(session);
+  if (!profileId || !profiles.findById(profileId)) throw httpError(404, 'Profile not found');
+  const fields = cleanOptions(options);
+  const note = notes.create({
+    profileId, text: checkText(text), by: displayName(session.sub), authorId: session.sub,
+    category: fields.category, priority: fields.priority, pinned: fields.pinned, conversationId: fields.conversationId
+  });
+  auditLog.append({
+    actor: session.sub, actorRole: session.role, action: 'note.create', target: note.id,
+    details: { profileId, category: note.category, conversationId: note.conversationId }
+  });
+  return note;
+}
+
+// Any change, even just pinning, is a new revision
+function update(session, noteId, { text, ...options } = {}) {
+  requireRep(session);
+  const note = load(noteId);
+  const fields = cleanOptions(options);
+  if (text !== undefined) fields.text = checkText(text);
+  const changed = Object.keys(fields).filter(key => fields[key] !== undefined && fields[key] !== note[key]);
+  if (!changed.length) return { ...note, revisions: notes.revisions(note.id) };
+  const updated = notes.update(note.id, Object.fromEntries(changed.map(key => [key, fields[key]])), {
+    editedBy: session.sub, editorName: displayName(session.sub)
+  });
+  auditLog.append({
+    actor: session.sub, actorRole: session.role, action: 'note.update', target: note.id,
+    details: { profileId: note.profileId, revision: updated.revision, fields: changed }
+  });
+  return { ...updated, revisions: notes.revisions(note.id) };
+}
+
+module.exports = { list, get, create, update, CATEGORIES, PRIORITIES };
@@ -0,0 +1,129 @@
+/**
+ * PHI tokenization for text sent to the LLM. A vault swaps each detected value
+ * for a placeholder such as [MEDICAID_ID_1] and restores the originals in the
+ * model's reply. One vault per request keeps placeholders consistent across
+ * the prompt, its history and any streamed reply.
+ *
+ * Detection is pattern-based plus the names of known profiles. It errs toward
+ * redacting: a bare 10-digit number is treated as a Medicaid ID even when it
+ * is a phone number without separators.
+ */
+
+const profiles = require('../repositories/profiles');
+
+// Company numbers the model needs to quote back to reps and clients
+const PUBLIC_NUMBERS = new Set(['8334326588', '8005252395']);
+
+const STREET = 'St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Dr|Drive|Ln|Lane|Way|Ct|Court|Pl|Place|Pkwy|Parkway|Cir|Circle|Hwy|Highway|Ter|Terrace|Trl|Trail';
+const MONTH = 'Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec';
+
+// Order matters: earlier patterns claim their text before later, looser ones run
+const DETECTORS = [
+  { category: 'EMAIL', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { category: 'SSN', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { category: 'PHONE', pattern: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]?\d{4}\b|\+1\d{10}\b/g },
+  { category: 'DATE', pattern: new RegExp(`\\b(?:\\d{1,2}[/-]\\d{1,2}[/-](?:\\d{4}|\\d{2})|\\d{4}-\\d{2}-\\d{2}|(?:${MONTH})[a-z]*\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4})\\b`, 'g') },
+  { category: 'MEDICAID_ID', pattern: /\b\d{9,10}\b/g },
+  { category: 'ADDRESS', pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z0-9][\\w.'-]*\\s+){1,4}(?:${STREET})\\b\\.?(?:,?\\s*(?:Apt|Unit|Suite|Ste|#)\\.?\\s*[\\w-]+)?`, 'g') },
+  { category: 'ZIP', pattern: /\b(?:NV|Nevada)\s+\d{5}(?:-\d{4})?\b/g }
+];
+
+const PLACEHOLDER = /\[([A-Z_]+_\d+)\]/gi;
+const MAX_PLACEHOLDER = 24;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isPublic(category, value) {
+  return category === 'PHONE' && PUBLIC_NUMBERS.has(value.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, ''));
+}
+
+// Full names of known profiles; single first names are too ambiguous to match
+function knownNames() {
+  return profiles.list().map(p => p.name).filter(name => name && /\S\s+\S/.test(name));
+}
+
+/**
+ * @param {{ names?: string[] }} options extra names to treat as PHI (e.g. the
+ *   person a rep is talking with); known profile names are always included
+ */
+function createVault({ names = [] } = {}) {
+  const byValue = new Map();
+  const byToken = new Map();
+  const counters = {};
+  const categories = {};
+
+  const allNames = [...new Set([...names, ...knownNames()].map(n => String(n || '').trim()).filter(n => n.length > 2))]
+    .sort((a, b) => b.length - a.length);
+  const detectors = allNames.length
+    ? [{ category: 'NAME', pattern: new RegExp(`\\b(?:${allNames.map(escapeRegExp).join('|')})\\b`, 'gi') }, ...DETECTORS]
+    : DETECTORS;
+
+  function tokenFor(category, value) {
+    const key = `${category}:${value.toLowerCase()}`;
+    if (!byValue.has(key)) {
+      counters[category] = (counters[category] || 0) + 1;
+      categories[category] = counters[category];
+      const token = `[${category}_${counters[category]}]`;
+      byValue.set(key, token);
+      byToken.set(token.toUpperCase(), value);
+    }
+    return byValue.get(key);
+  }
+
+  function redact(text) {
+    let result = String(text ?? '');
+    for (const { category, pattern } of detectors) {
+      result = result.replace(pattern, match => (isPublic(category, match) ? match : tokenFor(category, match)));
+    }
+    return result;
+  }
+
+  function restore(text) {
+    return String(text ?? '').replace(PLACEHOLDER, (match, name) => byToken.get(`[${name.toUpperCase()}]`) ?? match);
+  }
+
+  function mapStrings(value, fn) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(v => mapStrings(v, fn));
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+    return value;
+  }
+
+  // Restores a streamed reply chunk by chunk, holding back a placeholder split across chunks
+  function restorer() {
+    let pending = '';
+    return {
+      push(chunk) {
+        pending += chunk;
+        const open = pending.lastIndexOf('[');
+        let held = '';
+        if (open >= 0 && pending.length - open <= MAX_PLACEHOLDER && /^\[[A-Z_0-9]*$/i.test(pending.slice(open))) {
+          held = pending.slice(open);
+          pending = pending.slice(0, open);
+        }
+        const ready = restore(pending);
+        pending = held;
+        return ready;
+      },
+      flush() {
+        const ready = restore(pending);
+        pending = '';
+        return ready;
+      }
+    };
+  }
+
+  return {
+    redact,
+    restore,
+    redactDeep: value => mapStrings(value, redact),
+    restoreDeep: value => mapStrings(value, restore),
+    restorer,
+    // Distinct values redacted so far, per category; never the values themselves
+    categories
+  };
+}
+
+module.exports = { createVault };
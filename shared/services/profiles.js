@@ -0,0 +1,400 @@
+/**
+ * Profiles of the people we serve: clients, their caregivers and guardians.
+ * Each role has its own required fields; completeness is computed from them
+ * (and from the links the role needs, such as a guardian's client) whenever a
+ * profile is read, so it never goes stale. Reps see and edit every profile;
+ * portal users see their own and the people linked to it.
+ */
+
+const profiles = require('../repositories/profiles');
+const users = require('../repositories/users');
+const auditLog = require('../repositories/audit-log');
+const taskService = require('./tasks');
+const authorizationService = require('./authorizations');
+const { httpError, isRep, requireRep } = require('../http');
+
+const FIELD_LABELS = {
+  name: 'Full name',
+  dob: 'Date of birth',
+  medicaidId: 'Medicaid ID',
+  phone: 'Phone',
+  email: 'Email',
+  address: 'Address'
+};
+
+// Required fields and links per role; a link requirement is met by any link of that type from the profile
+const SCHEMAS = {
+  client: { label: 'Client', required: ['name', 'dob', 'medicaidId', 'phone', 'address'], links: [] },
+  caregiver: { label: 'Caregiver', required: ['name', 'phone', 'email', 'address'], links: [{ type: 'caregiver-of', label: 'Client they care for' }] },
+  guardian: { label: 'Guardian', required: ['name', 'phone', 'email', 'address'], links: [{ type: 'guardian-of', label: 'Client they are guardian of' }] }
+};
+
+const STATUSES = ['Draft', 'Pending', 'Active', 'Inactive'];
+const LINK_TYPES = ['caregiver-of', 'guardian-of', 'related-to'];
+// Caring for or being guardian of someone only makes sense toward a client
+const CLIENT_LINKS = ['caregiver-of', 'guardian-of'];
+const EDITABLE = ['name', 'role', 'dob', 'medicaidId', 'phone', 'email', 'address', 'status'];
+
+function schemaFor(profile) {
+  return SCHEMAS[String(profile.role || '').toLowerCase()] || SCHEMAS.client;
+}
+
+function formatPhone(digits) {
+  return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+// One field from a request, validated; '' or null clears it
+function cleanField(field, value) {
+  if (value === null || String(value).trim() === '') {
+    if (field === 'name' || field === 'role' || field === 'status') throw httpError(400, `${FIELD_LABELS[field] || field} cannot be empty`);
+    return null;
+  }
+  const text = String(value).trim();
+  switch (field) {
+    case 'name':
+      if (text.length > 120) throw httpError(400, 'Full name is limited to 120 characters');
+      return text.replace(/\s+/g, ' ');
+    case 'role': {
+      const schema = SCHEMAS[text.toLowerCase()];
+      if (!schema) throw httpError(400, `role must be one of: ${Object.keys(SCHEMAS).join(', ')}`);
+      return schema.label;
+    }
+    case 'status': {
+      const status = STATUSES.find(s => s.toLowerCase() === text.toLowerCase());
+      if (!status) throw httpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+      return status;
+    }
+    case 'dob':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text)) || Date.parse(text) > Date.now()) {
+        throw httpError(400, 'Date of birth must be a past date (YYYY-MM-DD)');
+      }
+      return text;
+    case 'medicaidId': {
+      const id = text.replace(/[\s-]/g, '');
+      if (!/^\d{9,10}$/.test(id)) throw httpError(400, 'Nevada Medicaid ID must be 9 or 10 digits');
+      return id;
+    }
+    case 'phone': {
+      let digits = text.replace(/\D/g, '');
+      if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+      if (digits.length !== 10) throw httpError(400, 'Phone must be a 10-digit US number');
+      return formatPhone(digits);
+    }
+    case 'email':
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) || text.length > 200) throw httpError(400, 'Email is not valid');
+      return text.toLowerCase();
+    case 'address':
+      if (text.length > 200) throw httpError(400, 'Address is limited to 200 characters');
+      return text;
+    default:
+      return undefined;
+  }
+}
+
+function cleanFields(body) {
+  const fields = {};
+  for (const field of EDITABLE) {
+    if (body[field] !== undefined) fields[field] = cleanField(field, body[field]);
+  }
+  return fields;
+}
+
+/**
+ * @returns {{ completionPercentage: number, missing: { field: string, label: string }[] }}
+ *   `field` is a profile field, or a link type for a missing relationship
+ */
+function completeness(profile, links = profiles.linksFor(profile.id)) {
+  const schema = schemaFor(profile);
+  const missing = schema.required.filter(field => !profile[field]).map(field => ({ field, label: FIELD_LABELS[field] }));
+  for (const need of schema.links) {
+    if (!links.some(link => link.type === need.type && link.fromProfileId === profile.id)) missing.push({ field: need.type, label: need.label });
+  }
+  const total = schema.required.length + schema.links.length;
+  return { completionPercentage: Math.round(((total - missing.length) / total) * 100), missing };
+}
+
+// -------- Access --------
+function linkedIds(profileId) {
+  return profiles.linksFor(profileId).map(link => (link.fromProfileId === profileId ? link.toProfileId : link.fromProfileId));
+}
+
+function ownProfile(session) {
+  return profiles.findByUserId(session.sub);
+}
+
+// Portal users reach their own profile and everyone linked to it
+function accessibleIds(session) {
+  const own = ownProfile(session);
+  return own ? [own.id, ...linkedIds(own.id)] : [];
+}
+
+function canView(profileId, session) {
+  return isRep(session) || accessibleIds(session).includes(profileId);
+}
+
+// Besides their own, portal users edit the clients they care for or are guardian of
+function canEdit(profileId, session) {
+  if (isRep(session)) return true;
+  const own = ownProfile(session);
+  if (!own) return false;
+  if (own.id === profileId) return true;
+  return profiles.linksFor(own.id).some(link => link.fromProfileId === own.id && link.toProfileId === profileId && CLIENT_LINKS.includes(link.type));
+}
+
+function load(profileId, session) {
+  const profile = profiles.findById(profileId);
+  if (!profile || !canView(profile.id, session)) throw httpError(404, 'Profile not found');
+  return profile;
+}
+
+/**
+ * The client a portal user acts for: themselves when they are the client,
+ * otherwise the first client they care for or are guardian of. Falls back to
+ * their own profile (or null) so callers can create one.
+ */
+function clientFor(userId) {
+  const own = profiles.findByUserId(userId);
+  if (!own || schemaFor(own) === SCHEMAS.client) return own;
+  const link = profiles.linksFor(own.id).find(l => l.fromProfileId === own.id && CLIENT_LINKS.includes(l.type));
+  return (link && profiles.findById(link.toProfileId)) || own;
+}
+
+// -------- Views --------
+function linkView(link, profileId) {
+  const outgoing = link.fromProfileId === profileId;
+  const other = profiles.findById(outgoing ? link.toProfileId : link.fromProfileId);
+  return {
+    id: link.id, type: link.type, relationship: link.relationship, direction: outgoing ? 'outgoing' : 'incoming',
+    profileId: other.id, name: other.name, role: other.role, createdAt: link.createdAt
+  };
+}
+
+function summary(profile) {
+  const { completionPercentage, missing } = completeness(profile);
+  return {
+    id: profile.id, name: profile.name, role: profile.role, status: profile.status, phone: profile.phone, email: profile.email,
+    medicaidId: profile.medicaidId, lastContact: profile.lastContact, completionPercentage, missing
+  };
+}
+
+function view(profile, session) {
+  const links = profiles.linksFor(profile.id);
+  const detail = {
+    ...summary(profile), dob: profile.dob, address: profile.address, eligibility: profile.eligibility,
+    // Free-text relations from before profiles could be linked
+    caregiver: profile.caregiver, client: profile.client,
+    links: links.map(link => linkView(link, profile.id)),
+    ...completeness(profile, links),
+    canEdit: canEdit(profile.id, session), createdAt: profile.createdAt, updatedAt: profile.updatedAt
+  };
+  if (!isRep(session)) return detail;
+  // Reps see the approved hours on file next to what the payer reported
+  const eligibility = profile.eligibility && { ...profile.eligibility, authorizedHours: authorizationService.monthlyHours(profile.id) };
+  return { ...detail, eligibility, userId: profile.userId, homeLatitude: profile.homeLatitude, homeLongitude: profile.homeLongitude };
+}
+
+function audit(session, action, target, details) {
+  auditLog.append({ actor: session.sub, actorRole: session.role, action, target, details });
+}
+
+// -------- Profiles --------
+/**
+ * Keeps the "complete this profile" task in step: `assigneeId` (the person
+ * registering) gets one while fields are missing, and it is closed as soon as
+ * the profile is complete, whoever finished it.
+ */
+function syncProfileTask(profile, assigneeId) {
+  const key = `profile-complete:${profile.id}`;
+  const { missing } = completeness(profile);
+  if (!missing.length) return taskService.completeSystemTask(key, 'Profile completed');
+  if (!assigneeId) return null;
+  const whose = profile.userId === assigneeId ? 'your profile' : `${profile.name}'s profile`;
+  return taskService.createSystemTask({
+    dedupeKey: key, title: `Complete ${whose}`, category: 'profile', assigneeId, profileId: profile.id,
+    description: `Still needed: ${missing.map(m => m.label.toLowerCase()).join(', ')}.`
+  });
+}
+
+function search(session, { q, role, status, limit, offset } = {}) {
+  const ids = isRep(session) ? undefined : accessibleIds(session);
+  const page = profiles.search({ q, role, status, ids, limit, offset });
+  return { profiles: page.profiles.map(summary), total: page.total };
+}
+
+// The caller's own profile and the client they act for (the same profile for clients)
+function mine(session) {
+  const own = ownProfile(session);
+  const client = clientFor(session.sub);
+  return { profile: own ? view(own, session) : null, client: client ? view(client, session) : null };
+}
+
+function get(session, profileId) {
+  return view(load(profileId, session), session);
+}
+
+function create(session, body = {}) {
+  requireRep(session);
+  const fields = cleanFields(body);
+  if (!fields.name) throw httpError(400, 'Full name is required');
+  if (fields.medicaidId && profiles.findByMedicaidId(fields.medicaidId)) throw httpError(409, 'A profile with that Medicaid ID already exists');
+  const profile = profiles.create({ role: 'Client', ...fields });
+  audit(session, 'profile.create', profile.id, { role: profile.role, fields: Object.keys(fields) });
+  return view(profile, session);
+}
+
+function update(session, profileId, body = {}) {
+  const profile = load(profileId, session);
+  if (!canEdit(profile.id, session)) throw httpError(403, 'You cannot edit this profile');
+  const fields = cleanFields(body);
+  // Only reps move a profile between roles or through review
+  if (!isRep(session)) {
+    delete fields.role;
+    delete fields.status;
+  }
+  if (fields.medicaidId && fields.medicaidId !== profile.medicaidId) {
+    const other = profiles.findByMedicaidId(fields.medicaidId);
+    if (other && other.id !== profile.id) throw httpError(409, 'Another profile already has that Medicaid ID');
+  }
+  const changed = Object.keys(fields).filter(field => fields[field] !== profile[field]);
+  if (!changed.length) return view(profile, session);
+  const updated = profiles.update(profile.id, Object.fromEntries(changed.map(field => [field, fields[field]])));
+  syncProfileTask(updated);
+  audit(session, 'profile.update', profile.id, { fields: changed });
+  return view(updated, session);
+}
+
+function remove(session, profileId) {
+  requireRep(session);
+  const profile = load(profileId, session);
+  profiles.remove(profile.id);
+  audit(session, 'profile.delete', profile.id, { role: profile.role });
+  return { id: profile.id };
+}
+
+// -------- Links --------
+function link(session, profileId, { toProfileId, type, relationship } = {}) {
+  const from = load(profileId, session);
+  if (!canEdit(from.id, session)) throw httpError(403, 'You cannot edit this profile');
+  if (!LINK_TYPES.includes(type)) throw httpError(400, `type must be one of: ${LINK_TYPES.join(', ')}`);
+  const to = load(toProfileId, session);
+  if (to.id === from.id) throw httpError(400, 'A profile cannot be linked to itself');
+  if (CLIENT_LINKS.includes(type) && schemaFor(to) !== SCHEMAS.client) throw httpError(400, `${type} links must point to a client profile`);
+  const text = String(relationship || '').trim();
+  if (text.length > 60) throw httpError(400, 'Relationship is limited to 60 characters');
+  profiles.createLink({ fromProfileId: from.id, toProfileId: to.id, type, relationship: text || null, createdBy: session.sub });
+  syncProfileTask(profiles.findById(from.id));
+  audit(session, 'profile.link', from.id, { toProfileId: to.id, type });
+  return view(profiles.findById(from.id), session);
+}
+
+function unlink(session, profileId, linkId) {
+  const profile = load(profileId, session);
+  const existing = profiles.findLink(linkId);
+  if (!existing || ![existing.fromProfileId, existing.toProfileId].includes(profile.id)) throw httpError(404, 'Link not found');
+  if (!canEdit(existing.fromProfileId, session)) throw httpError(403, 'You cannot edit this profile');
+  profiles.removeLink(existing.id);
+  audit(session, 'profile.unlink', existing.fromProfileId, { toProfileId: existing.toProfileId, type: existing.type });
+  return view(profiles.findById(profile.id), session);
+}
+
+/**
+ * A rep folds a duplicate (typically a registration's Draft) into the
+ * existing record: its account, links, notes and other records move over.
+ */
+function merge(session, profileId, { intoProfileId } = {}) {
+  requireRep(session);
+  const from = load(profileId, session);
+  const into = load(intoProfileId, session);
+  if (from.id === into.id) throw httpError(400, 'A profile cannot be merged into itself');
+  if (from.userId && into.userId && from.userId !== into.userId) throw httpError(409, 'Both profiles belong to portal accounts; unlink one first');
+  const merged = profiles.merge(from.id, into.id);
+  taskService.completeSystemTask(`profile-duplicate:${from.id}`, `Merged into ${into.name}`);
+  taskService.completeSystemTask(`profile-complete:${from.id}`, `Merged into ${into.name}`);
+  syncProfileTask(merged, merged.userId);
+  audit(session, 'profile.merge', into.id, { mergedProfileId: from.id });
+  return view(merged, session);
+}
+
+// Registration never takes over a record by what the caller typed; a rep decides whether to link or merge
+function flagDuplicate(profile) {
+  const existing = profile.medicaidId && profiles.findByMedicaidId(profile.medicaidId);
+  if (!existing || existing.id === profile.id) return null;
+  return taskService.createSystemTask({
+    dedupeKey: `profile-duplicate:${profile.id}`, title: `Possible duplicate: ${profile.name}`, category: 'profile', priority: 'high',
+    profileId: profile.id,
+    description: `A new registration gave the Medicaid ID of ${existing.name}'s profile. Check who they are, then link or merge the new profile with the existing one.`
+  });
+}
+
+/**
+ * Saves what the registration form collected. The caller's own profile gets
+ * their name and contact details; a caregiver or guardian registering for
+ * someone else also gets a new Draft profile for that client, linked with the
+ * relation they gave. Existing profiles are never claimed or linked here,
+ * even when the Medicaid ID matches; a rep is asked to review instead.
+ * @param {{ fullName, phone, email, relation, clientName, dob, medicaid }} body
+ * @returns {{ profile: object, client: object }}
+ */
+function register(session, body = {}) {
+  if (isRep(session)) throw httpError(403, 'Registration is for portal accounts');
+  const role = SCHEMAS[session.role] ? session.role : 'client';
+  const user = users.findById(session.sub);
+  const own = cleanFields({
+    name: body.fullName || user?.name || user?.username, phone: body.phone || user?.phone || undefined, email: body.email || user?.email || undefined
+  });
+  const clientFields = cleanFields({ name: body.clientName || undefined, dob: body.dob || undefined, medicaidId: body.medicaid || body.medicaidId || undefined });
+  const relation = String(body.relation || '').trim().slice(0, 60) || null;
+  if (!own.name) throw httpError(400, 'Full name is required');
+
+  let profile = ownProfile(session);
+  const fill = (existing, fields) => Object.fromEntries(Object.entries(fields).filter(([field, value]) => value && !existing[field]));
+
+  if (role === 'client') {
+    const fields = { ...own, dob: clientFields.dob, medicaidId: clientFields.medicaidId };
+    profile = profile
+      ? profiles.update(profile.id, fill(profile, fields))
+      : profiles.create({ ...fields, role: 'Client', status: 'Draft', userId: session.sub });
+    flagDuplicate(profile);
+    syncProfileTask(profile, session.sub);
+    audit(session, 'profile.register', profile.id, { role });
+    return { profile: view(profile, session), client: view(profile, session) };
+  }
+
+  profile = profile
+    ? profiles.update(profile.id, fill(profile, own))
+    : profiles.create({ ...own, role: SCHEMAS[role].label, userId: session.sub });
+  let client = null;
+  if (clientFields.name || clientFields.medicaidId) {
+    // Only a client this profile is already linked to is updated; anyone else is a new Draft
+    const linked = clientFor(session.sub);
+    client = linked && linked.id !== profile.id ? linked : null;
+    if (client) {
+      client = profiles.update(client.id, fill(client, clientFields));
+    } else {
+      if (!clientFields.name) throw httpError(400, "The client's name is required");
+      client = profiles.create({ ...clientFields, role: 'Client', status: 'Draft' });
+      profiles.createLink({
+        fromProfileId: profile.id, toProfileId: client.id, type: role === 'guardian' ? 'guardian-of' : 'caregiver-of',
+        relationship: relation, createdBy: session.sub
+      });
+    }
+    flagDuplicate(client);
+  }
+  syncProfileTask(profiles.findById(profile.id), session.sub);
+  if (client) syncProfileTask(client, session.sub);
+  audit(session, 'profile.register', profile.id, { role, clientProfileId: client?.id || null });
+  return { profile: view(profile, session), client: client ? view(client, session) : null };
+}
+
+function schemas() {
+  return Object.entries(SCHEMAS).map(([role, schema]) => ({
+    role, label: schema.label,
+    required: schema.required.map(field => ({ field, label: FIELD_LABELS[field] })),
+    links: schema.links
+  }));
+}
+
+module.exports = {
+  schemas, search, mine, get, create, update, remove, merge, link, unlink, register, completeness, clientFor, canView, isRep,
+  STATUSES, LINK_TYPES
+};
@@ -0,0 +1,391 @@
+/**
+ * Task engine. Tasks are assigned to a person (rep, client, caregiver or
+ * guardian) or left in the rep queue, and move new → accepted → in_progress →
+ * done, with blocked reachable from any open state. Each task can carry a due
+ * date, a reminder, a response SLA (how long it may sit unaccepted) and a
+ * recurrence that creates the next occurrence when one is done.
+ *
+ * Everything a user should hear about lands in task_notifications; each
+ * server polls that feed and pushes new rows to its signed-in users, and the
+ * unread count drives the bell's red dot in both apps. A worker on each
+ * server sends reminders, overdue and SLA notices.
+ */
+
+const tasks = require('../repositories/tasks');
+const users = require('../repositories/users');
+const profiles = require('../repositories/profiles');
+const auditLog = require('../repositories/audit-log');
+const { ROLES } = require('../auth');
+const { httpError, isRep, requireRep } = require('../http');
+
+const STATUSES = ['new', 'accepted', 'in_progress', 'done', 'blocked'];
+const TRANSITIONS = {
+  new: ['accepted', 'blocked'],
+  accepted: ['in_progress', 'blocked'],
+  in_progress: ['done', 'blocked'],
+  blocked: ['accepted', 'in_progress'],
+  done: []
+};
+const PRIORITIES = ['low', 'medium', 'high'];
+const CATEGORIES = ['intake', 'eligibility', 'profile', 'scheduling', 'billing', 'employees', 'follow-up', 'general'];
+const RECURRENCES = ['daily', 'weekly', 'monthly'];
+const ASSIGNEE_ROLES = Object.values(ROLES);
+
+// Minutes a task may stay new before its SLA is breached
+const SLA_MINUTES = { high: 60, medium: 4 * 60, low: 24 * 60 };
+const REMIND_BEFORE_MS = (Number(process.env.TASK_REMIND_BEFORE_MINUTES) || 60) * 60 * 1000;
+const TICK_MS = Number(process.env.TASK_TICK_MS) || 30 * 1000;
+const POLL_MS = Number(process.env.TASK_POLL_MS) || 1000;
+
+function canView(task, session) {
+  return isRep(session) || task.assigneeId === session.sub;
+}
+
+function load(taskId, session) {
+  const task = tasks.findById(taskId);
+  if (!task || !canView(task, session)) throw httpError(404, 'Task not found');
+  return task;
+}
+
+function view(task, { events = false } = {}) {
+  const { dedupeKey, ...rest } = task;
+  return { ...rest, allowed: TRANSITIONS[task.status], ...(events ? { events: tasks.events(task.id) } : {}) };
+}
+
+function text(value, max) {
+  return String(value || '').trim().slice(0, max);
+}
+
+function time(value, label) {
+  if (value === null || value === '') return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw httpError(400, `${label} must be a date and time`);
+  return new Date(ms).toISOString();
+}
+
+function addMinutes(iso, minutes) {
+  return new Date(Date.parse(iso) + minutes * 60 * 1000).toISOString();
+}
+
+// A reminder an hour (by default) before the due time, unless that has passed
+function defaultReminder(dueAt) {
+  if (!dueAt) return null;
+  const at = Date.parse(dueAt) - REMIND_BEFORE_MS;
+  return at > Date.now() ? new Date(at).toISOString() : null;
+}
+
+/**
+ * Validates the writable fields of a create (`partial` false) or an edit;
+ * fields left undefined stay as they are. An empty assigneeId puts the task
+ * in the rep queue.
+ */
+function cleanFields(body, { partial } = {}) {
+  const fields = {};
+  if (!partial || body.title !== undefined) {
+    fields.title = text(body.title, 200);
+    if (!fields.title) throw httpError(400, 'Task title is required');
+  }
+  if (body.description !== undefined) fields.description = text(body.description, 2000) || null;
+  if (body.priority !== undefined) {
+    if (!PRIORITIES.includes(body.priority)) throw httpError(400, `priority must be one of: ${PRIORITIES.join(', ')}`);
+    fields.priority = body.priority;
+  }
+  if (body.category !== undefined) {
+    if (!CATEGORIES.includes(body.category)) throw httpError(400, `category must be one of: ${CATEGORIES.join(', ')}`);
+    fields.category = body.category;
+  }
+  if (body.recurrence !== undefined) {
+    if (body.recurrence && !RECURRENCES.includes(body.recurrence)) throw httpError(400, `recurrence must be one of: ${RECURRENCES.join(', ')}`);
+    fields.recurrence = body.recurrence || null;
+  }
+  if (body.dueAt !== undefined) fields.dueAt = time(body.dueAt, 'dueAt');
+  if (body.remindAt !== undefined) fields.remindAt = time(body.remindAt, 'remindAt');
+  if (body.slaMinutes !== undefined) {
+    const minutes = body.slaMinutes === null || body.slaMinutes === '' ? null : Number(body.slaMinutes);
+    if (minutes !== null && !(Number.isInteger(minutes) && minutes > 0)) throw httpError(400, 'slaMinutes must be a whole number of minutes');
+    fields.slaMinutes = minutes;
+  }
+  if (!partial || body.assigneeId !== undefined) {
+    if (body.assigneeId) {
+      const user = users.findById(body.assigneeId);
+      if (!user || !ASSIGNEE_ROLES.includes(user.role)) throw httpError(400, 'Assignee not found');
+      fields.assigneeId = user.id;
+      fields.assigneeRole = user.role;
+    } else {
+      fields.assigneeId = null;
+      fields.assigneeRole = ROLES.ADMIN;
+    }
+  }
+  if (body.profileId !== undefined) {
+    if (body.profileId && !profiles.findById(body.profileId)) throw httpError(400, 'Profile not found');
+    fields.profileId = body.profileId || null;
+  }
+  return fields;
+}
+
+// -------- Notifications --------
+const subscribers = new Set();
+let cursor = 0;
+let feedTimer = null;
+
+// The assignee, or every rep for a queued task; the person who acted is left out
+function recipients(task, { also = [], except } = {}) {
+  const queue = !task.assigneeId && task.assigneeRole === ROLES.ADMIN;
+  const ids = task.assigneeId ? [task.assigneeId] : queue ? users.idsByRole(ROLES.ADMIN) : [];
+  return [...new Set([...ids, ...also])].filter(id => id && id !== except);
+}
+
+function notify(task, type, message, options) {
+  recipients(task, options).forEach(userId => tasks.addNotification(userId, task.id, type, message));
+  if (feedTimer) setImmediate(poll);
+}
+
+function poll() {
+  try {
+    for (const notification of tasks.notificationsAfter(cursor)) {
+      cursor = notification.id;
+      subscribers.forEach(subscriber => {
+        if (subscriber.session.sub !== notification.userId) return;
+        try {
+          subscriber.onEvent({ id: notification.id, type: 'notification', data: { notification, unread: tasks.unreadCount(notification.userId) } });
+        } catch (error) {
+          console.error('❌ Task notification delivery failed:', error.message);
+        }
+      });
+    }
+  } catch (error) {
+    console.error('❌ Task notification poll failed:', error.message);
+  }
+}
+
+/**
+ * Calls `onEvent({ id, type: 'notification', data: { notification, unread } })`
+ * for each new notification addressed to `session`. `lastEventId` replays what
+ * a reconnecting client missed.
+ * @returns {Function} unsubscribe
+ */
+function subscribe(session, onEvent, { lastEventId } = {}) {
+  if (!feedTimer) {
+    cursor = tasks.latestNotificationId();
+    feedTimer = setInterval(poll, POLL_MS);
+    feedTimer.unref();
+  }
+  const subscriber = { session, onEvent };
+  if (lastEventId) {
+    tasks.notificationsAfter(lastEventId).filter(n => n.id <= cursor && n.userId === session.sub)
+      .forEach(notification => onEvent({ id: notification.id, type: 'notification', data: { notification, unread: tasks.unreadCount(session.sub) } }));
+  }
+  subscribers.add(subscriber);
+  return () => {
+    subscribers.delete(subscriber);
+    if (!subscribers.size && feedTimer) {
+      clearInterval(feedTimer);
+      feedTimer = null;
+    }
+  };
+}
+
+function notifications(session, { unread } = {}) {
+  return { notifications: tasks.notifications(session.sub, { unread: unread === true || unread === 'true' }), unread: tasks.unreadCount(session.sub) };
+}
+
+// `ids` omitted marks everything read
+function markRead(session, ids) {
+  if (ids !== undefined && !Array.isArray(ids)) throw httpError(400, 'ids must be a list');
+  return { updated: tasks.markRead(session.sub, ids), unread: tasks.unreadCount(session.sub) };
+}
+
+// -------- Tasks --------
+function insert(fields, actor) {
+  const priority = fields.priority || 'medium';
+  if (fields.recurrence && !fields.dueAt) throw httpError(400, 'A recurring task needs a due date');
+  const slaMinutes = fields.slaMinutes === undefined ? SLA_MINUTES[priority] : fields.slaMinutes;
+  const task = tasks.create({
+    ...fields, priority, slaMinutes,
+    slaDueAt: slaMinutes ? addMinutes(new Date().toISOString(), slaMinutes) : null,
+    remindAt: fields.remindAt === undefined ? defaultReminder(fields.dueAt) : fields.remindAt,
+    createdBy: actor
+  });
+  notify(task, 'assigned', `New task: ${task.title}`, { except: actor });
+  return task;
+}
+
+/**
+ * `assignee` is `me` (default: the rep's own tasks plus the unassigned
+ * queue), `queue`, `all` or a user ID. Portal users only ever see their own.
+ */
+function list(session, { assignee = 'me', status, profileId, open, limit, offset } = {}) {
+  if (status && !STATUSES.includes(status)) throw httpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+  const openOnly = open === undefined ? !status : open === true || open === 'true';
+  let filters;
+  if (!isRep(session)) filters = { assigneeId: session.sub };
+  else if (assignee === 'me') filters = { assigneeId: session.sub, queue: ROLES.ADMIN };
+  else if (assignee === 'queue') filters = { queue: ROLES.ADMIN };
+  else if (assignee === 'all') filters = { profileId };
+  else filters = { assigneeId: assignee };
+  const result = tasks.list({ ...filters, status, open: openOnly, limit, offset });
+  return { tasks: result.tasks.map(task => view(task)), total: result.total };
+}
+
+function get(session, taskId) {
+  return view(load(taskId, session), { events: true });
+}
+
+function create(session, body = {}) {
+  requireRep(session);
+  const task = insert(cleanFields(body), session.sub);
+  auditLog.append({
+    actor: session.sub, actorRole: session.role, action: 'task.create', target: task.id,
+    details: { assigneeRole: task.assigneeRole, profileId: task.profileId, recurrence: task.recurrence }
+  });
+  return view(task, { events: true });
+}
+
+/**
+ * Raised by the app itself (registration, eligibility results, ...). A task
+ * with the same `dedupeKey` that is still open is returned instead of a
+ * second one.
+ */
+function createSystemTask({ dedupeKey, ...body }) {
+  const open = dedupeKey && tasks.findOpenByDedupeKey(dedupeKey);
+  if (open) return open;
+  const fields = cleanFields(body);
+  return insert({ ...fields, dedupeKey: dedupeKey || null, eventMessage: 'Created automatically' }, null);
+}
+
+// Closes the open system task for `dedupeKey` once the app sees the work was done
+function completeSystemTask(dedupeKey, message) {
+  const task = dedupeKey && tasks.findOpenByDedupeKey(dedupeKey);
+  if (!task) return null;
+  const done = tasks.update(task.id, { status: 'done', completedAt: new Date().toISOString(), blockedReason: null });
+  tasks.addEvent(task.id, 'done', message || 'Completed automatically');
+  return done;
+}
+
+function nextDue(dueAt, recurrence) {
+  const next = new Date(dueAt);
+  do {
+    if (recurrence === 'daily') next.setUTCDate(next.getUTCDate() + 1);
+    else if (recurrence === 'weekly') next.setUTCDate(next.getUTCDate() + 7);
+    else next.setUTCMonth(next.getUTCMonth() + 1);
+  } while (next.getTime() <= Date.now());
+  return next.toISOString();
+}
+
+// The next task in a recurring series, keeping the reminder's lead time
+function scheduleNext(task) {
+  const dueAt = nextDue(task.dueAt, task.recurrence);
+  const lead = task.remindAt ? Date.parse(task.dueAt) - Date.parse(task.remindAt) : null;
+  return insert({
+    title: task.title, description: task.description, category: task.category, priority: task.priority,
+    assigneeId: task.assigneeId, assigneeRole: task.assigneeRole, profileId: task.profileId,
+    dueAt, remindAt: lead === null ? null : new Date(Date.parse(dueAt) - lead).toISOString(),
+    slaMinutes: task.slaMinutes, recurrence: task.recurrence, seriesId: task.seriesId,
+    eventMessage: `Next ${task.recurrence} occurrence`
+  }, task.createdBy);
+}
+
+/**
+ * Moves a task along. The assignee or any rep may do it; a rep accepting a
+ * queued task takes it. Blocking needs a reason.
+ */
+function transition(session, taskId, { status, reason } = {}) {
+  const task = load(taskId, session);
+  if (!STATUSES.includes(status)) throw httpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+  if (!TRANSITIONS[task.status].includes(status)) throw httpError(409, `A ${task.status.replace('_', ' ')} task cannot move to ${status.replace('_', ' ')}`);
+  const blockedReason = text(reason, 500);
+  if (status === 'blocked' && !blockedReason) throw httpError(400, 'Say why the task is blocked');
+
+  const now = new Date().toISOString();
+  const changes = { status, blockedReason: status === 'blocked' ? blockedReason : null };
+  if (status === 'accepted' && !task.acceptedAt) changes.acceptedAt = now;
+  if (status === 'in_progress' && !task.startedAt) changes.startedAt = now;
+  if (status === 'done') changes.completedAt = now;
+  if (!task.assigneeId && isRep(session)) Object.assign(changes, { assigneeId: session.sub, assigneeRole: session.role });
+  const updated = tasks.update(task.id, changes);
+  tasks.addEvent(task.id, status, status === 'blocked' ? blockedReason : null, session.sub);
+
+  if (['done', 'blocked'].includes(status) && task.createdBy && task.createdBy !== session.sub) {
+    const message = status === 'done' ? `Task done: ${task.title}` : `Task blocked: ${task.title} (${blockedReason})`;
+    tasks.addNotification(task.createdBy, task.id, status, message);
+    if (feedTimer) setImmediate(poll);
+  }
+  const next = status === 'done' && task.recurrence ? scheduleNext(updated) : null;
+  auditLog.append({
+    actor: session.sub, actorRole: session.role, action: 'task.status', target: task.id,
+    details: { from: task.status, to: status, nextTaskId: next ? next.id : null }
+  });
+  return { task: view(updated, { events: true }), next: next ? view(next) : null };
+}
+
+// Rep edits; moving the due date or SLA re-arms their notifications
+function update(session, taskId, body = {}) {
+  requireRep(session);
+  const task = load(taskId, session);
+  const fields = cleanFields(body, { partial: true });
+  const changed = Object.keys(fields).filter(key => fields[key] !== task[key]);
+  if (!changed.length) return view(task, { events: true });
+  const changes = Object.fromEntries(changed.map(key => [key, fields[key]]));
+  if ('dueAt' in changes) {
+    changes.overdueNotifiedAt = null;
+    if (!('remindAt' in changes)) changes.remindAt = defaultReminder(changes.dueAt);
+  }
+  if ('remindAt' in changes) changes.reminderNotifiedAt = null;
+  if ('slaMinutes' in changes) {
+    changes.slaDueAt = changes.slaMinutes ? addMinutes(task.createdAt, changes.slaMinutes) : null;
+    changes.slaNotifiedAt = null;
+  }
+  if ((changes.recurrence || task.recurrence) && !(changes.dueAt !== undefined ? changes.dueAt : task.dueAt)) {
+    throw httpError(400, 'A recurring task needs a due date');
+  }
+  const updated = tasks.update(task.id, changes);
+  const reassigned = 'assigneeId' in changes;
+  tasks.addEvent(task.id, updated.status, reassigned ? `Reassigned to ${updated.assigneeName || 'the rep queue'}` : `Edited: ${changed.join(', ')}`, session.sub);
+  if (reassigned) notify(updated, 'assigned', `Task assigned to you: ${updated.title}`, { except: session.sub });
+  auditLog.append({ actor: session.sub, actorRole: session.role, action: 'task.update', target: task.id, details: { fields: changed } });
+  return view(updated, { events: true });
+}
+
+// People a rep can assign work to
+function assignees(session, { q, role } = {}) {
+  requireRep(session);
+  if (role && !ASSIGNEE_ROLES.includes(role)) throw httpError(400, `role must be one of: ${ASSIGNEE_ROLES.join(', ')}`);
+  return users.list({ roles: role ? [role] : ASSIGNEE_ROLES, q }).map(users.publicUser);
+}
+
+// -------- Worker --------
+function due(task) {
+  return task.dueAt ? new Date(task.dueAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+function tick() {
+  try {
+    tasks.claimDue('reminder').forEach(task => notify(task, 'reminder', `Reminder: ${task.title}${task.dueAt ? ` is due ${due(task)}` : ''}`));
+    tasks.claimDue('overdue').forEach(task => notify(task, 'overdue', `Overdue: ${task.title} was due ${due(task)}`, { also: [task.createdBy] }));
+    tasks.claimDue('sla').forEach(task => {
+      notify(task, 'sla', `SLA missed: ${task.title} has not been accepted within ${task.slaMinutes} minutes`, { also: [task.createdBy] });
+      tasks.addEvent(task.id, task.status, 'SLA missed');
+    });
+  } catch (error) {
+    console.error('❌ Task worker error:', error.message);
+  }
+}
+
+let timer = null;
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  setImmediate(tick);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  list, get, create, update, transition, assignees, createSystemTask, completeSystemTask,
+  notifications, markRead, subscribe, start, stop, STATUSES, PRIORITIES, CATEGORIES, RECURRENCES
+};
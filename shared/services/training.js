@@ -0,0 +1,152 @@
+/**
+ * Rep training. A session plays one scenario from shared/training: the model
+ * role-plays the scenario's client, sharing a fact only once the rep has
+ * asked for it, and falls back to the scenario's scripted lines when the
+ * model is unreachable. Ending a session saves a scorecard of the intake
+ * steps covered, the mistakes made and the time taken.
+ *
+ * Reps see their own sessions; any rep can look at another rep's scores by
+ * passing their id. New sessions need the training-mode feature flag.
+ */
+
+const training = require('../repositories/training');
+const scenarios = require('../training/scenarios');
+const { askedFacts, scorecard } = require('../training/scorecard');
+const llm = require('../llm');
+const auditLog = require('../repositories/audit-log');
+const features = require('./features');
+const { httpError, requireRep } = require('../http');
+
+const ROLEPLAY_TIMEOUT_MS = Number(process.env.TRAINING_ROLEPLAY_TIMEOUT_MS) || 20000;
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_REP_MESSAGES = 60;
+// How much of the conversation the model sees when replying
+const TRANSCRIPT_LINES = 12;
+
+function audit(session, action, target, details) {
+  auditLog.append({ actor: session.sub, actorRole: session.role, action, target, details });
+}
+
+function ownSession(session, id) {
+  const found = training.findById(id);
+  if (!found || found.repId !== session.sub) throw httpError(404, 'Training session not found');
+  return found;
+}
+
+function scenarioFor(found) {
+  const scenario = scenarios.get(found.scenarioId);
+  if (!scenario) throw httpError(410, 'This training scenario is no longer available');
+  return scenario;
+}
+
+function listScenarios(session) {
+  requireRep(session);
+  return scenarios.list();
+}
+
+function start(session, { scenarioId } = {}) {
+  requireRep(session);
+  features.requireFeature(session, 'training-mode');
+  const scenario = scenarios.get(scenarioId);
+  if (!scenario) throw httpError(400, 'Pick a training scenario');
+  const started = training.start({ repId: session.sub, scenarioId: scenario.id, scenarioTitle: scenario.title, opening: scenario.opening });
+  audit(session, 'training.start', started.id, { scenarioId: scenario.id });
+  return { session: started, scenario: scenarios.summary(scenario), messages: training.messages(started.id) };
+}
+
+function get(session, id) {
+  requireRep(session);
+  const found = ownSession(session, id);
+  const scenario = scenarios.get(found.scenarioId);
+  return { session: found, scenario: scenario ? scenarios.summary(scenario) : null, messages: training.messages(found.id) };
+}
+
+function list(session, { repId, status, limit } = {}) {
+  requireRep(session);
+  return training.list({ repId: repId || session.sub, status, limit });
+}
+
+function roleplayPrompt(scenario, messages, known, revealNow) {
+  const { persona } = scenario;
+  const transcript = messages.slice(-TRANSCRIPT_LINES)
+    .map(m => `${m.sender === 'rep' ? 'Rep' : persona.name}: ${m.body}`).join('\n');
+  const facts = scenario.facts.filter(fact => known.has(fact.id));
+  return `You are role-playing a caller so a customer service rep at a Nevada Medicaid personal care provider can practice intake.
+Stay in character as ${persona.name}: ${persona.description}
+Speaking style: ${persona.style || 'plain and friendly'}.
+Never act as the rep, never coach the rep and never mention that this is training.
+Only share the facts below; if the rep asks about anything else, answer vaguely or say you are not sure. Keep replies to one to three short sentences.
+${facts.length ? 'Facts you may share:\n' + facts.map(fact => `- ${fact.label}: ${fact.value}`).join('\n') : 'The rep has not asked for any details yet; do not volunteer any.'}
+${revealNow.length ? 'The rep just asked for: ' + revealNow.map(fact => fact.label).join(', ') + '. Answer that.' : ''}
+Conversation so far:
+${transcript}
+Return JSON: {"reply": "what ${persona.name} says next"}`;
+}
+
+// The scripted answer when the model is unavailable: the facts just asked for, or the next filler line
+function scriptedReply(scenario, revealNow, clientLines) {
+  if (revealNow.length) return revealNow.map(fact => fact.reveal).join(' ');
+  return scenario.fallback[(clientLines - 1) % scenario.fallback.length];
+}
+
+async function sendMessage(session, id, { body } = {}) {
+  requireRep(session);
+  const found = ownSession(session, id);
+  if (found.status !== 'active') throw httpError(409, 'This training session has ended');
+  const scenario = scenarioFor(found);
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) throw httpError(400, 'Message is required');
+  if (text.length > MAX_MESSAGE_LENGTH) throw httpError(400, `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+
+  const before = training.messages(found.id);
+  if (before.filter(m => m.sender === 'rep').length >= MAX_REP_MESSAGES) {
+    throw httpError(409, 'This session is at its message limit; end it to see your scorecard');
+  }
+  const known = new Set(before.filter(m => m.sender === 'rep').flatMap(m => askedFacts(scenario, m.body)));
+  const asked = askedFacts(scenario, text);
+  const revealNow = scenario.facts.filter(fact => asked.includes(fact.id) && !known.has(fact.id));
+  asked.forEach(factId => known.add(factId));
+
+  const message = training.addMessage(found.id, 'rep', text);
+  const messages = [...before, message];
+
+  let reply = null;
+  try {
+    const ai = await llm.generateJson(roleplayPrompt(scenario, messages, known, revealNow), {
+      timeout: ROLEPLAY_TIMEOUT_MS, purpose: 'training.roleplay', actor: { id: session.sub, role: session.role }
+    });
+    if (ai && typeof ai.reply === 'string' && ai.reply.trim()) reply = ai.reply.trim().slice(0, MAX_MESSAGE_LENGTH);
+  } catch (error) {
+    console.warn('⚠️ Training role-play falling back to script:', error.message);
+  }
+  const clientLines = messages.filter(m => m.sender === 'client').length;
+  const response = reply
+    ? training.addMessage(found.id, 'client', reply, 'ai')
+    : training.addMessage(found.id, 'client', scriptedReply(scenario, revealNow, clientLines), 'script');
+
+  return { message, reply: response };
+}
+
+function end(session, id) {
+  requireRep(session);
+  const found = ownSession(session, id);
+  if (found.status !== 'active') throw httpError(409, 'This training session has already ended');
+  const scenario = scenarioFor(found);
+  const endedAt = new Date().toISOString();
+  const card = scorecard(scenario, training.messages(found.id), { startedAt: found.startedAt, endedAt });
+  const ended = training.finish(found.id, {
+    status: 'completed', endedAt, durationSeconds: card.durationSeconds, score: card.score, scorecard: card
+  });
+  audit(session, 'training.complete', found.id, {
+    scenarioId: scenario.id, score: card.score, stepsDone: card.stepsDone, mistakes: card.mistakes.map(m => m.id)
+  });
+  return { session: ended, scorecard: card };
+}
+
+// Per rep and scenario; `repId=all` compares every rep
+function scores(session, { repId } = {}) {
+  requireRep(session);
+  return training.scores({ repId: repId === 'all' ? undefined : repId || session.sub });
+}
+
+module.exports = { listScenarios, start, get, list, sendMessage, end, scores };
@@ -0,0 +1,421 @@
+/**
+ * Caregiver visits and electronic visit verification. Reps schedule a visit
+ * for a caregiver at a client's home; the caregiver clocks in and out from
+ * the app with GPS and the device's timestamp. Every clock is checked against
+ * the schedule and the home location, and anything off is recorded as an
+ * exception. A visit becomes verified once it is clocked out and every
+ * exception has been resolved by a rep with a reason code; the verified visit
+ * is the record we send to the EVV aggregator.
+ *
+ * Only caregivers whose employee record is active, with required credentials
+ * current through the visit, can be scheduled.
+ */
+
+const visits = require('../repositories/visits');
+const profiles = require('../repositories/profiles');
+const users = require('../repositories/users');
+const uploads = require('../repositories/sandata');
+const sandataConfig = require('../sandata/config');
+const { buildVisit } = require('../sandata/payloads');
+const { validate } = require('../sandata/validator');
+const profileService = require('./profiles');
+const employeeService = require('./employees');
+const taskService = require('./tasks');
+const auditLog = require('../repositories/audit-log');
+const { ROLES } = require('../auth');
+const { httpError, isRep, requireRep } = require('../http');
+
+const minutes = (name, fallback) => (Number(process.env[name]) || fallback) * 60 * 1000;
+
+// How far off the schedule a clock may be before it is an exception
+const GRACE_MS = minutes('VISIT_GRACE_MINUTES', 15);
+// How early a caregiver may clock in, and when no clock-in or clock-out is flagged
+const EARLY_CLOCK_IN_MS = minutes('VISIT_EARLY_CLOCK_IN_MINUTES', 60);
+const MISSED_AFTER_MS = minutes('VISIT_MISSED_AFTER_MINUTES', 30);
+const MISSING_CLOCK_OUT_AFTER_MS = minutes('VISIT_MISSING_CLOCK_OUT_MINUTES', 60);
+const DEVICE_SKEW_MS = minutes('VISIT_DEVICE_SKEW_MINUTES', 5);
+const GEOFENCE_METERS = Number(process.env.VISIT_GEOFENCE_METERS) || 200;
+const TICK_MS = Number(process.env.VISIT_TICK_MS) || 60 * 1000;
+
+const EXCEPTIONS = {
+  late_start: 'Late start',
+  early_end: 'Left early',
+  overtime: 'Stayed past the schedule',
+  wrong_location_in: 'Clock-in away from the home',
+  wrong_location_out: 'Clock-out away from the home',
+  device_time: 'Device clock disagrees with the server',
+  missing_clock_out: 'Missing clock-out',
+  missed_visit: 'Missed visit'
+};
+
+// Reason codes a rep picks when resolving an exception. Keep in step with the
+// reason codes configured on our aggregator account.
+const REASON_CODES = {
+  CLIENT_REQUEST: 'Client asked to change the visit time',
+  CAREGIVER_LATE: 'Caregiver delayed; client agreed',
+  OFFSITE_SERVICE: 'Service given away from the home (errand, appointment)',
+  GPS_INACCURATE: 'GPS reading inaccurate at the home',
+  FORGOT_CLOCK: 'Caregiver forgot to clock in or out',
+  DEVICE_PROBLEM: 'Phone or app problem',
+  CLIENT_UNAVAILABLE: 'Client unavailable (hospital, away)',
+  CAREGIVER_ABSENT: 'Caregiver did not attend',
+  EMERGENCY: 'Emergency during the visit',
+  OTHER: 'Other (memo required)'
+};
+
+const EDITABLE_STATUSES = ['scheduled'];
+
+// Reps see every visit, caregivers their own, clients and guardians the client they act for
+function canView(visit, session) {
+  if (isRep(session) || visit.caregiverId === session.sub) return true;
+  const client = profileService.clientFor(session.sub);
+  return !!client && client.id === visit.profileId;
+}
+
+function load(visitId, session) {
+  const visit = visits.findById(visitId);
+  if (!visit || !canView(visit, session)) throw httpError(404, 'Visit not found');
+  return visit;
+}
+
+function view(visit, { detail = false } = {}) {
+  return { ...visit, ...(detail ? { exceptions: visits.exceptions(visit.id).map(e => ({ ...e, label: EXCEPTIONS[e.type] })) } : {}) };
+}
+
+function time(value, label) {
+  const ms = Date.parse(value);
+  if (!value || Number.isNaN(ms)) throw httpError(400, `${label} must be a date and time`);
+  return new Date(ms).toISOString();
+}
+
+function coordinate(value, max, label) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number) || Math.abs(number) > max) {
+    throw httpError(400, `${label} is required and must be a valid coordinate`);
+  }
+  return number;
+}
+
+// Great-circle distance in meters
+function distance(lat1, lng1, lat2, lng2) {
+  const rad = deg => deg * Math.PI / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+
+function describeMinutes(ms) {
+  return `${Math.round(Math.abs(ms) / 60000)} min`;
+}
+
+// Billed in quarter hours
+function hoursBetween(start, end) {
+  return Math.round((Date.parse(end) - Date.parse(start)) / (15 * 60 * 1000)) / 4;
+}
+
+function audit(session, action, target, details) {
+  auditLog.append({ actor: session.sub, actorRole: session.role, action, target, details });
+}
+
+// -------- Exceptions --------
+function flag(visit, type, detail) {
+  const exception = visits.addException(visit.id, type, detail);
+  if (exception && ['missing_clock_out', 'missed_visit'].includes(type)) {
+    taskService.createSystemTask({
+      dedupeKey: `visit-exception:${exception.id}`, title: `${EXCEPTIONS[type]}: ${visit.clientName || 'client'} with ${visit.caregiverName || 'caregiver'}`,
+      category: 'scheduling', priority: 'high', profileId: visit.profileId, description: detail
+    });
+  }
+  return exception;
+}
+
+// A clock more than the geofence (plus the GPS's own uncertainty) from the home
+function checkLocation(visit, call, type) {
+  const meters = distance(visit.latitude, visit.longitude, call.latitude, call.longitude);
+  const allowed = GEOFENCE_METERS + Math.min(Number(call.accuracy) || 0, 100);
+  if (meters > allowed) flag(visit, type, `${Math.round(meters)} m from the client's home (allowed ${Math.round(allowed)} m)`);
+}
+
+function checkDevice(visit, call) {
+  if (!call.deviceAt) return;
+  const skew = Date.parse(call.deviceAt) - Date.parse(call.at);
+  if (Math.abs(skew) > DEVICE_SKEW_MS) flag(visit, 'device_time', `Device clock ${describeMinutes(skew)} ${skew > 0 ? 'ahead of' : 'behind'} the server`);
+}
+
+function checkClockOut(visit, at) {
+  const early = Date.parse(visit.scheduledEnd) - Date.parse(at);
+  if (early > GRACE_MS) flag(visit, 'early_end', `Clocked out ${describeMinutes(early)} before the scheduled end`);
+  if (-early > GRACE_MS) flag(visit, 'overtime', `Clocked out ${describeMinutes(early)} after the scheduled end`);
+}
+
+// A completed visit with nothing left open is verified; closes any tasks its exceptions raised
+function settle(visit) {
+  visits.exceptions(visit.id).filter(e => e.resolvedAt).forEach(e => taskService.completeSystemTask(`visit-exception:${e.id}`, 'Exception resolved'));
+  const current = visits.findById(visit.id);
+  if (current.status !== 'completed' || current.openExceptions) return current;
+  const verified = visits.update(visit.id, { status: 'verified', verifiedAt: new Date().toISOString() });
+  auditLog.append({ actor: 'visit-checks', action: 'visit.verified', target: visit.id, details: { hours: verified.hours } });
+  return verified;
+}
+
+// -------- Scheduling --------
+function list(session, { from, to, caregiverId, profileId, status, exceptions, limit } = {}) {
+  const filters = {
+    from: from ? time(from, 'from') : undefined, to: to ? time(to, 'to') : undefined,
+    status, openExceptions: exceptions === 'open', limit
+  };
+  if (isRep(session)) return visits.list({ ...filters, caregiverId, profileId }).map(visit => view(visit));
+  if (session.role === ROLES.CAREGIVER) return visits.list({ ...filters, caregiverId: session.sub }).map(visit => view(visit));
+  const client = profileService.clientFor(session.sub);
+  return client ? visits.list({ ...filters, profileId: client.id }).map(visit => view(visit)) : [];
+}
+
+function get(session, visitId) {
+  return view(load(visitId, session), { detail: true });
+}
+
+function checkCaregiver(caregiverId) {
+  const caregiver = caregiverId && users.findById(caregiverId);
+  if (!caregiver || caregiver.role !== ROLES.CAREGIVER) throw httpError(400, 'Caregiver not found');
+  return caregiver;
+}
+
+function checkWindow(scheduledStart, scheduledEnd) {
+  const start = time(scheduledStart, 'scheduledStart');
+  const end = time(scheduledEnd, 'scheduledEnd');
+  const length = Date.parse(end) - Date.parse(start);
+  if (length <= 0) throw httpError(400, 'The visit must end after it starts');
+  if (length > 24 * 60 * 60 * 1000) throw httpError(400, 'A visit cannot be longer than 24 hours');
+  return { start, end };
+}
+
+function checkService(serviceCode) {
+  const code = String(serviceCode || 'T1019').toUpperCase();
+  if (!sandataConfig.SERVICE_CATALOG[code]) throw httpError(400, `serviceCode must be one of: ${Object.keys(sandataConfig.SERVICE_CATALOG).join(', ')}`);
+  return code;
+}
+
+/**
+ * Schedules a visit. The client's home location comes from the profile; a
+ * rep may pass `latitude`/`longitude`, which are saved on the profile when it
+ * has none yet.
+ */
+function schedule(session, { profileId, caregiverId, serviceCode, scheduledStart, scheduledEnd, latitude, longitude } = {}) {
+  requireRep(session);
+  const client = profileId && profiles.findById(profileId);
+  if (!client || client.role !== 'Client') throw httpError(400, 'Client profile not found');
+  const caregiver = checkCaregiver(caregiverId);
+  const { start, end } = checkWindow(scheduledStart, scheduledEnd);
+  const code = checkService(serviceCode);
+  employeeService.requireSchedulable(caregiver, end);
+
+  let home = { latitude: client.homeLatitude, longitude: client.homeLongitude };
+  if (latitude !== undefined || longitude !== undefined) {
+    home = { latitude: coordinate(latitude, 90, 'latitude'), longitude: coordinate(longitude, 180, 'longitude') };
+    if (client.homeLatitude == null) profiles.update(client.id, { homeLatitude: home.latitude, homeLongitude: home.longitude });
+  }
+  if (home.latitude == null || home.longitude == null) throw httpError(400, "Set the client's home location (latitude and longitude) to schedule visits");
+
+  const overlap = visits.findOverlap(caregiver.id, start, end);
+  if (overlap) throw httpError(409, `${caregiver.name || caregiver.username} already has a visit with ${overlap.clientName} at that time`);
+
+  const visit = visits.create({
+    profileId: client.id, caregiverId: caregiver.id, serviceCode: code, scheduledStart: start, scheduledEnd: end,
+    latitude: home.latitude, longitude: home.longitude, createdBy: session.sub
+  });
+  taskService.createSystemTask({
+    title: `Visit with ${client.name}`, category: 'scheduling', assigneeId: caregiver.id, profileId: client.id, dueAt: start,
+    description: `Scheduled ${new Date(start).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}. Clock in from Time Tracking when you arrive.`,
+    dedupeKey: `visit:${visit.id}`
+  });
+  audit(session, 'visit.schedule', visit.id, { profileId: client.id, caregiverId: caregiver.id, serviceCode: code });
+  return view(visit, { detail: true });
+}
+
+// Moves or reassigns a visit that has not started
+function reschedule(session, visitId, body = {}) {
+  requireRep(session);
+  const visit = load(visitId, session);
+  if (!EDITABLE_STATUSES.includes(visit.status)) throw httpError(409, `Only scheduled visits can be changed (this one is ${visit.status.replace('_', ' ')})`);
+  const changes = {};
+  if (body.caregiverId !== undefined) changes.caregiverId = checkCaregiver(body.caregiverId).id;
+  if (body.serviceCode !== undefined) changes.serviceCode = checkService(body.serviceCode);
+  if (body.scheduledStart !== undefined || body.scheduledEnd !== undefined) {
+    const { start, end } = checkWindow(body.scheduledStart ?? visit.scheduledStart, body.scheduledEnd ?? visit.scheduledEnd);
+    Object.assign(changes, { scheduledStart: start, scheduledEnd: end });
+  }
+  if (body.latitude !== undefined || body.longitude !== undefined) {
+    changes.latitude = coordinate(body.latitude ?? visit.latitude, 90, 'latitude');
+    changes.longitude = coordinate(body.longitude ?? visit.longitude, 180, 'longitude');
+  }
+  const caregiverId = changes.caregiverId || visit.caregiverId;
+  if (changes.caregiverId || changes.scheduledEnd) employeeService.requireSchedulable(users.findById(caregiverId), changes.scheduledEnd || visit.scheduledEnd);
+  const overlap = visits.findOverlap(caregiverId, changes.scheduledStart || visit.scheduledStart, changes.scheduledEnd || visit.scheduledEnd, visit.id);
+  if (overlap) throw httpError(409, `The caregiver already has a visit with ${overlap.clientName} at that time`);
+  const updated = visits.update(visit.id, changes);
+  audit(session, 'visit.reschedule', visit.id, { fields: Object.keys(changes) });
+  return view(updated, { detail: true });
+}
+
+function cancel(session, visitId, { reason } = {}) {
+  requireRep(session);
+  const visit = load(visitId, session);
+  if (!EDITABLE_STATUSES.includes(visit.status)) throw httpError(409, `Only scheduled visits can be cancelled (this one is ${visit.status.replace('_', ' ')})`);
+  const text = String(reason || '').trim();
+  if (!text) throw httpError(400, 'Say why the visit is cancelled');
+  const updated = visits.update(visit.id, { status: 'cancelled', cancelReason: text.slice(0, 500) });
+  taskService.completeSystemTask(`visit:${visit.id}`, 'Visit cancelled');
+  audit(session, 'visit.cancel', visit.id, {});
+  return view(updated, { detail: true });
+}
+
+// -------- Clocking --------
+// A clock from the caregiver's app: GPS, its accuracy in meters and the device's own time
+function readCall({ latitude, longitude, accuracy, deviceTime } = {}) {
+  const acc = accuracy === undefined || accuracy === null || accuracy === '' ? null : Number(accuracy);
+  if (acc !== null && !(Number.isFinite(acc) && acc >= 0)) throw httpError(400, 'accuracy must be meters');
+  return {
+    at: new Date().toISOString(), deviceAt: time(deviceTime, 'deviceTime'), type: 'Mobile',
+    latitude: coordinate(latitude, 90, 'latitude'), longitude: coordinate(longitude, 180, 'longitude'), accuracy: acc
+  };
+}
+
+function ownVisit(session, visitId) {
+  const visit = load(visitId, session);
+  if (visit.caregiverId !== session.sub) throw httpError(403, 'Only the assigned caregiver can clock this visit');
+  return visit;
+}
+
+function clockIn(session, visitId, body) {
+  const visit = ownVisit(session, visitId);
+  if (visit.status !== 'scheduled') throw httpError(409, `This visit is already ${visit.status.replace('_', ' ')}`);
+  const call = readCall(body);
+  const late = Date.parse(call.at) - Date.parse(visit.scheduledStart);
+  if (-late > EARLY_CLOCK_IN_MS) throw httpError(409, `You can clock in from ${describeMinutes(EARLY_CLOCK_IN_MS)} before the visit starts`);
+  if (Date.parse(call.at) > Date.parse(visit.scheduledEnd)) throw httpError(409, 'This visit has already ended; ask your rep to record it');
+
+  const updated = visits.update(visit.id, { status: 'in_progress', clockIn: call });
+  if (late > GRACE_MS) flag(updated, 'late_start', `Clocked in ${describeMinutes(late)} after the scheduled start`);
+  checkLocation(updated, call, 'wrong_location_in');
+  checkDevice(updated, call);
+  taskService.completeSystemTask(`visit:${visit.id}`, 'Clocked in');
+  audit(session, 'visit.clock_in', visit.id, {});
+  return view(visits.findById(visit.id), { detail: true });
+}
+
+function clockOut(session, visitId, body) {
+  const visit = ownVisit(session, visitId);
+  if (visit.status !== 'in_progress') throw httpError(409, visit.status === 'scheduled' ? 'Clock in first' : `This visit is already ${visit.status}`);
+  const call = readCall(body);
+  const updated = visits.update(visit.id, { status: 'completed', clockOut: call, hours: hoursBetween(visit.clockIn.at, call.at) });
+  checkClockOut(updated, call.at);
+  checkLocation(updated, call, 'wrong_location_out');
+  checkDevice(updated, call);
+  audit(session, 'visit.clock_out', visit.id, {});
+  return view(settle(updated), { detail: true });
+}
+
+// -------- Review --------
+/**
+ * A rep resolves one exception with a reason code. A missing clock-out also
+ * needs the time the caregiver actually left (`clockOutAt`), recorded as a
+ * manual call; resolving a missed visit that never started cancels it.
+ */
+function resolve(session, visitId, exceptionId, { reasonCode, memo, clockOutAt } = {}) {
+  requireRep(session);
+  const visit = load(visitId, session);
+  const exception = visits.findException(visit.id, exceptionId);
+  if (!exception) throw httpError(404, 'Exception not found');
+  if (exception.resolvedAt) throw httpError(409, 'This exception is already resolved');
+  if (!REASON_CODES[reasonCode]) throw httpError(400, `reasonCode must be one of: ${Object.keys(REASON_CODES).join(', ')}`);
+  const note = String(memo || '').trim().slice(0, 500);
+  if (reasonCode === 'OTHER' && !note) throw httpError(400, 'A memo is required with reason OTHER');
+
+  if (exception.type === 'missing_clock_out' && visit.status === 'in_progress') {
+    const at = time(clockOutAt, 'clockOutAt');
+    if (Date.parse(at) <= Date.parse(visit.clockIn.at) || Date.parse(at) > Date.now()) throw httpError(400, 'clockOutAt must be after the clock-in and not in the future');
+    const updated = visits.update(visit.id, { status: 'completed', clockOut: { at, type: 'Manual' }, hours: hoursBetween(visit.clockIn.at, at) });
+    checkClockOut(updated, at);
+  }
+  if (exception.type === 'missed_visit' && visit.status === 'scheduled') {
+    visits.update(visit.id, { status: 'cancelled', cancelReason: REASON_CODES[reasonCode] });
+    taskService.completeSystemTask(`visit:${visit.id}`, 'Visit missed');
+  }
+  visits.resolveException(exception.id, { reasonCode, memo: note, resolvedBy: session.sub });
+  audit(session, 'visit.resolve', visit.id, { exception: exception.type, reasonCode });
+  return view(settle(visit), { detail: true });
+}
+
+/**
+ * The verified visit as an EVV record, with the aggregator payload built from
+ * it and the validator's findings. A visit with any manual call is sent as a
+ * Manual visit throughout, with the resolutions as its visit changes.
+ */
+function evv(session, visitId) {
+  requireRep(session);
+  const visit = load(visitId, session);
+  if (visit.status !== 'verified') throw httpError(409, 'Only verified visits have an EVV record');
+  const calls = [['Time In', visit.clockIn], ['Time Out', visit.clockOut]];
+  const manual = calls.some(([, call]) => call.type === 'Manual');
+  const resolvers = {};
+  const record = {
+    id: visit.id, clientMedicaidId: visit.clientMedicaidId, clientId: visit.profileId, employeeId: visit.caregiverId,
+    serviceId: visit.serviceCode, scheduledStart: visit.scheduledStart, scheduledEnd: visit.scheduledEnd, hoursToBill: visit.hours,
+    sequenceId: (uploads.lastSequence('visit', visit.id) || 0) + 1,
+    calls: calls.map(([assignment, call]) => ({
+      id: `${visit.id}-${assignment === 'Time In' ? 'in' : 'out'}`, type: manual ? 'Manual' : call.type, assignment, at: call.at,
+      latitude: call.latitude, longitude: call.longitude
+    })),
+    changes: visits.exceptions(visit.id).map(e => {
+      resolvers[e.resolvedBy] = resolvers[e.resolvedBy] || users.findById(e.resolvedBy);
+      const by = resolvers[e.resolvedBy];
+      return { reasonCode: e.reasonCode, memo: e.memo || EXCEPTIONS[e.type], changedBy: by ? by.name || by.username : 'rep', at: e.resolvedAt };
+    })
+  };
+  const payload = buildVisit(record);
+  const { issues } = validate('visit', [payload], { lastSequence: id => uploads.lastSequence('visit', id) });
+  return { record, payload, issues };
+}
+
+function reasonCodes() {
+  return {
+    reasonCodes: Object.entries(REASON_CODES).map(([code, label]) => ({ code, label })),
+    exceptionTypes: Object.entries(EXCEPTIONS).map(([type, label]) => ({ type, label }))
+  };
+}
+
+// -------- Worker --------
+// Flags visits nobody clocked into, and visits still open well after they should have ended
+function tick() {
+  try {
+    const now = Date.now();
+    const due = visits.overdue({
+      noShowBefore: new Date(now - MISSED_AFTER_MS).toISOString(),
+      missingBefore: new Date(now - MISSING_CLOCK_OUT_AFTER_MS).toISOString()
+    });
+    due.forEach(visit => {
+      if (visit.status === 'scheduled') flag(visit, 'missed_visit', `No clock-in ${describeMinutes(now - Date.parse(visit.scheduledStart))} after the scheduled start`);
+      else flag(visit, 'missing_clock_out', `Still clocked in ${describeMinutes(now - Date.parse(visit.scheduledEnd))} after the scheduled end`);
+    });
+  } catch (error) {
+    console.error('❌ Visit checks failed:', error.message);
+  }
+}
+
+let timer = null;
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  setImmediate(tick);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  list, get, schedule, reschedule, cancel, clockIn, clockOut, resolve, evv, reasonCodes, start, stop,
+  EXCEPTIONS, REASON_CODES
+};
@@ -0,0 +1,48 @@
+/**
+ * Outbound texts through the Twilio Messages API. Every send is stored in
+ * sms_messages under its MessageSid so delivery callbacks can update it.
+ */
+
+const axios = require('axios');
+const config = require('./config');
+const { normalizePhone } = require('./extract');
+const sms = require('../repositories/sms');
+const { httpError } = require('../http');
+
+const MAX_BODY = 1600;
+
+const http = axios.create({
+  baseURL: config.API_URL,
+  timeout: 15000,
+  auth: { username: config.ACCOUNT_SID, password: config.AUTH_TOKEN }
+});
+
+/**
+ * @param {{ to: string, body: string, intakeId?: string, conversationId?: string, sentBy?: string }} message
+ * @returns {Promise<object>} the stored message
+ */
+async function send({ to, body, intakeId, conversationId, sentBy }) {
+  const number = normalizePhone(to);
+  const text = String(body || '').trim();
+  if (!number) throw httpError(400, 'to must be a US phone number');
+  if (!text) throw httpError(400, 'body is required');
+  if (text.length > MAX_BODY) throw httpError(400, `Texts are limited to ${MAX_BODY} characters`);
+
+  const form = new URLSearchParams({ To: number, From: config.FROM_NUMBER, Body: text });
+  if (config.WEBHOOK_BASE_URL) form.set('StatusCallback', `${config.WEBHOOK_BASE_URL}/api/sms/twilio/status`);
+  let data;
+  try {
+    ({ data } = await http.post(`/2010-04-01/Accounts/${config.ACCOUNT_SID}/Messages.json`, form));
+  } catch (error) {
+    const reason = error.response?.data?.message || error.message;
+    console.error('❌ SMS send failed:', reason);
+    throw httpError(502, `Text could not be sent: ${reason}`);
+  }
+  sms.recordMessage({
+    id: data.sid, direction: 'outbound', from: config.FROM_NUMBER, to: number, body: text,
+    status: data.status || 'queued', intakeId, conversationId, sentBy
+  });
+  return sms.findMessage(data.sid);
+}
+
+module.exports = { send };
@@ -0,0 +1,22 @@
+// Twilio settings for inbound intake texts and outbound replies.
+// TWILIO_API_URL defaults to the local stand-in (see mock-server.js) so the
+// pipeline can be exercised end to end without a Twilio account.
+
+const { secret } = require('../env');
+
+const MOCK_URL = `http://localhost:${process.env.TWILIO_MOCK_PORT || 7091}`;
+const ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || 'ACmock00000000000000000000000000';
+const FROM_NUMBER = process.env.TWILIO_FROM_NUMBER || '+18334326588';
+const API_URL = process.env.TWILIO_API_URL || MOCK_URL;
+
+// Signs webhooks both ways; the mock token is public, so it is only a development fallback
+const AUTH_TOKEN = secret('TWILIO_AUTH_TOKEN', 'mock-auth-token');
+
+// Public base URL Twilio posts to (e.g. https://kloudykare.com). Signatures cover
+// the exact URL, so set this when a proxy changes the host or scheme.
+const WEBHOOK_BASE_URL = process.env.SMS_WEBHOOK_BASE_URL || '';
+
+// Sent back on the first text from a new number
+const ACK_MESSAGE = 'Thanks for texting United Family Caregivers! A representative will text you back shortly. Reply with your name and Nevada Medicaid ID to speed things up.';
+
+module.exports = { ACCOUNT_SID, AUTH_TOKEN, FROM_NUMBER, API_URL, WEBHOOK_BASE_URL, ACK_MESSAGE };
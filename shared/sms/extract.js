@@ -0,0 +1,88 @@
+/**
+ * Pulls intake fields out of free-text messages: name, callback phone, Nevada
+ * Medicaid ID and PCS waiver status. Rules run on every message; the model
+ * only fills fields the rules could not find, and its values are validated
+ * the same way.
+ */
+
+const llm = require('../llm');
+
+const WAIVER_STATUSES = ['approved', 'pending', 'applied', 'denied', 'none'];
+
+// E.164 for US numbers, or null
+function normalizePhone(text) {
+  const digits = String(text || '').replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+function cleanName(value) {
+  const name = String(value || '').replace(/\s+/g, ' ').trim();
+  return /^[A-Za-z][A-Za-z'.-]+(?: [A-Za-z][A-Za-z'.-]+){1,3}$/.test(name) ? name : null;
+}
+
+function cleanMedicaidId(value) {
+  const id = String(value || '').replace(/[\s-]/g, '');
+  return /^\d{9,10}$/.test(id) ? id : null;
+}
+
+// Names are only taken after an introduction, and must be capitalised words
+const NAME_PATTERNS = [
+  /\b(?:[Mm]y name is|[Nn]ame(?:'s| is|:)|[Tt]his is|I am|I'm|[Ii]t'?s)\s+([A-Z][a-z'.-]+(?:\s+[A-Z][a-z'.-]+){1,2})/,
+  /\b(?:[Cc]alling|[Tt]exting) (?:for|about) (?:my \w+ )?([A-Z][a-z'.-]+(?:\s+[A-Z][a-z'.-]+){1,2})/
+];
+
+const MEDICAID_PATTERNS = [
+  /medicaid(?:\s*(?:id|#|number|no\.?|num))?\s*(?:is|:|=|#)?\s*(\d[\d\s-]{7,12}\d)/i,
+  /\b(\d{9,10})\b/
+];
+
+const PHONE_PATTERN = /(?:call|reach|text|phone|number|cell)[^\d+]{0,20}(\+?1?[\s.-]?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4})/i;
+
+function waiverStatus(text) {
+  const lower = String(text || '').toLowerCase();
+  if (!/waiver|pcs/.test(lower)) return null;
+  if (/(no|don'?t have (a|the)?|never (got|applied for) (a|the)?|without (a|the)?)\s+(pcs\s+)?waiver/.test(lower)) return 'none';
+  if (/(waiver|pcs)[^.!?]{0,40}\b(approved|accepted)|\b(approved|accepted)[^.!?]{0,40}(waiver|pcs)/.test(lower)) return 'approved';
+  if (/(waiver|pcs)[^.!?]{0,40}\b(denied|rejected)|\b(denied|rejected)[^.!?]{0,40}(waiver|pcs)/.test(lower)) return 'denied';
+  if (/(waiver|pcs)[^.!?]{0,40}\b(pending|waiting|in review|processing)|\b(pending|waiting)[^.!?]{0,40}(waiver|pcs)/.test(lower)) return 'pending';
+  if (/\b(applied|submitted|sent in)[^.!?]{0,40}(waiver|pcs)|(waiver|pcs)[^.!?]{0,40}\b(applied|submitted)/.test(lower)) return 'applied';
+  return null;
+}
+
+/** @returns {{ name: string|null, phone: string|null, medicaidId: string|null, waiverStatus: string|null }} */
+function extractRules(text) {
+  const body = String(text || '');
+  const name = NAME_PATTERNS.map(p => body.match(p)).find(Boolean);
+  const phoneMatch = body.match(PHONE_PATTERN);
+  const phone = phoneMatch ? normalizePhone(phoneMatch[1]) : null;
+  // A bare 10-digit run is the callback number when it was introduced as one
+  const medicaid = MEDICAID_PATTERNS.map(p => body.match(p)).find(m => m && cleanMedicaidId(m[1]) && (!phone || normalizePhone(m[1]) !== phone));
+  return {
+    name: name ? cleanName(name[1]) : null,
+    phone,
+    medicaidId: medicaid ? cleanMedicaidId(medicaid[1]) : null,
+    waiverStatus: waiverStatus(body)
+  };
+}
+
+async function extractAi(text, actor) {
+  try {
+    const ai = await llm.generateJson(`Extract intake details from this text message sent to a Nevada Medicaid personal care provider.
+Return JSON: {"name": "full name of the person needing care or null", "phone": "callback number or null", "medicaidId": "9-10 digit Nevada Medicaid ID or null", "waiverStatus": one of ${JSON.stringify(WAIVER_STATUSES)} or null}.
+Use null for anything not stated. Never guess.
+Message: ${text}`, { purpose: 'sms.intake', actor });
+    return {
+      name: cleanName(ai.name),
+      phone: normalizePhone(ai.phone),
+      medicaidId: cleanMedicaidId(ai.medicaidId),
+      waiverStatus: WAIVER_STATUSES.includes(String(ai.waiverStatus || '').toLowerCase()) ? String(ai.waiverStatus).toLowerCase() : null
+    };
+  } catch (error) {
+    console.warn('⚠️ SMS intake extraction falling back to rules:', error.message);
+    return null;
+  }
+}
+
+module.exports = { extractRules, extractAi, normalizePhone, WAIVER_STATUSES };
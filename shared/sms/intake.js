@@ -0,0 +1,186 @@
+/**
+ * Inbound SMS pipeline. Each sender gets one intake record: their texts are
+ * threaded into a shared-inbox conversation (channel 'sms'), the fields found
+ * so far are kept on the intake, and a draft client profile is created or an
+ * existing profile matched by phone is linked. Rules run before the webhook
+ * answers; the model fills remaining gaps afterwards.
+ */
+
+const config = require('./config');
+const client = require('./client');
+const { extractRules, extractAi, normalizePhone } = require('./extract');
+const sms = require('../repositories/sms');
+const profiles = require('../repositories/profiles');
+const notes = require('../repositories/notes');
+const auditLog = require('../repositories/audit-log');
+const inbox = require('../services/inbox');
+const { httpError } = require('../http');
+
+const FIELDS = ['name', 'callbackPhone', 'medicaidId', 'waiverStatus'];
+// The sender's own number is the callback unless they give another
+const REQUIRED = ['name', 'medicaidId', 'waiverStatus'];
+const WAIVER_LABELS = { approved: 'approved', pending: 'pending', applied: 'applied, not yet decided', denied: 'denied', none: 'no waiver' };
+
+function missing(intake) {
+  return REQUIRED.filter(field => !intake[field]);
+}
+
+// Extracted values in intake terms; later texts correct earlier ones
+function changesFrom(intake, found) {
+  const values = { name: found.name, callbackPhone: found.phone, medicaidId: found.medicaidId, waiverStatus: found.waiverStatus };
+  const changes = {};
+  for (const field of FIELDS) {
+    if (values[field] && values[field] !== intake[field]) changes[field] = values[field];
+  }
+  return changes;
+}
+
+function placeholderName(phone) {
+  return `SMS ${phone}`;
+}
+
+// Creates the draft profile on the first text, or links one already on file
+function syncProfile(intake, changes) {
+  const now = new Date().toISOString();
+  let profile = intake.profileId && profiles.findById(intake.profileId);
+  if (!profile) {
+    profile = profiles.findByPhone(intake.callbackPhone || intake.phone) || profiles.findByPhone(intake.phone);
+    if (profile) {
+      notes.create({
+        profileId: profile.id, text: 'Texted the intake line; SMS thread linked to this profile.', by: 'SMS intake',
+        category: 'intake', conversationId: intake.conversationId
+      });
+    } else {
+      profile = profiles.create({
+        name: intake.name || placeholderName(intake.phone), role: 'Client', status: 'Draft',
+        phone: intake.callbackPhone || intake.phone, medicaidId: intake.medicaidId || undefined
+      });
+      notes.create({
+        profileId: profile.id, text: 'Draft profile created from an SMS intake. Confirm details before enrolling.', by: 'SMS intake',
+        category: 'intake', priority: 'high', conversationId: intake.conversationId
+      });
+    }
+  }
+
+  // Only fill what the profile is missing; reps' edits are never overwritten
+  const updates = { lastContact: now };
+  if (changes.name && profile.name === placeholderName(intake.phone)) updates.name = changes.name;
+  if (changes.medicaidId && !profile.medicaidId) updates.medicaidId = changes.medicaidId;
+  profiles.update(profile.id, updates);
+  if (changes.waiverStatus) {
+    notes.create({
+      profileId: profile.id, text: `PCS waiver status (from SMS): ${WAIVER_LABELS[changes.waiverStatus]}.`, by: 'SMS intake',
+      category: 'eligibility', conversationId: intake.conversationId
+    });
+  }
+  return profile.id;
+}
+
+/**
+ * Applies newly found fields to the intake, its profile and its thread, and
+ * pushes an inbox event so open dashboards refresh.
+ */
+function apply(intake, found, source) {
+  const changes = changesFrom(intake, found);
+  const merged = { ...intake, ...changes };
+  const profileId = syncProfile(merged, changes);
+  const updated = sms.updateIntake(intake.id, {
+    ...changes,
+    profileId,
+    status: missing(merged).length ? 'incomplete' : 'complete',
+    source: source === 'ai' && Object.keys(changes).length ? 'ai' : undefined
+  });
+  if (updated.conversationId) {
+    inbox.touch(updated.conversationId, changes.name ? { subject: `📱 Text from ${changes.name}`, contactName: changes.name } : {});
+  }
+  if (Object.keys(changes).length) {
+    auditLog.append({ actor: 'sms', actorRole: 'external', action: 'sms.intake', target: intake.id, details: { source, fields: Object.keys(changes), profileId } });
+  }
+  return updated;
+}
+
+// Asks the model about fields the rules could not find, after the webhook has answered
+async function enrich(intakeId, text) {
+  const intake = sms.findIntake(intakeId);
+  if (!intake || !missing(intake).length) return intake;
+  const ai = await extractAi(text, { id: 'sms', role: 'external' });
+  if (!ai) return intake;
+  // Rules keep precedence: the model only fills what is still empty
+  const gaps = Object.fromEntries(Object.entries(ai).filter(([key]) => {
+    const field = key === 'phone' ? 'callbackPhone' : key;
+    return !intake[field];
+  }));
+  return apply(sms.findIntake(intakeId), gaps, 'ai');
+}
+
+/**
+ * Handles one Twilio inbound message webhook.
+ * @param {{ MessageSid: string, From: string, To: string, Body: string }} params
+ * @returns {{ intake: object|null, reply: string|null, duplicate?: boolean }}
+ */
+function receive({ MessageSid, From, To, Body }) {
+  const phone = normalizePhone(From);
+  const body = String(Body || '').trim();
+  if (!MessageSid || !phone) throw httpError(400, 'MessageSid and a US From number are required');
+  if (!body) return { intake: null, reply: null };
+
+  const stored = sms.recordMessage({ id: MessageSid, direction: 'inbound', from: phone, to: To || config.FROM_NUMBER, body, status: 'received' });
+  // Twilio retries webhooks it thinks failed; the message is already threaded
+  if (!stored) return { intake: sms.findIntakeByPhone(phone), reply: null, duplicate: true };
+
+  let intake = sms.findIntakeByPhone(phone) || sms.createIntake(phone);
+  const first = intake.messageCount === 0;
+  let conversationId = intake.conversationId;
+  if (!conversationId) {
+    conversationId = inbox.openExternal({
+      channel: 'sms', subject: `📱 Text from ${intake.name || phone}`, contact: { name: intake.name, phone }, tags: ['intake']
+    }).id;
+  }
+  inbox.receive(conversationId, 'sms', body);
+  intake = sms.updateIntake(intake.id, { conversationId, lastMessage: body.slice(0, 280), countMessage: true });
+  sms.linkMessage(MessageSid, { intakeId: intake.id, conversationId });
+
+  intake = apply(intake, extractRules(body), 'rules');
+  if (first) {
+    const conversation = { id: conversationId };
+    inbox.systemMessage(conversation, `🤖 Auto-reply sent: ${config.ACK_MESSAGE}`);
+  }
+  if (missing(intake).length) {
+    enrich(intake.id, body).catch(error => console.error('❌ SMS intake enrichment failed:', error.message));
+  }
+  return { intake, reply: first ? config.ACK_MESSAGE : null };
+}
+
+// Delivery callbacks; failures are surfaced in the thread
+function updateStatus({ MessageSid, MessageStatus, ErrorCode }) {
+  const message = sms.findMessage(MessageSid);
+  if (!message) return false;
+  sms.updateMessageStatus(MessageSid, MessageStatus, ErrorCode);
+  if (['failed', 'undelivered'].includes(MessageStatus) && message.conversationId && message.status !== MessageStatus) {
+    inbox.systemMessage({ id: message.conversationId }, `⚠️ Text to ${message.to} was ${MessageStatus}${ErrorCode ? ` (error ${ErrorCode})` : ''}.`);
+  }
+  return true;
+}
+
+/**
+ * Sends a text from the dashboard. Texts to a number with an intake are also
+ * posted to its thread, after Twilio has accepted them.
+ */
+async function sendText(session, { to, body }) {
+  const phone = normalizePhone(to);
+  if (!phone) throw httpError(400, 'to must be a US phone number');
+  const intake = sms.findIntakeByPhone(phone);
+  const message = await client.send({ to: phone, body, intakeId: intake?.id, conversationId: intake?.conversationId, sentBy: session.sub });
+  if (intake?.conversationId) inbox.send(session, intake.conversationId, message.body, { deliver: false });
+  auditLog.append({ actor: session.sub, actorRole: session.role, action: 'sms.send', target: message.id, details: { intakeId: intake?.id || null } });
+  return message;
+}
+
+// Rep replies on SMS threads go out as texts to the thread's number
+inbox.registerChannel('sms', async (conversation, message, session) => {
+  const intake = sms.findIntakeByPhone(conversation.contact.phone);
+  await client.send({ to: conversation.contact.phone, body: message.body, intakeId: intake?.id, conversationId: conversation.id, sentBy: session.sub });
+  auditLog.append({ actor: session.sub, actorRole: session.role, action: 'sms.send', target: conversation.id, details: { intakeId: intake?.id || null } });
+});
+
+module.exports = { receive, enrich, updateStatus, sendText };
@@ -0,0 +1,100 @@
+/**
+ * Local stand-in for Twilio, in both directions.
+ *
+ *   node shared/sms/mock-server.js                     # Messages API on TWILIO_MOCK_PORT (7091)
+ *   node shared/sms/mock-server.js send <from> <text>  # text the dashboard as <from>
+ *
+ * The API accepts outbound texts with the configured account credentials and,
+ * when a StatusCallback is given, reports them delivered the way Twilio would.
+ * `send` posts a signed, Twilio-shaped inbound webhook to SMS_DASHBOARD_URL
+ * (default http://localhost:8717) and prints the TwiML reply.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const config = require('./config');
+const signature = require('./signature');
+
+const DASHBOARD_URL = process.env.SMS_DASHBOARD_URL || 'http://localhost:8717';
+
+function sid(prefix) {
+  return prefix + crypto.randomBytes(16).toString('hex');
+}
+
+function signedPost(url, params) {
+  return axios.post(url, new URLSearchParams(params), {
+    headers: { 'X-Twilio-Signature': signature.sign(config.AUTH_TOKEN, url, params) },
+    validateStatus: () => true
+  });
+}
+
+function createMockServer() {
+  const app = express();
+  const messages = [];
+
+  app.use(express.urlencoded({ extended: false }));
+
+  app.post('/2010-04-01/Accounts/:accountSid/Messages.json', (req, res) => {
+    const expected = 'Basic ' + Buffer.from(`${config.ACCOUNT_SID}:${config.AUTH_TOKEN}`).toString('base64');
+    if (req.headers.authorization !== expected || req.params.accountSid !== config.ACCOUNT_SID) {
+      return res.status(401).json({ code: 20003, message: 'Authenticate', status: 401 });
+    }
+    const { To, From, Body, StatusCallback } = req.body;
+    if (!To || !From || !Body) return res.status(400).json({ code: 21604, message: 'To, From and Body are required', status: 400 });
+    // Twilio's magic test number for an unroutable destination
+    if (To === '+15005550009') return res.status(400).json({ code: 21614, message: "'To' number is not a valid mobile number", status: 400 });
+
+    const message = { sid: sid('SM'), account_sid: config.ACCOUNT_SID, to: To, from: From, body: Body, status: 'queued', date_created: new Date().toUTCString() };
+    messages.push(message);
+    console.log(`📤 ${From} → ${To}: ${Body}`);
+    if (StatusCallback) {
+      setTimeout(() => {
+        message.status = 'delivered';
+        signedPost(StatusCallback, { MessageSid: message.sid, MessageStatus: 'delivered', AccountSid: config.ACCOUNT_SID, To, From })
+          .catch(error => console.warn('⚠️ Status callback failed:', error.message));
+      }, 500);
+    }
+    res.status(201).json(message);
+  });
+
+  app.get('/__messages', (req, res) => res.json({ messages }));
+
+  app.post('/__reset', (req, res) => {
+    messages.length = 0;
+    res.json({ status: 'SUCCESS' });
+  });
+
+  return app;
+}
+
+// Texts the dashboard the way Twilio delivers an inbound SMS
+async function sendInbound(from, body) {
+  const params = {
+    MessageSid: sid('SM'), AccountSid: config.ACCOUNT_SID, From: from, To: config.FROM_NUMBER,
+    Body: body, NumMedia: '0', NumSegments: '1', SmsStatus: 'received', ApiVersion: '2010-04-01'
+  };
+  const response = await signedPost(`${DASHBOARD_URL}/api/sms/twilio/webhook`, params);
+  return { status: response.status, body: response.data };
+}
+
+if (require.main === module) {
+  const [command, from, ...words] = process.argv.slice(2);
+  if (command === 'send') {
+    if (!from || !words.length) {
+      console.error('Usage: node shared/sms/mock-server.js send <from> <text>');
+      process.exit(1);
+    }
+    sendInbound(from, words.join(' '))
+      .then(({ status, body }) => console.log(`${status} ${body}`))
+      .catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+      });
+  } else {
+    const port = process.env.TWILIO_MOCK_PORT || 7091;
+    createMockServer().listen(port, () => console.log(`🧪 Twilio mock listening on http://localhost:${port}`));
+  }
+}
+
+module.exports = { createMockServer, sendInbound };
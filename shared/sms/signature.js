@@ -0,0 +1,19 @@
+// Twilio request signing: base64 HMAC-SHA1 over the full URL followed by each
+// POST parameter name and value, sorted by name.
+// https://www.twilio.com/docs/usage/security#validating-requests
+
+const crypto = require('crypto');
+
+function sign(authToken, url, params = {}) {
+  const data = Object.keys(params).sort().reduce((text, key) => text + key + params[key], url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+function verify(authToken, url, params, signature) {
+  if (!signature) return false;
+  const expected = Buffer.from(sign(authToken, url, params));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { sign, verify };
@@ -0,0 +1,99 @@
+/**
+ * Session tokens: a token is only honoured while its session row is active,
+ * and who it belongs to comes from that row, so a token re-signed with
+ * another user or role is refused.
+ */
+
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const auth = require('../auth');
+const env = require('../env');
+const users = require('../repositories/users');
+const authRoutes = require('../routes/auth');
+
+function forge(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${crypto.createHmac('sha256', process.env.SESSION_SECRET).update(body).digest('base64url')}`;
+}
+
+const client = users.findByIdentifier('user1');
+const admin = users.findByIdentifier('agent1');
+
+test('an issued token verifies to its session row', () => {
+  const session = auth.issueSession(client);
+  assert.deepEqual(auth.verifyToken(session.token), { sid: session.payload.sid, sub: client.id, role: 'client', exp: session.expiresAt });
+});
+
+test('a token re-signed with another role or user is refused', () => {
+  const { payload } = auth.issueSession(client);
+  assert.equal(auth.verifyToken(forge({ ...payload, role: 'admin' })), null);
+  assert.equal(auth.verifyToken(forge({ ...payload, sub: admin.id, role: 'admin' })), null);
+  assert.ok(auth.verifyToken(forge(payload)), 'the unchanged payload still verifies');
+});
+
+test('a token with a bad signature, an unknown session or a past expiry is refused', () => {
+  const session = auth.issueSession(client);
+  const [body, signature] = session.token.split('.');
+  assert.equal(auth.verifyToken(`${body}.${signature.slice(0, -2)}xx`), null);
+  assert.equal(auth.verifyToken(forge({ ...session.payload, sid: crypto.randomUUID() })), null);
+  assert.equal(auth.verifyToken(forge({ ...session.payload, exp: Date.now() - 1000 })), null);
+  assert.equal(auth.verifyToken('not-a-token'), null);
+});
+
+test('a revoked session is refused', () => {
+  const session = auth.issueSession(client);
+  auth.revokeSession(auth.verifyToken(session.token));
+  assert.equal(auth.verifyToken(session.token), null);
+});
+
+test('authenticate reads the cookie and treats a malformed one as missing', () => {
+  const session = auth.issueSession(admin);
+  const signedIn = { headers: { cookie: `other=1; kk_session=${encodeURIComponent(session.token)}` } };
+  auth.authenticate(signedIn, {}, () => {});
+  assert.equal(signedIn.session.role, 'admin');
+
+  const malformed = { headers: { cookie: 'kk_session=%E0%A4%A' } };
+  auth.authenticate(malformed, {}, () => {});
+  assert.equal(malformed.session, null);
+});
+
+test('passwords verify only against their own hash', () => {
+  const hash = auth.hashPassword('correct horse');
+  assert.ok(auth.verifyPassword('correct horse', hash));
+  assert.ok(!auth.verifyPassword('wrong horse', hash));
+  assert.ok(!auth.verifyPassword('correct horse', 'plain-text'));
+});
+
+test('secrets have no fallback outside development', () => {
+  assert.equal(env.ENVIRONMENT, 'testing');
+  assert.throws(() => env.secret('KLOUDY_TEST_UNSET_SECRET', 'fallback'), /KLOUDY_TEST_UNSET_SECRET must be set/);
+});
+
+test('a password reset signs the user out everywhere', async () => {
+  const caregiver = users.findByIdentifier('caregiver1');
+  users.update(caregiver, { securityQuestion: 'pet_name', securityAnswerHash: auth.hashPassword('rex') });
+  const sessions = [auth.issueSession(caregiver), auth.issueSession(caregiver)];
+  const other = auth.issueSession(client);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes());
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/auth/reset`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ identifier: 'caregiver1', securityAnswer: ' Rex ', newPassword: 'a new password' })
+    });
+    assert.equal(response.status, 200);
+  } finally {
+    server.close();
+  }
+  sessions.forEach(session => assert.equal(auth.verifyToken(session.token), null));
+  assert.ok(auth.verifyToken(other.token), 'other users stay signed in');
+  assert.ok(auth.verifyPassword('a new password', users.findByIdentifier('caregiver1').passwordHash));
+});
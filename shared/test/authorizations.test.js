@@ -0,0 +1,147 @@
+/**
+ * Authorization utilization: clocked-out visits of the same service in the
+ * current week or month count as used and unfinished ones as scheduled, and
+ * the worker raises one task per alert and period for nearing, exceeded and
+ * overbooked hours and for an authorization ending with no renewal.
+ */
+
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const authorizationService = require('../services/authorizations');
+const visits = require('../repositories/visits');
+const profiles = require('../repositories/profiles');
+const tasks = require('../repositories/tasks');
+const auditLog = require('../repositories/audit-log');
+
+const rep = { sub: 'agent1', role: 'admin' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+
+function newClient() {
+  return profiles.create({ name: `Client ${crypto.randomUUID().slice(0, 8)}`, role: 'Client', status: 'Active' });
+}
+
+function authorize(client, fields = {}) {
+  return authorizationService.create(rep, {
+    profileId: client.id, number: `PA-${crypto.randomUUID().slice(0, 8)}`, payer: 'Nevada Medicaid', serviceCode: 'T1019',
+    hours: 40, period: 'month', startDate: addDays(today(), -60), endDate: addDays(today(), 200), ...fields
+  });
+}
+
+// A visit `hours` long on `date`, clocked out (counted as used) unless it is still to come
+function visit(client, { date = today(), hours, status = 'verified', serviceCode = 'T1019' }) {
+  const start = `${date}T01:00:00.000Z`;
+  const created = visits.create({
+    profileId: client.id, caregiverId: 'caregiver1', serviceCode, scheduledStart: start,
+    scheduledEnd: new Date(Date.parse(start) + hours * 60 * 60 * 1000).toISOString(), latitude: 36.17, longitude: -115.14
+  });
+  return visits.update(created.id, { status, hours: ['completed', 'verified'].includes(status) ? hours : undefined });
+}
+
+const alertTypes = auth => authorizationService.get(rep, auth.id).alerts.map(alert => alert.type);
+
+async function runChecks() {
+  authorizationService.start();
+  await new Promise(resolve => setImmediate(resolve));
+  authorizationService.stop();
+}
+
+test('utilization sums this month\'s visits of the same service: clocked-out hours as used, the rest as scheduled', () => {
+  const client = newClient();
+  const auth = authorize(client);
+  const monthStart = `${today().slice(0, 7)}-01`;
+  visit(client, { hours: 10, status: 'completed' });
+  visit(client, { hours: 7.5 });
+  visit(client, { hours: 4, status: 'scheduled' });
+  visit(client, { hours: 2, status: 'in_progress' });
+  visit(client, { hours: 5, status: 'cancelled' });
+  visit(client, { hours: 6, serviceCode: 'S5130' });
+  visit(client, { date: addDays(monthStart, -1), hours: 9 });
+
+  const { utilization, status, alerts } = authorizationService.get(rep, auth.id);
+  assert.equal(status, 'active');
+  assert.equal(utilization.periodStart, monthStart);
+  assert.deepEqual(
+    { approved: utilization.approved, used: utilization.used, scheduled: utilization.scheduled, remaining: utilization.remaining, percent: utilization.percent },
+    { approved: 40, used: 17.5, scheduled: 6, remaining: 22.5, percent: 44 }
+  );
+  assert.deepEqual(alerts, []);
+});
+
+test('weekly periods run Monday to Sunday, clipped to the authorization\'s dates', () => {
+  const client = newClient();
+  const sunday = addDays(today(), 6 - (new Date(today()).getUTCDay() + 6) % 7);
+  const auth = authorize(client, { hours: 10, period: 'week', startDate: today(), endDate: addDays(today(), 90) });
+  visit(client, { hours: 3 });
+  visit(client, { date: addDays(today(), -1), hours: 4 });
+
+  const { utilization } = authorizationService.get(rep, auth.id);
+  assert.equal(utilization.periodStart, today());
+  assert.equal(utilization.periodEnd, sunday);
+  assert.equal(utilization.used, 3);
+  assert.equal(utilization.percent, 30);
+});
+
+test('reps are warned at 80%, over the hours, and when bookings would take the client past them', () => {
+  const client = newClient();
+  const auth = authorize(client, { hours: 10 });
+  visit(client, { hours: 7.75 });
+  assert.deepEqual(alertTypes(auth), []);
+
+  visit(client, { hours: 0.25 });
+  assert.deepEqual(alertTypes(auth), ['hours_nearing']);
+  assert.equal(authorizationService.get(rep, auth.id).alerts[0].message, '8 of 10 h used this month (80%)');
+
+  visit(client, { hours: 3, status: 'scheduled' });
+  assert.deepEqual(alertTypes(auth), ['hours_nearing', 'overbooked']);
+
+  visit(client, { hours: 2.5 });
+  const { alerts } = authorizationService.get(rep, auth.id);
+  assert.deepEqual(alerts.map(alert => [alert.type, alert.message]), [['hours_exceeded', '10.5 of 10 h used this month']]);
+});
+
+test('an authorization ending within 30 days is flagged until a renewal is on file', () => {
+  const client = newClient();
+  const auth = authorize(client, { endDate: addDays(today(), 12) });
+  const [expiring] = authorizationService.get(rep, auth.id).alerts;
+  assert.equal(expiring.type, 'expiring');
+  assert.equal(expiring.message, `Ends ${addDays(today(), 12)} (12 days) with no renewal on file`);
+
+  authorize(client, { startDate: addDays(today(), 13), endDate: addDays(today(), 200) });
+  assert.deepEqual(alertTypes(auth), []);
+
+  const upcoming = authorize(newClient(), { startDate: addDays(today(), 5), endDate: addDays(today(), 10) });
+  assert.equal(upcoming.status, 'upcoming');
+  assert.deepEqual(upcoming.alerts, [], 'only active authorizations raise alerts');
+});
+
+test('the worker raises one rep-queue task per alert and period', async () => {
+  const client = newClient();
+  const auth = authorize(client, { hours: 5, endDate: addDays(today(), 20) });
+  visit(client, { hours: 6 });
+  await runChecks();
+  await runChecks();
+
+  const periodStart = authorizationService.get(rep, auth.id).utilization.periodStart;
+  const exceeded = tasks.findOpenByDedupeKey(`authorization:${auth.id}:hours_exceeded:${periodStart}`);
+  assert.equal(exceeded.priority, 'high');
+  assert.equal(exceeded.profileId, client.id);
+  assert.equal(exceeded.title, `Over approved hours: ${client.name} (T1019)`);
+  assert.equal(tasks.findOpenByDedupeKey(`authorization:${auth.id}:expiring:${auth.endDate}`).priority, 'medium');
+  const raised = auditLog.list({ actor: 'authorization-checks', limit: 500 }).filter(entry => entry.target === auth.id);
+  assert.deepEqual(raised.map(entry => entry.action).sort(), ['authorization.expiring', 'authorization.hours_exceeded']);
+});
+
+test('monthly hours add up the active authorizations, converting weekly ones', () => {
+  const client = newClient();
+  authorize(client, { hours: 10, period: 'week' });
+  authorize(client, { hours: 20, serviceCode: 'S5130' });
+  visit(client, { hours: 4 });
+  visit(client, { hours: 2, serviceCode: 'S5130', status: 'scheduled' });
+  assert.deepEqual(authorizationService.monthlyHours(client.id), { approved: 63.33, used: 4, scheduled: 2 });
+  assert.equal(authorizationService.monthlyHours(newClient().id), null);
+});
@@ -0,0 +1,91 @@
+/**
+ * The billing sample files: the fixture visits in billing/samples/claims.json
+ * must be priced as listed there and produce billing/samples/claims.837, and
+ * each sample 835 must reconcile to the statuses the fixture expects. Nothing
+ * touches the database.
+ *
+ * The 837P comparison assumes the default provider and clearinghouse
+ * settings in billing/config.js, so run it without BILLING_* overrides.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const fixtures = require('../billing/samples/claims.json');
+const { buildClaims, reconcile } = require('../billing/claims');
+const { build837P, parse835 } = require('../billing/x12');
+
+const SAMPLES_DIR = path.join(__dirname, '..', 'billing', 'samples');
+
+function sample(file) {
+  return fs.readFileSync(path.join(SAMPLES_DIR, file), 'utf8');
+}
+
+function near(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < 0.005, `${label} is ${actual}, expected ${expected}`);
+}
+
+function fixtureClaims() {
+  const visits = fixtures.visits.map(visit => ({
+    id: visit.id, profileId: visit.client, serviceCode: visit.serviceCode, date: visit.date, hours: visit.hours,
+    client: fixtures.clients[visit.client],
+    authorization: visit.authorization ? fixtures.authorizations[visit.authorization] : null
+  }));
+  const { claims, held } = buildClaims(visits);
+  claims.forEach((claim, index) => { claim.claimNumber = `UFC${fixtures.batch.firstClaimNumber + index}`; });
+  return { claims, held };
+}
+
+const built = fixtureClaims();
+const x12 = build837P({ control: fixtures.batch.control, date: new Date(fixtures.batch.date), claims: built.claims });
+
+test('visits are grouped and priced from the rate table', () => {
+  assert.deepEqual(
+    built.claims.map(claim => ({ claimNumber: claim.claimNumber, client: claim.client.name, payer: claim.payer, lines: claim.lines.length })),
+    fixtures.expect.claims.map(({ claimNumber, client, payer, lines }) => ({ claimNumber, client, payer, lines }))
+  );
+  fixtures.expect.claims.forEach((expected, index) => near(built.claims[index].total, expected.total, `${expected.claimNumber} total`));
+  assert.deepEqual(built.held.map(h => h.visitId).sort(), [...fixtures.expect.held].sort());
+});
+
+test(`837P matches ${fixtures.batch.file}`, () => {
+  assert.equal(x12, sample(fixtures.batch.file));
+});
+
+test('837P counts, control numbers and totals agree', () => {
+  const segments = x12.split('~').map(s => s.trim()).filter(Boolean).map(s => s.split('*'));
+  const st = segments.findIndex(s => s[0] === 'ST');
+  const se = segments.findIndex(s => s[0] === 'SE');
+  assert.equal(Number(segments[se][1]), se - st + 1, 'SE segment count');
+  assert.equal(segments.find(s => s[0] === 'ISA')[13], segments.find(s => s[0] === 'IEA')[2], 'ISA and IEA control numbers');
+  assert.equal(segments.find(s => s[0] === 'GS')[6], segments.find(s => s[0] === 'GE')[2], 'GS and GE control numbers');
+  let claim = null;
+  let lines = 0;
+  const close = () => { if (claim) near(lines, Number(claim[2]), `CLM ${claim[1]} line total`); };
+  for (const s of segments) {
+    if (s[0] === 'CLM') { close(); claim = s; lines = 0; }
+    if (s[0] === 'SV1') lines += Number(s[2]);
+  }
+  close();
+});
+
+for (const remittance of fixtures.remittances) {
+  test(`${remittance.file} reconciles`, () => {
+    const remit = parse835(sample(remittance.file));
+    const unmatched = [];
+    for (const payment of remit.claims) {
+      const claim = built.claims.find(c => c.claimNumber === payment.claimNumber);
+      if (!claim) { unmatched.push(payment.claimNumber); continue; }
+      const expected = remittance.expect[payment.claimNumber];
+      assert.ok(expected, `${payment.claimNumber} was not expected in this file`);
+      const result = reconcile(claim, payment);
+      for (const [field, value] of Object.entries(expected)) {
+        if (typeof value === 'number') near(result[field], value, `${payment.claimNumber} ${field}`);
+        else assert.equal(result[field], value, `${payment.claimNumber} ${field}`);
+      }
+      assert.equal(result.lines.filter(line => !line.lineId).length, 0, `${payment.claimNumber} payment lines not matched to a claim line`);
+    }
+    assert.deepEqual(unmatched.sort(), [...remittance.unmatched].sort());
+  });
+}
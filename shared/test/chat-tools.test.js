@@ -0,0 +1,93 @@
+/**
+ * Chat tool calls run as the caller: a role only sees and runs its own
+ * tools, arguments that fail the tool's schema are refused before anything
+ * runs, and every call is audited with its outcome.
+ */
+
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../llm');
+
+// The planner's reply, as if from the model
+let planned = [];
+test.mock.method(llm, 'generateJson', async () => ({ calls: planned }));
+
+const chatTools = require('../services/chat-tools');
+const notes = require('../repositories/notes');
+const auditLog = require('../repositories/audit-log');
+
+const rep = { sub: 'agent1', role: 'admin' };
+const client = { sub: 'user1', role: 'client' };
+
+function lastToolAudit(session) {
+  return auditLog.list({ actor: session.sub, action: 'chat.tool', limit: 1 })[0];
+}
+
+test('each role is shown only the tools it may use', () => {
+  assert.deepEqual(chatTools.catalog(rep).map(tool => tool.name), ['lookup_profile', 'check_eligibility', 'create_task', 'save_note']);
+  assert.deepEqual(chatTools.catalog(client).map(tool => tool.name), ['lookup_profile', 'check_eligibility']);
+  assert.ok(chatTools.catalog(client).every(tool => !tool.run && !tool.roles), 'the model sees names, descriptions and schemas only');
+});
+
+test('a tool outside the caller\'s role is refused as if it did not exist', () => {
+  const before = notes.listByProfile('profile1').length;
+  const result = chatTools.call(client, { tool: 'save_note', arguments: { profile: 'profile1', text: 'Called about hours' } });
+  assert.equal(result.outcome, 'refused');
+  assert.equal(result.error, 'No tool named save_note is available');
+  assert.deepEqual(result.actions, []);
+  assert.equal(notes.listByProfile('profile1').length, before);
+  assert.deepEqual(lastToolAudit(client).details, { outcome: 'refused', error: 'No tool named save_note is available' });
+
+  assert.equal(chatTools.call(rep, { tool: 'delete_profile', arguments: {} }).error, 'No tool named delete_profile is available');
+  assert.equal(chatTools.call(rep, { tool: 42 }).error, 'A tool call needs the name of a tool');
+});
+
+test('arguments that fail the schema are refused before the tool runs', () => {
+  const before = notes.listByProfile('profile1').length;
+  const refusals = {
+    'arguments.text is required': { profile: 'profile1' },
+    'arguments.text must be a string': { profile: 'profile1', text: 12 },
+    'arguments.pinned is not allowed': { profile: 'profile1', text: 'Pin this', pinned: true },
+    'arguments.category must be one of': { profile: 'profile1', text: 'Hours', category: 'gossip' },
+    'arguments.profile must be at least 2 characters': { profile: ' ', text: 'Hours' }
+  };
+  for (const [error, args] of Object.entries(refusals)) {
+    const result = chatTools.call(rep, { tool: 'save_note', arguments: args });
+    assert.equal(result.outcome, 'refused');
+    assert.ok(result.error.startsWith(error), `${result.error} starts with ${error}`);
+  }
+  assert.match(chatTools.call(rep, { tool: 'create_task', arguments: { title: 'Call back', dueAt: 'tomorrow' } }).error, /dueAt is not in the expected format/);
+  assert.equal(notes.listByProfile('profile1').length, before);
+});
+
+test('a valid call runs through the services as the caller', () => {
+  const saved = chatTools.call(rep, { tool: 'save_note', arguments: { profile: 'Sarah Johnson', text: 'Asked about weekend hours' } });
+  assert.equal(saved.outcome, 'completed');
+  assert.equal(saved.result.profile, 'Sarah Johnson');
+  assert.deepEqual(saved.actions.map(action => action.type), ['show_note']);
+  assert.equal(notes.findById(saved.result.id).text, 'Asked about weekend hours');
+  assert.deepEqual(lastToolAudit(rep).details, { outcome: 'completed', actions: ['show_note'] });
+
+  // A client's search only reaches the profiles they may see
+  const lookup = chatTools.call(client, { tool: 'lookup_profile', arguments: { query: 'Sarah Johnson' } });
+  assert.equal(lookup.outcome, 'completed');
+  assert.deepEqual(lookup.result, { matches: 0 });
+
+  const failed = chatTools.call(rep, { tool: 'check_eligibility', arguments: { profile: 'Nobody By This Name' } });
+  assert.equal(failed.outcome, 'failed');
+  assert.equal(failed.error, 'No profile matches "Nobody By This Name"');
+});
+
+test('a planned message runs at most the allowed number of calls, refusing malformed ones', async () => {
+  planned = [
+    'save_note',
+    { tool: 'create_task', arguments: { title: 'Call Sarah back' } },
+    { tool: 'lookup_profile', arguments: { query: 'Sarah Johnson', limit: 50 } },
+    { tool: 'lookup_profile', arguments: { query: 'Robert Martinez' } }
+  ];
+  const { calls, actions } = await chatTools.run(client, 'Please note this and call Sarah back');
+  assert.deepEqual(calls.map(c => [c.tool, c.outcome]), [[undefined, 'refused'], ['create_task', 'refused'], ['lookup_profile', 'refused']]);
+  assert.equal(calls[2].error, 'arguments.limit is not allowed');
+  assert.deepEqual(actions, []);
+});
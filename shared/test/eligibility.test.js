@@ -0,0 +1,81 @@
+/**
+ * The eligibility queue against the simulator adapter, whose answers follow
+ * from the Medicaid ID (see eligibility/adapters/simulator.js).
+ */
+
+require('./setup');
+process.env.ELIGIBILITY_ADAPTER = 'simulator';
+process.env.ELIGIBILITY_SIMULATOR_DELAY_MS = '0';
+process.env.ELIGIBILITY_POLL_MS = '20';
+process.env.ELIGIBILITY_RETRY_MS = '1';
+const path = require('path');
+const { spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const queue = require('../eligibility/queue');
+const profiles = require('../repositories/profiles');
+const tasks = require('../repositories/tasks');
+
+const rep = { sub: 'agent1', role: 'admin' };
+
+// The worker runs on its own timer; wait until the check settles
+async function settled(jobId) {
+  for (let i = 0; i < 200; i++) {
+    const job = queue.get(rep, jobId);
+    if (['verified', 'failed', 'needs-review'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Eligibility check ${jobId} did not finish`);
+}
+
+test.before(() => queue.start());
+test.after(() => queue.stop());
+
+test('requests are checked before they are queued', () => {
+  assert.throws(() => queue.requestForRep({ sub: 'user1', role: 'client' }, { profileId: 'profile1', dob: '1958-03-14' }),
+    error => error.status === 403);
+  assert.throws(() => queue.requestForRep(rep, { clientName: 'Ana Lopez', dob: '1960-01-01', medicaidId: '12345' }),
+    error => error.status === 400 && /9 or 10 digits/.test(error.message));
+  assert.throws(() => queue.requestForRep(rep, { clientName: 'Ana Lopez', dob: '2999-01-01', medicaidId: '1234567891' }),
+    error => error.status === 400 && /past date/.test(error.message));
+});
+
+test('a verified check is written to the profile', async () => {
+  const job = await settled(queue.requestForRep(rep, { profileId: 'profile2', dob: '1971-11-02' }).id);
+  assert.equal(job.status, 'verified');
+  assert.equal(job.result.coverage, 'active');
+  assert.equal(job.result.planType, 'ffs');
+  assert.equal(profiles.findById('profile2').eligibility.jobId, job.id);
+});
+
+test('a busy line is retried and then verified', async () => {
+  const job = await settled(queue.requestForRep(rep, { profileId: 'profile1', dob: '1958-03-14' }).id);
+  assert.equal(job.status, 'verified');
+  assert.equal(job.attempts, 1);
+  assert.ok(job.events.some(event => /Payer line busy/.test(event.message)));
+});
+
+test('a mismatch goes to a rep, who can resolve it', async () => {
+  const queued = queue.requestForRep(rep, { clientName: 'Ana Lopez', dob: '1960-01-01', medicaidId: '1112223338' });
+  const job = await settled(queued.id);
+  assert.equal(job.status, 'needs-review');
+  assert.ok(tasks.findOpenByDedupeKey(`eligibility-review:${job.id}`));
+
+  const resolved = queue.review(rep, job.id, { result: { coverage: 'active', planType: 'mco', mcoName: 'CareSource' } });
+  assert.equal(resolved.status, 'verified');
+  assert.equal(resolved.result.mcoName, 'CareSource');
+  assert.equal(tasks.findOpenByDedupeKey(`eligibility-review:${job.id}`), null);
+  assert.throws(() => queue.review(rep, job.id, { reason: 'again' }), error => error.status === 409);
+});
+
+test('outside development and testing checks default to manual and the simulator is not offered', () => {
+  const { ELIGIBILITY_ADAPTER, ...env } = process.env;
+  const script = "const c = require('./eligibility/config'); console.log(c.ADAPTER, require('./eligibility/adapters').list().map(a => a.name).join(','))";
+  const { stdout, status } = spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'), env: { ...env, KLOUDY_ENV: 'production' }, encoding: 'utf8'
+  });
+  assert.equal(status, 0);
+  const [adapter, offered] = stdout.trim().split(' ');
+  assert.equal(adapter, 'manual');
+  assert.ok(!offered.split(',').includes('simulator'));
+});
@@ -0,0 +1,133 @@
+/**
+ * The intake wizard: each step is checked on the server, submitting is all or
+ * nothing, and a registration always gets a new Draft client profile that a
+ * rep links or merges, whatever Medicaid ID it gives.
+ */
+
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const intake = require('../services/intake');
+const intakeRepository = require('../repositories/intake');
+const taskService = require('../services/tasks');
+const profiles = require('../repositories/profiles');
+const users = require('../repositories/users');
+const tasks = require('../repositories/tasks');
+
+let phones = 0;
+
+// A started draft with its account step saved, and the access to resume it
+function begin(role, account = {}) {
+  const { draft, token } = intake.start(crypto.randomUUID());
+  const access = { token };
+  const name = `${role}-${crypto.randomUUID().slice(0, 8)}`;
+  intake.saveStep(draft.id, access, 'account', {
+    role, fullName: `Test ${role}`, email: `${name}@example.com`, phone: `702555${String(2000 + phones++).padStart(4, '0')}`, ...account
+  });
+  return { id: draft.id, access };
+}
+
+const credentials = { password: 'a long password', securityQuestion: 'pet_name', securityAnswer: 'Rex', acceptTerms: true };
+
+function rejected(status, fields) {
+  return error => {
+    assert.equal(error.status, status);
+    if (fields) assert.deepEqual(Object.keys(error.fields).sort(), fields.sort());
+    return true;
+  };
+}
+
+test('each failed check is reported against its field', () => {
+  const { draft, token } = intake.start(crypto.randomUUID());
+  assert.throws(
+    () => intake.saveStep(draft.id, { token }, 'account', { role: 'admin', fullName: ' ', email: 'not-an-email', phone: '555-0100' }),
+    rejected(400, ['role', 'fullName', 'email', 'phone'])
+  );
+  assert.throws(() => intake.saveStep(draft.id, { token }, 'client', { dob: '1980-01-01' }), rejected(400, ['role']));
+  assert.throws(() => intake.saveStep(draft.id, { token: 'someone-else' }, 'account', {}), rejected(404));
+  assert.throws(
+    () => intake.saveStep(draft.id, { token }, 'account', { role: 'client', fullName: 'Taken', email: 'user1@ufc.local', phone: '+1 (702) 555-0102' }),
+    rejected(400, ['email', 'phone'])
+  );
+});
+
+test('Medicaid IDs are cleaned, and phone numbers and prefixes are refused', () => {
+  const { id, access } = begin('client', { phone: '7025551999' });
+  for (const medicaidId of ['MCD123456789', '12345678', '7025551999']) {
+    assert.throws(() => intake.saveStep(id, access, 'client', { dob: '1960-02-03', medicaidId }), rejected(400, ['medicaidId']));
+  }
+  assert.throws(() => intake.saveStep(id, access, 'client', { dob: '2999-01-01', medicaidId: '123456780' }), rejected(400, ['dob']));
+  const saved = intake.saveStep(id, access, 'client', { dob: '1960-02-03', medicaidId: '123 456-780' });
+  assert.equal(saved.data.medicaidId, '123456780');
+  assert.equal(saved.next, 'submit');
+  assert.throws(() => intake.saveStep(id, access, 'documents', {}), rejected(400));
+});
+
+test('a caregiver may leave the Medicaid ID out; a minor client needs the documents step', () => {
+  const caregiver = begin('caregiver');
+  const saved = intake.saveStep(caregiver.id, caregiver.access, 'client', { clientName: 'Young Client', relation: 'Aunt', dob: '2015-06-01' });
+  assert.equal(saved.data.medicaidId, null);
+  assert.equal(saved.minor, true);
+  assert.equal(saved.next, 'documents');
+  assert.throws(() => intake.submit(caregiver.id, caregiver.access, credentials), rejected(400, ['step']));
+});
+
+test('submitting needs a password, a security answer and the terms', () => {
+  const { id, access } = begin('client');
+  intake.saveStep(id, access, 'client', { dob: '1975-01-01', medicaidId: '2220001113' });
+  assert.throws(() => intake.submit(id, access, { ...credentials, password: 'short', acceptTerms: 'yes' }), rejected(400, ['password', 'acceptTerms']));
+  assert.equal(intakeRepository.findDraft(id).status, 'draft');
+});
+
+test('a failure while submitting leaves no account or profile behind and the draft open', t => {
+  const { id, access } = begin('caregiver');
+  intake.saveStep(id, access, 'client', { clientName: 'Rollback Client', dob: '1950-01-01', medicaidId: '3330001114' });
+  const email = intakeRepository.findDraft(id).data.email;
+  const createSystemTask = taskService.createSystemTask;
+  t.mock.method(taskService, 'createSystemTask', fields => {
+    if (fields.dedupeKey.startsWith('intake-review:')) throw new Error('task queue unavailable');
+    return createSystemTask(fields);
+  });
+
+  assert.throws(() => intake.submit(id, access, credentials), /task queue unavailable/);
+  assert.equal(users.exists(email), false);
+  assert.equal(profiles.findByMedicaidId('3330001114'), null);
+  assert.equal(profiles.search({ q: 'Rollback Client' }).total, 0);
+  assert.equal(intakeRepository.findDraft(id).status, 'draft');
+
+  t.mock.restoreAll();
+  const { user, client } = intake.submit(id, access, credentials);
+  assert.equal(client.name, 'Rollback Client');
+  assert.equal(users.findById(user.id).email, email);
+  assert.throws(() => intake.submit(id, access, credentials), rejected(409));
+});
+
+test('a registration giving a Medicaid ID on file gets a new Draft client and a review task naming the match', () => {
+  const { id, access } = begin('caregiver');
+  intake.saveStep(id, access, 'client', { clientName: 'Robert Martinez', relation: 'Son', dob: '1945-07-22', medicaidId: '987654321' });
+  const { user, profile, client } = intake.submit(id, access, credentials);
+
+  assert.notEqual(client.id, 'profile2');
+  assert.equal(client.status, 'Draft');
+  assert.deepEqual(profile.links.map(link => [link.type, link.profileId]), [['caregiver-of', client.id]]);
+  assert.equal(profiles.findById('profile2').userId, null);
+  assert.equal(profiles.linksFor('profile2').length, 0);
+  assert.equal(profiles.findById(profile.id).userId, user.id);
+
+  const review = tasks.findOpenByDedupeKey(`intake-review:${id}`);
+  assert.equal(review.profileId, client.id);
+  assert.match(review.description, /Robert Martinez's profile already has this Medicaid ID: .*link or merge/);
+  assert.ok(tasks.findOpenByDedupeKey(`profile-duplicate:${client.id}`));
+});
+
+test('a client registering with a Medicaid ID nobody has gets a Draft profile of their own', () => {
+  const { id, access } = begin('client');
+  intake.saveStep(id, access, 'client', { dob: '1982-11-30', medicaidId: '6660001115' });
+  const { user, profile, client } = intake.submit(id, access, credentials);
+  assert.equal(client.id, profile.id);
+  assert.equal(profile.status, 'Draft');
+  assert.equal(profiles.findById(profile.id).userId, user.id);
+  assert.doesNotMatch(tasks.findOpenByDedupeKey(`intake-review:${id}`).description, /already has this Medicaid ID/);
+  assert.equal(tasks.findOpenByDedupeKey(`profile-duplicate:${profile.id}`), null);
+});
@@ -0,0 +1,59 @@
+/**
+ * PHI tokenization before LLM calls, and the keyed hash chain of the audit
+ * log that records what was sent.
+ */
+
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { createVault } = require('../services/phi');
+const auditLog = require('../repositories/audit-log');
+
+test('each kind of PHI is swapped for a placeholder and restored', () => {
+  const vault = createVault();
+  const text = 'Sarah Johnson (sarah.johnson@email.com, 702-555-0188, SSN 123-45-6789) was born 03/14/1952, '
+    + 'Medicaid ID 123456789, and lives at 4521 Desert Rose Dr, Las Vegas NV 89101.';
+  const redacted = vault.redact(text);
+  for (const value of ['Sarah Johnson', 'sarah.johnson@email.com', '702-555-0188', '123-45-6789', '03/14/1952', '123456789', '4521 Desert Rose Dr', 'NV 89101']) {
+    assert.ok(!redacted.includes(value), `${value} reached the model: ${redacted}`);
+  }
+  assert.match(redacted, /\[NAME_1\].*\[EMAIL_1\].*\[PHONE_1\].*\[SSN_1\].*\[DATE_1\].*\[MEDICAID_ID_1\].*\[ADDRESS_1\].*\[ZIP_1\]/);
+  assert.equal(vault.restore(redacted), text);
+  assert.deepEqual(vault.categories, { NAME: 1, EMAIL: 1, PHONE: 1, SSN: 1, DATE: 1, MEDICAID_ID: 1, ADDRESS: 1, ZIP: 1 });
+});
+
+test('a value keeps its placeholder across the prompt, history and nested fields', () => {
+  const vault = createVault({ names: ['Ana Lopez'] });
+  const first = vault.redact('Ana Lopez, ID 9876543210');
+  const second = vault.redactDeep({ history: ['ana lopez called about 9876543210'] });
+  assert.equal(first, '[NAME_1], ID [MEDICAID_ID_1]');
+  assert.deepEqual(second, { history: ['[NAME_1] called about [MEDICAID_ID_1]'] });
+  // Placeholders restore to the value as first seen
+  assert.deepEqual(vault.restoreDeep(second), { history: ['Ana Lopez called about 9876543210'] });
+});
+
+test('company numbers are left for the model to quote', () => {
+  const vault = createVault();
+  assert.equal(vault.redact('Call us at (833) 432-6588'), 'Call us at (833) 432-6588');
+});
+
+test('a streamed placeholder split across chunks is restored whole', () => {
+  const vault = createVault();
+  vault.redact('ID 123456789');
+  const restorer = vault.restorer();
+  const out = ['Your ID is [MEDI', 'CAID_', 'ID_1', '] on file. [UNKNOWN_1]'].map(chunk => restorer.push(chunk)).join('') + restorer.flush();
+  assert.equal(out, 'Your ID is 123456789 on file. [UNKNOWN_1]');
+});
+
+test('the audit log refuses edits, and its chain detects one made around the triggers', () => {
+  const first = auditLog.append({ actor: 'agent1', actorRole: 'admin', action: 'llm.request', categories: { NAME: 1 } });
+  auditLog.append({ actor: 'agent1', actorRole: 'admin', action: 'llm.request', categories: { MEDICAID_ID: 2 } });
+  assert.equal(auditLog.verify().valid, true);
+  assert.throws(() => db.prepare('UPDATE audit_log SET categories = ? WHERE seq = ?').run('{}', first), /append-only/);
+
+  // Someone with write access to the file can drop the trigger, but not re-key the chain
+  db.exec('DROP TRIGGER audit_log_no_update');
+  db.prepare('UPDATE audit_log SET categories = ? WHERE seq = ?').run('{}', first);
+  assert.deepEqual(auditLog.verify(), { valid: false, count: first - 1, brokenAt: first });
+});
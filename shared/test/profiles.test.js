@@ -0,0 +1,73 @@
+/**
+ * Registration never hands a portal user someone else's profile: a Medicaid
+ * ID that is already on file only raises a review task, and reps decide
+ * whether to link or merge.
+ */
+
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const profileService = require('../services/profiles');
+const profiles = require('../repositories/profiles');
+const users = require('../repositories/users');
+const tasks = require('../repositories/tasks');
+
+const rep = { sub: 'agent1', role: 'admin' };
+
+function portalUser(role) {
+  const username = `${role}-${crypto.randomUUID().slice(0, 8)}`;
+  const user = users.create({ email: `${username}@example.com`, username, role, passwordHash: 'scrypt:test' });
+  return { sub: user.id, role };
+}
+
+test('a client giving a Medicaid ID on file gets a new Draft profile, not the existing one', () => {
+  const session = portalUser('client');
+  const { profile } = profileService.register(session, { fullName: 'Not Sarah', dob: '1958-03-14', medicaid: '123456789' });
+  assert.notEqual(profile.id, 'profile1');
+  assert.equal(profile.status, 'Draft');
+  assert.equal(profiles.findById('profile1').userId, null);
+  assert.equal(profileService.canView('profile1', session), false);
+  assert.throws(() => profileService.get(session, 'profile1'), error => error.status === 404);
+  assert.ok(tasks.findOpenByDedupeKey(`profile-duplicate:${profile.id}`));
+});
+
+test('a caregiver registering for a Medicaid ID on file is linked to a new Draft client', () => {
+  const session = portalUser('caregiver');
+  const { profile, client } = profileService.register(session, { fullName: 'Some Caregiver', clientName: 'Robert Martinez', medicaid: '987654321' });
+  assert.notEqual(client.id, 'profile2');
+  assert.equal(client.status, 'Draft');
+  assert.deepEqual(profile.links.map(link => [link.type, link.profileId]), [['caregiver-of', client.id]]);
+  assert.equal(profileService.canView('profile2', session), false);
+  assert.equal(profiles.linksFor('profile2').length, 0);
+  assert.ok(tasks.findOpenByDedupeKey(`profile-duplicate:${client.id}`));
+});
+
+test('registering again updates the client already linked instead of adding another', () => {
+  const session = portalUser('guardian');
+  const first = profileService.register(session, { fullName: 'A Guardian', clientName: 'Young Client' });
+  const second = profileService.register(session, { fullName: 'A Guardian', clientName: 'Young Client', medicaid: '5550001112' });
+  assert.equal(second.client.id, first.client.id);
+  assert.equal(second.client.medicaidId, '5550001112');
+});
+
+test('a rep merges the registration into the existing record', () => {
+  const session = portalUser('client');
+  const existing = profiles.create({ name: 'Dana Reyes', role: 'Client', medicaidId: '4440001113', address: '1 Elm St, Reno, NV 89501' });
+  const { profile } = profileService.register(session, { fullName: 'Dana Reyes', dob: '1970-05-05', medicaid: '4440001113' });
+
+  assert.throws(() => profileService.merge(session, profile.id, { intoProfileId: existing.id }), error => error.status === 403);
+  const merged = profileService.merge(rep, profile.id, { intoProfileId: existing.id });
+  assert.equal(merged.id, existing.id);
+  assert.equal(merged.dob, '1970-05-05');
+  assert.equal(merged.address, '1 Elm St, Reno, NV 89501');
+  assert.equal(profiles.findById(profile.id), null);
+  assert.equal(profileService.clientFor(session.sub).id, existing.id);
+  assert.equal(tasks.findOpenByDedupeKey(`profile-duplicate:${profile.id}`), null);
+});
+
+test('profiles that both belong to accounts are not merged', () => {
+  const first = profileService.register(portalUser('client'), { fullName: 'One Person', medicaid: '3330001114' }).profile;
+  const second = profileService.register(portalUser('client'), { fullName: 'One Person', medicaid: '3330001114' }).profile;
+  assert.throws(() => profileService.merge(rep, second.id, { intoProfileId: first.id }), error => error.status === 409);
+});
@@ -0,0 +1,52 @@
+/**
+ * The ops runbook: parameters are validated against each operation's
+ * declaration, grants are enforced, and every run or refusal is audited.
+ */
+
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const operations = require('../runbook/operations');
+const runner = require('../runbook/runner');
+const target = require('../runbook/target');
+const auditLog = require('../repositories/audit-log');
+
+const agent = { id: 'agent1', role: 'admin' };
+
+test('operations and parameters outside the allowlist are refused', () => {
+  const refused = (name, params, message) =>
+    assert.throws(() => operations.resolve(name, params), error => error.status === 400 && message.test(error.message));
+  refused('rm', {}, /Unknown operation/);
+  refused('status', { host: 'db1' }, /Unknown parameter: host/);
+  refused('logs', { service: 'sshd' }, /Service must be one of/);
+  refused('logs', { service: operations.SERVICES[0], lines: 501 }, /whole number from 1 to 500/);
+  refused('list_files', { path: '../etc' }, /relative path/);
+  refused('list_files', { path: '$(rm -rf /)' }, /relative path/);
+});
+
+test('defaults are filled in and the steps are built from the checked values', () => {
+  const resolved = operations.resolve('logs', { service: operations.SERVICES[0] });
+  assert.equal(resolved.params.lines, 100);
+  assert.ok(resolved.steps.flat().includes(operations.SERVICES[0]));
+});
+
+test('each word is single-quoted for the remote shell', () => {
+  assert.equal(target.quote("it's; rm -rf /"), `'it'\\''s; rm -rf /'`);
+});
+
+test('a run on the stand-in target is recorded and audited', async () => {
+  const result = await runner.run({ name: 'status', params: {}, user: agent });
+  assert.equal(result.status, 'succeeded');
+  assert.ok(result.output.length > 0);
+  const [entry] = auditLog.list({ actor: agent.id, action: 'runbook.run', limit: 1 });
+  assert.equal(entry.target, 'status');
+  assert.equal(entry.details.runId, result.id);
+});
+
+test('a user without the grant is refused and the refusal is audited', async () => {
+  const client = { id: 'user1', role: 'client' };
+  await assert.rejects(runner.run({ name: 'status', params: {}, user: client }), error => error.status === 403);
+  const [entry] = auditLog.list({ actor: client.id, action: 'runbook.denied', limit: 1 });
+  assert.equal(entry.target, 'status');
+  assert.equal(entry.details.permission, 'ops.read');
+});
@@ -0,0 +1,20 @@
+// Test environment: a throwaway database per test file and fixed secrets.
+// Require this before anything that opens the database.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DB_PATH = path.join(os.tmpdir(), `kloudy-test-${process.pid}.db`);
+
+process.env.KLOUDY_ENV = 'testing';
+process.env.KLOUDY_DB_PATH = DB_PATH;
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.AUDIT_KEY = 'test-audit-key';
+process.env.TWILIO_AUTH_TOKEN = 'test-twilio-token';
+
+process.on('exit', () => {
+  for (const suffix of ['', '-wal', '-shm']) fs.rmSync(DB_PATH + suffix, { force: true });
+});
+
+module.exports = { DB_PATH };
@@ -0,0 +1,79 @@
+/**
+ * Twilio webhooks are public, so the signature is all that stands between
+ * them and the inbox: unsigned, mis-signed or replayed-elsewhere requests are
+ * refused before anything is stored.
+ */
+
+require('./setup');
+process.env.OLLAMA_URL = 'http://127.0.0.1:1';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const express = require('express');
+const db = require('../db');
+const config = require('../sms/config');
+const signature = require('../sms/signature');
+const sms = require('../repositories/sms');
+const smsWebhookRoutes = require('../routes/sms-webhooks');
+
+let server;
+let base;
+
+test.before(async () => {
+  const app = express();
+  app.use('/api/sms/twilio', smsWebhookRoutes());
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function post(path, params, sign = signature.sign(config.AUTH_TOKEN, base + path, params)) {
+  return fetch(base + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...(sign && { 'X-Twilio-Signature': sign }) },
+    body: new URLSearchParams(params)
+  });
+}
+
+const message = sid => ({ MessageSid: sid, From: '+17025550144', To: config.FROM_NUMBER, Body: 'Hi, my name is Ana Lopez, medicaid id 1234567890' });
+
+test('signatures follow Twilio\'s documented example', () => {
+  const params = { CallSid: 'CA1234567890ABCDE', Caller: '+12349013030', Digits: '1234', From: '+12349013030', To: '+18005551212' };
+  const url = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+  assert.equal(signature.sign('12345', url, params), '0/KCTR6DLpKmkAf8muzZqo1nDgQ=');
+  assert.ok(signature.verify('12345', url, params, '0/KCTR6DLpKmkAf8muzZqo1nDgQ='));
+  assert.ok(!signature.verify('12345', url, { ...params, Digits: '1235' }, '0/KCTR6DLpKmkAf8muzZqo1nDgQ='));
+  assert.ok(!signature.verify('54321', url, params, '0/KCTR6DLpKmkAf8muzZqo1nDgQ='));
+  assert.ok(!signature.verify('12345', url, params, undefined));
+});
+
+test('a signed inbound text is threaded and acknowledged', async () => {
+  const res = await post('/api/sms/twilio/webhook', message('SMsigned0001'));
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /<Message>Thanks for texting/);
+  assert.ok(sms.findIntakeByPhone('+17025550144'));
+});
+
+test('unsigned, mis-signed and re-addressed requests are refused and nothing is stored', async () => {
+  const params = message('SMforged0001');
+  const unsigned = await post('/api/sms/twilio/webhook', params, null);
+  const wrongToken = await post('/api/sms/twilio/webhook', params, signature.sign('not-the-token', base + '/api/sms/twilio/webhook', params));
+  const tampered = await post('/api/sms/twilio/webhook', { ...params, Body: 'changed' }, signature.sign(config.AUTH_TOKEN, base + '/api/sms/twilio/webhook', params));
+  const otherUrl = await post('/api/sms/twilio/status', params, signature.sign(config.AUTH_TOKEN, base + '/api/sms/twilio/webhook', params));
+  for (const res of [unsigned, wrongToken, tampered, otherUrl]) assert.equal(res.status, 403);
+  assert.equal(db.prepare('SELECT 1 FROM sms_messages WHERE id = ?').get('SMforged0001'), undefined);
+});
+
+test('the public mock token is never used outside development', () => {
+  const { TWILIO_AUTH_TOKEN, ...env } = process.env;
+  const load = KLOUDY_ENV => spawnSync(process.execPath, ['-e', "require('./sms/config')"], {
+    cwd: path.join(__dirname, '..'), env: { ...env, KLOUDY_ENV }, encoding: 'utf8'
+  });
+  const production = load('production');
+  assert.notEqual(production.status, 0);
+  assert.match(production.stderr, /TWILIO_AUTH_TOKEN must be set/);
+  assert.equal(load('development').status, 0);
+});
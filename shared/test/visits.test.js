@@ -0,0 +1,188 @@
+/**
+ * Electronic visit verification: clocks are checked against the schedule,
+ * the home's geofence and the device's clock, anything off is an exception,
+ * and a visit is verified (and has an EVV record) only once a rep has
+ * resolved every exception with a reason code.
+ */
+
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const visitService = require('../services/visits');
+const visits = require('../repositories/visits');
+const employees = require('../repositories/employees');
+const profiles = require('../repositories/profiles');
+const users = require('../repositories/users');
+const tasks = require('../repositories/tasks');
+
+const rep = { sub: 'agent1', role: 'admin' };
+const HOME = { latitude: 36.1699, longitude: -115.1398 };
+const MINUTE = 60 * 1000;
+// Meters per degree of latitude on the sphere the service measures with
+const METERS_PER_DEGREE = 2 * Math.PI * 6371000 / 360;
+
+const at = offset => new Date(Date.now() + offset).toISOString();
+const north = meters => ({ latitude: HOME.latitude + meters / METERS_PER_DEGREE, longitude: HOME.longitude });
+
+// An active caregiver with current credentials, so every test schedules around now without overlaps
+function hireCaregiver() {
+  const username = `caregiver-${crypto.randomUUID().slice(0, 8)}`;
+  const user = users.create({ email: `${username}@example.com`, username, name: username, role: 'caregiver', passwordHash: 'scrypt:test' });
+  const employee = employees.create({ userId: user.id, name: username, position: 'caregiver', status: 'active', createdBy: 'test' });
+  const expiresOn = at(365 * 24 * 60 * MINUTE).slice(0, 10);
+  for (const type of ['background_check', 'tb_test', 'cpr_first_aid']) employees.addCredential({ employeeId: employee.id, type, expiresOn, createdBy: 'test' });
+  return { sub: user.id, role: 'caregiver' };
+}
+
+const client = profiles.create({
+  name: 'Visit Client', role: 'Client', status: 'Active', dob: '1950-04-01', medicaidId: '1110002223', address: '100 Main St, Las Vegas, NV 89101'
+});
+
+function scheduleVisit(caregiver, startOffset, endOffset) {
+  return visitService.schedule(rep, {
+    profileId: client.id, caregiverId: caregiver.sub, scheduledStart: at(startOffset), scheduledEnd: at(endOffset), ...HOME
+  });
+}
+
+const clock = (where = HOME, extra = {}) => ({ ...where, accuracy: 10, deviceTime: at(0), ...extra });
+const types = visit => visit.exceptions.map(e => e.type);
+
+// Runs the worker's check once
+async function runChecks() {
+  visitService.start();
+  await new Promise(resolve => setImmediate(resolve));
+  visitService.stop();
+}
+
+test('a visit clocked at the home on schedule is verified straight away', () => {
+  const caregiver = hireCaregiver();
+  const visit = scheduleVisit(caregiver, -5 * MINUTE, 10 * MINUTE);
+  assert.ok(tasks.findOpenByDedupeKey(`visit:${visit.id}`));
+
+  const started = visitService.clockIn(caregiver, visit.id, clock(north(150)));
+  assert.equal(started.status, 'in_progress');
+  assert.deepEqual(types(started), []);
+  assert.equal(tasks.findOpenByDedupeKey(`visit:${visit.id}`), null);
+
+  const done = visitService.clockOut(caregiver, visit.id, clock());
+  assert.equal(done.status, 'verified');
+  assert.deepEqual(types(done), []);
+  assert.equal(done.hours, 0);
+});
+
+test('clocks outside the geofence are exceptions, allowing for the GPS accuracy up to 100 m', () => {
+  const fuzzy = hireCaregiver();
+  const fuzzyVisit = scheduleVisit(fuzzy, -5 * MINUTE, 10 * MINUTE);
+  assert.deepEqual(types(visitService.clockIn(fuzzy, fuzzyVisit.id, clock(north(250), { accuracy: 80 }))), []);
+
+  const capped = hireCaregiver();
+  const cappedVisit = scheduleVisit(capped, -5 * MINUTE, 10 * MINUTE);
+  const flagged = visitService.clockIn(capped, cappedVisit.id, clock(north(350), { accuracy: 5000 }));
+  assert.deepEqual(types(flagged), ['wrong_location_in']);
+  assert.equal(flagged.exceptions[0].detail, "350 m from the client's home (allowed 300 m)");
+
+  const away = visitService.clockOut(capped, cappedVisit.id, clock(north(2000)));
+  assert.deepEqual(types(away), ['wrong_location_in', 'wrong_location_out']);
+  assert.equal(away.status, 'completed');
+});
+
+test('late starts, early ends and a disagreeing device clock are flagged', () => {
+  const caregiver = hireCaregiver();
+  const visit = scheduleVisit(caregiver, -30 * MINUTE, 60 * MINUTE);
+  visitService.clockIn(caregiver, visit.id, clock(HOME, { deviceTime: at(-10 * MINUTE) }));
+  const done = visitService.clockOut(caregiver, visit.id, clock());
+  assert.deepEqual(types(done), ['late_start', 'device_time', 'early_end']);
+  assert.equal(done.exceptions[0].detail, 'Clocked in 30 min after the scheduled start');
+  assert.equal(done.exceptions[1].detail, 'Device clock 10 min behind the server');
+  assert.equal(done.status, 'completed');
+  assert.equal(done.openExceptions, 3);
+});
+
+test('only the assigned caregiver clocks, and only around the scheduled time', () => {
+  const caregiver = hireCaregiver();
+  const early = scheduleVisit(caregiver, 2 * 60 * MINUTE, 3 * 60 * MINUTE);
+  assert.throws(() => visitService.clockIn(caregiver, early.id, clock()), error => error.status === 409 && /before the visit starts/.test(error.message));
+  const over = scheduleVisit(caregiver, -3 * 60 * MINUTE, -2 * 60 * MINUTE);
+  assert.throws(() => visitService.clockIn(caregiver, over.id, clock()), error => error.status === 409 && /already ended/.test(error.message));
+
+  const visit = scheduleVisit(caregiver, -5 * MINUTE, 10 * MINUTE);
+  assert.throws(() => visitService.clockIn(hireCaregiver(), visit.id, clock()), error => error.status === 404);
+  assert.throws(() => visitService.clockIn(rep, visit.id, clock()), error => error.status === 403);
+  assert.throws(() => visitService.clockOut(caregiver, visit.id, clock()), error => error.status === 409 && error.message === 'Clock in first');
+  assert.throws(() => visitService.clockIn(caregiver, visit.id, { ...HOME, deviceTime: at(0), accuracy: -1 }), error => error.status === 400);
+  assert.throws(() => visitService.clockIn(caregiver, visit.id, { deviceTime: at(0) }), error => error.status === 400);
+});
+
+test('a visit with exceptions is verified once a rep resolves each with a reason code, and then has an EVV record', () => {
+  const caregiver = hireCaregiver();
+  const visit = scheduleVisit(caregiver, -30 * MINUTE, 10 * MINUTE);
+  visitService.clockIn(caregiver, visit.id, clock(north(1000)));
+  const done = visitService.clockOut(caregiver, visit.id, clock());
+  const [late, away] = done.exceptions;
+  assert.deepEqual([late.type, away.type], ['late_start', 'wrong_location_in']);
+  assert.throws(() => visitService.evv(rep, visit.id), error => error.status === 409);
+
+  assert.throws(() => visitService.resolve(caregiver, visit.id, late.id, { reasonCode: 'CAREGIVER_LATE' }), error => error.status === 403);
+  assert.throws(() => visitService.resolve(rep, visit.id, late.id, { reasonCode: 'RUNNING_LATE' }), error => error.status === 400);
+  assert.throws(() => visitService.resolve(rep, visit.id, late.id, { reasonCode: 'OTHER', memo: ' ' }), /memo is required/);
+
+  const half = visitService.resolve(rep, visit.id, late.id, { reasonCode: 'CAREGIVER_LATE' });
+  assert.equal(half.status, 'completed');
+  assert.throws(() => visitService.resolve(rep, visit.id, late.id, { reasonCode: 'CAREGIVER_LATE' }), error => error.status === 409);
+  const verified = visitService.resolve(rep, visit.id, away.id, { reasonCode: 'OFFSITE_SERVICE', memo: 'Pharmacy run' });
+  assert.equal(verified.status, 'verified');
+  assert.ok(verified.verifiedAt);
+
+  const { record, payload, issues } = visitService.evv(rep, visit.id);
+  assert.equal(record.clientMedicaidId, '1110002223');
+  assert.deepEqual(record.calls.map(call => [call.assignment, call.type]), [['Time In', 'Mobile'], ['Time Out', 'Mobile']]);
+  assert.deepEqual(record.changes.map(change => [change.reasonCode, change.memo, change.changedBy]), [
+    ['CAREGIVER_LATE', 'Late start', 'agent1'], ['OFFSITE_SERVICE', 'Pharmacy run', 'agent1']
+  ]);
+  assert.equal(payload.ClientID, '1110002223');
+  assert.deepEqual(payload.Calls.map(call => call.CallAssignment), ['Time In', 'Time Out']);
+  assert.deepEqual(payload.VisitChanges.map(change => change.ReasonCode), ['CAREGIVER_LATE', 'OFFSITE_SERVICE']);
+  assert.deepEqual(issues, []);
+});
+
+test('the worker flags a missing clock-out; the rep records when the caregiver left and the visit goes out as Manual', async () => {
+  const caregiver = hireCaregiver();
+  const visit = scheduleVisit(caregiver, -5 * MINUTE, 10 * MINUTE);
+  const { clockIn } = visitService.clockIn(caregiver, visit.id, clock());
+  // As if the shift began three hours ago, ended two hours ago and nobody clocked out
+  visits.update(visit.id, { scheduledStart: at(-3 * 60 * MINUTE), scheduledEnd: at(-2 * 60 * MINUTE), clockIn: { ...clockIn, at: at(-3 * 60 * MINUTE) } });
+  await runChecks();
+
+  const [missing] = visitService.get(rep, visit.id).exceptions;
+  assert.equal(missing.type, 'missing_clock_out');
+  const task = tasks.findOpenByDedupeKey(`visit-exception:${missing.id}`);
+  assert.equal(task.priority, 'high');
+
+  assert.throws(() => visitService.resolve(rep, visit.id, missing.id, { reasonCode: 'FORGOT_CLOCK', clockOutAt: at(60 * MINUTE) }), /not in the future/);
+  const resolved = visitService.resolve(rep, visit.id, missing.id, { reasonCode: 'FORGOT_CLOCK', clockOutAt: at(-90 * MINUTE) });
+  assert.equal(resolved.clockOut.type, 'Manual');
+  assert.equal(resolved.hours, 1.5);
+  assert.deepEqual(types(resolved), ['missing_clock_out', 'overtime']);
+  assert.equal(tasks.findOpenByDedupeKey(`visit-exception:${missing.id}`), null);
+
+  const overtime = resolved.exceptions[1];
+  assert.equal(visitService.resolve(rep, visit.id, overtime.id, { reasonCode: 'OTHER', memo: 'Left late; confirmed with the client' }).status, 'verified');
+  const { record } = visitService.evv(rep, visit.id);
+  assert.deepEqual(record.calls.map(call => call.type), ['Manual', 'Manual']);
+});
+
+test('the worker flags a visit nobody clocked into, and resolving it cancels the visit', async () => {
+  const caregiver = hireCaregiver();
+  const visit = scheduleVisit(caregiver, -2 * 60 * MINUTE, -60 * MINUTE);
+  await runChecks();
+  await runChecks();
+
+  const { exceptions } = visitService.get(rep, visit.id);
+  assert.deepEqual(exceptions.map(e => e.type), ['missed_visit'], 'flagged once');
+  const cancelled = visitService.resolve(rep, visit.id, exceptions[0].id, { reasonCode: 'CAREGIVER_ABSENT' });
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.cancelReason, visitService.REASON_CODES.CAREGIVER_ABSENT);
+  assert.equal(tasks.findOpenByDedupeKey(`visit:${visit.id}`), null);
+  assert.equal(tasks.findOpenByDedupeKey(`visit-exception:${exceptions[0].id}`), null);
+});
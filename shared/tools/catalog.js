@@ -0,0 +1,130 @@
+/**
+ * Tools the chat model may call. Each one has a JSON Schema for its
+ * arguments, the roles allowed to use it (any signed-in role when `roles`
+ * is null) and a `run(session, args)` that goes through the same services
+ * as the REST API, so the caller's own permissions and audit entries apply.
+ *
+ * `run` returns `result`, a compact summary the model reads before
+ * answering, and `actions`, the cards and tables the chat UI shows.
+ */
+
+const profileService = require('../services/profiles');
+const taskService = require('../services/tasks');
+const noteService = require('../services/notes');
+const eligibilityQueue = require('../eligibility/queue');
+const { ROLES } = require('../auth');
+const { httpError } = require('../http');
+
+const PROFILE_REF = {
+  type: 'string', minLength: 2, maxLength: 120,
+  description: 'Profile ID, or a name, Medicaid ID, phone or email that matches one profile'
+};
+
+// A profile the caller can see, by ID or by a search that matches exactly one
+function findProfile(session, ref) {
+  try {
+    return profileService.get(session, ref);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+  const { profiles, total } = profileService.search(session, { q: ref, limit: 5 });
+  if (!total) throw httpError(404, `No profile matches "${ref}"`);
+  if (total > 1) throw httpError(409, `${total} profiles match "${ref}" (${profiles.map(p => p.name).join(', ')}); ask which one`);
+  return profileService.get(session, profiles[0].id);
+}
+
+function profileFacts(profile) {
+  return {
+    id: profile.id, name: profile.name, role: profile.role, status: profile.status, dob: profile.dob, phone: profile.phone,
+    email: profile.email, address: profile.address, medicaidId: profile.medicaidId, completionPercentage: profile.completionPercentage,
+    missing: profile.missing.map(m => m.label), coverage: profile.eligibility ? profile.eligibility.coverage : null
+  };
+}
+
+const TOOLS = [
+  {
+    name: 'lookup_profile',
+    description: "Find a client, caregiver or guardian profile and show it, with the details it is still missing.",
+    roles: null,
+    parameters: {
+      type: 'object', required: ['query'],
+      properties: { query: { type: 'string', minLength: 2, maxLength: 120, description: 'Name, Medicaid ID, phone or email' } }
+    },
+    run(session, { query }) {
+      const { profiles, total } = profileService.search(session, { q: query, limit: 5 });
+      if (total > 1) {
+        return {
+          result: { matches: total, profiles: profiles.map(p => ({ id: p.id, name: p.name, role: p.role, status: p.status })) },
+          actions: [{ type: 'show_profiles', data: { profiles, total } }]
+        };
+      }
+      if (!total) return { result: { matches: 0 }, actions: [] };
+      const profile = profileService.get(session, profiles[0].id);
+      const actions = [{ type: 'show_profile', data: profile }];
+      if (profile.missing.length) actions.push({ type: 'request_info', profileId: profile.id, name: profile.name, fields: profile.missing });
+      return { result: { matches: 1, profile: profileFacts(profile) }, actions };
+    }
+  },
+  {
+    name: 'check_eligibility',
+    description: 'Show the Medicaid eligibility last verified for a profile and the status of its latest eligibility check.',
+    roles: null,
+    parameters: { type: 'object', required: ['profile'], properties: { profile: PROFILE_REF } },
+    run(session, args) {
+      const profile = findProfile(session, args.profile);
+      const [job] = eligibilityQueue.list(session, { profileId: profile.id, limit: 1 });
+      const latestCheck = job ? { status: job.status, error: job.error, updatedAt: job.updatedAt } : null;
+      return {
+        result: { profile: profile.name, eligibility: profile.eligibility, latestCheck },
+        actions: profile.eligibility ? [{ type: 'show_eligibility', data: { ...profile.eligibility, profileName: profile.name } }] : []
+      };
+    }
+  },
+  {
+    name: 'create_task',
+    description: 'Create a task in the rep queue, optionally about a profile. Only when the user asks for a task or follow-up.',
+    roles: [ROLES.ADMIN],
+    parameters: {
+      type: 'object', required: ['title'],
+      properties: {
+        title: { type: 'string', minLength: 3, maxLength: 200 },
+        description: { type: 'string', maxLength: 2000 },
+        priority: { type: 'string', enum: taskService.PRIORITIES },
+        category: { type: 'string', enum: taskService.CATEGORIES },
+        profile: PROFILE_REF,
+        dueAt: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}', description: 'ISO date or date and time' }
+      }
+    },
+    run(session, { profile: ref, ...fields }) {
+      const profile = ref ? findProfile(session, ref) : null;
+      const task = taskService.create(session, { ...fields, profileId: profile ? profile.id : undefined });
+      return {
+        result: { id: task.id, title: task.title, status: task.status, priority: task.priority, dueAt: task.dueAt, profile: profile ? profile.name : null },
+        actions: [{ type: 'show_task', data: { ...task, profileName: profile ? profile.name : null } }]
+      };
+    }
+  },
+  {
+    name: 'save_note',
+    description: "Save a case note on a profile. Only when the user asks for something to be noted.",
+    roles: [ROLES.ADMIN],
+    parameters: {
+      type: 'object', required: ['profile', 'text'],
+      properties: {
+        profile: PROFILE_REF,
+        text: { type: 'string', minLength: 1, maxLength: 4000 },
+        category: { type: 'string', enum: noteService.CATEGORIES }
+      }
+    },
+    run(session, { profile: ref, text, category }) {
+      const profile = findProfile(session, ref);
+      const note = noteService.create(session, { profileId: profile.id, text, category });
+      return {
+        result: { id: note.id, profile: profile.name, category: note.category },
+        actions: [{ type: 'show_note', data: { ...note, profileName: profile.name } }]
+      };
+    }
+  }
+];
+
+module.exports = { TOOLS };
@@ -0,0 +1,58 @@
+/**
+ * Checks tool arguments against the small part of JSON Schema the tool
+ * definitions use: object, string, integer, number and boolean types,
+ * required properties, enum, minLength/maxLength, minimum/maximum and
+ * pattern. Properties a schema does not list are refused, so a model cannot
+ * slip extra fields through to a service.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function check(schema, value, path, errors) {
+  if (!matchesType(value, schema.type)) {
+    const expected = { integer: 'a whole number', object: 'an object', array: 'a list' }[schema.type] || `a ${schema.type}`;
+    errors.push(`${path} must be ${expected}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is limited to ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} is not in the expected format`);
+  }
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (!properties[key]) errors.push(`${path}.${key} is not allowed`);
+      else if (item !== undefined) check(properties[key], item, `${path}.${key}`, errors);
+    }
+  }
+}
+
+/**
+ * @returns {string[]} what is wrong with `value`; empty when it is valid
+ */
+function validate(schema, value, path = 'arguments') {
+  const errors = [];
+  check(schema, value, path, errors);
+  return errors;
+}
+
+module.exports = { validate };
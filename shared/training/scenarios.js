@@ -0,0 +1,67 @@
+/**
+ * Training scenarios, one JSON file each in ./scenarios. A scenario is the
+ * client a rep practices with (persona and opening line), the facts the
+ * client shares when asked, the intake steps a good call covers and the
+ * mistakes to avoid. Patterns are case-insensitive regular expressions
+ * matched against what the rep writes.
+ *
+ * Files are read and checked once, when this module is loaded; a broken
+ * scenario stops the server rather than scoring reps wrongly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+
+function compile(patterns, where) {
+  if (!Array.isArray(patterns) || !patterns.length) throw new Error(`${where} needs at least one pattern`);
+  return patterns.map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  });
+}
+
+function load(file) {
+  const scenario = JSON.parse(fs.readFileSync(path.join(SCENARIOS_DIR, file), 'utf8'));
+  const where = `Training scenario ${file}`;
+  for (const key of ['id', 'title', 'opening', 'persona', 'facts', 'steps', 'mistakes', 'fallback']) {
+    if (!scenario[key]) throw new Error(`${where} is missing "${key}"`);
+  }
+  const facts = scenario.facts.map(fact => ({ ...fact, askedPatterns: compile(fact.asked, `${where} fact ${fact.id}`) }));
+  const steps = scenario.steps.map(step => {
+    const missing = (step.facts || []).find(id => !facts.some(fact => fact.id === id));
+    if (missing) throw new Error(`${where} step ${step.id} names unknown fact ${missing}`);
+    if (!step.facts && !step.match) throw new Error(`${where} step ${step.id} needs facts or match`);
+    return { ...step, patterns: step.match ? compile(step.match, `${where} step ${step.id}`) : null };
+  });
+  const mistakes = scenario.mistakes.map(mistake => ({
+    ...mistake,
+    patterns: compile(mistake.match, `${where} mistake ${mistake.id}`),
+    exceptions: mistake.unless ? compile(mistake.unless, `${where} mistake ${mistake.id}`) : []
+  }));
+  return { timeLimitMinutes: 15, level: 'beginner', goals: [], ...scenario, facts, steps, mistakes };
+}
+
+const scenarios = fs.readdirSync(SCENARIOS_DIR).filter(file => file.endsWith('.json')).sort().map(load);
+
+function get(id) {
+  return scenarios.find(scenario => scenario.id === id) || null;
+}
+
+// What a rep sees before starting: no facts, patterns or answers
+function summary(scenario) {
+  return {
+    id: scenario.id, title: scenario.title, level: scenario.level, summary: scenario.summary,
+    timeLimitMinutes: scenario.timeLimitMinutes, clientName: scenario.persona.name, goals: scenario.goals
+  };
+}
+
+function list() {
+  return scenarios.map(summary);
+}
+
+module.exports = { get, list, summary };
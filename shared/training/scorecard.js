@@ -0,0 +1,53 @@
+/**
+ * Scoring for training sessions, from the rep's own messages only, so the
+ * score does not depend on what the role-playing model said. A fact counts
+ * as collected once the rep asked for it; a step is done when its facts were
+ * collected or one of its patterns matched (within the first `within`
+ * messages when set). Each mistake is counted once.
+ */
+
+const STEP_POINTS = 100;
+const MISTAKE_PENALTY = 10;
+const OVERTIME_PENALTY = 10;
+
+const matches = (patterns, text) => patterns.some(pattern => pattern.test(text));
+
+// Facts the rep asks for in this message
+function askedFacts(scenario, text) {
+  return scenario.facts.filter(fact => matches(fact.askedPatterns, text)).map(fact => fact.id);
+}
+
+/**
+ * @param {object} scenario a loaded scenario
+ * @param {{ sender: string, body: string, createdAt: string }[]} messages the whole session
+ * @param {{ startedAt: string, endedAt: string }} times
+ */
+function scorecard(scenario, messages, { startedAt, endedAt }) {
+  const repMessages = messages.filter(m => m.sender === 'rep');
+  const collected = new Set(repMessages.flatMap(m => askedFacts(scenario, m.body)));
+
+  const steps = scenario.steps.map(step => {
+    const candidates = step.within ? repMessages.slice(0, step.within) : repMessages;
+    const done = step.facts ? step.facts.every(id => collected.has(id)) : candidates.some(m => matches(step.patterns, m.body));
+    return { id: step.id, label: step.label, done };
+  });
+
+  const mistakes = [];
+  for (const mistake of scenario.mistakes) {
+    const message = repMessages.find(m => matches(mistake.patterns, m.body) && !matches(mistake.exceptions, m.body));
+    if (message) mistakes.push({ id: mistake.id, label: mistake.label, quote: message.body.slice(0, 160) });
+  }
+
+  const durationSeconds = Math.max(0, Math.round((Date.parse(endedAt) - Date.parse(startedAt)) / 1000));
+  const overTime = durationSeconds > scenario.timeLimitMinutes * 60;
+  const stepsDone = steps.filter(step => step.done).length;
+  const score = Math.max(0, Math.round(STEP_POINTS * stepsDone / steps.length) - MISTAKE_PENALTY * mistakes.length - (overTime ? OVERTIME_PENALTY : 0));
+
+  return {
+    score, stepsDone, stepsTotal: steps.length, steps, mistakes,
+    facts: scenario.facts.map(fact => ({ id: fact.id, label: fact.label, collected: collected.has(fact.id) })),
+    durationSeconds, timeLimitMinutes: scenario.timeLimitMinutes, overTime, repMessages: repMessages.length
+  };
+}
+
+module.exports = { askedFacts, scorecard };